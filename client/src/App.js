@@ -10,6 +10,10 @@ import Dashboard from './pages/Dashboard';
 import CreateEvent from './pages/CreateEvent';
 import EventDetails from './pages/EventDetails';
 import EditEvent from './pages/EditEvent';
+import Checkout from './pages/Checkout';
+import CheckIn from './pages/CheckIn';
+import Organizations from './pages/Organizations';
+import Organization from './pages/Organization';
 import './App.css';
 
 function App() {
@@ -47,6 +51,31 @@ function App() {
                 </PrivateRoute>
               } 
             />
+            <Route 
+              path="/events/:id/check-in" 
+              element={
+                <PrivateRoute>
+                  <CheckIn />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/organizations" 
+              element={
+                <PrivateRoute>
+                  <Organizations />
+                </PrivateRoute>
+              } 
+            />
+            <Route path="/orgs/:slug" element={<Organization />} />
+            <Route 
+              path="/checkout/:reservationId" 
+              element={
+                <PrivateRoute>
+                  <Checkout />
+                </PrivateRoute>
+              } 
+            />
             <Route path="*" element={<Navigate to="/" />} />
           </Routes>
         </div>
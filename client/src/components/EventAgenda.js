@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { formatEventTime, toDateTimeInput } from '../utils/dates';
+import { FiClock, FiMapPin, FiMic, FiUsers, FiPlus, FiTrash2 } from 'react-icons/fi';
+import './EventAgenda.css';
+
+const emptySession = (event) => ({
+  title: '',
+  starts_at: toDateTimeInput(event.date, event.time_zone),
+  ends_at: toDateTimeInput(event.end_date || event.date, event.time_zone),
+  room: '',
+  speaker: '',
+  capacity: ''
+});
+
+// Agenda of an event: sessions with per-session RSVP for attendees, editing for organizers.
+// Session times are entered and shown in the event's own time zone.
+const EventAgenda = ({ event, user, canEdit, isAttending, canJoin, accessParams }) => {
+  const [sessions, setSessions] = useState([]);
+  const [mySessionIds, setMySessionIds] = useState([]);
+  const [pendingId, setPendingId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(() => emptySession(event));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [event.id]);
+
+  // Leaving the event also drops the user's sessions, so refetch when attendance changes
+  useEffect(() => {
+    if (user) {
+      fetchMySessions();
+    } else {
+      setMySessionIds([]);
+    }
+  }, [event.id, user, isAttending]);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.get(`/events/${event.id}/sessions`, { params: accessParams });
+      setSessions(response.data);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
+
+  const fetchMySessions = async () => {
+    try {
+      const response = await api.get(`/events/${event.id}/sessions/mine`);
+      setMySessionIds(response.data.sessionIds);
+    } catch (error) {
+      console.error('Error fetching my sessions:', error);
+    }
+  };
+
+  const replaceSession = (session) => {
+    setSessions(sessions.map(s => (s.id === session.id ? session : s)));
+  };
+
+  const handleJoin = async (sessionId) => {
+    setPendingId(sessionId);
+    setMessage('');
+
+    try {
+      const response = await api.post(`/events/${event.id}/sessions/${sessionId}/rsvp`);
+      replaceSession(response.data.session);
+      setMySessionIds([...mySessionIds, sessionId]);
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to join the session');
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleLeave = async (sessionId) => {
+    setPendingId(sessionId);
+    setMessage('');
+
+    try {
+      const response = await api.delete(`/events/${event.id}/sessions/${sessionId}/rsvp`);
+      replaceSession(response.data.session);
+      setMySessionIds(mySessionIds.filter(id => id !== sessionId));
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to leave the session');
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleDelete = async (sessionId) => {
+    if (!window.confirm('Remove this session from the agenda? Its attendees will lose their place.')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/events/${event.id}/sessions/${sessionId}`);
+      setSessions(sessions.filter(s => s.id !== sessionId));
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to delete the session');
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  // Times are sent as entered; the server reads them in the event's time zone
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const response = await api.post(`/events/${event.id}/sessions`, formData);
+      setSessions([...sessions, response.data].sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at)));
+      setFormData(emptySession(event));
+      setShowForm(false);
+      setMessage('Successfully added the session');
+    } catch (error) {
+      setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add the session');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (sessions.length === 0 && !canEdit) {
+    return null;
+  }
+
+  return (
+    <div className="event-agenda">
+      <div className="agenda-header">
+        <h3>Agenda</h3>
+        {canEdit && !showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-secondary">
+            <FiPlus /> Add Session
+          </button>
+        )}
+      </div>
+      {message && (
+        <div className={`alert ${message.includes('Successfully') ? 'alert-success' : 'alert-error'}`}>
+          {message}
+        </div>
+      )}
+      {canEdit && showForm && (
+        <form onSubmit={handleSubmit} className="session-form">
+          <div className="form-group">
+            <label htmlFor="session-title">Title *</label>
+            <input
+              type="text"
+              id="session-title"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              required
+            />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="session-starts">Starts *</label>
+              <input
+                type="datetime-local"
+                id="session-starts"
+                name="starts_at"
+                value={formData.starts_at}
+                onChange={handleChange}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="session-ends">Ends *</label>
+              <input
+                type="datetime-local"
+                id="session-ends"
+                name="ends_at"
+                value={formData.ends_at}
+                onChange={handleChange}
+                required
+              />
+            </div>
+          </div>
+          <small className="session-form-hint">Times are in {event.time_zone}</small>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="session-room">Room</label>
+              <input
+                type="text"
+                id="session-room"
+                name="room"
+                value={formData.room}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="session-speaker">Speaker</label>
+              <input
+                type="text"
+                id="session-speaker"
+                name="speaker"
+                value={formData.speaker}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="session-capacity">Seats</label>
+              <input
+                type="number"
+                id="session-capacity"
+                name="capacity"
+                value={formData.capacity}
+                onChange={handleChange}
+                min="1"
+                placeholder="Unlimited"
+              />
+            </div>
+          </div>
+          <div className="session-form-actions">
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Adding...' : 'Add Session'}
+            </button>
+          </div>
+        </form>
+      )}
+      {sessions.length === 0 ? (
+        <p className="no-sessions">No sessions yet. Add one to build the agenda.</p>
+      ) : (
+        <div className="session-list">
+          {sessions.map((session) => {
+            const joined = mySessionIds.includes(session.id);
+            const isFull = session.capacity !== null && session.attendees_count >= session.capacity;
+            const hasStarted = new Date(session.starts_at) < new Date();
+
+            return (
+              <div key={session.id} className={`session-item ${joined ? 'joined' : ''}`}>
+                <div className="session-info">
+                  <h4>{session.title}</h4>
+                  <div className="session-meta">
+                    <span>
+                      <FiClock /> {formatEventTime({ date: session.starts_at, end_date: session.ends_at }, event.time_zone)}
+                    </span>
+                    {session.room && (
+                      <span>
+                        <FiMapPin /> {session.room}
+                      </span>
+                    )}
+                    {session.speaker && (
+                      <span>
+                        <FiMic /> {session.speaker}
+                      </span>
+                    )}
+                    <span>
+                      <FiUsers /> {session.capacity === null
+                        ? `${session.attendees_count} attending`
+                        : `${session.attendees_count} / ${session.capacity} seats`}
+                    </span>
+                  </div>
+                </div>
+                <div className="session-actions">
+                  {canEdit && (
+                    <button onClick={() => handleDelete(session.id)} className="btn btn-danger" title="Delete session">
+                      <FiTrash2 />
+                    </button>
+                  )}
+                  {isAttending && canJoin && !hasStarted && (joined ? (
+                    <button
+                      onClick={() => handleLeave(session.id)}
+                      className="btn btn-secondary"
+                      disabled={pendingId === session.id}
+                    >
+                      {pendingId === session.id ? 'Leaving...' : 'Leave'}
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleJoin(session.id)}
+                      className="btn btn-primary"
+                      disabled={pendingId === session.id || isFull}
+                    >
+                      {isFull ? 'Full' : pendingId === session.id ? 'Joining...' : 'Join'}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {!canEdit && !isAttending && sessions.length > 0 && (
+        <p className="session-note">Join the event to reserve a place in its sessions.</p>
+      )}
+    </div>
+  );
+};
+
+export default EventAgenda;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { formatDateTime, fromDateTimeInput } from '../utils/dates';
+import { FiKey, FiPercent, FiPlus, FiTrash2 } from 'react-icons/fi';
+import './EventCodes.css';
+
+const emptyCode = {
+  code: '',
+  kind: 'discount',
+  discount_percent: '',
+  ticket_type_id: '',
+  max_redemptions: '',
+  expires_at: ''
+};
+
+const statusLabels = {
+  active: 'Active',
+  expired: 'Expired',
+  used_up: 'Used up'
+};
+
+// Discount and access codes of an event, managed by its organizers from the Dashboard
+const EventCodes = ({ event }) => {
+  const [codes, setCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyCode);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const ticketTypes = event.ticketTypes || [];
+  const typeOptions = ticketTypes.filter(t => (formData.kind === 'discount' ? t.price_cents > 0 : t.hidden));
+
+  useEffect(() => {
+    fetchCodes();
+  }, [event.id]);
+
+  const fetchCodes = async () => {
+    try {
+      const response = await api.get(`/events/${event.id}/codes`);
+      setCodes(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to load codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+
+    try {
+      await api.post(`/events/${event.id}/codes`, {
+        ...formData,
+        expires_at: fromDateTimeInput(formData.expires_at)
+      });
+      setFormData(emptyCode);
+      setShowForm(false);
+      fetchCodes();
+    } catch (error) {
+      setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add the code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (codeId) => {
+    if (!window.confirm('Delete this code? Tickets already taken with it are kept.')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/events/${event.id}/codes/${codeId}`);
+      setCodes(codes.filter(c => c.id !== codeId));
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to delete the code');
+    }
+  };
+
+  const describeCode = (code) => {
+    const ticketType = ticketTypes.find(t => t.id === code.ticket_type_id);
+    if (code.kind === 'discount') {
+      return `${code.discount_percent}% off ${ticketType ? ticketType.name : 'paid'} tickets`;
+    }
+    return `Unlocks ${ticketType ? ticketType.name : 'hidden'} tickets`;
+  };
+
+  return (
+    <div className="event-codes">
+      <div className="codes-header">
+        <strong>Codes</strong>
+        {!showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-secondary">
+            <FiPlus /> Add Code
+          </button>
+        )}
+      </div>
+      {message && <div className="alert alert-error">{message}</div>}
+      {showForm && (
+        <form onSubmit={handleSubmit} className="code-form">
+          <div className="form-group">
+            <label htmlFor={`code-${event.id}`}>Code *</label>
+            <input
+              type="text"
+              id={`code-${event.id}`}
+              name="code"
+              value={formData.code}
+              onChange={handleChange}
+              placeholder="e.g. EARLYBIRD"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor={`code-kind-${event.id}`}>Kind</label>
+            <select
+              id={`code-kind-${event.id}`}
+              name="kind"
+              value={formData.kind}
+              onChange={(e) => setFormData({ ...formData, kind: e.target.value, ticket_type_id: '' })}
+            >
+              <option value="discount">Discount</option>
+              <option value="access">Access (unlocks hidden tickets)</option>
+            </select>
+          </div>
+          {formData.kind === 'discount' && (
+            <div className="form-group">
+              <label htmlFor={`code-discount-${event.id}`}>Discount (%) *</label>
+              <input
+                type="number"
+                id={`code-discount-${event.id}`}
+                name="discount_percent"
+                value={formData.discount_percent}
+                onChange={handleChange}
+                min="1"
+                max="100"
+                required
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor={`code-type-${event.id}`}>Ticket Type</label>
+            <select
+              id={`code-type-${event.id}`}
+              name="ticket_type_id"
+              value={formData.ticket_type_id}
+              onChange={handleChange}
+            >
+              <option value="">{formData.kind === 'discount' ? 'Any paid ticket' : 'Every hidden ticket'}</option>
+              {typeOptions.map((ticketType) => (
+                <option key={ticketType.id} value={ticketType.id}>{ticketType.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor={`code-limit-${event.id}`}>Usage Limit</label>
+            <input
+              type="number"
+              id={`code-limit-${event.id}`}
+              name="max_redemptions"
+              value={formData.max_redemptions}
+              onChange={handleChange}
+              min="1"
+              placeholder="Unlimited"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor={`code-expires-${event.id}`}>Expires</label>
+            <input
+              type="datetime-local"
+              id={`code-expires-${event.id}`}
+              name="expires_at"
+              value={formData.expires_at}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="code-form-actions">
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Adding...' : 'Add Code'}
+            </button>
+          </div>
+        </form>
+      )}
+      {loading ? (
+        <p className="no-codes">Loading codes...</p>
+      ) : codes.length === 0 ? (
+        <p className="no-codes">No codes yet.</p>
+      ) : (
+        <div className="code-list">
+          {codes.map((code) => (
+            <div key={code.id} className={`code-item ${code.status}`}>
+              <div className="code-info">
+                <strong>
+                  {code.kind === 'discount' ? <FiPercent /> : <FiKey />} {code.code}
+                  <span className="code-status">{statusLabels[code.status]}</span>
+                </strong>
+                <span>{describeCode(code)}</span>
+                <span>
+                  {code.redemption_count} {code.max_redemptions ? `/ ${code.max_redemptions} ` : ''}used
+                  {code.expires_at && ` - expires ${formatDateTime(code.expires_at)}`}
+                </span>
+              </div>
+              <button
+                onClick={() => handleDelete(code.id)}
+                className="btn btn-danger"
+                title="Delete code"
+              >
+                <FiTrash2 />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventCodes;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { VISIBILITIES, getVisibilityLabel, getShareLink, getInviteLink } from '../utils/visibility';
+import { FiCopy, FiRefreshCw, FiSend, FiTrash2 } from 'react-icons/fi';
+import './EventInvitations.css';
+
+// Emails typed into the invite box, separated by commas, semicolons, spaces or new lines
+const parseEmails = (text) => text.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean);
+
+// Who an event is shared with, managed by its creator and editors from the Dashboard: the
+// share link of an unlisted event and the invitations to an invite-only one
+const EventInvitations = ({ event }) => {
+  const [visibility, setVisibility] = useState(event.visibility);
+  const [shareKey, setShareKey] = useState('');
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [emails, setEmails] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [event.id]);
+
+  const fetchInvitations = async () => {
+    try {
+      const response = await api.get(`/events/${event.id}/invitations`);
+      setVisibility(response.data.visibility);
+      setShareKey(response.data.shareKey);
+      setInvitations(response.data.invitations || []);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load invitations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyLink = async (link) => {
+    setError('');
+    try {
+      await navigator.clipboard.writeText(link);
+      setMessage('Link copied');
+    } catch (error) {
+      setError('Could not copy the link - select it and copy it by hand');
+    }
+  };
+
+  const handleResetShareLink = async () => {
+    if (!window.confirm('Make a new share link? The current link stops working for anyone who has not RSVP\'d yet.')) {
+      return;
+    }
+
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await api.post(`/events/${event.id}/share-link`);
+      setShareKey(response.data.shareKey);
+      setMessage('New share link made');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to make a new share link');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+    setError('');
+
+    try {
+      const response = await api.post(`/events/${event.id}/invitations`, { emails: parseEmails(emails) });
+      setInvitations([...invitations, ...response.data]);
+      setEmails('');
+      setMessage(response.data.length > 0
+        ? `Invited ${response.data.length} ${response.data.length === 1 ? 'person' : 'people'} - send them their invite links`
+        : 'Everyone on the list was already invited');
+    } catch (error) {
+      setError(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to send the invitations');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}? Their invite link stops working.`)) {
+      return;
+    }
+
+    setMessage('');
+    setError('');
+
+    try {
+      await api.delete(`/events/${event.id}/invitations/${invitation.id}`);
+      setInvitations(invitations.filter(i => i.id !== invitation.id));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to revoke the invitation');
+    }
+  };
+
+  if (loading) {
+    return <div className="event-invitations"><p className="no-invitations">Loading invitations...</p></div>;
+  }
+
+  const shareLink = getShareLink(event.id, shareKey);
+
+  return (
+    <div className="event-invitations">
+      <div className="invitations-header">
+        <strong>Visibility: {getVisibilityLabel(visibility)}</strong>
+        <span>{VISIBILITIES.find(v => v.value === visibility)?.description}</span>
+      </div>
+      {error && <div className="alert alert-error">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+      {visibility === 'unlisted' && (
+        <div className="share-link">
+          <input type="text" value={shareLink} readOnly aria-label="Share link" onFocus={(e) => e.target.select()} />
+          <button onClick={() => copyLink(shareLink)} className="btn btn-secondary" aria-label="Copy share link">
+            <FiCopy />
+          </button>
+          <button onClick={handleResetShareLink} className="btn btn-secondary" aria-label="Make a new share link">
+            <FiRefreshCw />
+          </button>
+        </div>
+      )}
+      {visibility === 'invite_only' && (
+        <>
+          <form onSubmit={handleInvite} className="invitation-form">
+            <textarea
+              value={emails}
+              onChange={(e) => setEmails(e.target.value)}
+              placeholder="Emails to invite, separated by commas or new lines"
+              aria-label="Emails to invite"
+              rows="2"
+              required
+            />
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <FiSend /> {saving ? 'Inviting...' : 'Invite'}
+            </button>
+          </form>
+          <p className="invitation-help">
+            Each invite link admits one person. Invitees with an account are notified and can RSVP from the event page.
+          </p>
+          {invitations.length === 0 ? (
+            <p className="no-invitations">No one invited yet.</p>
+          ) : (
+            <div className="invitation-list">
+              {invitations.map((invitation) => (
+                <div key={invitation.id} className="invitation-item">
+                  <div className="invitation-info">
+                    <strong>{invitation.email}</strong>
+                    <span>{invitation.user ? `Accepted by ${invitation.user.name}` : 'Not used yet'}</span>
+                  </div>
+                  <button
+                    onClick={() => copyLink(getInviteLink(event.id, invitation.token))}
+                    className="btn btn-secondary"
+                    aria-label={`Copy the invite link for ${invitation.email}`}
+                  >
+                    <FiCopy /> Link
+                  </button>
+                  <button
+                    onClick={() => handleRevoke(invitation)}
+                    className="btn btn-danger"
+                    aria-label={`Revoke the invitation for ${invitation.email}`}
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EventInvitations;
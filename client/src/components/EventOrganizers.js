@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { ORGANIZER_ROLES } from '../utils/roles';
+import { FiUserPlus, FiTrash2 } from 'react-icons/fi';
+import './EventOrganizers.css';
+
+// Co-organizers of an event and their roles, managed by its creator from the Dashboard
+const EventOrganizers = ({ event }) => {
+  const [organizers, setOrganizers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchOrganizers();
+  }, [event.id]);
+
+  const fetchOrganizers = async () => {
+    try {
+      const response = await api.get(`/events/${event.id}/organizers`);
+      setOrganizers(response.data.organizers || []);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to load organizers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const response = await api.post(`/events/${event.id}/organizers`, { email, role });
+      setOrganizers([...organizers, response.data]);
+      setEmail('');
+    } catch (error) {
+      setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add the organizer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (organizerId, newRole) => {
+    setMessage('');
+
+    try {
+      const response = await api.put(`/events/${event.id}/organizers/${organizerId}`, { role: newRole });
+      setOrganizers(organizers.map(o => (o.id === organizerId ? response.data : o)));
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to change the role');
+    }
+  };
+
+  const handleRemove = async (organizer) => {
+    if (!window.confirm(`Remove ${organizer.user.name} from this event's organizers?`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/events/${event.id}/organizers/${organizer.id}`);
+      setOrganizers(organizers.filter(o => o.id !== organizer.id));
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to remove the organizer');
+    }
+  };
+
+  return (
+    <div className="event-organizers">
+      <div className="organizers-header">
+        <strong>Co-organizers</strong>
+      </div>
+      {message && <div className="alert alert-error">{message}</div>}
+      <form onSubmit={handleAdd} className="organizer-form">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Their account email"
+          aria-label="Co-organizer email"
+          required
+        />
+        <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Role">
+          {ORGANIZER_ROLES.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          <FiUserPlus /> {saving ? 'Adding...' : 'Add'}
+        </button>
+      </form>
+      <p className="organizer-role-help">
+        {ORGANIZER_ROLES.find(option => option.value === role).description}
+      </p>
+      {loading ? (
+        <p className="no-organizers">Loading organizers...</p>
+      ) : organizers.length === 0 ? (
+        <p className="no-organizers">No co-organizers yet.</p>
+      ) : (
+        <div className="organizer-list">
+          {organizers.map((organizer) => (
+            <div key={organizer.id} className="organizer-item">
+              <div className="organizer-info">
+                <strong>{organizer.user.name}</strong>
+                <span>{organizer.user.email}</span>
+              </div>
+              <select
+                value={organizer.role}
+                onChange={(e) => handleRoleChange(organizer.id, e.target.value)}
+                aria-label={`Role of ${organizer.user.name}`}
+              >
+                {ORGANIZER_ROLES.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => handleRemove(organizer)}
+                className="btn btn-danger"
+                aria-label={`Remove ${organizer.user.name}`}
+              >
+                <FiTrash2 />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventOrganizers;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { formatAnswer } from '../utils/questions';
+import { FiDownload } from 'react-icons/fi';
+import './EventRegistrations.css';
+
+// Attendees' answers to an event's registration questions, shown to its organizers on the
+// Dashboard and downloadable as CSV
+const EventRegistrations = ({ event }) => {
+  const [questions, setQuestions] = useState([]);
+  const [registrations, setRegistrations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchRegistrations();
+  }, [event.id]);
+
+  const fetchRegistrations = async () => {
+    try {
+      const response = await api.get(`/events/${event.id}/registrations`);
+      setQuestions(response.data.questions || []);
+      setRegistrations(response.data.registrations || []);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to load registrations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The export needs the auth header, so it is fetched and then saved from a blob URL
+  const handleExport = async () => {
+    setExporting(true);
+    setMessage('');
+
+    try {
+      const response = await api.get(`/events/${event.id}/registrations/export`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${event.title}-registrations.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage('Failed to export registrations');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="event-registrations">
+      <div className="registrations-header">
+        <strong>Registrations ({registrations.length})</strong>
+        <button
+          onClick={handleExport}
+          className="btn btn-secondary"
+          disabled={exporting || registrations.length === 0}
+        >
+          <FiDownload /> {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+      {message && <div className="alert alert-error">{message}</div>}
+      {loading ? (
+        <p className="no-registrations">Loading registrations...</p>
+      ) : registrations.length === 0 ? (
+        <p className="no-registrations">No registrations yet.</p>
+      ) : (
+        <div className="registration-list">
+          {registrations.map((registration) => (
+            <div key={registration.user.id} className="registration-item">
+              <strong>
+                {registration.user.name}
+                {registration.guest_count > 0 && ` +${registration.guest_count}`}
+                {registration.status === 'waitlisted' && <span className="registration-status">Waitlisted</span>}
+              </strong>
+              {questions.map((question) => (
+                <span key={question.id}>
+                  {question.label}: {formatAnswer(registration.answers[question.id]) || '-'}
+                </span>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventRegistrations;
@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import api from '../utils/api';
+import { formatDateTime, fromDateTimeInput } from '../utils/dates';
+import { formatPrice, toCents, priceWithCode } from '../utils/money';
+import { FiTag, FiPlus, FiTrash2 } from 'react-icons/fi';
+import './EventTickets.css';
+
+const emptyTicketType = {
+  name: '',
+  description: '',
+  quota: '',
+  price: '',
+  hidden: false,
+  sales_start_at: '',
+  sales_end_at: ''
+};
+
+const saleLabel = (ticketType) => {
+  switch (ticketType.sale_status) {
+    case 'not_started':
+      return `On sale ${formatDateTime(ticketType.sales_start_at)}`;
+    case 'ended':
+      return 'Sales ended';
+    case 'sold_out':
+      return 'Sold out';
+    default:
+      return ticketType.sales_end_at ? `On sale until ${formatDateTime(ticketType.sales_end_at)}` : 'On sale';
+  }
+};
+
+// Ticket types of an event. Attendees pick one before joining (prices reflect an applied
+// discount code); organizers who can edit the event add and remove types.
+const EventTickets = ({ event, canEdit, canChoose, selectedId, onSelect, heldTypeId, code, onChange }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyTicketType);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const ticketTypes = event.ticketTypes || [];
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const { price, ...ticketType } = formData;
+      await api.post(`/events/${event.id}/ticket-types`, {
+        ...ticketType,
+        price_cents: toCents(price),
+        sales_start_at: fromDateTimeInput(formData.sales_start_at),
+        sales_end_at: fromDateTimeInput(formData.sales_end_at)
+      });
+      setFormData(emptyTicketType);
+      setShowForm(false);
+      onChange();
+    } catch (error) {
+      setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add the ticket type');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (ticketTypeId) => {
+    if (!window.confirm('Delete this ticket type?')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/events/${event.id}/ticket-types/${ticketTypeId}`);
+      onChange();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to delete the ticket type');
+    }
+  };
+
+  if (ticketTypes.length === 0 && !canEdit) {
+    return null;
+  }
+
+  return (
+    <div className="event-tickets">
+      <div className="tickets-header">
+        <h3>Tickets</h3>
+        {canEdit && !showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-secondary">
+            <FiPlus /> Add Ticket Type
+          </button>
+        )}
+      </div>
+      {message && <div className="alert alert-error">{message}</div>}
+      {canEdit && showForm && (
+        <form onSubmit={handleSubmit} className="ticket-form">
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="ticket-name">Name *</label>
+              <input
+                type="text"
+                id="ticket-name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="e.g. Student"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="ticket-quota">Quota *</label>
+              <input
+                type="number"
+                id="ticket-quota"
+                name="quota"
+                value={formData.quota}
+                onChange={handleChange}
+                min="1"
+                max={event.capacity}
+                required
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="ticket-price">Price (USD)</label>
+            <input
+              type="number"
+              id="ticket-price"
+              name="price"
+              value={formData.price}
+              onChange={handleChange}
+              min="0"
+              step="0.01"
+              placeholder="Free"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="ticket-description">Description</label>
+            <input
+              type="text"
+              id="ticket-description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="ticket-sales-start">Sales Start</label>
+              <input
+                type="datetime-local"
+                id="ticket-sales-start"
+                name="sales_start_at"
+                value={formData.sales_start_at}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="ticket-sales-end">Sales End</label>
+              <input
+                type="datetime-local"
+                id="ticket-sales-end"
+                name="sales_end_at"
+                value={formData.sales_end_at}
+                onChange={handleChange}
+                min={formData.sales_start_at || undefined}
+              />
+            </div>
+          </div>
+          <label className="ticket-hidden-option">
+            <input
+              type="checkbox"
+              name="hidden"
+              checked={formData.hidden}
+              onChange={handleChange}
+            />
+            Hidden - only offered with an access code
+          </label>
+          <div className="ticket-form-actions">
+            <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Adding...' : 'Add Ticket Type'}
+            </button>
+          </div>
+        </form>
+      )}
+      {ticketTypes.length === 0 ? (
+        <p className="no-tickets">
+          No ticket types. Everyone gets the same ticket; add types to split the {event.capacity} places into quotas.
+        </p>
+      ) : (
+        <div className="ticket-list">
+          {ticketTypes.map((ticketType) => {
+            const price = priceWithCode(ticketType, code);
+            const selectable = canChoose && ['on_sale', 'sold_out'].includes(ticketType.sale_status);
+            const classNames = [
+              'ticket-item',
+              selectedId === ticketType.id ? 'selected' : '',
+              heldTypeId === ticketType.id ? 'held' : '',
+              ['not_started', 'ended'].includes(ticketType.sale_status) ? 'unavailable' : ''
+            ].filter(Boolean).join(' ');
+
+            return (
+              <label key={ticketType.id} className={classNames}>
+                {selectable && (
+                  <input
+                    type="radio"
+                    name="ticket_type"
+                    value={ticketType.id}
+                    checked={selectedId === ticketType.id}
+                    onChange={() => onSelect(ticketType.id)}
+                  />
+                )}
+                <div className="ticket-info">
+                  <strong>
+                    <FiTag /> {ticketType.name}
+                    {ticketType.hidden && <span className="ticket-hidden">Hidden</span>}
+                    <span className="ticket-price">
+                      {price < ticketType.price_cents && (
+                        <s>{formatPrice(ticketType.price_cents, ticketType.currency)}</s>
+                      )}
+                      {price > 0 ? formatPrice(price, ticketType.currency) : 'Free'}
+                    </span>
+                  </strong>
+                  {ticketType.description && <p>{ticketType.description}</p>}
+                  <span className="ticket-sale">{saleLabel(ticketType)}</span>
+                </div>
+                <div className="ticket-count">
+                  {heldTypeId === ticketType.id ? 'Your ticket' : `${ticketType.remaining} of ${ticketType.quota} left`}
+                </div>
+                {canEdit && (
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(ticketType.id)}
+                    className="btn btn-danger"
+                    title="Delete ticket type"
+                    disabled={ticketType.sold_count > 0}
+                  >
+                    <FiTrash2 />
+                  </button>
+                )}
+              </label>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventTickets;
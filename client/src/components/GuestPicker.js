@@ -0,0 +1,58 @@
+import React from 'react';
+import { FiUserPlus } from 'react-icons/fi';
+import './GuestPicker.css';
+
+// Plus-ones: how many guests the attendee brings (up to the event's limit) and,
+// optionally, their names
+const GuestPicker = ({ maxGuests, guestCount, guestNames, onChange, disabled }) => {
+  const options = Math.max(maxGuests, guestCount) + 1;
+
+  const handleCountChange = (e) => {
+    const count = parseInt(e.target.value);
+    onChange(count, guestNames.slice(0, count));
+  };
+
+  const handleNameChange = (index, name) => {
+    const names = [...guestNames];
+    names[index] = name;
+    onChange(guestCount, names);
+  };
+
+  return (
+    <div className="guest-picker">
+      <label htmlFor="guest-count">
+        <FiUserPlus /> Guests
+      </label>
+      <select
+        id="guest-count"
+        value={guestCount}
+        onChange={handleCountChange}
+        disabled={disabled}
+      >
+        {Array.from({ length: options }, (_, count) => (
+          <option key={count} value={count}>
+            {count === 0 ? 'Just me' : `Me + ${count}`}
+          </option>
+        ))}
+      </select>
+      {guestCount > 0 && (
+        <div className="guest-names">
+          {Array.from({ length: guestCount }, (_, index) => (
+            <input
+              key={index}
+              type="text"
+              value={guestNames[index] || ''}
+              onChange={(e) => handleNameChange(index, e.target.value)}
+              placeholder={`Guest ${index + 1} name (optional)`}
+              aria-label={`Guest ${index + 1} name`}
+              maxLength={100}
+              disabled={disabled}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GuestPicker;
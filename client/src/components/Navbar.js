@@ -25,6 +25,7 @@ const Navbar = () => {
               <>
                 <Link to="/dashboard" className="nav-link">Dashboard</Link>
                 <Link to="/events/create" className="nav-link">Create Event</Link>
+                <Link to="/organizations" className="nav-link">Organizations</Link>
                 <span className="nav-user">Hello, {user.name}</span>
                 <button onClick={handleLogout} className="btn btn-outline">
                   Logout
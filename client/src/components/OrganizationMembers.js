@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { AuthContext } from '../context/AuthContext';
+import api from '../utils/api';
+import { ORGANIZATION_ROLES } from '../utils/roles';
+import { FiUserPlus, FiTrash2, FiLogOut } from 'react-icons/fi';
+import './OrganizationMembers.css';
+
+// Members of an organization and their roles. Owners and admins add and remove members;
+// only owners handle other owners. Everyone can leave.
+const OrganizationMembers = ({ organization, onLeave }) => {
+  const { user } = useContext(AuthContext);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('member');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const canManage = organization.myPermissions?.includes('manage_members');
+  const isOwner = organization.myRole === 'owner';
+  // Roles the user may hand out
+  const roleOptions = ORGANIZATION_ROLES.filter(option => isOwner || option.value !== 'owner');
+
+  useEffect(() => {
+    fetchMembers();
+  }, [organization.id]);
+
+  const fetchMembers = async () => {
+    try {
+      const response = await api.get(`/organizations/${organization.id}/members`);
+      setMembers(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to load members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const response = await api.post(`/organizations/${organization.id}/members`, { email, role });
+      setMembers([...members, response.data]);
+      setEmail('');
+    } catch (error) {
+      setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add the member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (memberId, newRole) => {
+    setMessage('');
+
+    try {
+      const response = await api.put(`/organizations/${organization.id}/members/${memberId}`, { role: newRole });
+      setMembers(members.map(m => (m.id === memberId ? response.data : m)));
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to change the role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user.id === user?.id;
+    if (!window.confirm(isSelf
+      ? `Leave ${organization.name}? You will lose access to its events.`
+      : `Remove ${member.user.name} from ${organization.name}?`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/organizations/${organization.id}/members/${member.id}`);
+      if (isSelf) {
+        onLeave?.(organization);
+      } else {
+        setMembers(members.filter(m => m.id !== member.id));
+      }
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to remove the member');
+    }
+  };
+
+  return (
+    <div className="organization-members">
+      <div className="members-header">
+        <strong>Members</strong>
+      </div>
+      {message && <div className="alert alert-error">{message}</div>}
+      {canManage && (
+        <>
+          <form onSubmit={handleAdd} className="member-form">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Their account email"
+              aria-label="Member email"
+              required
+            />
+            <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Role">
+              {roleOptions.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <FiUserPlus /> {saving ? 'Adding...' : 'Add'}
+            </button>
+          </form>
+          <p className="member-role-help">
+            {ORGANIZATION_ROLES.find(option => option.value === role).description}
+          </p>
+        </>
+      )}
+      {loading ? (
+        <p className="no-members">Loading members...</p>
+      ) : (
+        <div className="member-list">
+          {members.map((member) => {
+            const isSelf = member.user.id === user?.id;
+            // Admins cannot change or remove owners
+            const canChange = canManage && (isOwner || member.role !== 'owner');
+            return (
+              <div key={member.id} className="member-item">
+                <div className="member-info">
+                  <strong>{member.user.name}{isSelf && ' (you)'}</strong>
+                  <span>{member.user.email}</span>
+                </div>
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member.id, e.target.value)}
+                  disabled={!canChange}
+                  aria-label={`Role of ${member.user.name}`}
+                >
+                  {(canChange ? roleOptions : ORGANIZATION_ROLES).map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {(isSelf || canChange) && (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="btn btn-danger"
+                    aria-label={isSelf ? 'Leave the organization' : `Remove ${member.user.name}`}
+                  >
+                    {isSelf ? <FiLogOut /> : <FiTrash2 />}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrganizationMembers;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { FiEye } from 'react-icons/fi';
+import './PrivacySettings.css';
+
+// The user's profile preferences on the Dashboard: whether their name is shown in the attendee
+// lists other people see. Organizers always see who is coming.
+const PrivacySettings = () => {
+  const [showInAttendeeLists, setShowInAttendeeLists] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await api.get('/auth/preferences');
+      setShowInAttendeeLists(Boolean(response.data.show_in_attendee_lists));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load your privacy settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = async (e) => {
+    const checked = e.target.checked;
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await api.put('/auth/preferences', { show_in_attendee_lists: checked });
+      setShowInAttendeeLists(Boolean(response.data.show_in_attendee_lists));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save your privacy settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return null;
+
+  return (
+    <div className="privacy-settings">
+      <label className="privacy-toggle">
+        <input
+          type="checkbox"
+          checked={showInAttendeeLists}
+          onChange={handleChange}
+          disabled={saving}
+        />
+        <FiEye /> Show my name in attendee lists
+      </label>
+      <small>Otherwise other attendees only see you in the count of people going. Organizers always see who you are.</small>
+      {error && <div className="alert alert-error">{error}</div>}
+    </div>
+  );
+};
+
+export default PrivacySettings;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { QUESTION_TYPES } from '../utils/questions';
+import { FiPlus, FiTrash2, FiArrowUp } from 'react-icons/fi';
+import './QuestionBuilder.css';
+
+const MAX_QUESTIONS = 20;
+
+const emptyQuestion = { label: '', type: 'text', options: [], required: false };
+
+// Registration questions an organizer asks attendees when they RSVP (dietary requirements,
+// T-shirt size, ...). Questions loaded from the event keep their ids so existing answers
+// still match them.
+const QuestionBuilder = ({ questions, onChange }) => {
+  const updateQuestion = (index, changes) => {
+    onChange(questions.map((question, i) => (i === index ? { ...question, ...changes } : question)));
+  };
+
+  const handleTypeChange = (index, type) => {
+    const question = questions[index];
+    const options = type !== 'text' && question.options.length === 0 ? ['', ''] : question.options;
+    updateQuestion(index, { type, options });
+  };
+
+  const handleMoveUp = (index) => {
+    const reordered = [...questions];
+    [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+    onChange(reordered);
+  };
+
+  return (
+    <div className="question-builder">
+      <label>Registration Questions</label>
+      <small className="form-hint">Asked when attendees RSVP, e.g. dietary requirements or T-shirt size</small>
+      {questions.map((question, index) => (
+        <div key={question.id || index} className="question-item">
+          <div className="question-row">
+            <input
+              type="text"
+              value={question.label}
+              onChange={(e) => updateQuestion(index, { label: e.target.value })}
+              placeholder={`Question ${index + 1}`}
+              aria-label={`Question ${index + 1}`}
+              maxLength={200}
+              required
+            />
+            <select
+              value={question.type}
+              onChange={(e) => handleTypeChange(index, e.target.value)}
+              aria-label={`Question ${index + 1} type`}
+            >
+              {Object.entries(QUESTION_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {question.type !== 'text' && (
+            <textarea
+              value={question.options.join('\n')}
+              onChange={(e) => updateQuestion(index, { options: e.target.value.split('\n') })}
+              placeholder="One option per line"
+              aria-label={`Question ${index + 1} options`}
+              rows={Math.max(2, question.options.length)}
+            />
+          )}
+          <div className="question-row question-actions">
+            <label className="question-required">
+              <input
+                type="checkbox"
+                checked={question.required}
+                onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+              />
+              Required
+            </label>
+            {index > 0 && (
+              <button type="button" onClick={() => handleMoveUp(index)} aria-label="Move question up">
+                <FiArrowUp />
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(questions.filter((_, i) => i !== index))}
+              aria-label="Remove question"
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+        </div>
+      ))}
+      {questions.length < MAX_QUESTIONS && (
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => onChange([...questions, emptyQuestion])}
+        >
+          <FiPlus /> Add Question
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default QuestionBuilder;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { FiClipboard } from 'react-icons/fi';
+import './RegistrationForm.css';
+
+// The organizer's registration questions, answered when the attendee RSVPs.
+// answers are keyed by question id: text, one option, or a list of options.
+const RegistrationForm = ({ questions, answers, onChange, disabled }) => {
+  const setAnswer = (questionId, value) => {
+    onChange({ ...answers, [questionId]: value });
+  };
+
+  const toggleOption = (question, option) => {
+    const chosen = answers[question.id] || [];
+    setAnswer(question.id, chosen.includes(option)
+      ? chosen.filter(o => o !== option)
+      : [...chosen, option]);
+  };
+
+  return (
+    <div className="registration-form">
+      <h3><FiClipboard /> Registration</h3>
+      {questions.map((question) => (
+        <div key={question.id} className="registration-question">
+          <label htmlFor={`question-${question.id}`}>
+            {question.label}{question.required && ' *'}
+          </label>
+          {question.type === 'text' && (
+            <input
+              type="text"
+              id={`question-${question.id}`}
+              value={answers[question.id] || ''}
+              onChange={(e) => setAnswer(question.id, e.target.value)}
+              maxLength={1000}
+              disabled={disabled}
+            />
+          )}
+          {question.type === 'single_choice' && (
+            <select
+              id={`question-${question.id}`}
+              value={answers[question.id] || ''}
+              onChange={(e) => setAnswer(question.id, e.target.value)}
+              disabled={disabled}
+            >
+              <option value="">Choose...</option>
+              {question.options.map((option) => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          )}
+          {question.type === 'multi_choice' && (
+            <div className="registration-options" id={`question-${question.id}`}>
+              {question.options.map((option) => (
+                <label key={option}>
+                  <input
+                    type="checkbox"
+                    checked={(answers[question.id] || []).includes(option)}
+                    onChange={() => toggleOption(question, option)}
+                    disabled={disabled}
+                  />
+                  {option}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RegistrationForm;
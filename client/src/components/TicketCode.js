@@ -0,0 +1,23 @@
+import React from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { formatDateTime } from '../utils/dates';
+import { FiCheckCircle } from 'react-icons/fi';
+import './TicketCode.css';
+
+// An attendee's ticket as a QR code for the organizer to scan at the door, with the code
+// written out underneath for typing it in by hand
+const TicketCode = ({ event }) => (
+  <div className="ticket-code">
+    <QRCodeSVG value={event.ticketCode} size={180} includeMargin />
+    <code>{event.ticketCode}</code>
+    {event.checkedInAt ? (
+      <span className="ticket-checked-in">
+        <FiCheckCircle /> Checked in {formatDateTime(event.checkedInAt)}
+      </span>
+    ) : (
+      <span>Show this code at the entrance</span>
+    )}
+  </div>
+);
+
+export default TicketCode;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/dates';
+import { FiCheckCircle, FiUsers } from 'react-icons/fi';
+import './CheckIn.css';
+
+// How often the counts refresh, so several people scanning at the door see each other's check-ins
+const REFRESH_INTERVAL_MS = 5000;
+
+const CheckIn = () => {
+  const { id } = useParams();
+  const [checkIn, setCheckIn] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [code, setCode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+  const codeInput = useRef(null);
+
+  useEffect(() => {
+    fetchCheckIn();
+    const timer = setInterval(fetchCheckIn, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [id]);
+
+  const fetchCheckIn = async () => {
+    try {
+      const response = await api.get(`/events/${id}/check-in`);
+      setCheckIn(response.data);
+      setMessage('');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to load check-in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // QR scanners type the code and press Enter, so this doubles as the scan handler
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setScanning(true);
+
+    try {
+      const response = await api.post(`/events/${id}/check-in`, { code });
+      setResult({ ok: true, message: response.data.message });
+      setCheckIn({ ...checkIn, ...response.data });
+    } catch (error) {
+      const data = error.response?.data;
+      setResult({
+        ok: false,
+        message: data?.message || data?.errors?.[0]?.msg || 'Check-in failed. Please try again.',
+        checkedInAt: data?.attendee?.checked_in_at
+      });
+      if (data?.attendees) {
+        setCheckIn({ ...checkIn, ...data });
+      }
+    } finally {
+      setCode('');
+      setScanning(false);
+      codeInput.current?.focus();
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading check-in...</div>;
+  }
+
+  if (!checkIn) {
+    return <div className="no-event">{message || 'Event not found'}</div>;
+  }
+
+  const { event, expected, present, attendees, canCheckIn } = checkIn;
+
+  return (
+    <div className="check-in-page">
+      <div className="container">
+        <div className="check-in-header">
+          <h1>Check-in</h1>
+          <Link to={`/events/${event.id}`}>{event.title}</Link>
+        </div>
+
+        <div className="check-in-counts card">
+          <FiUsers />
+          <strong>{present}</strong> / {expected} present
+          <div className="check-in-bar">
+            <div style={{ width: `${expected > 0 ? Math.min(100, (present / expected) * 100) : 0}%` }} />
+          </div>
+        </div>
+
+        {canCheckIn && (
+          <form onSubmit={handleSubmit} className="check-in-form card">
+            <div className="form-group">
+              <label htmlFor="ticket-code">Scan or enter a ticket code</label>
+              <input
+                type="text"
+                id="ticket-code"
+                ref={codeInput}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoFocus
+                autoComplete="off"
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={scanning || !code.trim()}>
+              {scanning ? 'Checking...' : 'Check in'}
+            </button>
+          </form>
+        )}
+
+        {result && (
+          <div className={`alert ${result.ok ? 'alert-success' : 'alert-error'}`}>
+            {result.message}
+            {result.checkedInAt && ` (at ${formatDateTime(result.checkedInAt)})`}
+          </div>
+        )}
+        {message && <div className="alert alert-error">{message}</div>}
+
+        <div className="check-in-list">
+          {attendees.length === 0 ? (
+            <p className="no-check-ins">Nobody is going yet.</p>
+          ) : (
+            attendees.map((attendee) => (
+              <div key={attendee.rsvp_id} className={`check-in-item ${attendee.checked_in_at ? 'present' : ''}`}>
+                <span>
+                  {attendee.name}
+                  {attendee.guest_count > 0 && ` +${attendee.guest_count}`}
+                </span>
+                {attendee.checked_in_at ? (
+                  <span className="check-in-time">
+                    <FiCheckCircle /> {formatDateTime(attendee.checked_in_at)}
+                  </span>
+                ) : (
+                  <span className="check-in-time">Not arrived</span>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
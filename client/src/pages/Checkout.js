@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import api from '../utils/api';
+import { formatPrice } from '../utils/money';
+import { formatCountdown, formatEventTime } from '../utils/dates';
+import { FiCalendar, FiTag, FiClock, FiCheckCircle, FiXCircle, FiPercent, FiUserPlus } from 'react-icons/fi';
+import './Checkout.css';
+
+const statusMessages = {
+  paid: 'Payment received - you are attending this event.',
+  refunded: 'This ticket was refunded.',
+  expired: 'This checkout expired and its seat was released.',
+  cancelled: 'This checkout was cancelled.'
+};
+
+const Checkout = () => {
+  const { reservationId } = useParams();
+  const [reservation, setReservation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [paying, setPaying] = useState(false);
+  const [message, setMessage] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    fetchReservation();
+  }, [reservationId]);
+
+  // Tick once a second so the hold countdown stays live
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const fetchReservation = async () => {
+    try {
+      const response = await api.get(`/checkout/reservations/${reservationId}`);
+      setReservation(response.data);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to load checkout');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSimulate = async (succeeded) => {
+    setPaying(true);
+    setMessage('');
+
+    try {
+      const response = await api.post(`/checkout/reservations/${reservationId}/simulate`, { succeeded });
+      setReservation(response.data);
+      if (!succeeded) {
+        setMessage('The payment failed and the seat was released.');
+      }
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Payment failed. Please try again.');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      const response = await api.delete(`/checkout/reservations/${reservationId}`);
+      setReservation(response.data);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to cancel checkout');
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading checkout...</div>;
+  }
+
+  if (!reservation) {
+    return <div className="no-event">{message || 'Checkout not found'}</div>;
+  }
+
+  const { event, ticketType } = reservation;
+  const holdLeft = new Date(reservation.expires_at).getTime() - now;
+  const isOpen = reservation.status === 'pending' && holdLeft > 0;
+  const status = reservation.status === 'pending' && !isOpen ? 'expired' : reservation.status;
+
+  return (
+    <div className="checkout-page">
+      <div className="container">
+        <div className="checkout-card card">
+          <h2>Checkout</h2>
+          {message && <div className="alert alert-error">{message}</div>}
+          {event && (
+            <div className="checkout-summary">
+              <h3>{event.title}</h3>
+              <span><FiCalendar /> {formatEventTime(event)}</span>
+              {ticketType && <span><FiTag /> {ticketType.name} ticket</span>}
+              {reservation.guest_count > 0 && (
+                <span>
+                  <FiUserPlus /> You and {reservation.guest_count} guest{reservation.guest_count === 1 ? '' : 's'}
+                  {reservation.guest_names?.length > 0 && ` (${reservation.guest_names.join(', ')})`}
+                </span>
+              )}
+              {reservation.code?.discount_percent && (
+                <span><FiPercent /> Code {reservation.code.code} - {reservation.code.discount_percent}% off</span>
+              )}
+              <strong className="checkout-amount">
+                {formatPrice(reservation.amount_cents, reservation.currency)}
+              </strong>
+            </div>
+          )}
+          {isOpen ? (
+            <>
+              <p className="checkout-hold">
+                <FiClock /> Your seat is held for {formatCountdown(holdLeft)}
+              </p>
+              {reservation.canSimulatePayment && (
+                <div className="checkout-actions">
+                  <button onClick={() => handleSimulate(true)} className="btn btn-success" disabled={paying}>
+                    {paying ? 'Paying...' : 'Pay now (test mode)'}
+                  </button>
+                  <button onClick={() => handleSimulate(false)} className="btn btn-secondary" disabled={paying}>
+                    Simulate failed payment
+                  </button>
+                </div>
+              )}
+              <button onClick={handleCancel} className="btn btn-outline checkout-cancel" disabled={paying}>
+                Cancel checkout
+              </button>
+            </>
+          ) : (
+            <p className={`checkout-status ${status}`}>
+              {status === 'paid' ? <FiCheckCircle /> : <FiXCircle />} {statusMessages[status]}
+            </p>
+          )}
+          {event && (
+            <Link to={`/events/${event.id}`} className="checkout-back">
+              Back to the event
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Checkout;
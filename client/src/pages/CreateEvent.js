@@ -1,21 +1,76 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import api from '../utils/api';
+import { getTimeZones, getViewerTimeZone } from '../utils/dates';
+import { toQuestionsField } from '../utils/questions';
+import { VISIBILITIES } from '../utils/visibility';
+import { PUBLISH_OPTIONS } from '../utils/publishing';
+import QuestionBuilder from '../components/QuestionBuilder';
+import { FiX } from 'react-icons/fi';
 import './EventForm.css';
 
+// RRULE for the repeat settings, e.g. FREQ=WEEKLY;INTERVAL=2;COUNT=6 (empty when not repeating)
+const buildRecurrenceRule = ({ repeat_freq, repeat_interval, repeat_end, repeat_count, repeat_until }) => {
+  if (!repeat_freq) return '';
+  const parts = [`FREQ=${repeat_freq}`];
+  if (parseInt(repeat_interval) > 1) {
+    parts.push(`INTERVAL=${parseInt(repeat_interval)}`);
+  }
+  parts.push(repeat_end === 'until'
+    ? `UNTIL=${repeat_until.replace(/-/g, '')}`
+    : `COUNT=${parseInt(repeat_count)}`);
+  return parts.join(';');
+};
+
+const REPEAT_UNITS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+
 const CreateEvent = () => {
+  const [searchParams] = useSearchParams();
   const [formData, setFormData] = useState({
+    organization_id: searchParams.get('organization') || '',
     title: '',
     description: '',
     date: '',
+    end_date: '',
+    time_zone: getViewerTimeZone(),
     location: '',
-    capacity: ''
+    capacity: '',
+    max_guests: '0',
+    rsvp_open_at: '',
+    rsvp_close_at: '',
+    visibility: 'public',
+    publish: 'now',
+    publish_at: '',
+    repeat_freq: '',
+    repeat_interval: '1',
+    repeat_end: 'count',
+    repeat_count: '4',
+    repeat_until: ''
   });
+  const [exceptions, setExceptions] = useState([]);
+  const [exceptionInput, setExceptionInput] = useState('');
+  const [questions, setQuestions] = useState([]);
   const [image, setImage] = useState(null);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [organizations, setOrganizations] = useState([]);
   const navigate = useNavigate();
 
+  useEffect(() => {
+    fetchOrganizations();
+  }, []);
+
+  // Organizations the user may publish under
+  const fetchOrganizations = async () => {
+    try {
+      const response = await api.get('/organizations/mine');
+      const organizationsData = Array.isArray(response.data) ? response.data : [];
+      setOrganizations(organizationsData.filter(o => o.myPermissions.includes('publish')));
+    } catch (error) {
+      console.error('Error fetching organizations:', error);
+    }
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -24,6 +79,17 @@ const CreateEvent = () => {
     setError('');
   };
 
+  const handleAddException = () => {
+    if (exceptionInput && !exceptions.includes(exceptionInput)) {
+      setExceptions([...exceptions, exceptionInput].sort());
+    }
+    setExceptionInput('');
+  };
+
+  const handleRemoveException = (date) => {
+    setExceptions(exceptions.filter(exception => exception !== date));
+  };
+
   const handleImageChange = (e) => {
     if (e.target.files[0]) {
       setImage(e.target.files[0]);
@@ -37,11 +103,30 @@ const CreateEvent = () => {
 
     try {
       const formDataToSend = new FormData();
+      if (formData.organization_id) {
+        formDataToSend.append('organization_id', formData.organization_id);
+      }
       formDataToSend.append('title', formData.title);
       formDataToSend.append('description', formData.description);
       formDataToSend.append('date', formData.date);
+      formDataToSend.append('end_date', formData.end_date);
+      formDataToSend.append('time_zone', formData.time_zone);
       formDataToSend.append('location', formData.location);
       formDataToSend.append('capacity', formData.capacity);
+      formDataToSend.append('max_guests', formData.max_guests);
+      formDataToSend.append('rsvp_open_at', formData.rsvp_open_at);
+      formDataToSend.append('rsvp_close_at', formData.rsvp_close_at);
+      formDataToSend.append('visibility', formData.visibility);
+      formDataToSend.append('publish', formData.publish);
+      if (formData.publish === 'scheduled') {
+        formDataToSend.append('publish_at', formData.publish_at);
+      }
+      formDataToSend.append('registration_questions', toQuestionsField(questions));
+      const recurrence = buildRecurrenceRule(formData);
+      if (recurrence) {
+        formDataToSend.append('recurrence', recurrence);
+        formDataToSend.append('recurrence_exceptions', exceptions.join(','));
+      }
       if (image) {
         formDataToSend.append('image', image);
       }
@@ -77,6 +162,7 @@ const CreateEvent = () => {
 
   // Set minimum date to today
   const today = new Date().toISOString().split('T')[0];
+  const timeZones = getTimeZones();
 
   return (
     <div className="event-form-page">
@@ -86,6 +172,23 @@ const CreateEvent = () => {
           <div className="form-card card">
             {error && <div className="alert alert-error">{error}</div>}
             <form onSubmit={handleSubmit}>
+              {organizations.length > 0 && (
+                <div className="form-group">
+                  <label htmlFor="organization_id">Publish as</label>
+                  <select
+                    id="organization_id"
+                    name="organization_id"
+                    value={formData.organization_id}
+                    onChange={handleChange}
+                  >
+                    <option value="">Myself (personal event)</option>
+                    {organizations.map((organization) => (
+                      <option key={organization.id} value={organization.id}>{organization.name}</option>
+                    ))}
+                  </select>
+                  <small className="form-hint">Organization events show on its page, and its members can edit them</small>
+                </div>
+              )}
               <div className="form-group">
                 <label htmlFor="title">Event Title *</label>
                 <input
@@ -107,17 +210,46 @@ const CreateEvent = () => {
                   required
                 />
               </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="date">Starts *</label>
+                  <input
+                    type="datetime-local"
+                    id="date"
+                    name="date"
+                    value={formData.date}
+                    onChange={handleChange}
+                    min={today}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="end_date">Ends *</label>
+                  <input
+                    type="datetime-local"
+                    id="end_date"
+                    name="end_date"
+                    value={formData.end_date}
+                    onChange={handleChange}
+                    min={formData.date || today}
+                    required
+                  />
+                </div>
+              </div>
               <div className="form-group">
-                <label htmlFor="date">Date & Time *</label>
-                <input
-                  type="datetime-local"
-                  id="date"
-                  name="date"
-                  value={formData.date}
+                <label htmlFor="time_zone">Time Zone *</label>
+                <select
+                  id="time_zone"
+                  name="time_zone"
+                  value={formData.time_zone}
                   onChange={handleChange}
-                  min={today}
                   required
-                />
+                >
+                  {timeZones.map((zone) => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+                <small className="form-hint">Start, end, RSVP and publish times are in this zone</small>
               </div>
               <div className="form-group">
                 <label htmlFor="location">Location *</label>
@@ -130,18 +262,209 @@ const CreateEvent = () => {
                   required
                 />
               </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="capacity">Capacity (Maximum attendees) *</label>
+                  <input
+                    type="number"
+                    id="capacity"
+                    name="capacity"
+                    value={formData.capacity}
+                    onChange={handleChange}
+                    min="1"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="max_guests">Guests per RSVP</label>
+                  <input
+                    type="number"
+                    id="max_guests"
+                    name="max_guests"
+                    value={formData.max_guests}
+                    onChange={handleChange}
+                    min="0"
+                    max="10"
+                  />
+                  <small className="form-hint">Plus-ones each attendee may bring; every guest takes a seat</small>
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="rsvp_open_at">RSVPs Open</label>
+                  <input
+                    type="datetime-local"
+                    id="rsvp_open_at"
+                    name="rsvp_open_at"
+                    value={formData.rsvp_open_at}
+                    onChange={handleChange}
+                  />
+                  <small className="form-hint">Leave empty to open RSVPs straight away</small>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rsvp_close_at">RSVPs Close</label>
+                  <input
+                    type="datetime-local"
+                    id="rsvp_close_at"
+                    name="rsvp_close_at"
+                    value={formData.rsvp_close_at}
+                    onChange={handleChange}
+                    min={formData.rsvp_open_at || undefined}
+                    max={formData.date || undefined}
+                  />
+                  <small className="form-hint">Leave empty to keep RSVPs open until the event starts</small>
+                </div>
+              </div>
               <div className="form-group">
-                <label htmlFor="capacity">Capacity (Maximum attendees) *</label>
-                <input
-                  type="number"
-                  id="capacity"
-                  name="capacity"
-                  value={formData.capacity}
+                <label htmlFor="visibility">Visibility</label>
+                <select
+                  id="visibility"
+                  name="visibility"
+                  value={formData.visibility}
                   onChange={handleChange}
-                  min="1"
-                  required
-                />
+                >
+                  {VISIBILITIES.map((visibility) => (
+                    <option key={visibility.value} value={visibility.value}>{visibility.label}</option>
+                  ))}
+                </select>
+                <small className="form-hint">
+                  {VISIBILITIES.find(v => v.value === formData.visibility)?.description}
+                </small>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="publish">Publishing</label>
+                  <select
+                    id="publish"
+                    name="publish"
+                    value={formData.publish}
+                    onChange={handleChange}
+                  >
+                    {PUBLISH_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <small className="form-hint">Drafts and scheduled events are only seen by their organizers</small>
+                </div>
+                {formData.publish === 'scheduled' && (
+                  <div className="form-group">
+                    <label htmlFor="publish_at">Publish At *</label>
+                    <input
+                      type="datetime-local"
+                      id="publish_at"
+                      name="publish_at"
+                      value={formData.publish_at}
+                      onChange={handleChange}
+                      required
+                    />
+                    <small className="form-hint">Must be before the event starts</small>
+                  </div>
+                )}
               </div>
+              <div className="form-group">
+                <label htmlFor="repeat_freq">Repeat</label>
+                <select
+                  id="repeat_freq"
+                  name="repeat_freq"
+                  value={formData.repeat_freq}
+                  onChange={handleChange}
+                >
+                  <option value="">Does not repeat</option>
+                  <option value="DAILY">Daily</option>
+                  <option value="WEEKLY">Weekly</option>
+                  <option value="MONTHLY">Monthly</option>
+                </select>
+                <small className="form-hint">Each occurrence is its own event with its own RSVPs and capacity</small>
+              </div>
+              {formData.repeat_freq && (
+                <div className="recurrence-settings">
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="repeat_interval">Every {REPEAT_UNITS[formData.repeat_freq]}</label>
+                      <input
+                        type="number"
+                        id="repeat_interval"
+                        name="repeat_interval"
+                        value={formData.repeat_interval}
+                        onChange={handleChange}
+                        min="1"
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label htmlFor="repeat_end">Ends</label>
+                      <select
+                        id="repeat_end"
+                        name="repeat_end"
+                        value={formData.repeat_end}
+                        onChange={handleChange}
+                      >
+                        <option value="count">After a number of occurrences</option>
+                        <option value="until">On a date</option>
+                      </select>
+                    </div>
+                  </div>
+                  {formData.repeat_end === 'count' ? (
+                    <div className="form-group">
+                      <label htmlFor="repeat_count">Occurrences</label>
+                      <input
+                        type="number"
+                        id="repeat_count"
+                        name="repeat_count"
+                        value={formData.repeat_count}
+                        onChange={handleChange}
+                        min="1"
+                        max="100"
+                        required
+                      />
+                    </div>
+                  ) : (
+                    <div className="form-group">
+                      <label htmlFor="repeat_until">Last date</label>
+                      <input
+                        type="date"
+                        id="repeat_until"
+                        name="repeat_until"
+                        value={formData.repeat_until}
+                        onChange={handleChange}
+                        min={formData.date.split('T')[0] || today}
+                        required
+                      />
+                    </div>
+                  )}
+                  <div className="form-group">
+                    <label htmlFor="exception">Skip dates</label>
+                    <div className="exception-input">
+                      <input
+                        type="date"
+                        id="exception"
+                        value={exceptionInput}
+                        onChange={(e) => setExceptionInput(e.target.value)}
+                      />
+                      <button type="button" className="btn btn-secondary" onClick={handleAddException}>
+                        Skip
+                      </button>
+                    </div>
+                    {exceptions.length > 0 && (
+                      <div className="exception-list">
+                        {exceptions.map((date) => (
+                          <span key={date} className="exception-chip">
+                            {date}
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveException(date)}
+                              aria-label={`Stop skipping ${date}`}
+                            >
+                              <FiX />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
+              <QuestionBuilder questions={questions} onChange={setQuestions} />
               <div className="form-group">
                 <label htmlFor="image">Event Image</label>
                 <input
@@ -163,7 +486,7 @@ const CreateEvent = () => {
               </div>
               <div className="form-actions">
                 <button type="submit" className="btn btn-primary" disabled={loading}>
-                  {loading ? 'Creating...' : 'Create Event'}
+                  {loading ? 'Creating...' : PUBLISH_OPTIONS.find(option => option.value === formData.publish).action}
                 </button>
                 <button
                   type="button"
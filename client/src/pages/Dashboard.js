@@ -4,39 +4,123 @@ import { useContext } from 'react';
 import { AuthContext } from '../context/AuthContext';
 import api from '../utils/api';
 import { getImageUrl } from '../utils/constants';
-import { FiCalendar, FiMapPin, FiUsers, FiEdit, FiTrash2 } from 'react-icons/fi';
+import EventCodes from '../components/EventCodes';
+import EventRegistrations from '../components/EventRegistrations';
+import TicketCode from '../components/TicketCode';
+import EventOrganizers from '../components/EventOrganizers';
+import EventInvitations from '../components/EventInvitations';
+import PrivacySettings from '../components/PrivacySettings';
+import { getRoleLabel } from '../utils/roles';
+import { getVisibilityLabel } from '../utils/visibility';
+import { getPublishState, isPublished } from '../utils/publishing';
+import { formatDateTime, formatEventTime } from '../utils/dates';
+import { FiCalendar, FiMapPin, FiUsers, FiEdit, FiTrash2, FiX, FiRotateCcw, FiTag, FiKey, FiClipboard, FiMaximize, FiCheckSquare, FiUserPlus, FiUser, FiShare2, FiFileText, FiSend } from 'react-icons/fi';
 import './Dashboard.css';
 
+const responseFilters = [
+  { value: '', label: 'All' },
+  { value: 'going', label: 'Going' },
+  { value: 'maybe', label: 'Maybe' },
+  { value: 'not_going', label: 'Not going' }
+];
+
+// Whether the user's role on an event (myPermissions from the API) allows something
+const can = (event, permission) => Boolean(event.myPermissions?.includes(permission));
+
 const Dashboard = () => {
   const { user } = useContext(AuthContext);
   const [activeTab, setActiveTab] = useState('attending');
   const [attendingEvents, setAttendingEvents] = useState([]);
   const [createdEvents, setCreatedEvents] = useState([]);
+  const [draftEvents, setDraftEvents] = useState([]);
+  const [cohostedEvents, setCohostedEvents] = useState([]);
+  const [trashedEvents, setTrashedEvents] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [notifications, setNotifications] = useState([]);
+  const [codesEventId, setCodesEventId] = useState(null);
+  const [registrationsEventId, setRegistrationsEventId] = useState(null);
+  const [ticketEventId, setTicketEventId] = useState(null);
+  const [organizersEventId, setOrganizersEventId] = useState(null);
+  const [invitationsEventId, setInvitationsEventId] = useState(null);
+  const [responseFilter, setResponseFilter] = useState('');
+  const [organizations, setOrganizations] = useState([]);
+  // Organization whose events the created and drafts tabs show; empty for the user's personal events
+  const [workspaceId, setWorkspaceId] = useState('');
 
   useEffect(() => {
     fetchUserEvents();
-  }, [activeTab]);
+  }, [activeTab, responseFilter, workspaceId]);
+
+  useEffect(() => {
+    fetchNotifications();
+    fetchOrganizations();
+  }, []);
+
+  const fetchOrganizations = async () => {
+    try {
+      const response = await api.get('/organizations/mine');
+      setOrganizations(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching organizations:', error);
+    }
+  };
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await api.get('/notifications');
+      setNotifications(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  };
+
+  const handleDismissNotification = async (notificationId) => {
+    try {
+      await api.put(`/notifications/${notificationId}/read`);
+      setNotifications(notifications.filter(n => n.id !== notificationId));
+    } catch (error) {
+      console.error('Error dismissing notification:', error);
+    }
+  };
 
   const fetchUserEvents = async () => {
     try {
       setLoading(true);
       if (activeTab === 'attending') {
-        const response = await api.get('/rsvp/user');
+        const response = await api.get('/rsvp/user', { params: responseFilter ? { response: responseFilter } : {} });
         const eventsData = Array.isArray(response.data) ? response.data : [];
         setAttendingEvents(eventsData);
+      } else if (activeTab === 'created' || activeTab === 'drafts') {
+        // Published events and drafts come from the same list
+        const response = await api.get(workspaceId ? `/organizations/${workspaceId}/events` : '/rsvp/user/created');
+        const eventsData = Array.isArray(response.data) ? response.data : [];
+        if (activeTab === 'created') {
+          setCreatedEvents(eventsData.filter(isPublished));
+        } else {
+          setDraftEvents(eventsData.filter(event => !isPublished(event)));
+        }
+      } else if (activeTab === 'cohosted') {
+        const response = await api.get('/rsvp/user/cohosted');
+        const eventsData = Array.isArray(response.data) ? response.data : [];
+        setCohostedEvents(eventsData);
       } else {
-        const response = await api.get('/rsvp/user/created');
+        const response = await api.get('/events/trash');
         const eventsData = Array.isArray(response.data) ? response.data : [];
-        setCreatedEvents(eventsData);
+        setTrashedEvents(eventsData);
       }
     } catch (error) {
       console.error('Error fetching events:', error);
       // Set empty arrays on error
       if (activeTab === 'attending') {
         setAttendingEvents([]);
-      } else {
+      } else if (activeTab === 'created') {
         setCreatedEvents([]);
+      } else if (activeTab === 'drafts') {
+        setDraftEvents([]);
+      } else if (activeTab === 'cohosted') {
+        setCohostedEvents([]);
+      } else {
+        setTrashedEvents([]);
       }
     } finally {
       setLoading(false);
@@ -44,7 +128,7 @@ const Dashboard = () => {
   };
 
   const handleDelete = async (eventId) => {
-    if (!window.confirm('Are you sure you want to delete this event?')) {
+    if (!window.confirm('Move this event to the trash? You can restore it from the Trash tab for 30 days.')) {
       return;
     }
 
@@ -52,23 +136,52 @@ const Dashboard = () => {
       await api.delete(`/events/${eventId}`);
       fetchUserEvents();
     } catch (error) {
-      alert('Failed to delete event');
+      alert(error.response?.data?.message || 'Failed to delete event');
       console.error('Error deleting event:', error);
     }
   };
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  const handleRestore = async (eventId) => {
+    try {
+      await api.post(`/events/${eventId}/restore`);
+      fetchUserEvents();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to restore event');
+      console.error('Error restoring event:', error);
+    }
+  };
+
+  const handlePublish = async (eventId) => {
+    try {
+      await api.post(`/events/${eventId}/publish`);
+      fetchUserEvents();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to publish event');
+      console.error('Error publishing event:', error);
+    }
   };
 
-  const events = activeTab === 'attending' ? attendingEvents : createdEvents;
+  const workspace = organizations.find(o => o.id === workspaceId);
+  const eventsByTab = {
+    attending: attendingEvents,
+    created: createdEvents,
+    drafts: draftEvents,
+    cohosted: cohostedEvents,
+    trash: trashedEvents
+  };
+  const emptyMessages = {
+    attending: responseFilter
+      ? `No upcoming events you answered ${responseFilters.find(f => f.value === responseFilter).label.toLowerCase()}.`
+      : 'No events you\'re attending yet.',
+    created: workspace ? `No events published under ${workspace.name} yet.` : 'No events created yet.',
+    drafts: workspace
+      ? `No drafts or scheduled events in ${workspace.name}.`
+      : 'No drafts or scheduled events. Save an event as a draft to finish it later.',
+    cohosted: 'No events you co-organize yet. Event creators can add you from their dashboard.',
+    trash: 'Trash is empty. Deleted events can be restored here for 30 days.'
+  };
+  const events = eventsByTab[activeTab];
+  const isOrganizing = activeTab === 'created' || activeTab === 'drafts' || activeTab === 'cohosted';
 
   return (
     <div className="dashboard">
@@ -76,6 +189,45 @@ const Dashboard = () => {
         <h1>My Dashboard</h1>
         <p className="dashboard-subtitle">Welcome back, {user?.name}!</p>
 
+        <PrivacySettings />
+
+        {notifications.length > 0 && (
+          <div className="notifications">
+            {notifications.map((notification) => (
+              <div key={notification.id} className="alert alert-success notification-item">
+                <span>
+                  {notification.message}{' '}
+                  {notification.event_id && (
+                    <Link to={`/events/${notification.event_id}`}>View event</Link>
+                  )}
+                </span>
+                <button
+                  onClick={() => handleDismissNotification(notification.id)}
+                  className="notification-dismiss"
+                  aria-label="Dismiss notification"
+                >
+                  <FiX />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {organizations.length > 0 && (
+          <div className="workspace-picker">
+            <label htmlFor="workspace">Workspace</label>
+            <select id="workspace" value={workspaceId} onChange={(e) => setWorkspaceId(e.target.value)}>
+              <option value="">Personal</option>
+              {organizations.map((organization) => (
+                <option key={organization.id} value={organization.id}>{organization.name}</option>
+              ))}
+            </select>
+            {workspace && (
+              <Link to={`/orgs/${workspace.slug}`} className="workspace-link">View public page</Link>
+            )}
+          </div>
+        )}
+
         <div className="dashboard-tabs">
           <button
             className={`tab-btn ${activeTab === 'attending' ? 'active' : ''}`}
@@ -87,17 +239,49 @@ const Dashboard = () => {
             className={`tab-btn ${activeTab === 'created' ? 'active' : ''}`}
             onClick={() => setActiveTab('created')}
           >
-            Events I Created
+            {workspace ? `${workspace.name} Events` : 'Events I Created'}
+          </button>
+          <button
+            className={`tab-btn ${activeTab === 'drafts' ? 'active' : ''}`}
+            onClick={() => setActiveTab('drafts')}
+          >
+            <FiFileText /> Drafts
+          </button>
+          <button
+            className={`tab-btn ${activeTab === 'cohosted' ? 'active' : ''}`}
+            onClick={() => setActiveTab('cohosted')}
+          >
+            Co-hosting
+          </button>
+          <button
+            className={`tab-btn ${activeTab === 'trash' ? 'active' : ''}`}
+            onClick={() => setActiveTab('trash')}
+          >
+            <FiTrash2 /> Trash
           </button>
         </div>
 
+        {activeTab === 'attending' && (
+          <div className="response-filters">
+            {responseFilters.map((filter) => (
+              <button
+                key={filter.value}
+                className={`filter-chip ${responseFilter === filter.value ? 'active' : ''}`}
+                onClick={() => setResponseFilter(filter.value)}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        )}
+
         {loading ? (
           <div className="loading">Loading...</div>
         ) : !Array.isArray(events) || events.length === 0 ? (
           <div className="no-events">
-            <p>No {activeTab === 'attending' ? 'events you\'re attending' : 'events created'} yet.</p>
+            <p>{emptyMessages[activeTab]}</p>
             {activeTab === 'created' && (
-              <Link to="/events/create" className="btn btn-primary">
+              <Link to={workspace ? `/events/create?organization=${workspace.id}` : '/events/create'} className="btn btn-primary">
                 Create Your First Event
               </Link>
             )}
@@ -105,7 +289,7 @@ const Dashboard = () => {
         ) : (
           <div className="events-grid">
             {events.map((event) => (
-              <div key={event.id || event._id} className="event-card card">
+              <div key={event.id || event._id} className={`event-card card ${event.status === 'cancelled' ? 'event-card-cancelled' : ''}`}>
                 {event.image && (
                   <img 
                     src={getImageUrl(event.image)} 
@@ -117,6 +301,29 @@ const Dashboard = () => {
                   />
                 )}
                 <div className="card-body">
+                  {event.status === 'cancelled' && (
+                    <div className="cancelled-badge">
+                      Cancelled{event.cancellation_reason && `: ${event.cancellation_reason}`}
+                    </div>
+                  )}
+                  {activeTab === 'attending' && event.myResponse && (
+                    <span className={`response-badge ${event.myResponse}`}>
+                      {responseFilters.find(f => f.value === event.myResponse).label}
+                    </span>
+                  )}
+                  {activeTab === 'cohosted' && (
+                    <span className="role-badge">{getRoleLabel(event.myRole)}</span>
+                  )}
+                  {isOrganizing && !isPublished(event) && (
+                    <span className="publish-badge">
+                      {getPublishState(event) === 'scheduled'
+                        ? `Publishes ${formatDateTime(event.publish_at)}`
+                        : 'Draft'}
+                    </span>
+                  )}
+                  {isOrganizing && event.visibility && event.visibility !== 'public' && (
+                    <span className="visibility-badge">{getVisibilityLabel(event.visibility)}</span>
+                  )}
                   <h3 className="card-title">{event.title}</h3>
                   <p className="card-text">
                     {event.description.length > 150
@@ -125,7 +332,7 @@ const Dashboard = () => {
                   </p>
                   <div className="card-meta">
                     <span>
-                      <FiCalendar /> {formatDate(event.date)}
+                      <FiCalendar /> {formatEventTime(event)}
                     </span>
                     <span>
                       <FiMapPin /> {event.location}
@@ -133,22 +340,116 @@ const Dashboard = () => {
                     <span>
                       <FiUsers /> {event.attendeesCount || event.attendees?.length || 0} / {event.capacity}
                     </span>
+                    {(activeTab === 'created' || activeTab === 'drafts') && workspace && event.creator && (
+                      <span>
+                        <FiUser /> Created by {event.creator.name}
+                      </span>
+                    )}
+                    {activeTab === 'trash' && (
+                      <span className="purge-date">
+                        <FiTrash2 /> Permanently deleted {formatDateTime(event.purgeAt)}
+                      </span>
+                    )}
                   </div>
+                  {isOrganizing && event.ticketTypes?.length > 0 && (
+                    <div className="ticket-breakdown">
+                      {event.ticketTypes.map((ticketType) => (
+                        <div key={ticketType.id} className="ticket-breakdown-row">
+                          <span><FiTag /> {ticketType.name}</span>
+                          <span>{ticketType.sold_count} / {ticketType.quota}</span>
+                          <div className="ticket-breakdown-bar">
+                            <div style={{ width: `${Math.min(100, (ticketType.sold_count / ticketType.quota) * 100)}%` }} />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {isOrganizing && codesEventId === event.id && <EventCodes event={event} />}
+                  {isOrganizing && registrationsEventId === event.id && <EventRegistrations event={event} />}
+                  {isOrganizing && organizersEventId === event.id && <EventOrganizers event={event} />}
+                  {isOrganizing && invitationsEventId === event.id && <EventInvitations event={event} />}
+                  {activeTab === 'attending' && ticketEventId === event.id && event.ticketCode && <TicketCode event={event} />}
                   <div className="card-actions">
-                    <Link to={`/events/${event.id || event._id}`} className="btn btn-primary">
-                      View Details
-                    </Link>
-                    {activeTab === 'created' && (
+                    {activeTab === 'trash' ? (
+                      <button
+                        onClick={() => handleRestore(event.id)}
+                        className="btn btn-primary"
+                      >
+                        <FiRotateCcw /> Restore
+                      </button>
+                    ) : (
+                      <Link to={`/events/${event.id || event._id}`} className="btn btn-primary">
+                        View Details
+                      </Link>
+                    )}
+                    {activeTab === 'attending' && event.ticketCode && (
+                      <button
+                        onClick={() => setTicketEventId(ticketEventId === event.id ? null : event.id)}
+                        className="btn btn-secondary"
+                      >
+                        <FiMaximize /> {ticketEventId === event.id ? 'Hide Ticket' : 'Ticket'}
+                      </button>
+                    )}
+                    {isOrganizing && (
                       <>
-                        <Link to={`/events/${event.id || event._id}/edit`} className="btn btn-secondary">
-                          <FiEdit /> Edit
-                        </Link>
-                        <button
-                          onClick={() => handleDelete(event.id || event._id)}
-                          className="btn btn-danger"
-                        >
-                          <FiTrash2 /> Delete
-                        </button>
+                        {can(event, 'edit') && (
+                          <>
+                            {!isPublished(event) && (
+                              <button
+                                onClick={() => handlePublish(event.id)}
+                                className="btn btn-primary"
+                              >
+                                <FiSend /> Publish
+                              </button>
+                            )}
+                            <Link to={`/events/${event.id || event._id}/edit`} className="btn btn-secondary">
+                              <FiEdit /> Edit
+                            </Link>
+                            <button
+                              onClick={() => setCodesEventId(codesEventId === event.id ? null : event.id)}
+                              className="btn btn-secondary"
+                            >
+                              <FiKey /> Codes
+                            </button>
+                            {event.visibility && event.visibility !== 'public' && (
+                              <button
+                                onClick={() => setInvitationsEventId(invitationsEventId === event.id ? null : event.id)}
+                                className="btn btn-secondary"
+                              >
+                                <FiShare2 /> {event.visibility === 'invite_only' ? 'Invites' : 'Share'}
+                              </button>
+                            )}
+                          </>
+                        )}
+                        {can(event, 'view_attendees') && event.registration_questions?.length > 0 && (
+                          <button
+                            onClick={() => setRegistrationsEventId(registrationsEventId === event.id ? null : event.id)}
+                            className="btn btn-secondary"
+                          >
+                            <FiClipboard /> Registrations
+                          </button>
+                        )}
+                        {(can(event, 'check_in') || can(event, 'view_attendees')) && (
+                          <Link to={`/events/${event.id}/check-in`} className="btn btn-secondary">
+                            <FiCheckSquare /> Check-in
+                          </Link>
+                        )}
+                        {can(event, 'manage') && (
+                          <>
+                            <button
+                              onClick={() => setOrganizersEventId(organizersEventId === event.id ? null : event.id)}
+                              className="btn btn-secondary"
+                            >
+                              <FiUserPlus /> Team
+                            </button>
+                            <button
+                              onClick={() => handleDelete(event.id || event._id)}
+                              className="btn btn-danger"
+                            >
+                              <FiTrash2 /> Delete
+                            </button>
+                          </>
+                        )}
                       </>
                     )}
                   </div>
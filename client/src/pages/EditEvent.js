@@ -2,6 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import api from '../utils/api';
 import { getImageUrl } from '../utils/constants';
+import { toDateTimeInput, getTimeZones, getViewerTimeZone } from '../utils/dates';
+import { toQuestionsField } from '../utils/questions';
+import { VISIBILITIES } from '../utils/visibility';
+import { PUBLISH_OPTIONS, getPublishState } from '../utils/publishing';
+import QuestionBuilder from '../components/QuestionBuilder';
 import './EventForm.css';
 
 const EditEvent = () => {
@@ -11,11 +16,24 @@ const EditEvent = () => {
     title: '',
     description: '',
     date: '',
+    end_date: '',
+    time_zone: getViewerTimeZone(),
     location: '',
-    capacity: ''
+    capacity: '',
+    max_guests: '0',
+    rsvp_open_at: '',
+    rsvp_close_at: '',
+    visibility: 'public',
+    publish: 'now',
+    publish_at: ''
   });
   const [image, setImage] = useState(null);
   const [existingImage, setExistingImage] = useState('');
+  const [questions, setQuestions] = useState([]);
+  const [series, setSeries] = useState(null);
+  // Publishing can only be changed until the event is published
+  const [published, setPublished] = useState(true);
+  const [scope, setScope] = useState('this');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [fetching, setFetching] = useState(true);
@@ -31,11 +49,22 @@ const EditEvent = () => {
       setFormData({
         title: event.title,
         description: event.description,
-        date: new Date(event.date).toISOString().slice(0, 16),
+        date: toDateTimeInput(event.date, event.time_zone),
+        end_date: toDateTimeInput(event.end_date, event.time_zone),
+        time_zone: event.time_zone || getViewerTimeZone(),
         location: event.location,
-        capacity: event.capacity.toString()
+        capacity: event.capacity.toString(),
+        max_guests: (event.max_guests || 0).toString(),
+        rsvp_open_at: toDateTimeInput(event.rsvp_open_at, event.time_zone),
+        rsvp_close_at: toDateTimeInput(event.rsvp_close_at, event.time_zone),
+        visibility: event.visibility || 'public',
+        publish: getPublishState(event) === 'scheduled' ? 'scheduled' : 'draft',
+        publish_at: toDateTimeInput(event.publish_at, event.time_zone)
       });
+      setPublished(getPublishState(event) === 'published');
+      setQuestions(event.registration_questions || []);
       setExistingImage(event.image || '');
+      setSeries(event.series || null);
     } catch (error) {
       setError('Failed to load event');
       console.error('Error fetching event:', error);
@@ -69,8 +98,24 @@ const EditEvent = () => {
       formDataToSend.append('title', formData.title);
       formDataToSend.append('description', formData.description);
       formDataToSend.append('date', formData.date);
+      formDataToSend.append('end_date', formData.end_date);
+      formDataToSend.append('time_zone', formData.time_zone);
       formDataToSend.append('location', formData.location);
       formDataToSend.append('capacity', formData.capacity);
+      formDataToSend.append('max_guests', formData.max_guests);
+      formDataToSend.append('rsvp_open_at', formData.rsvp_open_at);
+      formDataToSend.append('rsvp_close_at', formData.rsvp_close_at);
+      formDataToSend.append('visibility', formData.visibility);
+      if (!published) {
+        formDataToSend.append('publish', formData.publish);
+        if (formData.publish === 'scheduled') {
+          formDataToSend.append('publish_at', formData.publish_at);
+        }
+      }
+      formDataToSend.append('registration_questions', toQuestionsField(questions));
+      if (series) {
+        formDataToSend.append('scope', scope);
+      }
       if (image) {
         formDataToSend.append('image', image);
       }
@@ -97,6 +142,7 @@ const EditEvent = () => {
   }
 
   const today = new Date().toISOString().split('T')[0];
+  const timeZones = getTimeZones();
 
   return (
     <div className="event-form-page">
@@ -106,6 +152,38 @@ const EditEvent = () => {
           <div className="form-card card">
             {error && <div className="alert alert-error">{error}</div>}
             <form onSubmit={handleSubmit}>
+              {series && (
+                <div className="form-group recurrence-settings">
+                  <label>This event repeats ({series.summary})</label>
+                  <div className="scope-options">
+                    <label>
+                      <input
+                        type="radio"
+                        name="scope"
+                        value="this"
+                        checked={scope === 'this'}
+                        onChange={(e) => setScope(e.target.value)}
+                      />
+                      Edit this occurrence only
+                    </label>
+                    <label>
+                      <input
+                        type="radio"
+                        name="scope"
+                        value="future"
+                        checked={scope === 'future'}
+                        onChange={(e) => setScope(e.target.value)}
+                      />
+                      Edit this and all future occurrences
+                    </label>
+                  </div>
+                  {scope === 'future' && (
+                    <small className="form-hint">
+                      A new date or time moves every later occurrence by the same amount
+                    </small>
+                  )}
+                </div>
+              )}
               <div className="form-group">
                 <label htmlFor="title">Event Title *</label>
                 <input
@@ -127,17 +205,46 @@ const EditEvent = () => {
                   required
                 />
               </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="date">Starts *</label>
+                  <input
+                    type="datetime-local"
+                    id="date"
+                    name="date"
+                    value={formData.date}
+                    onChange={handleChange}
+                    min={today}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="end_date">Ends *</label>
+                  <input
+                    type="datetime-local"
+                    id="end_date"
+                    name="end_date"
+                    value={formData.end_date}
+                    onChange={handleChange}
+                    min={formData.date || today}
+                    required
+                  />
+                </div>
+              </div>
               <div className="form-group">
-                <label htmlFor="date">Date & Time *</label>
-                <input
-                  type="datetime-local"
-                  id="date"
-                  name="date"
-                  value={formData.date}
+                <label htmlFor="time_zone">Time Zone *</label>
+                <select
+                  id="time_zone"
+                  name="time_zone"
+                  value={formData.time_zone}
                   onChange={handleChange}
-                  min={today}
                   required
-                />
+                >
+                  {timeZones.map((zone) => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+                <small className="form-hint">Start, end, RSVP and publish times are in this zone</small>
               </div>
               <div className="form-group">
                 <label htmlFor="location">Location *</label>
@@ -150,18 +257,108 @@ const EditEvent = () => {
                   required
                 />
               </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="capacity">Capacity (Maximum attendees) *</label>
+                  <input
+                    type="number"
+                    id="capacity"
+                    name="capacity"
+                    value={formData.capacity}
+                    onChange={handleChange}
+                    min="1"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="max_guests">Guests per RSVP</label>
+                  <input
+                    type="number"
+                    id="max_guests"
+                    name="max_guests"
+                    value={formData.max_guests}
+                    onChange={handleChange}
+                    min="0"
+                    max="10"
+                  />
+                  <small className="form-hint">Plus-ones each attendee may bring; every guest takes a seat</small>
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="rsvp_open_at">RSVPs Open</label>
+                  <input
+                    type="datetime-local"
+                    id="rsvp_open_at"
+                    name="rsvp_open_at"
+                    value={formData.rsvp_open_at}
+                    onChange={handleChange}
+                  />
+                  <small className="form-hint">Leave empty to open RSVPs straight away</small>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="rsvp_close_at">RSVPs Close</label>
+                  <input
+                    type="datetime-local"
+                    id="rsvp_close_at"
+                    name="rsvp_close_at"
+                    value={formData.rsvp_close_at}
+                    onChange={handleChange}
+                    min={formData.rsvp_open_at || undefined}
+                    max={formData.date || undefined}
+                  />
+                  <small className="form-hint">Leave empty to keep RSVPs open until the event starts</small>
+                </div>
+              </div>
               <div className="form-group">
-                <label htmlFor="capacity">Capacity (Maximum attendees) *</label>
-                <input
-                  type="number"
-                  id="capacity"
-                  name="capacity"
-                  value={formData.capacity}
+                <label htmlFor="visibility">Visibility</label>
+                <select
+                  id="visibility"
+                  name="visibility"
+                  value={formData.visibility}
                   onChange={handleChange}
-                  min="1"
-                  required
-                />
+                >
+                  {VISIBILITIES.map((visibility) => (
+                    <option key={visibility.value} value={visibility.value}>{visibility.label}</option>
+                  ))}
+                </select>
+                <small className="form-hint">
+                  {VISIBILITIES.find(v => v.value === formData.visibility)?.description}
+                </small>
               </div>
+              {!published && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="publish">Publishing</label>
+                    <select
+                      id="publish"
+                      name="publish"
+                      value={formData.publish}
+                      onChange={handleChange}
+                    >
+                      {PUBLISH_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <small className="form-hint">Drafts and scheduled events are only seen by their organizers</small>
+                  </div>
+                  {formData.publish === 'scheduled' && (
+                    <div className="form-group">
+                      <label htmlFor="publish_at">Publish At *</label>
+                      <input
+                        type="datetime-local"
+                        id="publish_at"
+                        name="publish_at"
+                        value={formData.publish_at}
+                        onChange={handleChange}
+                        required
+                      />
+                      <small className="form-hint">Must be before the event starts</small>
+                    </div>
+                  )}
+                </div>
+              )}
+              <QuestionBuilder questions={questions} onChange={setQuestions} />
               <div className="form-group">
                 <label htmlFor="image">Event Image</label>
                 {existingImage && !image && (
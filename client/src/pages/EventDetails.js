@@ -1,27 +1,77 @@
 import React, { useState, useEffect, useContext } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../utils/api';
 import { getImageUrl } from '../utils/constants';
-import { FiCalendar, FiMapPin, FiUsers, FiEdit, FiTrash2, FiUser } from 'react-icons/fi';
+import { formatPrice, priceWithCode } from '../utils/money';
+import EventAgenda from '../components/EventAgenda';
+import EventTickets from '../components/EventTickets';
+import GuestPicker from '../components/GuestPicker';
+import RegistrationForm from '../components/RegistrationForm';
+import { getPublishState } from '../utils/publishing';
+import { formatCountdown, formatDateTime, formatEventTime, formatDuration, getViewerTimeZone } from '../utils/dates';
+import { FiCalendar, FiMapPin, FiUsers, FiEdit, FiTrash2, FiUser, FiClock, FiXCircle, FiRotateCcw, FiAlertTriangle, FiRepeat, FiKey, FiCheckCircle, FiEyeOff, FiSend } from 'react-icons/fi';
 import './EventDetails.css';
 
+const responseLabels = {
+  maybe: 'Maybe',
+  not_going: 'Not going'
+};
+
 const EventDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { user } = useContext(AuthContext);
   const [event, setEvent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [rsvpLoading, setRsvpLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [waitlistPosition, setWaitlistPosition] = useState(null);
+  const [heldTicketTypeId, setHeldTicketTypeId] = useState(null);
+  const [ticketTypeId, setTicketTypeId] = useState(null);
+  const [codeInput, setCodeInput] = useState('');
+  const [appliedCode, setAppliedCode] = useState(null);
+  const [codeMessage, setCodeMessage] = useState('');
+  const [guestCount, setGuestCount] = useState(0);
+  const [guestNames, setGuestNames] = useState([]);
+  const [savedGuestCount, setSavedGuestCount] = useState(0);
+  const [myResponse, setMyResponse] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [now, setNow] = useState(Date.now());
+
+  // The share key (?key=) or invite token (?invite=) the page was opened with; unlisted
+  // and invite-only events need them to be seen and answered
+  const accessParams = {
+    key: searchParams.get('key') || undefined,
+    invite: searchParams.get('invite') || undefined
+  };
+  const accessData = { share_key: accessParams.key, invite_token: accessParams.invite };
 
   useEffect(() => {
     fetchEvent();
   }, [id]);
 
+  // Tick once a second so the RSVP countdowns stay live
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      fetchRSVPStatus();
+    } else {
+      setWaitlistPosition(null);
+      setHeldTicketTypeId(null);
+      setMyResponse(null);
+    }
+  }, [id, user]);
+
   const fetchEvent = async () => {
     try {
-      const response = await api.get(`/events/${id}`);
+      const response = await api.get(`/events/${id}`, { params: accessParams });
       setEvent(response.data);
     } catch (error) {
       console.error('Error fetching event:', error);
@@ -31,19 +81,120 @@ const EventDetails = () => {
     }
   };
 
+  const fetchRSVPStatus = async () => {
+    try {
+      const response = await api.get(`/rsvp/${id}/status`);
+      setWaitlistPosition(response.data.waitlistPosition);
+      setMyResponse(response.data.response || null);
+      setAnswers(response.data.answers || {});
+      setHeldTicketTypeId(response.data.ticketTypeId || null);
+      setGuestCount(response.data.guestCount || 0);
+      setGuestNames(response.data.guestNames || []);
+      setSavedGuestCount(response.data.guestCount || 0);
+    } catch (error) {
+      console.error('Error fetching RSVP status:', error);
+    }
+  };
+
+  const handleApplyCode = async (e) => {
+    e.preventDefault();
+    setCodeMessage('');
+
+    try {
+      const response = await api.get(`/events/${id}/codes/check`, { params: { ...accessParams, code: codeInput } });
+      setAppliedCode(response.data);
+      const unlocked = response.data.unlockedTicketTypes;
+      if (unlocked.length > 0) {
+        setTicketTypeId(unlocked[0].id);
+      }
+    } catch (error) {
+      setAppliedCode(null);
+      setCodeMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to check the code');
+    }
+  };
+
+  const handleRemoveCode = () => {
+    if (appliedCode?.unlockedTicketTypes.some(t => t.id === ticketTypeId)) {
+      setTicketTypeId(null);
+    }
+    setAppliedCode(null);
+    setCodeInput('');
+  };
+
+  const handleGuestsChange = (count, names) => {
+    setGuestCount(count);
+    setGuestNames(names);
+  };
+
+  // Names typed so far; blank ones are left out
+  const guestData = () => ({
+    guest_count: guestCount,
+    guest_names: guestNames.slice(0, guestCount).filter(name => name && name.trim())
+  });
+
+  const handleSaveGuests = async () => {
+    setRsvpLoading(true);
+    setMessage('');
+
+    try {
+      await api.put(`/rsvp/${id}/guests`, guestData());
+      setSavedGuestCount(guestCount);
+      setMessage('Successfully updated your guests');
+      fetchEvent();
+    } catch (error) {
+      setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to update guests');
+    } finally {
+      setRsvpLoading(false);
+    }
+  };
+
   const handleRSVP = async () => {
     if (!user) {
-      navigate('/login');
+      navigate('/login', { state: { from: location.pathname + location.search } });
+      return;
+    }
+
+    if (event.ticketTypes?.length > 0 && !ticketTypeId) {
+      setMessage('Choose a ticket type first');
       return;
     }
 
     setRsvpLoading(true);
     setMessage('');
 
+    const codeData = appliedCode ? { code: appliedCode.code } : {};
+    const answerData = event.registration_questions?.length > 0 ? { answers } : {};
+    const requestData = event.max_guests > 0
+      ? { ...accessData, ...codeData, ...answerData, ...guestData() }
+      : { ...accessData, ...codeData, ...answerData };
+
+    // Paid tickets go through checkout, which holds a seat while the user pays
+    const ticketType = ticketOptions.find(t => t.id === ticketTypeId);
+    if (ticketType && priceWithCode(ticketType, appliedCode) > 0) {
+      try {
+        const response = await api.post(`/checkout/${id}`, { ticket_type_id: ticketTypeId, ...requestData });
+        const { checkoutUrl } = response.data;
+        if (checkoutUrl.startsWith('/')) {
+          navigate(checkoutUrl);
+        } else {
+          window.location.assign(checkoutUrl);
+        }
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Failed to start checkout. Please try again.');
+        setRsvpLoading(false);
+      }
+      return;
+    }
+
     try {
-      await api.post(`/rsvp/${id}`);
-      setMessage('Successfully joined the event!');
+      const response = await api.post(`/rsvp/${id}`, ticketTypeId ? { ticket_type_id: ticketTypeId, ...requestData } : requestData);
+      if (response.data.waitlistPosition) {
+        setMessage(`Successfully joined the waitlist - you are #${response.data.waitlistPosition} in line`);
+      } else {
+        setMessage('Successfully joined the event!');
+      }
       fetchEvent();
+      fetchRSVPStatus();
     } catch (error) {
       const errorMsg = error.response?.data?.message || 'Failed to join. Please try again.';
       setMessage(errorMsg);
@@ -52,14 +203,41 @@ const EventDetails = () => {
     }
   };
 
+  // Maybe and not going take no seat; a going attendee who switches gives theirs up
+  const handleRespond = async (answer) => {
+    if (!user) {
+      navigate('/login', { state: { from: location.pathname + location.search } });
+      return;
+    }
+
+    if (hasRSVPd && !window.confirm('Change your answer? Your seat will go to someone else (paid tickets are refunded).')) {
+      return;
+    }
+
+    setRsvpLoading(true);
+    setMessage('');
+
+    try {
+      const response = await api.post(`/rsvp/${id}`, { ...accessData, response: answer });
+      setMessage(response.data.message);
+      fetchEvent();
+      fetchRSVPStatus();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to save your answer. Please try again.');
+    } finally {
+      setRsvpLoading(false);
+    }
+  };
+
   const handleCancelRSVP = async () => {
     setRsvpLoading(true);
     setMessage('');
 
     try {
-      await api.delete(`/rsvp/${id}`);
-      setMessage('Successfully disconnected from the event');
+      const response = await api.delete(`/rsvp/${id}`);
+      setMessage(waitlistPosition ? response.data.message : 'Successfully disconnected from the event');
       fetchEvent();
+      fetchRSVPStatus();
     } catch (error) {
       setMessage(error.response?.data?.message || 'Failed to disconnect. Please try again.');
     } finally {
@@ -68,7 +246,7 @@ const EventDetails = () => {
   };
 
   const handleDelete = async () => {
-    if (!window.confirm('Are you sure you want to delete this event?')) {
+    if (!window.confirm('Move this event to the trash? You can restore it from your dashboard for 30 days.')) {
       return;
     }
 
@@ -76,20 +254,48 @@ const EventDetails = () => {
       await api.delete(`/events/${id}`);
       navigate('/dashboard');
     } catch (error) {
-      alert('Failed to delete event');
+      alert(error.response?.data?.message || 'Failed to delete event');
       console.error('Error deleting event:', error);
     }
   };
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  const handleCancelEvent = async () => {
+    const reason = window.prompt('Why is this event being cancelled? Attendees will see this reason.');
+    if (reason === null) {
+      return;
+    }
+    if (!reason.trim()) {
+      setMessage('A cancellation reason is required');
+      return;
+    }
+
+    try {
+      const response = await api.post(`/events/${id}/cancel`, { reason });
+      setEvent(response.data);
+      setMessage('Successfully cancelled the event');
+    } catch (error) {
+      setMessage(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to cancel event');
+    }
+  };
+
+  const handleReinstateEvent = async () => {
+    try {
+      const response = await api.post(`/events/${id}/reinstate`);
+      setEvent(response.data);
+      setMessage('Successfully reinstated the event');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to reinstate event');
+    }
+  };
+
+  const handlePublishEvent = async () => {
+    try {
+      await api.post(`/events/${id}/publish`);
+      setMessage('Successfully published the event');
+      fetchEvent();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to publish event');
+    }
   };
 
   if (loading) {
@@ -100,17 +306,39 @@ const EventDetails = () => {
     return <div className="no-event">Event not found</div>;
   }
 
-  const isCreator = user && event.creator?.id === user.id;
+  // What the viewer's role lets them do: the creator can do everything, co-organizers what their role allows
+  const canEdit = Boolean(event.myPermissions?.includes('edit'));
+  const canManage = Boolean(event.myPermissions?.includes('manage'));
   const hasRSVPd = user && event.attendees?.some(attendee => attendee.id === user.id);
-  const isFull = (event.attendeesCount || event.attendees?.length || 0) >= event.capacity;
+  // Seats of attendees who did not choose to show their name: only counted, not listed
+  const listedSeats = (event.attendees || []).reduce((total, attendee) => total + 1 + (attendee.guest_count || 0), 0);
+  const unlistedSeats = Math.max((event.attendeesCount || 0) - listedSeats, 0);
+  // Ticket types on offer, plus hidden ones unlocked by an applied access code
+  const ticketOptions = [
+    ...(event.ticketTypes || []),
+    ...(appliedCode?.unlockedTicketTypes || []).filter(t => !event.ticketTypes?.some(known => known.id === t.id))
+  ];
+  const selectedTicketType = ticketOptions.find(t => t.id === ticketTypeId);
+  const selectedPrice = selectedTicketType ? priceWithCode(selectedTicketType, appliedCode) : 0;
+  // The attendee and each guest take a seat
+  const partySize = 1 + guestCount;
+  const isFull = (event.attendeesCount || event.attendees?.length || 0) + partySize > event.capacity
+    || selectedTicketType?.sale_status === 'sold_out'
+    || (selectedTicketType && selectedTicketType.remaining < partySize);
+  const isWaitlisted = !hasRSVPd && waitlistPosition !== null;
   const isPast = new Date(event.date) < new Date();
-  
-  // Check if RSVP is open (1 minute after creation - respect time)
-  const rsvpOpenAt = event.rsvp_open_at 
-    ? new Date(event.rsvp_open_at) 
-    : new Date(new Date(event.created_at || Date.now()).getTime() + 60 * 1000);
-  const canRSVP = new Date() >= rsvpOpenAt;
-  const waitTime = canRSVP ? 0 : Math.ceil((rsvpOpenAt.getTime() - new Date().getTime()) / 1000);
+  const isCancelled = event.status === 'cancelled';
+  // Drafts and scheduled events are only shown to their organizers and take no RSVPs
+  const publishState = getPublishState(event);
+  const isUnpublished = publishState !== 'published';
+  const viewerTimeZone = getViewerTimeZone();
+
+  // RSVP window set by the organizer: open straight away and until the event starts by default
+  const rsvpOpensAt = event.rsvp_open_at ? new Date(event.rsvp_open_at).getTime() : null;
+  const rsvpClosesAt = new Date(event.rsvp_close_at || event.date).getTime();
+  const rsvpNotOpen = rsvpOpensAt !== null && now < rsvpOpensAt;
+  const rsvpClosed = !rsvpNotOpen && now >= rsvpClosesAt;
+  const canChooseTicket = Boolean(user) && !canEdit && !hasRSVPd && !isWaitlisted && !isPast && !isCancelled && !isUnpublished && !rsvpNotOpen && !rsvpClosed;
 
   return (
     <div className="event-details">
@@ -128,97 +356,319 @@ const EventDetails = () => {
               />
             )}
             <div className="event-body">
+              {isCancelled && (
+                <div className="cancelled-banner">
+                  <FiAlertTriangle />
+                  <div>
+                    <strong>This event has been cancelled</strong>
+                    {event.cancellation_reason && <p>{event.cancellation_reason}</p>}
+                  </div>
+                </div>
+              )}
+              {isUnpublished && (
+                <div className="draft-banner">
+                  <FiEyeOff />
+                  <div>
+                    <strong>
+                      {publishState === 'scheduled'
+                        ? `Scheduled to be published ${formatDateTime(event.publish_at)}`
+                        : 'Draft'}
+                    </strong>
+                    <p>Only the event's organizers can see it until it is published.</p>
+                  </div>
+                  {canEdit && (
+                    <button onClick={handlePublishEvent} className="btn btn-primary">
+                      <FiSend /> Publish Now
+                    </button>
+                  )}
+                </div>
+              )}
               <h1>{event.title}</h1>
               <div className="event-meta">
                 <span>
-                  <FiCalendar /> {formatDate(event.date)}
+                  <FiCalendar /> {formatEventTime(event)}
+                  {event.end_date && ` (${formatDuration(event.date, event.end_date)})`}
                 </span>
+                {event.time_zone && event.time_zone !== viewerTimeZone && (
+                  <span className="viewer-time">
+                    <FiClock /> Your time: {formatEventTime(event, viewerTimeZone)}
+                  </span>
+                )}
                 <span>
                   <FiMapPin /> {event.location}
                 </span>
                 <span>
                   <FiUsers /> {event.attendeesCount || event.attendees?.length || 0} / {event.capacity} attendees
                 </span>
+                {event.series && (
+                  <span>
+                    <FiRepeat /> {event.series.summary}
+                  </span>
+                )}
+                {event.waitlistCount > 0 && (
+                  <span>
+                    <FiClock /> {event.waitlistCount} on waitlist
+                  </span>
+                )}
+                {event.responseCounts && (
+                  <span>
+                    <FiCheckCircle /> {event.responseCounts.going} going, {event.responseCounts.maybe} maybe, {event.responseCounts.not_going} not going
+                  </span>
+                )}
               </div>
               <div className="event-description">
                 <h3>Description</h3>
                 <p>{event.description}</p>
               </div>
+              <EventAgenda
+                event={event}
+                user={user}
+                canEdit={canEdit}
+                isAttending={Boolean(hasRSVPd)}
+                canJoin={!isPast && !isCancelled}
+                accessParams={accessParams}
+              />
               <div className="event-creator">
+                {event.organization && (
+                  <p>
+                    <strong>Hosted by:</strong>{' '}
+                    <Link to={`/orgs/${event.organization.slug}`}>{event.organization.name}</Link>
+                  </p>
+                )}
                 <p><strong>Created by:</strong> {event.creator.name}</p>
               </div>
+              <EventTickets
+                event={{ ...event, ticketTypes: ticketOptions }}
+                canEdit={canEdit}
+                canChoose={canChooseTicket}
+                selectedId={ticketTypeId}
+                onSelect={setTicketTypeId}
+                heldTypeId={heldTicketTypeId}
+                code={appliedCode}
+                onChange={fetchEvent}
+              />
+              {canChooseTicket && event.ticketTypes?.length > 0 && (
+                appliedCode ? (
+                  <div className="code-applied">
+                    <FiKey /> Code <strong>{appliedCode.code}</strong> applied
+                    {appliedCode.kind === 'discount' && ` - ${appliedCode.discount_percent}% off`}
+                    <button onClick={handleRemoveCode} className="btn btn-secondary">Remove</button>
+                  </div>
+                ) : (
+                  <form onSubmit={handleApplyCode} className="code-entry">
+                    <input
+                      type="text"
+                      value={codeInput}
+                      onChange={(e) => setCodeInput(e.target.value)}
+                      placeholder="Have a discount or access code?"
+                      aria-label="Discount or access code"
+                    />
+                    <button type="submit" className="btn btn-secondary" disabled={!codeInput.trim()}>
+                      Apply
+                    </button>
+                    {codeMessage && <span className="code-error">{codeMessage}</span>}
+                  </form>
+                )
+              )}
+              {event.max_guests > 0 && (canChooseTicket || (hasRSVPd && !isPast && !isCancelled)) && (
+                <GuestPicker
+                  maxGuests={event.max_guests}
+                  guestCount={guestCount}
+                  guestNames={guestNames}
+                  onChange={handleGuestsChange}
+                  disabled={rsvpLoading}
+                />
+              )}
+              {canChooseTicket && event.registration_questions?.length > 0 && (
+                <RegistrationForm
+                  questions={event.registration_questions}
+                  answers={answers}
+                  onChange={setAnswers}
+                  disabled={rsvpLoading}
+                />
+              )}
               {message && (
                 <div className={`alert ${message.includes('Successfully') ? 'alert-success' : 'alert-error'}`}>
                   {message}
                 </div>
               )}
               <div className="event-actions">
-                {isCreator ? (
+                {canEdit ? (
                   <>
                     <Link to={`/events/${id}/edit`} className="btn btn-secondary">
                       <FiEdit /> Edit Event
                     </Link>
-                    <button onClick={handleDelete} className="btn btn-danger">
-                      <FiTrash2 /> Delete Event
-                    </button>
+                    {!isPast && (isCancelled ? (
+                      <button onClick={handleReinstateEvent} className="btn btn-primary">
+                        <FiRotateCcw /> Reinstate Event
+                      </button>
+                    ) : (
+                      <button onClick={handleCancelEvent} className="btn btn-secondary">
+                        <FiXCircle /> Cancel Event
+                      </button>
+                    ))}
+                    {canManage && (
+                      <button onClick={handleDelete} className="btn btn-danger">
+                        <FiTrash2 /> Delete Event
+                      </button>
+                    )}
                   </>
                 ) : (
                   <>
-                    {!isPast && (
+                    {!isPast && !isCancelled && !isUnpublished && (
                       <>
                         {hasRSVPd ? (
-                          <button
-                            onClick={handleCancelRSVP}
-                            className="btn btn-danger"
-                            disabled={rsvpLoading}
-                          >
-                            {rsvpLoading ? 'Disconnecting...' : 'Disconnect from Event'}
-                          </button>
-                        ) : (
                           <>
-                            {canRSVP ? (
+                            {event.max_guests > 0 && (
                               <button
-                                onClick={handleRSVP}
-                                className="btn btn-primary"
-                                disabled={rsvpLoading || isFull}
+                                onClick={handleSaveGuests}
+                                className="btn btn-secondary"
+                                disabled={rsvpLoading}
                               >
-                                {rsvpLoading ? 'Joining...' : isFull ? 'Event Full' : 'Join Event'}
+                                {guestCount === savedGuestCount ? 'Save Guest Names' : 'Save Guests'}
                               </button>
-                            ) : (
+                            )}
+                            <button
+                              onClick={() => handleRespond('maybe')}
+                              className="btn btn-secondary"
+                              disabled={rsvpLoading}
+                            >
+                              Change to Maybe
+                            </button>
+                            <button
+                              onClick={() => handleRespond('not_going')}
+                              className="btn btn-secondary"
+                              disabled={rsvpLoading}
+                            >
+                              Not Going
+                            </button>
+                            <button
+                              onClick={handleCancelRSVP}
+                              className="btn btn-danger"
+                              disabled={rsvpLoading}
+                            >
+                              {rsvpLoading ? 'Disconnecting...' : 'Disconnect from Event'}
+                            </button>
+                          </>
+                        ) : isWaitlisted ? (
+                          <div>
+                            <p className="waitlist-position">
+                              You are #{waitlistPosition} on the waitlist. We'll move you in automatically when a spot opens up.
+                            </p>
+                            <button
+                              onClick={handleCancelRSVP}
+                              className="btn btn-secondary"
+                              disabled={rsvpLoading}
+                            >
+                              {rsvpLoading ? 'Leaving...' : 'Leave Waitlist'}
+                            </button>
+                          </div>
+                        ) : (
+                          <>
+                            {rsvpNotOpen ? (
                               <div>
                                 <button
                                   className="btn btn-secondary"
                                   disabled={true}
                                 >
-                                  RSVP Opens in {waitTime}s
+                                  RSVPs open in {formatCountdown(rsvpOpensAt - now)}
                                 </button>
-                                <p style={{ marginTop: '10px', color: '#666', fontSize: '14px' }}>
-                                  Please wait at least 1 minute after event creation
+                                <p className="rsvp-window-note">
+                                  Opens {formatDateTime(event.rsvp_open_at)}
                                 </p>
                               </div>
+                            ) : rsvpClosed ? (
+                              <p className="rsvp-closed">
+                                RSVPs closed {formatDateTime(rsvpClosesAt)}
+                              </p>
+                            ) : (
+                              <div>
+                                <div className="response-buttons">
+                                  <button
+                                    onClick={handleRSVP}
+                                    className="btn btn-primary"
+                                    disabled={rsvpLoading}
+                                  >
+                                    {rsvpLoading
+                                      ? 'Joining...'
+                                      : selectedPrice > 0
+                                        ? `Buy ${partySize > 1 ? `${partySize} Tickets` : 'Ticket'} - ${formatPrice(selectedPrice * partySize, selectedTicketType.currency)}`
+                                        : isFull ? 'Join Waitlist' : 'Join Event'}
+                                  </button>
+                                  {Object.entries(responseLabels).map(([answer, label]) => (
+                                    <button
+                                      key={answer}
+                                      onClick={() => handleRespond(answer)}
+                                      className={`btn btn-secondary ${myResponse === answer ? 'active' : ''}`}
+                                      disabled={rsvpLoading || myResponse === answer}
+                                    >
+                                      {label}
+                                    </button>
+                                  ))}
+                                </div>
+                                {responseLabels[myResponse] && (
+                                  <p className="rsvp-window-note">
+                                    <FiCheckCircle /> You answered {responseLabels[myResponse].toLowerCase()}
+                                  </p>
+                                )}
+                                {event.rsvp_close_at && (
+                                  <p className="rsvp-window-note">
+                                    <FiClock /> RSVPs close in {formatCountdown(rsvpClosesAt - now)}
+                                  </p>
+                                )}
+                              </div>
                             )}
                           </>
                         )}
                       </>
                     )}
                     {isPast && <p className="past-event">This event has passed</p>}
+                    {!isPast && isCancelled && hasRSVPd && (
+                      <p className="rsvp-window-note">You were attending this event.</p>
+                    )}
                   </>
                 )}
               </div>
             </div>
           </div>
           <div className="event-sidebar">
+            {event.series && event.series.occurrences.length > 1 && (
+              <div className="occurrences-card card">
+                <h3>Upcoming Dates</h3>
+                <div className="occurrences-list">
+                  {event.series.occurrences.map((occurrence) => (
+                    occurrence.id === event.id ? (
+                      <span key={occurrence.id} className="occurrence-item current">
+                        {formatEventTime(occurrence, event.time_zone)}
+                      </span>
+                    ) : (
+                      <Link key={occurrence.id} to={`/events/${occurrence.id}`} className="occurrence-item">
+                        {formatEventTime(occurrence, event.time_zone)}
+                      </Link>
+                    )
+                  ))}
+                </div>
+              </div>
+            )}
             <div className="attendees-card card">
               <h3>Attendees ({event.attendeesCount || event.attendees?.length || 0})</h3>
-              {(!event.attendees || event.attendees.length === 0) ? (
+              {(!event.attendees || event.attendees.length === 0) && unlistedSeats === 0 ? (
                 <p className="no-attendees">No attendees yet</p>
               ) : (
                 <div className="attendees-list">
-                  {event.attendees.map((attendee) => (
-                    <div key={attendee.id || attendee._id} className="attendee-item">
+                  {event.attendees?.map(attendee => (
+                    <div key={attendee.id} className="attendee-item">
                       <FiUser /> {attendee.name}
+                      {attendee.guest_count > 0 && (
+                        <span className="attendee-guests" title={attendee.guest_names?.join(', ')}>
+                          +{attendee.guest_count}
+                        </span>
+                      )}
                     </div>
                   ))}
+                  {unlistedSeats > 0 && (
+                    <p className="attendees-unlisted">+{unlistedSeats} more attending</p>
+                  )}
                 </div>
               )}
             </div>
@@ -1,72 +1,158 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import api from '../utils/api';
 import { getImageUrl } from '../utils/constants';
-import { FiCalendar, FiMapPin, FiUsers, FiSearch } from 'react-icons/fi';
+import { formatEventTime } from '../utils/dates';
+import { FiCalendar, FiMapPin, FiUsers, FiSearch, FiUser, FiX, FiBriefcase } from 'react-icons/fi';
 import './Home.css';
 
+const PAGE_SIZE = 12;
+
+const SORT_OPTIONS = [
+  { value: 'date', label: 'Date (soonest first)' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'popular', label: 'Most popular' },
+  { value: 'seats_left', label: 'Fewest seats left' }
+];
+
+// Query parameters sent to GET /api/events and kept in the page URL
+const FILTER_PARAMS = ['search', 'sort', 'from', 'to', 'location', 'creator', 'available', 'weekend'];
+
+// Free-text parameters, applied once the user stops typing
+const TEXT_PARAMS = ['search', 'location'];
+const TYPING_DELAY = 400;
+
+// Renders the [{ text, match }] segments returned by a search with matches marked
+const Highlighted = ({ segments }) => (
+  segments.map((segment, index) => (
+    segment.match
+      ? <mark key={index}>{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+  ))
+);
+
 const Home = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filteredEvents, setFilteredEvents] = useState([]);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  // Id of the latest fetchEvents() call; responses to older ones are ignored
+  const latestRequest = useRef(0);
+  const [textInputs, setTextInputs] = useState({
+    search: searchParams.get('search') || '',
+    location: searchParams.get('location') || ''
+  });
+
+  const searchParam = searchParams.get('search') || '';
+  const locationParam = searchParams.get('location') || '';
+  const sort = searchParams.get('sort') || 'date';
+  const creatorFilter = searchParams.get('creator');
+  const hasFilters = FILTER_PARAMS.some(param => param !== 'sort' && searchParams.get(param));
 
   useEffect(() => {
     fetchEvents();
-  }, []);
+  }, [searchParams]);
 
+  // Keep the inputs in step with the URL (back/forward, shared links)
   useEffect(() => {
-    // Ensure events is an array before filtering
-    if (!Array.isArray(events)) {
-      setFilteredEvents([]);
-      return;
-    }
+    setTextInputs({ search: searchParam, location: locationParam });
+  }, [searchParam, locationParam]);
 
-    if (searchTerm) {
-      const filtered = events.filter(event =>
-        event && event.title && (
-          event.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          (event.description && event.description.toLowerCase().includes(searchTerm.toLowerCase())) ||
-          (event.location && event.location.toLowerCase().includes(searchTerm.toLowerCase()))
-        )
-      );
-      setFilteredEvents(filtered);
+  // Apply typed search and location once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const nextParams = new URLSearchParams(searchParams);
+      let changed = false;
+      TEXT_PARAMS.forEach(param => {
+        const value = textInputs[param].trim();
+        if (value !== (searchParams.get(param) || '')) {
+          changed = true;
+          if (value) {
+            nextParams.set(param, value);
+          } else {
+            nextParams.delete(param);
+          }
+        }
+      });
+      if (changed) {
+        setSearchParams(nextParams, { replace: true });
+      }
+    }, TYPING_DELAY);
+    return () => clearTimeout(timer);
+  }, [textInputs]);
+
+  const handleTextChange = (e) => {
+    setTextInputs({
+      ...textInputs,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  // Set or clear one filter; replace the history entry so Back leaves the page
+  const updateFilter = (name, value) => {
+    const nextParams = new URLSearchParams(searchParams);
+    if (value) {
+      nextParams.set(name, value);
     } else {
-      setFilteredEvents(events);
+      nextParams.delete(name);
     }
-  }, [searchTerm, events]);
+    setSearchParams(nextParams, { replace: true });
+  };
+
+  const clearFilters = () => {
+    const nextParams = new URLSearchParams();
+    if (searchParams.get('sort')) {
+      nextParams.set('sort', searchParams.get('sort'));
+    }
+    setTextInputs({ search: '', location: '' });
+    setSearchParams(nextParams, { replace: true });
+  };
+
+  // Loads the first page, or the next page when a cursor is given. A response that arrives
+  // after a newer request was made (e.g. while typing) is dropped
+  const fetchEvents = async (cursor = null) => {
+    const requestId = ++latestRequest.current;
+    const isLatest = () => requestId === latestRequest.current;
 
-  const fetchEvents = async () => {
     try {
-      const response = await api.get('/events');
-      // Ensure response.data is an array
-      const eventsData = Array.isArray(response.data) ? response.data : [];
-      setEvents(eventsData);
-      setFilteredEvents(eventsData);
+      if (cursor) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
+      const params = { limit: PAGE_SIZE };
+      FILTER_PARAMS.forEach(param => {
+        if (searchParams.get(param)) {
+          params[param] = searchParams.get(param);
+        }
+      });
+      if (cursor) {
+        params.cursor = cursor;
+      }
+      const response = await api.get('/events', { params });
+      if (!isLatest()) return;
+      // Ensure events is an array
+      const eventsData = Array.isArray(response.data?.events) ? response.data.events : [];
+      setEvents(prev => (cursor ? [...prev, ...eventsData] : eventsData));
+      setNextCursor(response.data?.nextCursor || null);
     } catch (error) {
+      if (!isLatest()) return;
       console.error('Error fetching events:', error);
-      // Set empty array on error to prevent map errors
-      setEvents([]);
-      setFilteredEvents([]);
+      // Keep already loaded pages, but never leave events undefined
+      if (!cursor) {
+        setEvents([]);
+        setNextCursor(null);
+      }
     } finally {
-      setLoading(false);
+      if (isLatest()) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
   };
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
-
-  if (loading) {
-    return <div className="loading">Loading events...</div>;
-  }
+  const creatorName = events.find(event => event.creator?.id === creatorFilter)?.creator?.name;
 
   return (
     <div className="home">
@@ -77,21 +163,105 @@ const Home = () => {
             <FiSearch className="search-icon" />
             <input
               type="text"
+              name="search"
               placeholder="Search events by title, description, or location..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              value={textInputs.search}
+              onChange={handleTextChange}
               className="search-input"
             />
           </div>
+          <div className="sort-box">
+            <label htmlFor="sort">Sort by</label>
+            {searchParam ? (
+              <span className="sort-note">Best match</span>
+            ) : (
+              <select
+                id="sort"
+                value={sort}
+                onChange={(e) => updateFilter('sort', e.target.value === 'date' ? '' : e.target.value)}
+                className="sort-select"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="filter-bar">
+            <div className="filter-field">
+              <label htmlFor="from">From</label>
+              <input
+                type="date"
+                id="from"
+                value={searchParams.get('from') || ''}
+                onChange={(e) => updateFilter('from', e.target.value)}
+              />
+            </div>
+            <div className="filter-field">
+              <label htmlFor="to">To</label>
+              <input
+                type="date"
+                id="to"
+                value={searchParams.get('to') || ''}
+                min={searchParams.get('from') || undefined}
+                onChange={(e) => updateFilter('to', e.target.value)}
+              />
+            </div>
+            <div className="filter-field">
+              <label htmlFor="location">Location</label>
+              <input
+                type="text"
+                id="location"
+                name="location"
+                placeholder="Any location"
+                value={textInputs.location}
+                onChange={handleTextChange}
+              />
+            </div>
+            <label className="filter-check">
+              <input
+                type="checkbox"
+                checked={searchParams.get('available') === 'true'}
+                onChange={(e) => updateFilter('available', e.target.checked ? 'true' : '')}
+              />
+              Has seats available
+            </label>
+            <label className="filter-check">
+              <input
+                type="checkbox"
+                checked={searchParams.get('weekend') === 'true'}
+                onChange={(e) => updateFilter('weekend', e.target.checked ? 'true' : '')}
+              />
+              This weekend
+            </label>
+            {creatorFilter && (
+              <span className="filter-chip">
+                Hosted by {creatorName || 'this organizer'}
+                <button onClick={() => updateFilter('creator', '')} aria-label="Remove organizer filter">
+                  <FiX />
+                </button>
+              </span>
+            )}
+            {hasFilters && (
+              <button onClick={clearFilters} className="btn btn-secondary filter-clear">
+                Clear filters
+              </button>
+            )}
+          </div>
         </div>
 
-        {!Array.isArray(filteredEvents) || filteredEvents.length === 0 ? (
+        {loading ? (
+          <div className="loading">Loading events...</div>
+        ) : !Array.isArray(events) || events.length === 0 ? (
           <div className="no-events">
-            <p>No events found. {searchTerm && 'Try a different search term.'}</p>
+            <p>
+              No events found.{' '}
+              {searchParam ? 'Try a different search term.' : hasFilters && 'Try removing some filters.'}
+            </p>
           </div>
         ) : (
           <div className="events-grid">
-            {filteredEvents.map((event) => (
+            {events.map((event) => (
               <div key={event.id || event._id} className="event-card card">
                 {event.image && (
                   <img 
@@ -104,15 +274,19 @@ const Home = () => {
                   />
                 )}
                 <div className="card-body">
-                  <h3 className="card-title">{event.title}</h3>
+                  <h3 className="card-title">
+                    {event.highlight ? <Highlighted segments={event.highlight.title} /> : event.title}
+                  </h3>
                   <p className="card-text">
-                    {event.description.length > 150
-                      ? `${event.description.substring(0, 150)}...`
-                      : event.description}
+                    {event.highlight
+                      ? <Highlighted segments={event.highlight.description} />
+                      : event.description.length > 150
+                        ? `${event.description.substring(0, 150)}...`
+                        : event.description}
                   </p>
                   <div className="card-meta">
                     <span>
-                      <FiCalendar /> {formatDate(event.date)}
+                      <FiCalendar /> {formatEventTime(event)}
                     </span>
                     <span>
                       <FiMapPin /> {event.location}
@@ -120,6 +294,21 @@ const Home = () => {
                     <span>
                       <FiUsers /> {event.attendeesCount || event.attendees?.length || 0} / {event.capacity}
                     </span>
+                    {event.organization ? (
+                      <span>
+                        <FiBriefcase />
+                        <Link to={`/orgs/${event.organization.slug}`} className="card-creator-link">
+                          {event.organization.name}
+                        </Link>
+                      </span>
+                    ) : event.creator && (
+                      <span>
+                        <FiUser />
+                        <Link to={`/?creator=${event.creator.id}`} className="card-creator-link">
+                          {event.creator.name}
+                        </Link>
+                      </span>
+                    )}
                   </div>
                   <Link to={`/events/${event.id || event._id}`} className="btn btn-primary">
                     View Details
@@ -129,6 +318,18 @@ const Home = () => {
             ))}
           </div>
         )}
+
+        {!loading && nextCursor && (
+          <div className="load-more">
+            <button
+              onClick={() => fetchEvents(nextCursor)}
+              className="btn btn-outline"
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : 'Load More Events'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
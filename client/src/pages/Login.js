@@ -1,5 +1,5 @@
 import React, { useState, useContext } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../utils/api';
 import './Auth.css';
@@ -13,6 +13,7 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const { login } = useContext(AuthContext);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     setFormData({
@@ -30,7 +31,8 @@ const Login = () => {
     try {
       const response = await api.post('/auth/login', formData);
       login(response.data.user, response.data.token);
-      navigate('/dashboard');
+      // Back to the page that sent the user here, e.g. an event they were RSVPing to
+      navigate(location.state?.from || '/dashboard');
     } catch (error) {
       setError(error.response?.data?.message || 'Login failed. Please try again.');
     } finally {
@@ -72,7 +74,7 @@ const Login = () => {
             </button>
           </form>
           <p className="auth-switch">
-            Don't have an account? <Link to="/register">Sign up</Link>
+            Don't have an account? <Link to="/register" state={location.state}>Sign up</Link>
           </p>
         </div>
       </div>
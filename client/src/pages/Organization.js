@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../utils/api';
+import { getImageUrl } from '../utils/constants';
+import { formatEventTime } from '../utils/dates';
+import { FiCalendar, FiMapPin, FiUsers } from 'react-icons/fi';
+import './Organization.css';
+
+// Public page of an organization: who they are and their upcoming events
+const Organization = () => {
+  const { slug } = useParams();
+  const [organization, setOrganization] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchOrganization();
+  }, [slug]);
+
+  const fetchOrganization = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/organizations/by-slug/${slug}`);
+      setOrganization(response.data);
+      setMessage('');
+    } catch (error) {
+      setOrganization(null);
+      setMessage(error.response?.data?.message || 'Failed to load the organization');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading organization...</div>;
+  }
+
+  if (!organization) {
+    return <div className="no-event">{message || 'Organization not found'}</div>;
+  }
+
+  const events = Array.isArray(organization.events) ? organization.events : [];
+
+  return (
+    <div className="organization-page">
+      <div className="container">
+        <div className="organization-hero">
+          <h1>{organization.name}</h1>
+          {organization.description && <p>{organization.description}</p>}
+        </div>
+
+        <h2 className="organization-section-title">Upcoming events</h2>
+        {events.length === 0 ? (
+          <div className="no-events">
+            <p>No upcoming events right now. Check back soon.</p>
+          </div>
+        ) : (
+          <div className="events-grid">
+            {events.map((event) => (
+              <div key={event.id} className="event-card card">
+                {event.image && (
+                  <img
+                    src={getImageUrl(event.image)}
+                    alt={event.title}
+                    className="card-image"
+                    onError={(e) => {
+                      e.target.style.display = 'none';
+                    }}
+                  />
+                )}
+                <div className="card-body">
+                  <h3 className="card-title">{event.title}</h3>
+                  <p className="card-text">
+                    {event.description.length > 150
+                      ? `${event.description.substring(0, 150)}...`
+                      : event.description}
+                  </p>
+                  <div className="card-meta">
+                    <span>
+                      <FiCalendar /> {formatEventTime(event)}
+                    </span>
+                    <span>
+                      <FiMapPin /> {event.location}
+                    </span>
+                    <span>
+                      <FiUsers /> {event.attendeesCount || 0} / {event.capacity}
+                    </span>
+                  </div>
+                  <Link to={`/events/${event.id}`} className="btn btn-primary">
+                    View Details
+                  </Link>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Organization;
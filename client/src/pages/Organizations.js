@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../utils/api';
+import OrganizationMembers from '../components/OrganizationMembers';
+import { getOrganizationRoleLabel } from '../utils/roles';
+import { FiPlus, FiEdit, FiTrash2, FiUsers, FiExternalLink } from 'react-icons/fi';
+import './Organizations.css';
+
+const emptyForm = { name: '', slug: '', description: '' };
+
+// Create and edit form; slug is the public page's URL and is made from the name when left empty
+const OrganizationForm = ({ initial, submitLabel, onSubmit, onCancel }) => {
+  const [formData, setFormData] = useState(initial);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await onSubmit(formData);
+    } catch (error) {
+      setError(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save the organization');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="organization-form">
+      {error && <div className="alert alert-error">{error}</div>}
+      <div className="form-group">
+        <label htmlFor={`name-${initial.slug}`}>Name *</label>
+        <input
+          type="text"
+          id={`name-${initial.slug}`}
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor={`slug-${initial.slug}`}>Page URL</label>
+        <div className="slug-input">
+          <span>/orgs/</span>
+          <input
+            type="text"
+            id={`slug-${initial.slug}`}
+            name="slug"
+            value={formData.slug}
+            onChange={handleChange}
+            placeholder="made from the name"
+          />
+        </div>
+      </div>
+      <div className="form-group">
+        <label htmlFor={`description-${initial.slug}`}>Description</label>
+        <textarea
+          id={`description-${initial.slug}`}
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+        />
+      </div>
+      <div className="form-actions">
+        <button type="button" onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// The user's organizations: create them, edit them and manage their members
+const Organizations = () => {
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [membersId, setMembersId] = useState(null);
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, []);
+
+  const fetchOrganizations = async () => {
+    try {
+      const response = await api.get('/organizations/mine');
+      setOrganizations(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching organizations:', error);
+      setOrganizations([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (formData) => {
+    const response = await api.post('/organizations', formData);
+    setOrganizations([...organizations, response.data].sort((a, b) => a.name.localeCompare(b.name)));
+    setCreating(false);
+  };
+
+  const handleUpdate = async (organizationId, formData) => {
+    const response = await api.put(`/organizations/${organizationId}`, formData);
+    setOrganizations(organizations.map(o => (o.id === organizationId ? response.data : o)));
+    setEditingId(null);
+  };
+
+  const handleDelete = async (organization) => {
+    if (!window.confirm(`Delete ${organization.name}? Its events stay, as their creators' personal events.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/organizations/${organization.id}`);
+      setOrganizations(organizations.filter(o => o.id !== organization.id));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to delete the organization');
+      console.error('Error deleting organization:', error);
+    }
+  };
+
+  const handleLeave = (organization) => {
+    setOrganizations(organizations.filter(o => o.id !== organization.id));
+  };
+
+  return (
+    <div className="organizations-page">
+      <div className="container">
+        <div className="organizations-header">
+          <div>
+            <h1>Organizations</h1>
+            <p className="organizations-subtitle">Publish events as a group and run them together.</p>
+          </div>
+          {!creating && (
+            <button onClick={() => setCreating(true)} className="btn btn-primary">
+              <FiPlus /> New Organization
+            </button>
+          )}
+        </div>
+
+        {creating && (
+          <div className="organization-card card">
+            <div className="card-body">
+              <h3 className="card-title">New organization</h3>
+              <OrganizationForm
+                initial={emptyForm}
+                submitLabel="Create Organization"
+                onSubmit={handleCreate}
+                onCancel={() => setCreating(false)}
+              />
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="loading">Loading organizations...</div>
+        ) : organizations.length === 0 ? (
+          !creating && (
+            <div className="no-events">
+              <p>You don't belong to any organizations yet. Create one, or ask an owner to add you.</p>
+            </div>
+          )
+        ) : (
+          <div className="organization-list">
+            {organizations.map((organization) => (
+              <div key={organization.id} className="organization-card card">
+                <div className="card-body">
+                  {editingId === organization.id ? (
+                    <OrganizationForm
+                      initial={{ name: organization.name, slug: organization.slug, description: organization.description }}
+                      submitLabel="Save Changes"
+                      onSubmit={(formData) => handleUpdate(organization.id, formData)}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    <>
+                      <span className="role-badge">{getOrganizationRoleLabel(organization.myRole)}</span>
+                      <h3 className="card-title">{organization.name}</h3>
+                      {organization.description && <p className="card-text">{organization.description}</p>}
+                      <div className="card-actions">
+                        <Link to={`/orgs/${organization.slug}`} className="btn btn-primary">
+                          <FiExternalLink /> Public Page
+                        </Link>
+                        <button
+                          onClick={() => setMembersId(membersId === organization.id ? null : organization.id)}
+                          className="btn btn-secondary"
+                        >
+                          <FiUsers /> Members
+                        </button>
+                        {organization.myPermissions.includes('edit') && (
+                          <button onClick={() => setEditingId(organization.id)} className="btn btn-secondary">
+                            <FiEdit /> Edit
+                          </button>
+                        )}
+                        {organization.myPermissions.includes('delete') && (
+                          <button onClick={() => handleDelete(organization)} className="btn btn-danger">
+                            <FiTrash2 /> Delete
+                          </button>
+                        )}
+                      </div>
+                    </>
+                  )}
+                  {membersId === organization.id && (
+                    <OrganizationMembers organization={organization} onLeave={handleLeave} />
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Organizations;
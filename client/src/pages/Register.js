@@ -1,5 +1,5 @@
 import React, { useState, useContext } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { AuthContext } from '../context/AuthContext';
 import api from '../utils/api';
 import './Auth.css';
@@ -15,6 +15,7 @@ const Register = () => {
   const [loading, setLoading] = useState(false);
   const { login } = useContext(AuthContext);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleChange = (e) => {
     setFormData({
@@ -44,7 +45,8 @@ const Register = () => {
       const { confirmPassword, ...registerData } = formData;
       const response = await api.post('/auth/register', registerData);
       login(response.data.user, response.data.token);
-      navigate('/dashboard');
+      // Back to the page that sent the user here, e.g. an event they were RSVPing to
+      navigate(location.state?.from || '/dashboard');
     } catch (error) {
       setError(error.response?.data?.message || 'Registration failed. Please try again.');
     } finally {
@@ -109,7 +111,7 @@ const Register = () => {
             </button>
           </form>
           <p className="auth-switch">
-            Already have an account? <Link to="/login">Login</Link>
+            Already have an account? <Link to="/login" state={location.state}>Login</Link>
           </p>
         </div>
       </div>
@@ -0,0 +1,75 @@
+// Time zone of the viewer's browser (IANA name)
+export const getViewerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// IANA time zones to pick an event's zone from
+export const getTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set([getViewerTimeZone(), 'UTC', ...zones])].sort();
+};
+
+// Value for a datetime-local input: wall-clock time in timeZone (the browser's zone by default)
+export const toDateTimeInput = (dateString, timeZone = getViewerTimeZone()) => {
+  if (!dateString) return '';
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(dateString)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+// datetime-local input value as an ISO string; empty stays empty (unset)
+export const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : '');
+
+// "2d 4h 05m 09s" style countdown for a duration in milliseconds
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  if (days > 0) return `${days}d ${hours}h ${pad(minutes)}m`;
+  if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+  return `${minutes}m ${pad(seconds)}s`;
+};
+
+const DATE_TIME_OPTIONS = {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+};
+
+// Date and time in the viewer's locale, in timeZone (the viewer's own zone by default)
+export const formatDateTime = (dateString, timeZone) => (
+  new Date(dateString).toLocaleString(undefined, { ...DATE_TIME_OPTIONS, timeZone })
+);
+
+// Start to end of an event, in the event's own zone unless another is given
+export const formatEventTime = (event, timeZone = event.time_zone) => {
+  const formatter = new Intl.DateTimeFormat(undefined, { ...DATE_TIME_OPTIONS, timeZone: timeZone || undefined });
+  if (!event.end_date || typeof formatter.formatRange !== 'function') {
+    return formatter.format(new Date(event.date));
+  }
+  return formatter.formatRange(new Date(event.date), new Date(event.end_date));
+};
+
+// "2h 30m" style length of an event
+export const formatDuration = (start, end) => {
+  const totalMinutes = Math.round((new Date(end) - new Date(start)) / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  return [days && `${days}d`, hours && `${hours}h`, minutes && `${minutes}m`].filter(Boolean).join(' ') || '0m';
+};
@@ -0,0 +1,14 @@
+// Price in minor units (cents) as a localized amount, e.g. 4900 usd -> "$49.00"
+export const formatPrice = (amountCents, currency = 'usd') => (
+  new Intl.NumberFormat(undefined, { style: 'currency', currency: currency.toUpperCase() }).format(amountCents / 100)
+);
+
+// Price form value ("49.99") in cents; empty means free
+export const toCents = (value) => (value ? Math.round(parseFloat(value) * 100) : 0);
+
+// Price of a ticket type after a discount code, when the code applies to that type
+export const priceWithCode = (ticketType, code) => (
+  code?.kind === 'discount' && (!code.ticket_type_id || code.ticket_type_id === ticketType.id)
+    ? ticketType.price_cents - Math.round(ticketType.price_cents * code.discount_percent / 100)
+    : ticketType.price_cents
+);
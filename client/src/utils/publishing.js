@@ -0,0 +1,14 @@
+// How an event is published, with the label of the form's submit button for each
+export const PUBLISH_OPTIONS = [
+  { value: 'now', label: 'Publish now', action: 'Publish Event' },
+  { value: 'draft', label: 'Save as draft', action: 'Save Draft' },
+  { value: 'scheduled', label: 'Schedule', action: 'Schedule Event' }
+];
+
+// published, scheduled or draft; only organizers see events that are not published
+export const getPublishState = (event) => {
+  if (event.published_at) return 'published';
+  return event.publish_at ? 'scheduled' : 'draft';
+};
+
+export const isPublished = (event) => getPublishState(event) === 'published';
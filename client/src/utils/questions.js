@@ -0,0 +1,15 @@
+// Registration question types, as the server names them
+export const QUESTION_TYPES = {
+  text: 'Text',
+  single_choice: 'Single choice',
+  multi_choice: 'Multiple choice'
+};
+
+// Questions as sent with the (multipart) event form: JSON, without blank options
+export const toQuestionsField = (questions) => JSON.stringify(questions.map(question => ({
+  ...question,
+  options: question.type === 'text' ? [] : question.options.map(option => option.trim()).filter(Boolean)
+})));
+
+// An answer as one line of text; multiple choice answers list every option picked
+export const formatAnswer = (answer) => (Array.isArray(answer) ? answer.join(', ') : answer || '');
@@ -0,0 +1,21 @@
+// Roles a creator can give co-organizers, with what each one lets them do
+export const ORGANIZER_ROLES = [
+  { value: 'editor', label: 'Editor', description: 'Edits the event, tickets, codes and agenda; checks attendees in' },
+  { value: 'check_in', label: 'Check-in staff', description: 'Checks attendees in at the door' },
+  { value: 'viewer', label: 'Viewer', description: 'Sees registrations and attendee answers' }
+];
+
+export const getRoleLabel = (role) => (
+  role === 'owner' ? 'Creator' : ORGANIZER_ROLES.find(r => r.value === role)?.label || role
+);
+
+// Roles of organization members, with what each one lets them do
+export const ORGANIZATION_ROLES = [
+  { value: 'owner', label: 'Owner', description: 'Everything, including deleting the organization and managing other owners' },
+  { value: 'admin', label: 'Admin', description: 'Edits the organization and its members; full control of its events' },
+  { value: 'member', label: 'Member', description: 'Publishes events under the organization and edits all of them' }
+];
+
+export const getOrganizationRoleLabel = (role) => (
+  ORGANIZATION_ROLES.find(r => r.value === role)?.label || role
+);
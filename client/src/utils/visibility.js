@@ -0,0 +1,20 @@
+// Who can see an event, with what each setting means
+export const VISIBILITIES = [
+  { value: 'public', label: 'Public', description: 'Listed on the home page and in search' },
+  { value: 'unlisted', label: 'Unlisted', description: 'Not listed; anyone with the share link can see it and RSVP' },
+  { value: 'invite_only', label: 'Invite-only', description: 'Not listed; only the people you invite can see it and RSVP' }
+];
+
+export const getVisibilityLabel = (visibility) => (
+  VISIBILITIES.find(v => v.value === visibility)?.label || visibility
+);
+
+// Link to an event that lets whoever opens it in: the share link of an unlisted event,
+// or the invite link of an invitation
+export const getShareLink = (eventId, shareKey) => (
+  `${window.location.origin}/events/${eventId}?key=${encodeURIComponent(shareKey)}`
+);
+
+export const getInviteLink = (eventId, token) => (
+  `${window.location.origin}/events/${eventId}?invite=${encodeURIComponent(token)}`
+);
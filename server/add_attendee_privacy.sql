@@ -0,0 +1,19 @@
+-- Attendee privacy: attendee lists only show emails to the event's organizers, and only list
+-- other people by name when they opted in (done by the server, see utils/attendees.js).
+-- Run this in Supabase SQL Editor (after add_event_publishing.sql)
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS show_in_attendee_lists BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- get_event_attendees() also returns the preference; drop the old signature
+DROP FUNCTION IF EXISTS get_event_attendees(UUID[]);
+
+-- Returns the going attendees of every given event, with their guests, in one round trip
+CREATE OR REPLACE FUNCTION get_event_attendees(p_event_ids UUID[])
+RETURNS TABLE (event_id UUID, id UUID, name TEXT, email TEXT, show_in_attendee_lists BOOLEAN, guest_count INTEGER, guest_names TEXT[]) AS $$
+  SELECT r.event_id, u.id, u.name, u.email, u.show_in_attendee_lists, r.guest_count, r.guest_names
+  FROM rsvps r
+  JOIN users u ON u.id = r.user_id
+  WHERE r.event_id = ANY(p_event_ids) AND r.response = 'going'
+  ORDER BY r.created_at;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,6 @@
+-- Check-in: going attendees show a signed ticket code at the door, and checked_in_at
+-- records when it was scanned (a ticket is only let in once)
+-- Run this in Supabase SQL Editor (after add_registration_questions.sql)
+
+ALTER TABLE rsvps
+ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMPTZ;
@@ -0,0 +1,12 @@
+-- Batched attendee lookup for event listings
+-- Run this in Supabase SQL Editor
+
+-- Returns the attendees of every given event in one round trip
+CREATE OR REPLACE FUNCTION get_event_attendees(p_event_ids UUID[])
+RETURNS TABLE (event_id UUID, id UUID, name TEXT, email TEXT) AS $$
+  SELECT r.event_id, u.id, u.name, u.email
+  FROM rsvps r
+  JOIN users u ON u.id = r.user_id
+  WHERE r.event_id = ANY(p_event_ids)
+  ORDER BY r.created_at;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,302 @@
+-- Discount and access codes: per-event codes with usage limits and expiry, and hidden ticket types
+-- Run this in Supabase SQL Editor (after add_paid_tickets.sql)
+
+-- Hidden ticket types (e.g. reserved seats) are only offered to holders of an access code
+ALTER TABLE ticket_types
+ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT false;
+
+-- Codes shared by the organizer. A discount code takes discount_percent off a paid ticket;
+-- an access code unlocks hidden ticket types. ticket_type_id limits the code to one type.
+CREATE TABLE IF NOT EXISTS event_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE CASCADE,
+  -- Stored upper case; matched case-insensitively
+  code TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('discount', 'access')),
+  discount_percent INTEGER CHECK (discount_percent BETWEEN 1 AND 100),
+  -- NULL means unlimited / never expires
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, code),
+  CONSTRAINT event_codes_discount_check CHECK ((kind = 'discount') = (discount_percent IS NOT NULL))
+);
+
+-- Tickets taken with a code; cancelling the ticket frees the redemption
+ALTER TABLE rsvps
+ADD COLUMN IF NOT EXISTS code_id UUID REFERENCES event_codes(id) ON DELETE SET NULL;
+
+ALTER TABLE reservations
+ADD COLUMN IF NOT EXISTS code_id UUID REFERENCES event_codes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_event_codes_event ON event_codes(event_id);
+CREATE INDEX IF NOT EXISTS idx_rsvps_code ON rsvps(code_id) WHERE code_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_event_codes_updated_at ON event_codes;
+CREATE TRIGGER update_event_codes_updated_at BEFORE UPDATE ON event_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Redemptions of a code: tickets held with it, including seats held by open checkouts
+CREATE OR REPLACE FUNCTION event_code_redemptions(p_code_id UUID)
+RETURNS INTEGER AS $$
+  SELECT (
+    (SELECT COUNT(*) FROM rsvps WHERE code_id = p_code_id)
+    + (SELECT COUNT(*) FROM reservations WHERE code_id = p_code_id AND status = 'pending' AND expires_at > NOW())
+  )::INTEGER;
+$$ LANGUAGE sql STABLE;
+
+-- Codes with their redemption count, for reads
+CREATE OR REPLACE VIEW event_codes_with_redemptions AS
+SELECT event_codes.*, event_code_redemptions(event_codes.id) AS redemption_count
+FROM event_codes;
+
+-- Checks that a code of the event can still be redeemed. Callers hold the event row lock,
+-- so concurrent redemptions of the same code are counted one at a time. Raises:
+--   P0002 - code of the event does not exist
+--   ECODE - code has expired or reached its usage limit
+CREATE OR REPLACE FUNCTION check_event_code(p_event_id UUID, p_code_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_code event_codes;
+BEGIN
+  IF p_code_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_code
+  FROM event_codes
+  WHERE id = p_code_id AND event_id = p_event_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Code not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_code.expires_at IS NOT NULL AND v_code.expires_at <= NOW() THEN
+    RAISE EXCEPTION 'Code has expired' USING ERRCODE = 'ECODE';
+  END IF;
+
+  IF v_code.max_redemptions IS NOT NULL AND event_code_redemptions(p_code_id) >= v_code.max_redemptions THEN
+    RAISE EXCEPTION 'Code has reached its usage limit' USING ERRCODE = 'ECODE';
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- rsvp_to_event() and reserve_ticket() take an optional code; drop the old signatures
+DROP FUNCTION IF EXISTS rsvp_to_event(UUID, UUID, UUID);
+DROP FUNCTION IF EXISTS reserve_ticket(UUID, UUID, UUID, TEXT, INTEGER);
+
+-- Atomic RSVP: capacity check and insert in one transaction
+-- Locks the event row so concurrent RSVPs for the same event run one at a time,
+-- then checks the code (when given), the ticket type's quota (when given), the event's
+-- capacity and inserts. Seats held by open checkouts count as taken. Raises:
+--   P0002 - event (or ticket type or code of the event) does not exist
+--   ECODE - code has expired or reached its usage limit
+--   EFULL - ticket type is sold out or event is at full capacity
+--   23505 - user already RSVP'd (unique constraint on rsvps)
+CREATE OR REPLACE FUNCTION rsvp_to_event(p_event_id UUID, p_user_id UUID, p_ticket_type_id UUID DEFAULT NULL, p_code_id UUID DEFAULT NULL)
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_sold_count INTEGER;
+  v_attendee_count INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM check_event_code(p_event_id, p_code_id);
+
+  IF p_ticket_type_id IS NOT NULL THEN
+    SELECT quota INTO v_quota
+    FROM ticket_types
+    WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT COUNT(*) + held_seats(p_event_id, p_ticket_type_id) INTO v_sold_count
+    FROM rsvps
+    WHERE ticket_type_id = p_ticket_type_id;
+
+    IF v_sold_count >= v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  SELECT COUNT(*) + held_seats(p_event_id) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  IF v_attendee_count >= v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id, code_id)
+  VALUES (p_user_id, p_event_id, p_ticket_type_id, p_code_id)
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Starts a checkout: holds a seat of a paid ticket type for p_hold_minutes. Runs under the
+-- event row lock like rsvp_to_event(), and expires the user's own stale checkouts first.
+-- p_amount_cents is the price after the code's discount (the type's price by default). Raises:
+--   P0002 - event, ticket type or code of the event does not exist
+--   ECODE - code has expired or reached its usage limit
+--   EFULL - ticket type is sold out or event is at full capacity
+--   23505 - user already RSVP'd, or has an open checkout (idx_reservations_active)
+CREATE OR REPLACE FUNCTION reserve_ticket(
+  p_event_id UUID,
+  p_user_id UUID,
+  p_ticket_type_id UUID,
+  p_provider TEXT,
+  p_hold_minutes INTEGER,
+  p_code_id UUID DEFAULT NULL,
+  p_amount_cents INTEGER DEFAULT NULL
+)
+RETURNS reservations AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_type ticket_types;
+  v_sold_count INTEGER;
+  v_attendee_count INTEGER;
+  v_reservation reservations;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT * INTO v_type
+  FROM ticket_types
+  WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE reservations
+  SET status = 'expired'
+  WHERE event_id = p_event_id AND user_id = p_user_id AND status = 'pending' AND expires_at <= NOW();
+
+  IF EXISTS (SELECT 1 FROM rsvps WHERE event_id = p_event_id AND user_id = p_user_id) THEN
+    RAISE EXCEPTION 'User already RSVP''d' USING ERRCODE = '23505';
+  END IF;
+
+  PERFORM check_event_code(p_event_id, p_code_id);
+
+  SELECT COUNT(*) + held_seats(p_event_id, p_ticket_type_id) INTO v_sold_count
+  FROM rsvps
+  WHERE ticket_type_id = p_ticket_type_id;
+
+  IF v_sold_count >= v_type.quota THEN
+    RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+  END IF;
+
+  SELECT COUNT(*) + held_seats(p_event_id) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  IF v_attendee_count >= v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO reservations (event_id, user_id, ticket_type_id, code_id, amount_cents, currency, provider, expires_at)
+  VALUES (p_event_id, p_user_id, p_ticket_type_id, p_code_id, COALESCE(p_amount_cents, v_type.price_cents),
+          v_type.currency, p_provider, NOW() + make_interval(mins => p_hold_minutes))
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Turns a paid reservation into an RSVP. Replayed confirmations of paid or refunded
+-- reservations are no-ops.
+-- A checkout paid after its hold lapsed still gets a seat if one is free. Raises:
+--   P0002 - reservation does not exist
+--   ECODE - the hold lapsed and its code was used up meanwhile (the caller refunds)
+--   EFULL - the hold lapsed and the ticket type or event filled up (the caller refunds)
+--   23505 - user already RSVP'd some other way (the caller refunds)
+CREATE OR REPLACE FUNCTION confirm_reservation(p_reservation_id UUID)
+RETURNS reservations AS $$
+DECLARE
+  v_reservation reservations;
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_max_redemptions INTEGER;
+  v_count INTEGER;
+BEGIN
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reservation not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = v_reservation.event_id
+  FOR UPDATE;
+
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id
+  FOR UPDATE;
+
+  IF v_reservation.status IN ('paid', 'refunded') THEN
+    RETURN v_reservation;
+  END IF;
+
+  IF NOT (v_reservation.status = 'pending' AND v_reservation.expires_at > NOW()) THEN
+    IF v_reservation.code_id IS NOT NULL THEN
+      SELECT max_redemptions INTO v_max_redemptions FROM event_codes WHERE id = v_reservation.code_id;
+      IF v_max_redemptions IS NOT NULL AND event_code_redemptions(v_reservation.code_id) >= v_max_redemptions THEN
+        RAISE EXCEPTION 'Code has reached its usage limit' USING ERRCODE = 'ECODE';
+      END IF;
+    END IF;
+
+    SELECT quota INTO v_quota FROM ticket_types WHERE id = v_reservation.ticket_type_id;
+    SELECT COUNT(*) + held_seats(v_reservation.event_id, v_reservation.ticket_type_id) INTO v_count
+    FROM rsvps
+    WHERE ticket_type_id = v_reservation.ticket_type_id;
+
+    IF v_quota IS NULL OR v_count >= v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+
+    SELECT COUNT(*) + held_seats(v_reservation.event_id) INTO v_count
+    FROM rsvps
+    WHERE event_id = v_reservation.event_id;
+
+    IF v_count >= v_capacity THEN
+      RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id, code_id)
+  VALUES (v_reservation.user_id, v_reservation.event_id, v_reservation.ticket_type_id, v_reservation.code_id);
+
+  UPDATE reservations
+  SET status = 'paid', paid_at = NOW()
+  WHERE id = p_reservation_id
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,19 @@
+-- Event end time and time zone
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS end_date TIMESTAMPTZ;
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS time_zone TEXT NOT NULL DEFAULT 'UTC';
+
+-- Existing events get a two hour duration
+UPDATE events
+SET end_date = date + INTERVAL '2 hours'
+WHERE end_date IS NULL;
+
+ALTER TABLE events
+DROP CONSTRAINT IF EXISTS events_end_after_start_check;
+
+ALTER TABLE events
+ADD CONSTRAINT events_end_after_start_check CHECK (end_date IS NULL OR end_date > date);
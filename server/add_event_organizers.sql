@@ -0,0 +1,23 @@
+-- Co-organizers: the creator adds other users to an event with a role
+--   editor   - edits the event, its tickets, codes and agenda, and checks attendees in
+--   check_in - checks attendees in at the door
+--   viewer   - sees attendee data (registrations and their answers)
+-- Deleting, restoring and managing co-organizers stay with the creator.
+-- Run this in Supabase SQL Editor (after add_check_in.sql)
+
+CREATE TABLE IF NOT EXISTS event_organizers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('editor', 'check_in', 'viewer')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_organizers_user ON event_organizers(user_id);
+
+DROP TRIGGER IF EXISTS update_event_organizers_updated_at ON event_organizers;
+CREATE TRIGGER update_event_organizers_updated_at BEFORE UPDATE ON event_organizers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
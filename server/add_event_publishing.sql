@@ -0,0 +1,64 @@
+-- Draft and scheduled publishing: an event is only seen by its organizers until it is
+-- published (published_at is set). publish_at schedules an unpublished event; the server's
+-- scheduler (server/jobs/publishScheduled.js) publishes it once that time has passed.
+-- Events that already exist count as published.
+-- Run this in Supabase SQL Editor (after add_event_visibility.sql)
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_events_publish_at ON events(publish_at) WHERE published_at IS NULL AND publish_at IS NOT NULL;
+
+-- Search only lists published events.
+-- One page of upcoming events matching every term, most relevant first.
+-- Terms are prefix-matched (tech -> technology); titles within trigram distance of the
+-- whole query also match, so small typos still find the event.
+-- Non-alphanumeric characters are stripped from terms before building the tsquery.
+-- p_location must have LIKE wildcards escaped by the caller.
+CREATE OR REPLACE FUNCTION search_events(
+  p_terms TEXT[],
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_location TEXT DEFAULT NULL,
+  p_creator_id UUID DEFAULT NULL,
+  p_has_seats BOOLEAN DEFAULT FALSE,
+  p_cursor_rank REAL DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (id UUID, search_rank REAL) AS $$
+  WITH search_query AS (
+    SELECT
+      to_tsquery('english', string_agg(clean_term || ':*', ' & ')) AS tsq,
+      string_agg(clean_term, ' ') AS text
+    FROM (
+      SELECT regexp_replace(term, '[^[:alnum:]]', '', 'g') AS clean_term
+      FROM unnest(p_terms) AS term
+    ) terms
+    WHERE clean_term <> ''
+  ),
+  ranked AS (
+    SELECT
+      e.id,
+      (ts_rank(e.search_vector, q.tsq) + 0.5 * word_similarity(q.text, e.title))::REAL AS search_rank
+    FROM events e, search_query q
+    WHERE (e.search_vector @@ q.tsq OR word_similarity(q.text, e.title) > 0.4)
+      AND e.status = 'active'
+      AND e.deleted_at IS NULL
+      AND e.visibility = 'public'
+      AND e.published_at IS NOT NULL
+      AND e.date >= p_from
+      AND (p_to IS NULL OR e.date < p_to)
+      AND (p_location IS NULL OR e.location ILIKE '%' || p_location || '%')
+      AND (p_creator_id IS NULL OR e.creator_id = p_creator_id)
+      AND (NOT p_has_seats OR e.seats_left > 0)
+  )
+  SELECT ranked.id, ranked.search_rank
+  FROM ranked
+  WHERE p_cursor_id IS NULL OR (ranked.search_rank, ranked.id) < (p_cursor_rank, p_cursor_id)
+  ORDER BY ranked.search_rank DESC, ranked.id DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,16 @@
+-- Recurring event series
+-- Run this in Supabase SQL Editor
+
+-- Each occurrence is a row in events with series_id set
+CREATE TABLE IF NOT EXISTS event_series (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  creator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rrule TEXT NOT NULL,
+  exceptions DATE[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES event_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_events_series ON events(series_id, date) WHERE series_id IS NOT NULL;
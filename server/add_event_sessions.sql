@@ -0,0 +1,86 @@
+-- Multi-session agendas with per-session RSVP
+-- Run this in Supabase SQL Editor
+
+-- Agenda sessions of an event, each with its own time slot and optional capacity
+CREATE TABLE IF NOT EXISTS event_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  room TEXT DEFAULT '',
+  speaker TEXT DEFAULT '',
+  capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS session_rsvps (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(session_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_sessions_event ON event_sessions(event_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_session_rsvps_user ON session_rsvps(user_id);
+
+DROP TRIGGER IF EXISTS update_event_sessions_updated_at ON event_sessions;
+CREATE TRIGGER update_event_sessions_updated_at BEFORE UPDATE ON event_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Atomic session RSVP: overlap check, capacity check and insert in one transaction.
+-- Locks the session row like rsvp_to_event() locks the event. Raises:
+--   P0002 - session does not exist
+--   EOVLP - user already attends a session at an overlapping time
+--   EFULL - session is at full capacity
+--   23505 - user already RSVP'd (unique constraint on session_rsvps)
+CREATE OR REPLACE FUNCTION rsvp_to_session(p_session_id UUID, p_user_id UUID)
+RETURNS session_rsvps AS $$
+DECLARE
+  v_session event_sessions;
+  v_conflict TEXT;
+  v_attendee_count INTEGER;
+  v_rsvp session_rsvps;
+BEGIN
+  SELECT * INTO v_session
+  FROM event_sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT s.title INTO v_conflict
+  FROM session_rsvps r
+  JOIN event_sessions s ON s.id = r.session_id
+  WHERE r.user_id = p_user_id
+    AND s.id <> p_session_id
+    AND s.starts_at < v_session.ends_at
+    AND s.ends_at > v_session.starts_at
+  LIMIT 1;
+
+  IF v_conflict IS NOT NULL THEN
+    RAISE EXCEPTION 'Overlaps with session "%"', v_conflict USING ERRCODE = 'EOVLP';
+  END IF;
+
+  IF v_session.capacity IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_attendee_count
+    FROM session_rsvps
+    WHERE session_id = p_session_id;
+
+    IF v_attendee_count >= v_session.capacity THEN
+      RAISE EXCEPTION 'Session is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  INSERT INTO session_rsvps (session_id, user_id)
+  VALUES (p_session_id, p_user_id)
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,35 @@
+-- Attendee counters on events, used to sort and paginate GET /api/events
+-- Run this in Supabase SQL Editor
+
+-- attendees_count is maintained by a trigger on rsvps; seats_left is derived from it
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS attendees_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS seats_left INTEGER GENERATED ALWAYS AS (capacity - attendees_count) STORED;
+
+-- Backfill counts for existing events
+UPDATE events
+SET attendees_count = (SELECT COUNT(*) FROM rsvps WHERE rsvps.event_id = events.id);
+
+CREATE OR REPLACE FUNCTION update_event_attendees_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE events SET attendees_count = attendees_count + 1 WHERE id = NEW.event_id;
+  ELSIF TG_OP = 'DELETE' THEN
+    UPDATE events SET attendees_count = attendees_count - 1 WHERE id = OLD.event_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_event_attendees_count ON rsvps;
+CREATE TRIGGER update_event_attendees_count AFTER INSERT OR DELETE ON rsvps
+    FOR EACH ROW EXECUTE FUNCTION update_event_attendees_count();
+
+-- Keyset pagination indexes (sort column + id tiebreaker)
+CREATE INDEX IF NOT EXISTS idx_events_date_id ON events(date, id);
+CREATE INDEX IF NOT EXISTS idx_events_created_at_id ON events(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_events_attendees_count_id ON events(attendees_count, id);
+CREATE INDEX IF NOT EXISTS idx_events_seats_left_id ON events(seats_left, id);
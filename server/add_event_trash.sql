@@ -0,0 +1,56 @@
+-- Trash for deleted events (soft delete, restorable for 30 days)
+-- Run this in Supabase SQL Editor (after add_event_cancellation.sql)
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_events_deleted_at ON events(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Search skips events in the trash.
+-- One page of upcoming events matching every term, most relevant first.
+-- Terms are prefix-matched (tech -> technology); titles within trigram distance of the
+-- whole query also match, so small typos still find the event.
+-- Non-alphanumeric characters are stripped from terms before building the tsquery.
+-- p_location must have LIKE wildcards escaped by the caller.
+CREATE OR REPLACE FUNCTION search_events(
+  p_terms TEXT[],
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_location TEXT DEFAULT NULL,
+  p_creator_id UUID DEFAULT NULL,
+  p_has_seats BOOLEAN DEFAULT FALSE,
+  p_cursor_rank REAL DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (id UUID, search_rank REAL) AS $$
+  WITH search_query AS (
+    SELECT
+      to_tsquery('english', string_agg(clean_term || ':*', ' & ')) AS tsq,
+      string_agg(clean_term, ' ') AS text
+    FROM (
+      SELECT regexp_replace(term, '[^[:alnum:]]', '', 'g') AS clean_term
+      FROM unnest(p_terms) AS term
+    ) terms
+    WHERE clean_term <> ''
+  ),
+  ranked AS (
+    SELECT
+      e.id,
+      (ts_rank(e.search_vector, q.tsq) + 0.5 * word_similarity(q.text, e.title))::REAL AS search_rank
+    FROM events e, search_query q
+    WHERE (e.search_vector @@ q.tsq OR word_similarity(q.text, e.title) > 0.4)
+      AND e.status = 'active'
+      AND e.deleted_at IS NULL
+      AND e.date >= p_from
+      AND (p_to IS NULL OR e.date < p_to)
+      AND (p_location IS NULL OR e.location ILIKE '%' || p_location || '%')
+      AND (p_creator_id IS NULL OR e.creator_id = p_creator_id)
+      AND (NOT p_has_seats OR e.seats_left > 0)
+  )
+  SELECT ranked.id, ranked.search_rank
+  FROM ranked
+  WHERE p_cursor_id IS NULL OR (ranked.search_rank, ranked.id) < (p_cursor_rank, p_cursor_id)
+  ORDER BY ranked.search_rank DESC, ranked.id DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,84 @@
+-- Event visibility: public events are listed and open to all; unlisted ones are only
+-- reachable through their share link; invite-only ones need a per-invitee invitation to
+-- view and RSVP. Share links and invite tokens are signed by the server (utils/eventAccess.js):
+-- bumping share_version retires an event's share link, and deleting an invitation
+-- retires its token.
+-- Run this in Supabase SQL Editor (after add_organizations.sql)
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public'
+  CHECK (visibility IN ('public', 'unlisted', 'invite_only'));
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS share_version INTEGER NOT NULL DEFAULT 0;
+
+-- Invitations to invite-only events, by email. user_id is set when someone RSVPs with the
+-- invitation's token; from then on it is theirs alone
+CREATE TABLE IF NOT EXISTS event_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_invitations_user ON event_invitations(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_event_invitations_email ON event_invitations(email);
+
+DROP TRIGGER IF EXISTS update_event_invitations_updated_at ON event_invitations;
+CREATE TRIGGER update_event_invitations_updated_at BEFORE UPDATE ON event_invitations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Search only lists public events.
+-- One page of upcoming events matching every term, most relevant first.
+-- Terms are prefix-matched (tech -> technology); titles within trigram distance of the
+-- whole query also match, so small typos still find the event.
+-- Non-alphanumeric characters are stripped from terms before building the tsquery.
+-- p_location must have LIKE wildcards escaped by the caller.
+CREATE OR REPLACE FUNCTION search_events(
+  p_terms TEXT[],
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_location TEXT DEFAULT NULL,
+  p_creator_id UUID DEFAULT NULL,
+  p_has_seats BOOLEAN DEFAULT FALSE,
+  p_cursor_rank REAL DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (id UUID, search_rank REAL) AS $$
+  WITH search_query AS (
+    SELECT
+      to_tsquery('english', string_agg(clean_term || ':*', ' & ')) AS tsq,
+      string_agg(clean_term, ' ') AS text
+    FROM (
+      SELECT regexp_replace(term, '[^[:alnum:]]', '', 'g') AS clean_term
+      FROM unnest(p_terms) AS term
+    ) terms
+    WHERE clean_term <> ''
+  ),
+  ranked AS (
+    SELECT
+      e.id,
+      (ts_rank(e.search_vector, q.tsq) + 0.5 * word_similarity(q.text, e.title))::REAL AS search_rank
+    FROM events e, search_query q
+    WHERE (e.search_vector @@ q.tsq OR word_similarity(q.text, e.title) > 0.4)
+      AND e.status = 'active'
+      AND e.deleted_at IS NULL
+      AND e.visibility = 'public'
+      AND e.date >= p_from
+      AND (p_to IS NULL OR e.date < p_to)
+      AND (p_location IS NULL OR e.location ILIKE '%' || p_location || '%')
+      AND (p_creator_id IS NULL OR e.creator_id = p_creator_id)
+      AND (NOT p_has_seats OR e.seats_left > 0)
+  )
+  SELECT ranked.id, ranked.search_rank
+  FROM ranked
+  WHERE p_cursor_id IS NULL OR (ranked.search_rank, ranked.id) < (p_cursor_rank, p_cursor_id)
+  ORDER BY ranked.search_rank DESC, ranked.id DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
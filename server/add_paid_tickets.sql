@@ -0,0 +1,289 @@
+-- Paid tickets: prices, checkout reservations that hold a seat, and payment confirmation
+-- Run this in Supabase SQL Editor (after add_ticket_types.sql)
+
+ALTER TABLE ticket_types
+ADD COLUMN IF NOT EXISTS price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd';
+
+-- Checkout reservations for paid tickets. A pending reservation holds a seat until
+-- expires_at; the payment provider's webhook turns it into an RSVP (status paid).
+CREATE TABLE IF NOT EXISTS reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE SET NULL,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'expired', 'cancelled', 'refunded')),
+  provider TEXT NOT NULL,
+  provider_payment_id TEXT UNIQUE,
+  provider_refund_id TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  paid_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One open checkout or paid ticket per user and event
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reservations_active ON reservations(event_id, user_id) WHERE status IN ('pending', 'paid');
+CREATE INDEX IF NOT EXISTS idx_reservations_holds ON reservations(event_id, expires_at) WHERE status = 'pending';
+
+-- Seats held by unexpired checkouts, for the event or (when given) one ticket type
+CREATE OR REPLACE FUNCTION held_seats(p_event_id UUID, p_ticket_type_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM reservations
+  WHERE event_id = p_event_id
+    AND status = 'pending'
+    AND expires_at > NOW()
+    AND (p_ticket_type_id IS NULL OR ticket_type_id = p_ticket_type_id);
+$$ LANGUAGE sql STABLE;
+
+DROP TRIGGER IF EXISTS update_reservations_updated_at ON reservations;
+CREATE TRIGGER update_reservations_updated_at BEFORE UPDATE ON reservations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- RSVPs and waitlist promotion count seats held by open checkouts as taken
+-- Atomic RSVP: capacity check and insert in one transaction
+-- Locks the event row so concurrent RSVPs for the same event run one at a time,
+-- then checks the ticket type's quota (when given), the event's capacity and inserts.
+-- Seats held by open checkouts count as taken. Raises:
+--   P0002 - event (or ticket type of the event) does not exist
+--   EFULL - ticket type is sold out or event is at full capacity
+--   23505 - user already RSVP'd (unique constraint on rsvps)
+CREATE OR REPLACE FUNCTION rsvp_to_event(p_event_id UUID, p_user_id UUID, p_ticket_type_id UUID DEFAULT NULL)
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_sold_count INTEGER;
+  v_attendee_count INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_ticket_type_id IS NOT NULL THEN
+    SELECT quota INTO v_quota
+    FROM ticket_types
+    WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT COUNT(*) + held_seats(p_event_id, p_ticket_type_id) INTO v_sold_count
+    FROM rsvps
+    WHERE ticket_type_id = p_ticket_type_id;
+
+    IF v_sold_count >= v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  SELECT COUNT(*) + held_seats(p_event_id) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  IF v_attendee_count >= v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id)
+  VALUES (p_user_id, p_event_id, p_ticket_type_id)
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Moves waiting users into free seats, oldest entry first, and returns the promoted user ids.
+-- Entries waiting for a sold-out or paid ticket type are skipped and keep their place
+-- (paid tickets are only handed out through checkout).
+-- Takes the same event row lock as rsvp_to_event() so promotion and new RSVPs cannot overbook.
+CREATE OR REPLACE FUNCTION promote_waitlist(p_event_id UUID)
+RETURNS SETOF UUID AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_attendee_count INTEGER;
+  v_entry waitlist_entries;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT COUNT(*) + held_seats(p_event_id) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  FOR v_entry IN
+    SELECT *
+    FROM waitlist_entries
+    WHERE event_id = p_event_id
+    ORDER BY created_at, id
+  LOOP
+    EXIT WHEN v_attendee_count >= v_capacity;
+
+    CONTINUE WHEN v_entry.ticket_type_id IS NOT NULL AND (
+      SELECT t.price_cents > 0
+        OR (SELECT COUNT(*) FROM rsvps WHERE ticket_type_id = t.id) + held_seats(p_event_id, t.id) >= t.quota
+      FROM ticket_types t
+      WHERE t.id = v_entry.ticket_type_id
+    );
+
+    DELETE FROM waitlist_entries WHERE id = v_entry.id;
+
+    INSERT INTO rsvps (user_id, event_id, ticket_type_id)
+    VALUES (v_entry.user_id, p_event_id, v_entry.ticket_type_id)
+    ON CONFLICT (user_id, event_id) DO NOTHING;
+
+    IF FOUND THEN
+      v_attendee_count := v_attendee_count + 1;
+      RETURN NEXT v_entry.user_id;
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Starts a checkout: holds a seat of a paid ticket type for p_hold_minutes. Runs under the
+-- event row lock like rsvp_to_event(), and expires the user's own stale checkouts first. Raises:
+--   P0002 - event or ticket type of the event does not exist
+--   EFULL - ticket type is sold out or event is at full capacity
+--   23505 - user already RSVP'd, or has an open checkout (idx_reservations_active)
+CREATE OR REPLACE FUNCTION reserve_ticket(p_event_id UUID, p_user_id UUID, p_ticket_type_id UUID, p_provider TEXT, p_hold_minutes INTEGER)
+RETURNS reservations AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_type ticket_types;
+  v_sold_count INTEGER;
+  v_attendee_count INTEGER;
+  v_reservation reservations;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT * INTO v_type
+  FROM ticket_types
+  WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE reservations
+  SET status = 'expired'
+  WHERE event_id = p_event_id AND user_id = p_user_id AND status = 'pending' AND expires_at <= NOW();
+
+  IF EXISTS (SELECT 1 FROM rsvps WHERE event_id = p_event_id AND user_id = p_user_id) THEN
+    RAISE EXCEPTION 'User already RSVP''d' USING ERRCODE = '23505';
+  END IF;
+
+  SELECT COUNT(*) + held_seats(p_event_id, p_ticket_type_id) INTO v_sold_count
+  FROM rsvps
+  WHERE ticket_type_id = p_ticket_type_id;
+
+  IF v_sold_count >= v_type.quota THEN
+    RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+  END IF;
+
+  SELECT COUNT(*) + held_seats(p_event_id) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  IF v_attendee_count >= v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO reservations (event_id, user_id, ticket_type_id, amount_cents, currency, provider, expires_at)
+  VALUES (p_event_id, p_user_id, p_ticket_type_id, v_type.price_cents, v_type.currency, p_provider,
+          NOW() + make_interval(mins => p_hold_minutes))
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Turns a paid reservation into an RSVP. Replayed confirmations of paid or refunded
+-- reservations are no-ops.
+-- A checkout paid after its hold lapsed still gets a seat if one is free. Raises:
+--   P0002 - reservation does not exist
+--   EFULL - the hold lapsed and the ticket type or event filled up (the caller refunds)
+--   23505 - user already RSVP'd some other way (the caller refunds)
+CREATE OR REPLACE FUNCTION confirm_reservation(p_reservation_id UUID)
+RETURNS reservations AS $$
+DECLARE
+  v_reservation reservations;
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_count INTEGER;
+BEGIN
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reservation not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = v_reservation.event_id
+  FOR UPDATE;
+
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id
+  FOR UPDATE;
+
+  IF v_reservation.status IN ('paid', 'refunded') THEN
+    RETURN v_reservation;
+  END IF;
+
+  IF NOT (v_reservation.status = 'pending' AND v_reservation.expires_at > NOW()) THEN
+    SELECT quota INTO v_quota FROM ticket_types WHERE id = v_reservation.ticket_type_id;
+    SELECT COUNT(*) + held_seats(v_reservation.event_id, v_reservation.ticket_type_id) INTO v_count
+    FROM rsvps
+    WHERE ticket_type_id = v_reservation.ticket_type_id;
+
+    IF v_quota IS NULL OR v_count >= v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+
+    SELECT COUNT(*) + held_seats(v_reservation.event_id) INTO v_count
+    FROM rsvps
+    WHERE event_id = v_reservation.event_id;
+
+    IF v_count >= v_capacity THEN
+      RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id)
+  VALUES (v_reservation.user_id, v_reservation.event_id, v_reservation.ticket_type_id);
+
+  UPDATE reservations
+  SET status = 'paid', paid_at = NOW()
+  WHERE id = p_reservation_id
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,23 @@
+-- Registration questions: organizers ask attendees for details such as dietary requirements
+-- or T-shirt size, and answers are collected when the attendee RSVPs
+-- Run this in Supabase SQL Editor (after add_rsvp_responses.sql)
+
+-- [{ id, label, type: text | single_choice | multi_choice, options, required }]
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS registration_questions JSONB NOT NULL DEFAULT '[]';
+
+-- An attendee's answers, keyed by question id (text, option, or list of options).
+-- Saved when they RSVP, join the waitlist or start a checkout.
+CREATE TABLE IF NOT EXISTS registration_answers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  answers JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, user_id)
+);
+
+DROP TRIGGER IF EXISTS update_registration_answers_updated_at ON registration_answers;
+CREATE TRIGGER update_registration_answers_updated_at BEFORE UPDATE ON registration_answers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
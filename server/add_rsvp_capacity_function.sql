@@ -0,0 +1,39 @@
+-- Atomic RSVP with capacity enforcement
+-- Run this in Supabase SQL Editor
+
+-- Locks the event row so concurrent RSVPs for the same event run one at a time,
+-- then checks capacity and inserts. Raises:
+--   P0002 - event does not exist
+--   EFULL - event is at full capacity
+--   23505 - user already RSVP'd (unique constraint on rsvps)
+CREATE OR REPLACE FUNCTION rsvp_to_event(p_event_id UUID, p_user_id UUID)
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_attendee_count INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT COUNT(*) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  IF v_attendee_count >= v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id)
+  VALUES (p_user_id, p_event_id)
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,392 @@
+-- Plus-ones: RSVPs (and checkouts and waitlist entries) bring guests, and every seat
+-- count includes them
+-- Run this in Supabase SQL Editor (after add_event_codes.sql)
+
+-- Guests each RSVP may bring; 0 turns plus-ones off
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS max_guests INTEGER NOT NULL DEFAULT 0 CHECK (max_guests >= 0);
+
+-- Each row takes 1 + guest_count seats; guest names are optional
+ALTER TABLE rsvps
+ADD COLUMN IF NOT EXISTS guest_count INTEGER NOT NULL DEFAULT 0 CHECK (guest_count >= 0),
+ADD COLUMN IF NOT EXISTS guest_names TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE reservations
+ADD COLUMN IF NOT EXISTS guest_count INTEGER NOT NULL DEFAULT 0 CHECK (guest_count >= 0),
+ADD COLUMN IF NOT EXISTS guest_names TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE waitlist_entries
+ADD COLUMN IF NOT EXISTS guest_count INTEGER NOT NULL DEFAULT 0 CHECK (guest_count >= 0),
+ADD COLUMN IF NOT EXISTS guest_names TEXT[] NOT NULL DEFAULT '{}';
+
+-- Seats held by unexpired checkouts (the buyer and their guests), for the event or
+-- (when given) one ticket type
+CREATE OR REPLACE FUNCTION held_seats(p_event_id UUID, p_ticket_type_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+  SELECT COALESCE(SUM(1 + guest_count), 0)::INTEGER
+  FROM reservations
+  WHERE event_id = p_event_id
+    AND status = 'pending'
+    AND expires_at > NOW()
+    AND (p_ticket_type_id IS NULL OR ticket_type_id = p_ticket_type_id);
+$$ LANGUAGE sql STABLE;
+
+-- Seats taken for the event or (when given) one ticket type: attendees with their guests,
+-- plus the seats held by open checkouts
+CREATE OR REPLACE FUNCTION taken_seats(p_event_id UUID, p_ticket_type_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+  SELECT (COALESCE(SUM(1 + guest_count), 0) + held_seats(p_event_id, p_ticket_type_id))::INTEGER
+  FROM rsvps
+  WHERE event_id = p_event_id
+    AND (p_ticket_type_id IS NULL OR ticket_type_id = p_ticket_type_id);
+$$ LANGUAGE sql STABLE;
+
+-- Seats sold for a ticket type, guests included. PostgREST exposes it as the computed
+-- column ticket_types.sold_count
+CREATE OR REPLACE FUNCTION sold_count(ticket_types)
+RETURNS INTEGER AS $$
+  SELECT COALESCE(SUM(1 + guest_count), 0)::INTEGER
+  FROM rsvps
+  WHERE ticket_type_id = $1.id;
+$$ LANGUAGE sql STABLE;
+
+-- attendees_count counts guests too, and follows guest count changes
+CREATE OR REPLACE FUNCTION update_event_attendees_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE events SET attendees_count = attendees_count + 1 + NEW.guest_count WHERE id = NEW.event_id;
+  ELSIF TG_OP = 'DELETE' THEN
+    UPDATE events SET attendees_count = attendees_count - 1 - OLD.guest_count WHERE id = OLD.event_id;
+  ELSIF TG_OP = 'UPDATE' THEN
+    UPDATE events SET attendees_count = attendees_count + NEW.guest_count - OLD.guest_count WHERE id = NEW.event_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_event_attendees_count ON rsvps;
+CREATE TRIGGER update_event_attendees_count AFTER INSERT OR DELETE OR UPDATE OF guest_count ON rsvps
+    FOR EACH ROW EXECUTE FUNCTION update_event_attendees_count();
+
+-- rsvp_to_event() and reserve_ticket() take guests, get_event_attendees() returns them;
+-- drop the old signatures
+DROP FUNCTION IF EXISTS rsvp_to_event(UUID, UUID, UUID, UUID);
+DROP FUNCTION IF EXISTS reserve_ticket(UUID, UUID, UUID, TEXT, INTEGER, UUID, INTEGER);
+DROP FUNCTION IF EXISTS get_event_attendees(UUID[]);
+
+-- Atomic RSVP: capacity check and insert in one transaction
+-- Locks the event row so concurrent RSVPs for the same event run one at a time,
+-- then checks the code (when given), the ticket type's quota (when given), the event's
+-- capacity and inserts. The attendee and each guest take a seat; seats held by open
+-- checkouts count as taken. Raises:
+--   P0002 - event (or ticket type or code of the event) does not exist
+--   ECODE - code has expired or reached its usage limit
+--   EFULL - ticket type or event has too few seats left for the party
+--   23505 - user already RSVP'd (unique constraint on rsvps)
+CREATE OR REPLACE FUNCTION rsvp_to_event(
+  p_event_id UUID,
+  p_user_id UUID,
+  p_ticket_type_id UUID DEFAULT NULL,
+  p_code_id UUID DEFAULT NULL,
+  p_guest_count INTEGER DEFAULT 0,
+  p_guest_names TEXT[] DEFAULT '{}'
+)
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM check_event_code(p_event_id, p_code_id);
+
+  IF p_ticket_type_id IS NOT NULL THEN
+    SELECT quota INTO v_quota
+    FROM ticket_types
+    WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF taken_seats(p_event_id, p_ticket_type_id) + 1 + p_guest_count > v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  IF taken_seats(p_event_id) + 1 + p_guest_count > v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id, code_id, guest_count, guest_names)
+  VALUES (p_user_id, p_event_id, p_ticket_type_id, p_code_id, p_guest_count, p_guest_names)
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Changes the guests an RSVP brings, under the same event row lock as rsvp_to_event().
+-- Extra guests need free seats in the ticket type and the event. Raises:
+--   P0002 - user has not RSVP'd to the event
+--   EFULL - too few seats left for the extra guests
+CREATE OR REPLACE FUNCTION set_rsvp_guests(p_event_id UUID, p_user_id UUID, p_guest_count INTEGER, p_guest_names TEXT[] DEFAULT '{}')
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_extra INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  SELECT * INTO v_rsvp
+  FROM rsvps
+  WHERE event_id = p_event_id AND user_id = p_user_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RSVP not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_extra := p_guest_count - v_rsvp.guest_count;
+
+  IF v_extra > 0 THEN
+    IF v_rsvp.ticket_type_id IS NOT NULL THEN
+      SELECT quota INTO v_quota FROM ticket_types WHERE id = v_rsvp.ticket_type_id;
+
+      IF taken_seats(p_event_id, v_rsvp.ticket_type_id) + v_extra > v_quota THEN
+        RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+      END IF;
+    END IF;
+
+    IF taken_seats(p_event_id) + v_extra > v_capacity THEN
+      RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  UPDATE rsvps
+  SET guest_count = p_guest_count, guest_names = p_guest_names
+  WHERE id = v_rsvp.id
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Moves waiting users (with their guests) into free seats, oldest entry first, and returns
+-- the promoted user ids.
+-- Entries waiting for a sold-out or paid ticket type, or whose party does not fit the
+-- seats left, are skipped and keep their place (paid tickets are only handed out through checkout).
+-- Takes the same event row lock as rsvp_to_event() so promotion and new RSVPs cannot overbook.
+CREATE OR REPLACE FUNCTION promote_waitlist(p_event_id UUID)
+RETURNS SETOF UUID AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_attendee_count INTEGER;
+  v_entry waitlist_entries;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  v_attendee_count := taken_seats(p_event_id);
+
+  FOR v_entry IN
+    SELECT *
+    FROM waitlist_entries
+    WHERE event_id = p_event_id
+    ORDER BY created_at, id
+  LOOP
+    EXIT WHEN v_attendee_count >= v_capacity;
+
+    CONTINUE WHEN v_attendee_count + 1 + v_entry.guest_count > v_capacity;
+
+    CONTINUE WHEN v_entry.ticket_type_id IS NOT NULL AND (
+      SELECT t.price_cents > 0
+        OR taken_seats(p_event_id, t.id) + 1 + v_entry.guest_count > t.quota
+      FROM ticket_types t
+      WHERE t.id = v_entry.ticket_type_id
+    );
+
+    DELETE FROM waitlist_entries WHERE id = v_entry.id;
+
+    INSERT INTO rsvps (user_id, event_id, ticket_type_id, guest_count, guest_names)
+    VALUES (v_entry.user_id, p_event_id, v_entry.ticket_type_id, v_entry.guest_count, v_entry.guest_names)
+    ON CONFLICT (user_id, event_id) DO NOTHING;
+
+    IF FOUND THEN
+      v_attendee_count := v_attendee_count + 1 + v_entry.guest_count;
+      RETURN NEXT v_entry.user_id;
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Starts a checkout: holds seats of a paid ticket type for the buyer and their guests for
+-- p_hold_minutes. Runs under the event row lock like rsvp_to_event(), and expires the
+-- user's own stale checkouts first. p_amount_cents is the total after the code's discount
+-- (the type's price for every seat by default). Raises:
+--   P0002 - event, ticket type or code of the event does not exist
+--   ECODE - code has expired or reached its usage limit
+--   EFULL - ticket type or event has too few seats left for the party
+--   23505 - user already RSVP'd, or has an open checkout (idx_reservations_active)
+CREATE OR REPLACE FUNCTION reserve_ticket(
+  p_event_id UUID,
+  p_user_id UUID,
+  p_ticket_type_id UUID,
+  p_provider TEXT,
+  p_hold_minutes INTEGER,
+  p_code_id UUID DEFAULT NULL,
+  p_amount_cents INTEGER DEFAULT NULL,
+  p_guest_count INTEGER DEFAULT 0,
+  p_guest_names TEXT[] DEFAULT '{}'
+)
+RETURNS reservations AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_type ticket_types;
+  v_reservation reservations;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT * INTO v_type
+  FROM ticket_types
+  WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE reservations
+  SET status = 'expired'
+  WHERE event_id = p_event_id AND user_id = p_user_id AND status = 'pending' AND expires_at <= NOW();
+
+  IF EXISTS (SELECT 1 FROM rsvps WHERE event_id = p_event_id AND user_id = p_user_id) THEN
+    RAISE EXCEPTION 'User already RSVP''d' USING ERRCODE = '23505';
+  END IF;
+
+  PERFORM check_event_code(p_event_id, p_code_id);
+
+  IF taken_seats(p_event_id, p_ticket_type_id) + 1 + p_guest_count > v_type.quota THEN
+    RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+  END IF;
+
+  IF taken_seats(p_event_id) + 1 + p_guest_count > v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO reservations (event_id, user_id, ticket_type_id, code_id, guest_count, guest_names,
+                            amount_cents, currency, provider, expires_at)
+  VALUES (p_event_id, p_user_id, p_ticket_type_id, p_code_id, p_guest_count, p_guest_names,
+          COALESCE(p_amount_cents, v_type.price_cents * (1 + p_guest_count)),
+          v_type.currency, p_provider, NOW() + make_interval(mins => p_hold_minutes))
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Turns a paid reservation into an RSVP with its guests. Replayed confirmations of paid
+-- or refunded reservations are no-ops.
+-- A checkout paid after its hold lapsed still gets its seats if they are free. Raises:
+--   P0002 - reservation does not exist
+--   ECODE - the hold lapsed and its code was used up meanwhile (the caller refunds)
+--   EFULL - the hold lapsed and the ticket type or event filled up (the caller refunds)
+--   23505 - user already RSVP'd some other way (the caller refunds)
+CREATE OR REPLACE FUNCTION confirm_reservation(p_reservation_id UUID)
+RETURNS reservations AS $$
+DECLARE
+  v_reservation reservations;
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_max_redemptions INTEGER;
+BEGIN
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reservation not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = v_reservation.event_id
+  FOR UPDATE;
+
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id
+  FOR UPDATE;
+
+  IF v_reservation.status IN ('paid', 'refunded') THEN
+    RETURN v_reservation;
+  END IF;
+
+  IF NOT (v_reservation.status = 'pending' AND v_reservation.expires_at > NOW()) THEN
+    IF v_reservation.code_id IS NOT NULL THEN
+      SELECT max_redemptions INTO v_max_redemptions FROM event_codes WHERE id = v_reservation.code_id;
+      IF v_max_redemptions IS NOT NULL AND event_code_redemptions(v_reservation.code_id) >= v_max_redemptions THEN
+        RAISE EXCEPTION 'Code has reached its usage limit' USING ERRCODE = 'ECODE';
+      END IF;
+    END IF;
+
+    SELECT quota INTO v_quota FROM ticket_types WHERE id = v_reservation.ticket_type_id;
+
+    IF v_quota IS NULL
+      OR taken_seats(v_reservation.event_id, v_reservation.ticket_type_id) + 1 + v_reservation.guest_count > v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+
+    IF taken_seats(v_reservation.event_id) + 1 + v_reservation.guest_count > v_capacity THEN
+      RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id, code_id, guest_count, guest_names)
+  VALUES (v_reservation.user_id, v_reservation.event_id, v_reservation.ticket_type_id, v_reservation.code_id,
+          v_reservation.guest_count, v_reservation.guest_names);
+
+  UPDATE reservations
+  SET status = 'paid', paid_at = NOW()
+  WHERE id = p_reservation_id
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Returns the attendees of every given event, with their guests, in one round trip
+CREATE OR REPLACE FUNCTION get_event_attendees(p_event_ids UUID[])
+RETURNS TABLE (event_id UUID, id UUID, name TEXT, email TEXT, guest_count INTEGER, guest_names TEXT[]) AS $$
+  SELECT r.event_id, u.id, u.name, u.email, r.guest_count, r.guest_names
+  FROM rsvps r
+  JOIN users u ON u.id = r.user_id
+  WHERE r.event_id = ANY(p_event_ids)
+  ORDER BY r.created_at;
+$$ LANGUAGE sql STABLE;
+
@@ -0,0 +1,16 @@
+-- Configurable RSVP window per event
+-- Run this in Supabase SQL Editor (after add_rsvp_open_at_column.sql)
+
+-- NULL rsvp_open_at opens RSVPs straight away; NULL rsvp_close_at keeps them open until the event starts
+ALTER TABLE events
+ALTER COLUMN rsvp_open_at DROP DEFAULT;
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS rsvp_close_at TIMESTAMPTZ;
+
+ALTER TABLE events
+DROP CONSTRAINT IF EXISTS events_rsvp_window_check;
+
+ALTER TABLE events
+ADD CONSTRAINT events_rsvp_window_check
+CHECK (rsvp_close_at IS NULL OR rsvp_open_at IS NULL OR rsvp_close_at > rsvp_open_at);
@@ -0,0 +1,144 @@
+-- Ticket types with their own quotas and sale windows
+-- Run this in Supabase SQL Editor (after add_event_sessions.sql)
+
+-- Ticket types of an event (e.g. General, Student, VIP), each with its own quota and
+-- optional sale window. The event's capacity still caps the total across all types.
+CREATE TABLE IF NOT EXISTS ticket_types (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  quota INTEGER NOT NULL CHECK (quota > 0),
+  -- Sale window: NULL starts with the event's RSVPs / ends when they close
+  sales_start_at TIMESTAMPTZ,
+  sales_end_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, name),
+  CONSTRAINT ticket_types_sale_window_check CHECK (sales_end_at IS NULL OR sales_start_at IS NULL OR sales_end_at > sales_start_at)
+);
+
+ALTER TABLE rsvps
+ADD COLUMN IF NOT EXISTS ticket_type_id UUID REFERENCES ticket_types(id);
+
+ALTER TABLE waitlist_entries
+ADD COLUMN IF NOT EXISTS ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_rsvps_ticket_type ON rsvps(ticket_type_id) WHERE ticket_type_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ticket_types_event ON ticket_types(event_id);
+
+DROP TRIGGER IF EXISTS update_ticket_types_updated_at ON ticket_types;
+CREATE TRIGGER update_ticket_types_updated_at BEFORE UPDATE ON ticket_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- rsvp_to_event() gains an optional ticket type; drop the two-argument version first
+DROP FUNCTION IF EXISTS rsvp_to_event(UUID, UUID);
+
+-- Atomic RSVP: capacity check and insert in one transaction
+-- Locks the event row so concurrent RSVPs for the same event run one at a time,
+-- then checks the ticket type's quota (when given), the event's capacity and inserts. Raises:
+--   P0002 - event (or ticket type of the event) does not exist
+--   EFULL - ticket type is sold out or event is at full capacity
+--   23505 - user already RSVP'd (unique constraint on rsvps)
+CREATE OR REPLACE FUNCTION rsvp_to_event(p_event_id UUID, p_user_id UUID, p_ticket_type_id UUID DEFAULT NULL)
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_sold_count INTEGER;
+  v_attendee_count INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_ticket_type_id IS NOT NULL THEN
+    SELECT quota INTO v_quota
+    FROM ticket_types
+    WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT COUNT(*) INTO v_sold_count
+    FROM rsvps
+    WHERE ticket_type_id = p_ticket_type_id;
+
+    IF v_sold_count >= v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  SELECT COUNT(*) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  IF v_attendee_count >= v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id)
+  VALUES (p_user_id, p_event_id, p_ticket_type_id)
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Moves waiting users into free seats, oldest entry first, and returns the promoted user ids.
+-- Entries waiting for a sold-out ticket type are skipped and keep their place.
+-- Takes the same event row lock as rsvp_to_event() so promotion and new RSVPs cannot overbook.
+CREATE OR REPLACE FUNCTION promote_waitlist(p_event_id UUID)
+RETURNS SETOF UUID AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_attendee_count INTEGER;
+  v_entry waitlist_entries;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT COUNT(*) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  FOR v_entry IN
+    SELECT *
+    FROM waitlist_entries
+    WHERE event_id = p_event_id
+    ORDER BY created_at, id
+  LOOP
+    EXIT WHEN v_attendee_count >= v_capacity;
+
+    CONTINUE WHEN v_entry.ticket_type_id IS NOT NULL AND (
+      SELECT COUNT(*) FROM rsvps WHERE ticket_type_id = v_entry.ticket_type_id
+    ) >= (
+      SELECT quota FROM ticket_types WHERE id = v_entry.ticket_type_id
+    );
+
+    DELETE FROM waitlist_entries WHERE id = v_entry.id;
+
+    INSERT INTO rsvps (user_id, event_id, ticket_type_id)
+    VALUES (v_entry.user_id, p_event_id, v_entry.ticket_type_id)
+    ON CONFLICT (user_id, event_id) DO NOTHING;
+
+    IF FOUND THEN
+      v_attendee_count := v_attendee_count + 1;
+      RETURN NEXT v_entry.user_id;
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
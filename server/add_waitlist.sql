@@ -0,0 +1,69 @@
+-- Waitlist for full events, plus in-app notifications
+-- Run this in Supabase SQL Editor
+
+-- Waitlist entries (ordered by created_at)
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, event_id)
+);
+
+-- Notifications shown to users in their dashboard
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_event ON waitlist_entries(event_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at);
+
+-- Moves waiting users into free seats, oldest entry first, and returns the promoted user ids.
+-- Takes the same event row lock as rsvp_to_event() so promotion and new RSVPs cannot overbook.
+CREATE OR REPLACE FUNCTION promote_waitlist(p_event_id UUID)
+RETURNS SETOF UUID AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_attendee_count INTEGER;
+  v_entry waitlist_entries;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT COUNT(*) INTO v_attendee_count
+  FROM rsvps
+  WHERE event_id = p_event_id;
+
+  WHILE v_attendee_count < v_capacity LOOP
+    SELECT * INTO v_entry
+    FROM waitlist_entries
+    WHERE event_id = p_event_id
+    ORDER BY created_at, id
+    LIMIT 1;
+
+    EXIT WHEN NOT FOUND;
+
+    DELETE FROM waitlist_entries WHERE id = v_entry.id;
+
+    INSERT INTO rsvps (user_id, event_id)
+    VALUES (v_entry.user_id, p_event_id)
+    ON CONFLICT (user_id, event_id) DO NOTHING;
+
+    IF FOUND THEN
+      v_attendee_count := v_attendee_count + 1;
+      RETURN NEXT v_entry.user_id;
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,52 @@
+const { events, notifications } = require('../repositories');
+
+const PUBLISH_INTERVAL_MS = 60 * 1000;
+
+// Publish the events whose scheduled publish_at has passed and tell their creators (once
+// per series, whose occurrences are scheduled together). Returns the number published.
+const publishDueEvents = async (now = new Date()) => {
+  const due = await events.listScheduledBefore(now.toISOString());
+  const notifiedSeries = new Set();
+  let published = 0;
+
+  for (const event of due) {
+    // Null when it was published by hand in the meantime
+    if (!(await events.publish(event.id, now.toISOString()))) continue;
+    published++;
+
+    if (event.series_id && notifiedSeries.has(event.series_id)) continue;
+    if (event.series_id) notifiedSeries.add(event.series_id);
+
+    await notifications.create({
+      userId: event.creator_id,
+      eventId: event.id,
+      message: `"${event.title}" is now published.`
+    });
+  }
+
+  return published;
+};
+
+const runPublish = async () => {
+  try {
+    const published = await publishDueEvents();
+    if (published > 0) {
+      console.log(`📣 Published ${published} scheduled event(s)`);
+    }
+  } catch (error) {
+    console.error('Scheduled publishing error:', error);
+  }
+};
+
+// Publish once at startup, then every minute
+const schedulePublishing = () => {
+  runPublish();
+  const timer = setInterval(runPublish, PUBLISH_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  publishDueEvents,
+  schedulePublishing
+};
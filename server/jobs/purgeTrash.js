@@ -0,0 +1,52 @@
+const { events } = require('../repositories');
+const { refundEvent } = require('../utils/payments');
+const { TRASH_RETENTION_MS } = require('../utils/trash');
+const { removeUnusedUpload } = require('../utils/uploads');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Permanently delete events that have been in the trash longer than the retention
+// period, with their RSVPs (cascade) and uploaded images. Paid tickets are refunded first
+// (events trashed before deleting required cancelling them); an event whose refunds fail
+// is kept for the next run, so no payment is deleted unrefunded. Returns the number purged.
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_MS).toISOString();
+  const expired = await events.listDeletedBefore(cutoff);
+
+  let purged = 0;
+  for (const event of expired) {
+    if (await refundEvent(event, 'The event was deleted and your ticket released.') > 0) {
+      console.error(`Not purging event ${event.id}: some of its paid tickets could not be refunded`);
+      continue;
+    }
+    await events.remove(event.id);
+    await removeUnusedUpload(event.image);
+    purged += 1;
+  }
+
+  return purged;
+};
+
+const runPurge = async () => {
+  try {
+    const purged = await purgeExpiredTrash();
+    if (purged > 0) {
+      console.log(`🗑️  Purged ${purged} expired event(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+// Purge once at startup, then every hour
+const scheduleTrashPurge = () => {
+  runPurge();
+  const timer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const supabase = require('../supabaseClient');
+const { users } = require('../repositories');
 
 const auth = async (req, res, next) => {
   try {
@@ -11,14 +11,10 @@ const auth = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here_change_in_production');
     
-    // Verify user exists in Supabase
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, name, email')
-      .eq('id', decoded.userId)
-      .single();
+    // Verify user still exists
+    const user = await users.findById(decoded.userId);
 
-    if (error || !user) {
+    if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
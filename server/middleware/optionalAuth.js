@@ -0,0 +1,24 @@
+const jwt = require('jsonwebtoken');
+const { users } = require('../repositories');
+
+// Like auth, but lets anonymous requests through: sets req.user when a valid token is sent
+// and leaves it unset otherwise. For public routes that show more to signed-in users.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here_change_in_production');
+      const user = await users.findById(decoded.userId);
+
+      if (user) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // An invalid or expired token is treated as no token
+  }
+  next();
+};
+
+module.exports = optionalAuth;
@@ -1,197 +1,81 @@
-// Mock Database - In-memory data storage
-const mockUsers = [];
-const mockEvents = [];
-let userIdCounter = 1;
-let eventIdCounter = 1;
+// Seed data for the in-memory data backend (DATA_BACKEND=memory)
+// Passwords are hashed when the store is seeded; event dates are relative to startup
 
-// Helper to generate ObjectId-like strings
-const generateId = () => {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-};
-
-// Mock User operations
-const MockUser = {
-  findOne: async (query) => {
-    if (query.email) {
-      return mockUsers.find(u => u.email === query.email) || null;
-    }
-    if (query._id) {
-      return mockUsers.find(u => u._id.toString() === query._id.toString()) || null;
-    }
-    return null;
-  },
-  
-  findById: async (id) => {
-    const user = mockUsers.find(u => u._id.toString() === id.toString());
-    return user || null;
-  },
-  
-  create: async (userData) => {
-    const newUser = {
-      _id: generateId(),
-      ...userData,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    mockUsers.push(newUser);
-    return newUser;
-  }
-};
+// 5 mock users for login (same accounts as DEMO_ACCOUNTS.txt)
+const seedUsers = [
+  { name: 'Alice Demo', email: 'alice@example.com', password: 'Password1!' },
+  { name: 'Bob Demo', email: 'bob@example.com', password: 'Password2!' },
+  { name: 'Charlie Demo', email: 'charlie@example.com', password: 'Password3!' },
+  { name: 'Dave Demo', email: 'dave@example.com', password: 'Password4!' },
+  { name: 'Eve Demo', email: 'eve@example.com', password: 'Password5!' },
+];
 
-// Mock Event operations
-const MockEvent = {
-  find: async (query = {}) => {
-    let results = [...mockEvents];
-    
-    // Filter by date (upcoming events)
-    if (query.date && query.date.$gte) {
-      results = results.filter(e => new Date(e.date) >= query.date.$gte);
-    }
-    
-    // Filter by search term
-    if (query.title && query.title.$regex) {
-      const regex = new RegExp(query.title.$regex, query.title.$options || 'i');
-      results = results.filter(e => regex.test(e.title));
-    }
-    
-    // Filter by creator
-    if (query.creator) {
-      results = results.filter(e => e.creator.toString() === query.creator.toString());
-    }
-    
-    // Filter by attendees
-    if (query.attendees) {
-      results = results.filter(e => 
-        e.attendees.some(a => a.toString() === query.attendees.toString())
-      );
-    }
-    
-    return results;
-  },
-  
-  findById: async (id) => {
-    return mockEvents.find(e => e._id.toString() === id.toString()) || null;
-  },
-  
-  create: async (eventData) => {
-    const newEvent = {
-      _id: generateId(),
-      ...eventData,
-      attendees: eventData.attendees || [],
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    mockEvents.push(newEvent);
-    return newEvent;
-  },
-  
-  findByIdAndDelete: async (id) => {
-    const index = mockEvents.findIndex(e => e._id.toString() === id.toString());
-    if (index !== -1) {
-      return mockEvents.splice(index, 1)[0];
-    }
-    return null;
-  },
-  
-  updateOne: async (query, update) => {
-    const event = mockEvents.find(e => {
-      if (e._id.toString() !== query._id.toString()) return false;
-      
-      // Check attendees condition
-      if (query.attendees && query.attendees.$ne) {
-        if (e.attendees.some(a => a.toString() === query.attendees.$ne.toString())) {
-          return false;
-        }
-      }
-      
-      // Check capacity condition
-      if (query.$expr && query.$expr.$lt) {
-        const size = e.attendees.length;
-        const capacity = e.capacity;
-        if (!(size < capacity)) return false;
-      }
-      
-      return true;
-    });
-    
-    if (event && update.$addToSet) {
-      const userId = update.$addToSet.attendees;
-      if (!event.attendees.some(a => a.toString() === userId.toString())) {
-        event.attendees.push(userId);
-        event.updatedAt = new Date();
-        return { matchedCount: 1, modifiedCount: 1 };
-      }
-    }
-    
-    return { matchedCount: 0, modifiedCount: 0 };
+// Sample organization; the first member is its creator
+const seedOrganizations = [
+  {
+    name: 'Demo Tech Collective',
+    slug: 'demo-tech-collective',
+    description: 'A volunteer group running tech conferences and meetups.',
+    members: [
+      { email: 'alice@example.com', role: 'owner' },
+      { email: 'charlie@example.com', role: 'member' }
+    ]
   }
-};
+];
 
-// Initialize with sample data
-const initializeMockData = async () => {
-  const bcrypt = require('bcryptjs');
-  
-  // 5 mock users for login
-  const rawUsers = [
-    { name: 'Alice Demo', email: 'alice@example.com', password: 'Password1!' },
-    { name: 'Bob Demo', email: 'bob@example.com', password: 'Password2!' },
-    { name: 'Charlie Demo', email: 'charlie@example.com', password: 'Password3!' },
-    { name: 'Dave Demo', email: 'dave@example.com', password: 'Password4!' },
-    { name: 'Eve Demo', email: 'eve@example.com', password: 'Password5!' },
-  ];
-  
-  // Hash passwords and create users
-  for (const userData of rawUsers) {
-    const hashedPassword = await bcrypt.hash(userData.password, 10);
-    const user = {
-      _id: generateId(),
-      name: userData.name,
-      email: userData.email,
-      password: hashedPassword,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    mockUsers.push(user);
-  }
-  
-  // Create sample events
-  const sampleEvent1 = {
-    _id: generateId(),
+// Sample events, created by the first demo user
+const seedEvents = [
+  {
     title: 'Tech Conference 2024',
     description: 'Join us for an exciting tech conference featuring the latest innovations in web development, AI, and cloud computing.',
-    date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days from now
+    daysFromNow: 7,
+    durationHours: 8,
+    timeZone: 'America/New_York',
     location: 'Convention Center, Downtown',
     capacity: 100,
-    image: '',
-    creator: sampleUser._id,
-    attendees: [],
-    createdAt: new Date(),
-    updatedAt: new Date()
-  };
-  
-  const sampleEvent2 = {
-    _id: generateId(),
+    // Each attendee may bring up to two guests
+    maxGuests: 2,
+    registrationQuestions: [
+      { label: 'Dietary requirements', type: 'single_choice', options: ['None', 'Vegetarian', 'Vegan', 'Gluten-free'], required: true },
+      { label: 'T-shirt size', type: 'single_choice', options: ['S', 'M', 'L', 'XL'] },
+      { label: 'Which topics interest you most?', type: 'multi_choice', options: ['Web development', 'AI', 'Cloud'] },
+      { label: 'Anything else we should know?', type: 'text' }
+    ],
+    creatorEmail: 'alice@example.com',
+    organizationSlug: 'demo-tech-collective',
+    // Agenda: offsets are hours after the conference starts
+    sessions: [
+      { title: 'Opening Keynote', startHours: 0, durationHours: 1, room: 'Main Hall', speaker: 'Alice Demo', capacity: 100 },
+      { title: 'Scaling Node.js APIs', startHours: 1.5, durationHours: 1, room: 'Room A', speaker: 'Bob Demo', capacity: 40 },
+      { title: 'Practical AI for Web Developers', startHours: 1.5, durationHours: 1, room: 'Room B', speaker: 'Charlie Demo', capacity: 40 },
+      { title: 'Cloud Cost Clinic', startHours: 3, durationHours: 1.5, room: 'Room A', speaker: 'Dave Demo', capacity: 30 }
+    ],
+    // Student sales end a few days before the conference
+    ticketTypes: [
+      { name: 'General', description: 'Full conference access', quota: 70 },
+      { name: 'Student', description: 'Bring a valid student ID', quota: 20, salesEndDaysFromNow: 4 },
+      { name: 'VIP', description: 'Front-row seating and speaker dinner', quota: 10, priceCents: 4900 },
+      { name: 'Speaker', description: 'Reserved seats for speakers and their guests', quota: 5, hidden: true }
+    ],
+    codes: [
+      { code: 'EARLYBIRD', kind: 'discount', discountPercent: 20, ticketTypeName: 'VIP', maxRedemptions: 5, expiresDaysFromNow: 3 },
+      { code: 'SPEAKER2025', kind: 'access', ticketTypeName: 'Speaker', maxRedemptions: 5 }
+    ]
+  },
+  {
     title: 'React Workshop',
     description: 'Hands-on workshop on React.js fundamentals and advanced patterns. Perfect for developers looking to level up their skills.',
-    date: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000), // 14 days from now
+    daysFromNow: 14,
+    durationHours: 3,
+    timeZone: 'Europe/London',
     location: 'Tech Hub, Innovation District',
     capacity: 50,
-    image: '',
-    creator: sampleUser._id,
-    attendees: [],
-    createdAt: new Date(),
-    updatedAt: new Date()
-  };
-  
-  mockEvents.push(sampleEvent1, sampleEvent2);
-};
+    creatorEmail: 'alice@example.com'
+  }
+];
 
-// Export
 module.exports = {
-  MockUser,
-  MockEvent,
-  initializeMockData,
-  mockUsers,
-  mockEvents
+  seedUsers,
+  seedOrganizations,
+  seedEvents
 };
-
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Local stand-in for a hosted payment provider. Checkout URLs point at the app's own
+// checkout page, and simulatePayment() produces the signed webhook a real provider
+// would send once the customer pays, so the rest of the flow runs unchanged.
+// The default secret is only used in development and tests (see index.js).
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret';
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+const sign = (payload) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+
+const fake = {
+  name: 'fake',
+
+  createPayment: async ({ reservationId }) => ({
+    paymentId: `fake_pay_${crypto.randomUUID()}`,
+    checkoutUrl: `/checkout/${reservationId}`
+  }),
+
+  refund: async () => ({
+    refundId: `fake_re_${crypto.randomUUID()}`
+  }),
+
+  parseWebhook: (rawBody, headers) => {
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const { type, paymentId } = JSON.parse(payload);
+    return { type, paymentId };
+  },
+
+  // Webhook request the provider would send for a payment: { payload, headers }
+  simulatePayment: ({ paymentId, succeeded = true }) => {
+    const payload = JSON.stringify({
+      type: succeeded ? 'payment.succeeded' : 'payment.failed',
+      paymentId
+    });
+    return { payload, headers: { [SIGNATURE_HEADER]: sign(payload) } };
+  }
+};
+
+module.exports = fake;
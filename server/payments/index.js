@@ -0,0 +1,52 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Payment provider is chosen once at startup with PAYMENT_PROVIDER:
+//   fake - in-process provider for development and tests; payments are completed from
+//          the checkout page instead of a card form
+//
+// Only development and test runs (NODE_ENV=development or test) fall back to the fake
+// provider and a default webhook secret. Anywhere else payments are optional: without
+// PAYMENT_PROVIDER this module exports null and paid tickets are not sold (checkouts answer
+// 503), so a deployment cannot sell tickets for nothing. A provider set there also needs
+// PAYMENT_WEBHOOK_SECRET, so it never accepts webhooks signed with a published secret.
+//
+// A provider implements:
+//   name                                                      - stored on each reservation
+//   createPayment({ amountCents, currency, reservationId, description })
+//                                                             - returns { paymentId, checkoutUrl }
+//   refund({ paymentId, amountCents })                        - returns { refundId }
+//   parseWebhook(rawBody, headers)                            - verifies the signature and returns
+//                                                               { type: 'payment.succeeded' | 'payment.failed', paymentId };
+//                                                               throws when the signature is invalid
+//   simulatePayment({ paymentId, succeeded })                 - optional, local providers only: the
+//                                                               { payload, headers } of the webhook
+//                                                               for a completed payment
+const providers = {
+  fake: () => require('./fake')
+};
+
+const LOCAL_ENVIRONMENTS = ['development', 'test'];
+
+const isLocal = LOCAL_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+const loadProvider = () => {
+  if (!isLocal && !process.env.PAYMENT_PROVIDER) {
+    return null;
+  }
+
+  if (!isLocal && !process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set with PAYMENT_PROVIDER unless NODE_ENV is development or test');
+  }
+
+  const providerName = (process.env.PAYMENT_PROVIDER || 'fake').toLowerCase();
+
+  if (!providers[providerName]) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${providerName}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return providers[providerName]();
+};
+
+module.exports = loadProvider();
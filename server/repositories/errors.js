@@ -0,0 +1,12 @@
+// Error codes shared by every data backend.
+// Supabase surfaces these as Postgres SQLSTATEs; the in-memory store throws the same codes.
+module.exports = {
+  UNIQUE_VIOLATION: '23505',
+  NOT_FOUND: 'P0002',
+  // Raised by rsvp_to_event() / rsvp_to_session() when there are no seats left
+  EVENT_FULL: 'EFULL',
+  // Raised by rsvp_to_session() when the user is already in a session at that time
+  SESSION_OVERLAP: 'EOVLP',
+  // Raised by rsvp_to_event() / reserve_ticket() when a code has expired or is used up
+  CODE_UNAVAILABLE: 'ECODE'
+};
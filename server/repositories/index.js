@@ -0,0 +1,22 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Data backend is chosen once at startup with DATA_BACKEND:
+//   supabase (default) - hosted Postgres through supabase-js
+//   memory             - in-process store seeded from mockData.js, no network required
+const backends = {
+  supabase: () => require('./supabase'),
+  memory: () => require('./memory')
+};
+
+const backend = (process.env.DATA_BACKEND || 'supabase').toLowerCase();
+
+if (!backends[backend]) {
+  throw new Error(`Unknown DATA_BACKEND "${backend}". Use one of: ${Object.keys(backends).join(', ')}`);
+}
+
+module.exports = {
+  backend,
+  ...backends[backend]()
+};
@@ -0,0 +1,82 @@
+const { tables, generateId, now, uniqueViolation } = require('./store');
+const { countRedemptions } = require('./redemptions');
+
+// Adds the redemption counter the Supabase view computes
+const withRedemptions = (code) => ({
+  ...code,
+  redemption_count: countRedemptions(code.id)
+});
+
+const assertUnique = (eventId, code, id = null) => {
+  if (tables.event_codes.some(c => c.id !== id && c.event_id === eventId && c.code === code)) {
+    throw uniqueViolation('duplicate key value violates unique constraint "event_codes_event_id_code_key"');
+  }
+};
+
+const codes = {
+  // Codes of an event, newest first
+  listForEvent: async (eventId) => {
+    return tables.event_codes
+      .filter(c => c.event_id === eventId)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(withRedemptions);
+  },
+
+  findById: async (id) => {
+    const code = tables.event_codes.find(c => c.id === id);
+    return code ? withRedemptions(code) : null;
+  },
+
+  // Codes are stored upper case, so lookups are case-insensitive
+  findByCode: async (eventId, code) => {
+    const eventCode = tables.event_codes.find(c => c.event_id === eventId && c.code === code.toUpperCase());
+    return eventCode ? withRedemptions(eventCode) : null;
+  },
+
+  create: async (data) => {
+    const code = data.code.toUpperCase();
+    assertUnique(data.event_id, code);
+    const createdAt = now();
+    const eventCode = {
+      id: generateId(),
+      ticket_type_id: null,
+      discount_percent: null,
+      max_redemptions: null,
+      expires_at: null,
+      ...data,
+      code,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.event_codes.push(eventCode);
+    return withRedemptions(eventCode);
+  },
+
+  update: async (id, data) => {
+    const eventCode = tables.event_codes.find(c => c.id === id);
+    if (!eventCode) {
+      throw new Error('Code not found');
+    }
+    const changes = data.code ? { ...data, code: data.code.toUpperCase() } : data;
+    if (changes.code) {
+      assertUnique(eventCode.event_id, changes.code, id);
+    }
+    Object.assign(eventCode, changes, { updated_at: now() });
+    return withRedemptions(eventCode);
+  },
+
+  // Tickets taken with the code keep their seat, like ON DELETE SET NULL
+  remove: async (id) => {
+    const index = tables.event_codes.findIndex(c => c.id === id);
+    if (index !== -1) {
+      tables.event_codes.splice(index, 1);
+    }
+    for (const row of [...tables.rsvps, ...tables.reservations]) {
+      if (row.code_id === id) {
+        row.code_id = null;
+      }
+    }
+  }
+};
+
+module.exports = codes;
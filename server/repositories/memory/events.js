@@ -0,0 +1,282 @@
+const { tables, generateId, now } = require('./store');
+const { isGoing, sumSeats } = require('./seats');
+
+const toOrganizationSummary = ({ id, name, slug }) => ({ id, name, slug });
+
+// Adds the creator (without their email, as events are public), the organization it is
+// published under, and the attendee counters the Supabase events table keeps up to date
+const withCreator = (event) => {
+  const creator = tables.users.find(u => u.id === event.creator_id);
+  const organization = event.organization_id && tables.organizations.find(o => o.id === event.organization_id);
+  const attendeesCount = sumSeats(tables.rsvps.filter(r => r.event_id === event.id && isGoing(r)));
+  return {
+    ...event,
+    attendees_count: attendeesCount,
+    seats_left: event.capacity - attendeesCount,
+    creator: creator ? { id: creator.id, name: creator.name } : null,
+    organization: organization ? toOrganizationSummary(organization) : null
+  };
+};
+
+// Field weights for search ranking: title > location > description (like search_vector in SQL)
+const SEARCH_WEIGHTS = { title: 1, location: 0.4, description: 0.1 };
+
+const wordsOf = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// True when a and b differ by at most one insertion, deletion or substitution
+const withinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+// Word, or its start, is one typo away from the term
+const isNearMatch = (word, term) => (
+  [word, word.slice(0, term.length), word.slice(0, term.length + 1)].some(candidate => withinOneEdit(candidate, term))
+);
+
+// Relevance of an event for the search terms, 0 when some term does not match.
+// Terms match word prefixes; terms of 4+ letters also match words one typo away, at half weight.
+const searchRank = (event, terms) => {
+  let rank = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(SEARCH_WEIGHTS)) {
+      const words = wordsOf(event[field]);
+      if (words.some(word => word.startsWith(term))) {
+        best = Math.max(best, weight);
+      } else if (term.length >= 4 && words.some(word => isNearMatch(word, term))) {
+        best = Math.max(best, weight / 2);
+      }
+    }
+    if (best === 0) return 0;
+    rank += best;
+  }
+  return rank;
+};
+
+const byDateAscending = (a, b) => new Date(a.date) - new Date(b.date);
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Orders by the sort column, then id, both in the sort's direction
+const compareBy = ({ column, ascending }) => (a, b) => {
+  const result = compareValues(a[column], b[column]) || compareValues(a.id, b.id);
+  return ascending ? result : -result;
+};
+
+// Column defaults of the events table
+const newEventRow = (data, createdAt) => ({
+  id: generateId(),
+  image: '',
+  max_guests: 0,
+  registration_questions: [],
+  end_date: null,
+  time_zone: 'UTC',
+  rsvp_open_at: null,
+  rsvp_close_at: null,
+  status: 'active',
+  cancellation_reason: null,
+  cancelled_at: null,
+  deleted_at: null,
+  series_id: null,
+  organization_id: null,
+  visibility: 'public',
+  share_version: 0,
+  published_at: createdAt,
+  publish_at: null,
+  ...data,
+  created_at: createdAt,
+  updated_at: createdAt
+});
+
+const events = {
+  // One page of upcoming, published, non-cancelled public events matching the filters (see utils/filters.js),
+  // in the given sort order, starting after the cursor
+  listUpcoming: async ({ search, filters, sort, cursor, limit }) => {
+    const { from, to, location, creatorId, hasSeats } = filters;
+    const fromTime = new Date(from).getTime();
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    let results = tables.events.filter(e => !e.deleted_at).filter(e => {
+      const time = new Date(e.date).getTime();
+      return time >= fromTime && time < toTime;
+    });
+
+    if (location) {
+      results = results.filter(e => e.location.toLowerCase().includes(location.toLowerCase()));
+    }
+
+    if (creatorId) {
+      results = results.filter(e => e.creator_id === creatorId);
+    }
+
+    results = results.filter(e => e.status === 'active' && e.visibility === 'public' && e.published_at);
+
+    // Ranked search over title, location and description (search is a list of terms)
+    if (search && search.length > 0) {
+      results = results
+        .map(e => ({ ...e, search_rank: searchRank(e, search) }))
+        .filter(e => e.search_rank > 0);
+    }
+
+    results = results.map(withCreator);
+
+    if (hasSeats) {
+      results = results.filter(e => e.seats_left > 0);
+    }
+
+    const compare = compareBy(sort);
+    results.sort(compare);
+
+    if (cursor) {
+      const cursorRow = { [sort.column]: cursor.value, id: cursor.id };
+      results = results.filter(e => compare(e, cursorRow) > 0);
+    }
+
+    return results.slice(0, limit);
+  },
+
+  // upcomingOnly keeps events that have not ended yet, so tickets stay at hand while one runs
+  listByIds: async (ids, { upcomingOnly = false } = {}) => {
+    const nowTime = Date.now();
+    return tables.events
+      .filter(e => ids.includes(e.id) && !e.deleted_at)
+      .filter(e => !upcomingOnly || new Date(e.end_date || e.date).getTime() >= nowTime)
+      .sort(byDateAscending)
+      .map(withCreator);
+  },
+
+  // personalOnly leaves out events published under an organization
+  listByCreator: async (creatorId, { personalOnly = false } = {}) => {
+    return tables.events
+      .filter(e => e.creator_id === creatorId && !e.deleted_at)
+      .filter(e => !personalOnly || !e.organization_id)
+      .sort(byDateAscending)
+      .map(withCreator);
+  },
+
+  // Events published under an organization; upcomingOnly keeps those that have not ended
+  listByOrganization: async (organizationId, { upcomingOnly = false } = {}) => {
+    const nowTime = Date.now();
+    return tables.events
+      .filter(e => e.organization_id === organizationId && !e.deleted_at)
+      .filter(e => !upcomingOnly || new Date(e.end_date || e.date).getTime() >= nowTime)
+      .sort(byDateAscending)
+      .map(withCreator);
+  },
+
+  // Soft-deleted events by the creator or published under any of the organizations, most
+  // recently deleted first
+  listTrash: async (creatorId, organizationIds = []) => {
+    return tables.events
+      .filter(e => e.deleted_at && (e.creator_id === creatorId || organizationIds.includes(e.organization_id)))
+      .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at))
+      .map(withCreator);
+  },
+
+  // Soft-deleted events deleted before the cutoff (ISO date), for purging
+  listDeletedBefore: async (cutoff) => {
+    return tables.events
+      .filter(e => e.deleted_at && e.deleted_at < cutoff)
+      .map(e => ({ ...e }));
+  },
+
+  // Unpublished events scheduled to be published at or before the cutoff (ISO date)
+  listScheduledBefore: async (cutoff) => {
+    return tables.events
+      .filter(e => !e.deleted_at && !e.published_at && e.publish_at && e.publish_at <= cutoff)
+      .map(e => ({ ...e }));
+  },
+
+  // Soft-deleted events are only found with includeDeleted
+  findById: async (id, { includeDeleted = false } = {}) => {
+    const event = tables.events.find(e => e.id === id && (includeDeleted || !e.deleted_at));
+    return event ? withCreator(event) : null;
+  },
+
+  create: async (data) => {
+    const event = newEventRow(data, now());
+    tables.events.push(event);
+    return { ...event };
+  },
+
+  // Inserts every occurrence of a new series and returns them in date order
+  createOccurrences: async (rows) => {
+    const createdAt = now();
+    const created = rows.map(data => newEventRow(data, createdAt));
+    tables.events.push(...created);
+    return created.sort(byDateAscending).map(event => ({ ...event }));
+  },
+
+  // Occurrences of a series starting at or after from (ISO date), in date order
+  listSeriesFrom: async (seriesId, from) => {
+    return tables.events
+      .filter(e => e.series_id === seriesId && !e.deleted_at && e.date >= from)
+      .sort(byDateAscending)
+      .map(withCreator);
+  },
+
+  // Events using an uploaded image, trashed ones included (they can still be restored)
+  countWithImage: async (image) => {
+    return tables.events.filter(e => e.image === image).length;
+  },
+
+  update: async (id, data) => {
+    const event = tables.events.find(e => e.id === id);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    Object.assign(event, data, { updated_at: now() });
+    return withCreator(event);
+  },
+
+  // Publishes the event and clears its schedule. Returns null when it is already published,
+  // so an event scheduled and published by hand at the same time is only published once
+  publish: async (id, publishedAt = now()) => {
+    const event = tables.events.find(e => e.id === id && !e.published_at);
+    if (!event) return null;
+    Object.assign(event, { published_at: publishedAt, publish_at: null, updated_at: now() });
+    return withCreator(event);
+  },
+
+  // Permanent delete (soft deletes set deleted_at through update).
+  // Rows referencing the event are removed with it, like ON DELETE CASCADE
+  remove: async (id) => {
+    const index = tables.events.findIndex(e => e.id === id);
+    if (index !== -1) {
+      tables.events.splice(index, 1);
+    }
+    for (const table of [tables.rsvps, tables.waitlist_entries, tables.notifications, tables.event_sessions, tables.ticket_types, tables.reservations, tables.event_codes, tables.registration_answers, tables.event_organizers, tables.event_invitations]) {
+      for (let i = table.length - 1; i >= 0; i--) {
+        if (table[i].event_id === id) {
+          table.splice(i, 1);
+        }
+      }
+    }
+    const sessionIds = new Set(tables.event_sessions.map(s => s.id));
+    for (let i = tables.session_rsvps.length - 1; i >= 0; i--) {
+      if (!sessionIds.has(tables.session_rsvps[i].session_id)) {
+        tables.session_rsvps.splice(i, 1);
+      }
+    }
+  }
+};
+
+module.exports = events;
@@ -0,0 +1,20 @@
+const store = require('./store');
+
+module.exports = {
+  users: require('./users'),
+  events: require('./events'),
+  organizers: require('./organizers'),
+  organizations: require('./organizations'),
+  invitations: require('./invitations'),
+  series: require('./series'),
+  sessions: require('./sessions'),
+  ticketTypes: require('./ticketTypes'),
+  reservations: require('./reservations'),
+  codes: require('./codes'),
+  rsvps: require('./rsvps'),
+  registrationAnswers: require('./registrationAnswers'),
+  waitlist: require('./waitlist'),
+  notifications: require('./notifications'),
+  healthCheck: async () => ({ message: 'Server is running with in-memory data' }),
+  reset: store.reset
+};
@@ -0,0 +1,77 @@
+const { tables, generateId, now, toPublicUser } = require('./store');
+
+const withUser = (invitation) => {
+  const user = invitation.user_id && tables.users.find(u => u.id === invitation.user_id);
+  return { ...invitation, user: user ? toPublicUser(user) : null };
+};
+
+// Invitations to invite-only events, by email; user_id is whoever RSVP'd with one
+const invitations = {
+  findById: async (id) => {
+    const invitation = tables.event_invitations.find(i => i.id === id);
+    return invitation ? { ...invitation } : null;
+  },
+
+  // The user's invitation to the event: the one they used, or one sent to their email
+  findForUser: async (eventId, { id, email }) => {
+    const address = email.toLowerCase();
+    const invitation = tables.event_invitations.find(i => i.event_id === eventId && i.user_id === id) ||
+      tables.event_invitations.find(i => i.event_id === eventId && i.email === address && !i.user_id);
+    return invitation ? { ...invitation } : null;
+  },
+
+  // Invitations of an event in the order they were sent, with the user who accepted each
+  listForEvent: async (eventId) => {
+    return tables.event_invitations
+      .filter(i => i.event_id === eventId)
+      .map(withUser);
+  },
+
+  // Invites each email (lowercased) once; emails already invited are skipped.
+  // Returns the new invitations
+  addMany: async ({ eventId, emails, invitedBy }) => {
+    const createdAt = now();
+    const added = [];
+    for (const email of emails) {
+      const address = email.toLowerCase();
+      if (tables.event_invitations.some(i => i.event_id === eventId && i.email === address)) {
+        continue;
+      }
+      const invitation = {
+        id: generateId(),
+        event_id: eventId,
+        email: address,
+        invited_by: invitedBy,
+        user_id: null,
+        accepted_at: null,
+        created_at: createdAt,
+        updated_at: createdAt
+      };
+      tables.event_invitations.push(invitation);
+      added.push(withUser(invitation));
+    }
+    return added;
+  },
+
+  // Ties the invitation to the user the first time they use it. Returns null when someone
+  // else already has, so each invitation admits one person
+  claim: async (id, userId) => {
+    const invitation = tables.event_invitations.find(i => i.id === id);
+    if (!invitation || (invitation.user_id && invitation.user_id !== userId)) {
+      return null;
+    }
+    if (!invitation.user_id) {
+      Object.assign(invitation, { user_id: userId, accepted_at: now(), updated_at: now() });
+    }
+    return { ...invitation };
+  },
+
+  remove: async (id) => {
+    const index = tables.event_invitations.findIndex(i => i.id === id);
+    if (index !== -1) {
+      tables.event_invitations.splice(index, 1);
+    }
+  }
+};
+
+module.exports = invitations;
@@ -0,0 +1,33 @@
+const { tables, generateId, now } = require('./store');
+
+const notifications = {
+  create: async ({ userId, eventId, message }) => {
+    const notification = {
+      id: generateId(),
+      user_id: userId,
+      event_id: eventId,
+      message,
+      read_at: null,
+      created_at: now()
+    };
+    tables.notifications.push(notification);
+    return { ...notification };
+  },
+
+  // Newest first
+  listUnread: async (userId) => {
+    return tables.notifications
+      .filter(n => n.user_id === userId && !n.read_at)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .map(n => ({ ...n }));
+  },
+
+  markRead: async (id, userId) => {
+    const notification = tables.notifications.find(n => n.id === id && n.user_id === userId);
+    if (!notification) return null;
+    notification.read_at = notification.read_at || now();
+    return { ...notification };
+  }
+};
+
+module.exports = notifications;
@@ -0,0 +1,142 @@
+const { tables, generateId, now, toPublicUser, uniqueViolation } = require('./store');
+
+const slugTaken = (slug, exceptId) => tables.organizations.some(o => o.slug === slug && o.id !== exceptId);
+
+const slugViolation = () => uniqueViolation('duplicate key value violates unique constraint "organizations_slug_key"');
+
+// Organizations that publish events as a group, and their members with a role (owner, admin, member)
+const organizations = {
+  findById: async (id) => {
+    const organization = tables.organizations.find(o => o.id === id);
+    return organization ? { ...organization } : null;
+  },
+
+  findBySlug: async (slug) => {
+    const organization = tables.organizations.find(o => o.slug === slug);
+    return organization ? { ...organization } : null;
+  },
+
+  // Organizations the user belongs to, by name, each with their role
+  listForUser: async (userId) => {
+    return tables.organization_members
+      .filter(m => m.user_id === userId)
+      .map(m => [m, tables.organizations.find(o => o.id === m.organization_id)])
+      .filter(([, organization]) => organization)
+      .map(([m, organization]) => ({ ...organization, role: m.role }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Creates the organization with its creator as the first owner
+  create: async ({ name, slug, description, createdBy }) => {
+    if (slugTaken(slug)) {
+      throw slugViolation();
+    }
+    const createdAt = now();
+    const organization = {
+      id: generateId(),
+      name,
+      slug,
+      description,
+      created_by: createdBy,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.organizations.push(organization);
+    tables.organization_members.push({
+      id: generateId(),
+      organization_id: organization.id,
+      user_id: createdBy,
+      role: 'owner',
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+    return { ...organization };
+  },
+
+  update: async (id, data) => {
+    const organization = tables.organizations.find(o => o.id === id);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+    if (data.slug && slugTaken(data.slug, id)) {
+      throw slugViolation();
+    }
+    Object.assign(organization, data, { updated_at: now() });
+    return { ...organization };
+  },
+
+  // Members go with the organization; its events become their creators' personal events
+  remove: async (id) => {
+    tables.events.forEach(e => {
+      if (e.organization_id === id) e.organization_id = null;
+    });
+    for (let i = tables.organization_members.length - 1; i >= 0; i--) {
+      if (tables.organization_members[i].organization_id === id) {
+        tables.organization_members.splice(i, 1);
+      }
+    }
+    const index = tables.organizations.findIndex(o => o.id === id);
+    if (index !== -1) {
+      tables.organizations.splice(index, 1);
+    }
+  },
+
+  findMemberById: async (id) => {
+    const member = tables.organization_members.find(m => m.id === id);
+    return member ? { ...member } : null;
+  },
+
+  // The user's role in the organization, or null when they are not a member
+  findMemberRole: async (organizationId, userId) => {
+    const member = tables.organization_members.find(m => m.organization_id === organizationId && m.user_id === userId);
+    return member ? member.role : null;
+  },
+
+  // Members in the order they joined, with their user
+  listMembers: async (organizationId) => {
+    return tables.organization_members
+      .filter(m => m.organization_id === organizationId)
+      .map(m => [m, tables.users.find(u => u.id === m.user_id)])
+      .filter(([, user]) => user)
+      .map(([m, user]) => ({ ...m, user: toPublicUser(user) }));
+  },
+
+  countOwners: async (organizationId) => {
+    return tables.organization_members.filter(m => m.organization_id === organizationId && m.role === 'owner').length;
+  },
+
+  addMember: async ({ organizationId, userId, role }) => {
+    if (tables.organization_members.some(m => m.organization_id === organizationId && m.user_id === userId)) {
+      throw uniqueViolation('duplicate key value violates unique constraint "organization_members_organization_id_user_id_key"');
+    }
+    const createdAt = now();
+    const member = {
+      id: generateId(),
+      organization_id: organizationId,
+      user_id: userId,
+      role,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.organization_members.push(member);
+    return { ...member };
+  },
+
+  updateMemberRole: async (id, role) => {
+    const member = tables.organization_members.find(m => m.id === id);
+    if (!member) {
+      throw new Error('Member not found');
+    }
+    Object.assign(member, { role, updated_at: now() });
+    return { ...member };
+  },
+
+  removeMember: async (id) => {
+    const index = tables.organization_members.findIndex(m => m.id === id);
+    if (index !== -1) {
+      tables.organization_members.splice(index, 1);
+    }
+  }
+};
+
+module.exports = organizations;
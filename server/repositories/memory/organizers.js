@@ -0,0 +1,67 @@
+const { tables, generateId, now, toPublicUser, uniqueViolation } = require('./store');
+
+// Co-organizers of events: users the creator added with a role (editor, check_in, viewer)
+const organizers = {
+  findById: async (id) => {
+    const organizer = tables.event_organizers.find(o => o.id === id);
+    return organizer ? { ...organizer } : null;
+  },
+
+  // The user's role on the event, or null when they do not co-organize it
+  findRole: async (eventId, userId) => {
+    const organizer = tables.event_organizers.find(o => o.event_id === eventId && o.user_id === userId);
+    return organizer ? organizer.role : null;
+  },
+
+  // Co-organizers of an event, in the order they were added, with their user
+  listForEvent: async (eventId) => {
+    return tables.event_organizers
+      .filter(o => o.event_id === eventId)
+      .map(o => [o, tables.users.find(u => u.id === o.user_id)])
+      .filter(([, user]) => user)
+      .map(([o, user]) => ({ ...o, user: toPublicUser(user) }));
+  },
+
+  // Events the user co-organizes: [{ event_id, role }]
+  listForUser: async (userId) => {
+    return tables.event_organizers
+      .filter(o => o.user_id === userId)
+      .map(o => ({ event_id: o.event_id, role: o.role }));
+  },
+
+  add: async ({ eventId, userId, role, invitedBy }) => {
+    if (tables.event_organizers.some(o => o.event_id === eventId && o.user_id === userId)) {
+      throw uniqueViolation('duplicate key value violates unique constraint "event_organizers_event_id_user_id_key"');
+    }
+    const createdAt = now();
+    const organizer = {
+      id: generateId(),
+      event_id: eventId,
+      user_id: userId,
+      role,
+      invited_by: invitedBy,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.event_organizers.push(organizer);
+    return { ...organizer };
+  },
+
+  updateRole: async (id, role) => {
+    const organizer = tables.event_organizers.find(o => o.id === id);
+    if (!organizer) {
+      throw new Error('Organizer not found');
+    }
+    Object.assign(organizer, { role, updated_at: now() });
+    return { ...organizer };
+  },
+
+  remove: async (id) => {
+    const index = tables.event_organizers.findIndex(o => o.id === id);
+    if (index !== -1) {
+      tables.event_organizers.splice(index, 1);
+    }
+  }
+};
+
+module.exports = organizers;
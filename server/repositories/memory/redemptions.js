@@ -0,0 +1,34 @@
+const { tables, dataError } = require('./store');
+const errorCodes = require('../errors');
+
+// Tickets held with a code, including seats held by open checkouts.
+// Mirrors event_code_redemptions() in SQL.
+const countRedemptions = (codeId) => {
+  const currentTime = new Date().toISOString();
+  return tables.rsvps.filter(r => r.code_id === codeId).length +
+    tables.reservations.filter(r =>
+      r.code_id === codeId && r.status === 'pending' && r.expires_at > currentTime
+    ).length;
+};
+
+// Throws unless the event's code can still be redeemed (mirrors check_event_code() in SQL)
+const assertCodeAvailable = (eventId, codeId) => {
+  if (!codeId) {
+    return;
+  }
+  const code = tables.event_codes.find(c => c.id === codeId && c.event_id === eventId);
+  if (!code) {
+    throw dataError(errorCodes.NOT_FOUND, 'Code not found');
+  }
+  if (code.expires_at && code.expires_at <= new Date().toISOString()) {
+    throw dataError(errorCodes.CODE_UNAVAILABLE, 'Code has expired');
+  }
+  if (code.max_redemptions && countRedemptions(codeId) >= code.max_redemptions) {
+    throw dataError(errorCodes.CODE_UNAVAILABLE, 'Code has reached its usage limit');
+  }
+};
+
+module.exports = {
+  countRedemptions,
+  assertCodeAvailable
+};
@@ -0,0 +1,48 @@
+const { tables, generateId, now, toPublicUser } = require('./store');
+
+const registrationAnswers = {
+  // Saves the user's answers for the event, replacing earlier ones
+  save: async ({ eventId, userId, answers }) => {
+    const existing = tables.registration_answers.find(a => a.event_id === eventId && a.user_id === userId);
+
+    if (existing) {
+      Object.assign(existing, { answers, updated_at: now() });
+      return { ...existing };
+    }
+
+    const createdAt = now();
+    const row = {
+      id: generateId(),
+      event_id: eventId,
+      user_id: userId,
+      answers,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.registration_answers.push(row);
+    return { ...row };
+  },
+
+  findByUserAndEvent: async (userId, eventId) => {
+    const row = tables.registration_answers.find(a => a.event_id === eventId && a.user_id === userId);
+    return row ? { ...row } : null;
+  },
+
+  // Everyone's answers for the event, oldest first, with the user who gave them
+  listForEvent: async (eventId) => {
+    return tables.registration_answers
+      .filter(a => a.event_id === eventId)
+      .map(a => [a, tables.users.find(u => u.id === a.user_id)])
+      .filter(([, user]) => user)
+      .map(([a, user]) => ({ ...a, user: toPublicUser(user) }));
+  },
+
+  remove: async (eventId, userId) => {
+    const index = tables.registration_answers.findIndex(a => a.event_id === eventId && a.user_id === userId);
+    if (index !== -1) {
+      tables.registration_answers.splice(index, 1);
+    }
+  }
+};
+
+module.exports = registrationAnswers;
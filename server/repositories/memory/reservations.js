@@ -0,0 +1,158 @@
+const { tables, generateId, now, dataError, uniqueViolation } = require('./store');
+const { isGoing, countTakenSeats, saveGoingRsvp } = require('./seats');
+const { assertCodeAvailable } = require('./redemptions');
+const errorCodes = require('../errors');
+
+const MINUTE_MS = 60 * 1000;
+
+const isOpenHold = (reservation) => (
+  reservation.status === 'pending' && reservation.expires_at > new Date().toISOString()
+);
+
+// Throws EFULL when the ticket type or event has too few free seats for the party
+// (holds count as taken)
+const assertSeatsFree = (eventId, ticketTypeId, seats) => {
+  const event = tables.events.find(e => e.id === eventId);
+  const ticketType = tables.ticket_types.find(t => t.id === ticketTypeId);
+
+  if (!ticketType || countTakenSeats(eventId, ticketTypeId) + seats > ticketType.quota) {
+    throw dataError(errorCodes.EVENT_FULL, 'Ticket type is sold out');
+  }
+
+  if (countTakenSeats(eventId) + seats > event.capacity) {
+    throw dataError(errorCodes.EVENT_FULL, 'Event is at full capacity');
+  }
+};
+
+const reservations = {
+  // Holds seats of a paid ticket type for the buyer and their guests, expiring the user's
+  // stale checkouts first. amountCents is the total after a code's discount (the type's
+  // price for every seat by default). Runs in one synchronous step (mirrors reserve_ticket() in SQL).
+  reserve: async ({ eventId, userId, ticketTypeId, provider, holdMinutes, codeId = null, amountCents = null, guestCount = 0, guestNames = [] }) => {
+    const event = tables.events.find(e => e.id === eventId);
+    if (!event) {
+      throw dataError(errorCodes.NOT_FOUND, 'Event not found');
+    }
+    const ticketType = tables.ticket_types.find(t => t.id === ticketTypeId && t.event_id === eventId);
+    if (!ticketType) {
+      throw dataError(errorCodes.NOT_FOUND, 'Ticket type not found');
+    }
+
+    const own = tables.reservations.filter(r => r.event_id === eventId && r.user_id === userId);
+    own.filter(r => r.status === 'pending' && !isOpenHold(r)).forEach(r => {
+      r.status = 'expired';
+      r.updated_at = now();
+    });
+
+    if (tables.rsvps.some(r => r.user_id === userId && r.event_id === eventId && isGoing(r))) {
+      throw uniqueViolation('User already RSVP\'d');
+    }
+    if (own.some(r => r.status === 'pending' || r.status === 'paid')) {
+      throw uniqueViolation('duplicate key value violates unique constraint "idx_reservations_active"');
+    }
+
+    assertCodeAvailable(eventId, codeId);
+    assertSeatsFree(eventId, ticketTypeId, 1 + guestCount);
+
+    const createdAt = now();
+    const reservation = {
+      id: generateId(),
+      event_id: eventId,
+      user_id: userId,
+      ticket_type_id: ticketTypeId,
+      code_id: codeId,
+      guest_count: guestCount,
+      guest_names: guestNames,
+      amount_cents: amountCents === null ? ticketType.price_cents * (1 + guestCount) : amountCents,
+      currency: ticketType.currency,
+      status: 'pending',
+      provider,
+      provider_payment_id: null,
+      provider_refund_id: null,
+      expires_at: new Date(Date.now() + holdMinutes * MINUTE_MS).toISOString(),
+      paid_at: null,
+      refunded_at: null,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.reservations.push(reservation);
+    return { ...reservation };
+  },
+
+  // Turns a paid reservation into a going RSVP with its guests (replacing a maybe or not
+  // going answer); replays for paid or refunded
+  // reservations are no-ops. A lapsed hold still gets its seats if they are free (mirrors
+  // confirm_reservation() in SQL).
+  confirm: async (id) => {
+    const reservation = tables.reservations.find(r => r.id === id);
+    if (!reservation) {
+      throw dataError(errorCodes.NOT_FOUND, 'Reservation not found');
+    }
+    if (['paid', 'refunded'].includes(reservation.status)) {
+      return { ...reservation };
+    }
+
+    if (!isOpenHold(reservation)) {
+      if (reservation.code_id) {
+        assertCodeAvailable(reservation.event_id, reservation.code_id);
+      }
+      assertSeatsFree(reservation.event_id, reservation.ticket_type_id, 1 + reservation.guest_count);
+    }
+    const rsvp = saveGoingRsvp({
+      user_id: reservation.user_id,
+      event_id: reservation.event_id,
+      ticket_type_id: reservation.ticket_type_id,
+      code_id: reservation.code_id,
+      guest_count: reservation.guest_count,
+      guest_names: reservation.guest_names
+    });
+    if (!rsvp) {
+      throw uniqueViolation('duplicate key value violates unique constraint "rsvps_user_id_event_id_key"');
+    }
+    Object.assign(reservation, { status: 'paid', paid_at: now(), updated_at: now() });
+    return { ...reservation };
+  },
+
+  findById: async (id) => {
+    const reservation = tables.reservations.find(r => r.id === id);
+    return reservation ? { ...reservation } : null;
+  },
+
+  findByPaymentId: async (paymentId) => {
+    const reservation = tables.reservations.find(r => r.provider_payment_id === paymentId);
+    return reservation ? { ...reservation } : null;
+  },
+
+  // The user's checkout for the event that still holds a seat, if any
+  findPendingForUser: async (eventId, userId) => {
+    const reservation = tables.reservations.find(r =>
+      r.event_id === eventId && r.user_id === userId && isOpenHold(r)
+    );
+    return reservation ? { ...reservation } : null;
+  },
+
+  // The user's paid ticket for the event, if any
+  findPaidForUser: async (eventId, userId) => {
+    const reservation = tables.reservations.find(r =>
+      r.event_id === eventId && r.user_id === userId && r.status === 'paid'
+    );
+    return reservation ? { ...reservation } : null;
+  },
+
+  listPaidForEvent: async (eventId) => {
+    return tables.reservations
+      .filter(r => r.event_id === eventId && r.status === 'paid')
+      .map(r => ({ ...r }));
+  },
+
+  update: async (id, data) => {
+    const reservation = tables.reservations.find(r => r.id === id);
+    if (!reservation) {
+      throw new Error('Reservation not found');
+    }
+    Object.assign(reservation, data, { updated_at: now() });
+    return { ...reservation };
+  }
+};
+
+module.exports = reservations;
@@ -0,0 +1,182 @@
+const { tables, generateId, now, toPublicUser, dataError, uniqueViolation } = require('./store');
+const { isGoing, sumSeats, countTakenSeats, saveGoingRsvp } = require('./seats');
+const { assertCodeAvailable } = require('./redemptions');
+const errorCodes = require('../errors');
+
+// An attendee as listed on an event: the user with the guests they bring
+const toAttendee = (rsvp, user) => ({
+  ...toPublicUser(user),
+  listed: Boolean(user.show_in_attendee_lists),
+  guest_count: rsvp.guest_count || 0,
+  guest_names: rsvp.guest_names || []
+});
+
+// A going attendee as listed at check-in: checked_in_at is null until they arrive
+const toCheckIn = (rsvp, user) => ({
+  ...toAttendee(rsvp, user),
+  rsvp_id: rsvp.id,
+  checked_in_at: rsvp.checked_in_at || null
+});
+
+const rsvps = {
+  findById: async (id) => {
+    const rsvp = tables.rsvps.find(r => r.id === id);
+    return rsvp ? { ...rsvp } : null;
+  },
+
+  findByUserAndEvent: async (userId, eventId) => {
+    const rsvp = tables.rsvps.find(r => r.user_id === userId && r.event_id === eventId);
+    return rsvp ? { ...rsvp } : null;
+  },
+
+  // Seats taken by the event's going attendees and their guests
+  countForEvent: async (eventId) => {
+    return sumSeats(tables.rsvps.filter(r => r.event_id === eventId && isGoing(r)));
+  },
+
+  // How many people answered each response: { going, maybe, not_going }
+  countResponses: async (eventId) => {
+    const counts = { going: 0, maybe: 0, not_going: 0 };
+    tables.rsvps
+      .filter(r => r.event_id === eventId)
+      .forEach(r => {
+        counts[r.response]++;
+      });
+    return counts;
+  },
+
+  // Going attendees
+  listAttendees: async (eventId) => {
+    return tables.rsvps
+      .filter(r => r.event_id === eventId && isGoing(r))
+      .map(r => [r, tables.users.find(u => u.id === r.user_id)])
+      .filter(([, user]) => user)
+      .map(([r, user]) => toAttendee(r, user));
+  },
+
+  // Attendees for many events at once: { [eventId]: [attendee, ...] }
+  listAttendeesForEvents: async (eventIds) => {
+    const attendeesByEvent = {};
+    eventIds.forEach(id => {
+      attendeesByEvent[id] = [];
+    });
+
+    for (const rsvp of tables.rsvps) {
+      if (!attendeesByEvent[rsvp.event_id] || !isGoing(rsvp)) continue;
+      const user = tables.users.find(u => u.id === rsvp.user_id);
+      if (user) {
+        attendeesByEvent[rsvp.event_id].push(toAttendee(rsvp, user));
+      }
+    }
+
+    return attendeesByEvent;
+  },
+
+  // Going attendees with their check-in time
+  listCheckIns: async (eventId) => {
+    return tables.rsvps
+      .filter(r => r.event_id === eventId && isGoing(r))
+      .map(r => [r, tables.users.find(u => u.id === r.user_id)])
+      .filter(([, user]) => user)
+      .map(([r, user]) => toCheckIn(r, user));
+  },
+
+  // The user's answer for every event they responded to:
+  // [{ id, event_id, response, checked_in_at }]
+  listResponsesForUser: async (userId) => {
+    return tables.rsvps
+      .filter(r => r.user_id === userId)
+      .map(r => ({ id: r.id, event_id: r.event_id, response: r.response, checked_in_at: r.checked_in_at || null }));
+  },
+
+  // Code, quota and capacity checks and the insert run in one synchronous step, so concurrent
+  // requests cannot interleave between them (mirrors rsvp_to_event() in SQL).
+  // The attendee and each guest take a seat; seats held by open checkouts count as taken.
+  // A maybe or not going answer becomes going.
+  createWithinCapacity: async ({ userId, eventId, ticketTypeId = null, codeId = null, guestCount = 0, guestNames = [] }) => {
+    const event = tables.events.find(e => e.id === eventId);
+    if (!event) {
+      throw dataError(errorCodes.NOT_FOUND, 'Event not found');
+    }
+    if (tables.rsvps.some(r => r.user_id === userId && r.event_id === eventId && isGoing(r))) {
+      throw uniqueViolation('duplicate key value violates unique constraint "rsvps_user_id_event_id_key"');
+    }
+    assertCodeAvailable(eventId, codeId);
+    if (ticketTypeId) {
+      const ticketType = tables.ticket_types.find(t => t.id === ticketTypeId && t.event_id === eventId);
+      if (!ticketType) {
+        throw dataError(errorCodes.NOT_FOUND, 'Ticket type not found');
+      }
+      if (countTakenSeats(eventId, ticketTypeId) + 1 + guestCount > ticketType.quota) {
+        throw dataError(errorCodes.EVENT_FULL, 'Ticket type is sold out');
+      }
+    }
+    if (countTakenSeats(eventId) + 1 + guestCount > event.capacity) {
+      throw dataError(errorCodes.EVENT_FULL, 'Event is at full capacity');
+    }
+    return saveGoingRsvp({
+      user_id: userId,
+      event_id: eventId,
+      ticket_type_id: ticketTypeId,
+      code_id: codeId,
+      guest_count: guestCount,
+      guest_names: guestNames
+    });
+  },
+
+  // Records a maybe or not going answer, replacing any earlier one. Takes no seats, so it
+  // keeps no ticket type, code, guests or check-in.
+  respond: async ({ userId, eventId, response }) => {
+    const fields = { response, ticket_type_id: null, code_id: null, guest_count: 0, guest_names: [], checked_in_at: null };
+    const existing = tables.rsvps.find(r => r.user_id === userId && r.event_id === eventId);
+
+    if (existing) {
+      Object.assign(existing, fields);
+      return { ...existing };
+    }
+
+    const rsvp = { id: generateId(), user_id: userId, event_id: eventId, ...fields, created_at: now() };
+    tables.rsvps.push(rsvp);
+    return { ...rsvp };
+  },
+
+  // Changes the guests the user brings; extra guests need free seats in the ticket type
+  // and the event. Runs in one synchronous step (mirrors set_rsvp_guests() in SQL).
+  updateGuests: async ({ userId, eventId, guestCount, guestNames = [] }) => {
+    const rsvp = tables.rsvps.find(r => r.user_id === userId && r.event_id === eventId && isGoing(r));
+    if (!rsvp) {
+      throw dataError(errorCodes.NOT_FOUND, 'RSVP not found');
+    }
+    const extra = guestCount - (rsvp.guest_count || 0);
+    if (extra > 0) {
+      const event = tables.events.find(e => e.id === eventId);
+      const ticketType = rsvp.ticket_type_id && tables.ticket_types.find(t => t.id === rsvp.ticket_type_id);
+      if (ticketType && countTakenSeats(eventId, ticketType.id) + extra > ticketType.quota) {
+        throw dataError(errorCodes.EVENT_FULL, 'Ticket type is sold out');
+      }
+      if (countTakenSeats(eventId) + extra > event.capacity) {
+        throw dataError(errorCodes.EVENT_FULL, 'Event is at full capacity');
+      }
+    }
+    Object.assign(rsvp, { guest_count: guestCount, guest_names: guestNames });
+    return { ...rsvp };
+  },
+
+  // Marks a going attendee present. Returns null when they are already checked in (or no
+  // longer going), so a ticket is only ever let in once.
+  checkIn: async (id) => {
+    const rsvp = tables.rsvps.find(r => r.id === id && isGoing(r) && !r.checked_in_at);
+    if (!rsvp) return null;
+    rsvp.checked_in_at = now();
+    return { ...rsvp };
+  },
+
+  remove: async (id) => {
+    const index = tables.rsvps.findIndex(r => r.id === id);
+    if (index !== -1) {
+      tables.rsvps.splice(index, 1);
+    }
+  }
+};
+
+module.exports = rsvps;
@@ -0,0 +1,56 @@
+const { tables, generateId, now } = require('./store');
+
+// Only going RSVPs take seats; maybe and not going just record the answer
+const isGoing = (rsvp) => rsvp.response === 'going';
+
+// Seats a party takes: the attendee (or buyer) and each of their guests
+const partySize = (row) => 1 + (row.guest_count || 0);
+
+const sumSeats = (rows) => rows.reduce((total, row) => total + partySize(row), 0);
+
+// Seats held by unexpired checkouts, for the event or (when given) one ticket type.
+// Mirrors held_seats() in SQL.
+const countHeldSeats = (eventId, ticketTypeId = null) => {
+  const currentTime = new Date().toISOString();
+  return sumSeats(tables.reservations.filter(r =>
+    r.event_id === eventId &&
+    r.status === 'pending' &&
+    r.expires_at > currentTime &&
+    (!ticketTypeId || r.ticket_type_id === ticketTypeId)
+  ));
+};
+
+// Seats taken for the event or (when given) one ticket type: going attendees with their
+// guests, plus seats held by open checkouts. Mirrors taken_seats() in SQL.
+const countTakenSeats = (eventId, ticketTypeId = null) => {
+  const attending = tables.rsvps.filter(r =>
+    r.event_id === eventId && isGoing(r) && (!ticketTypeId || r.ticket_type_id === ticketTypeId)
+  );
+  return sumSeats(attending) + countHeldSeats(eventId, ticketTypeId);
+};
+
+// Records the user as going: inserts their RSVP, or turns their maybe / not going answer
+// into going. Returns null when they are already going (like the rsvps upserts in SQL).
+const saveGoingRsvp = ({ user_id, event_id, ticket_type_id = null, code_id = null, guest_count = 0, guest_names = [] }) => {
+  const fields = { response: 'going', ticket_type_id, code_id, guest_count, guest_names };
+  const existing = tables.rsvps.find(r => r.user_id === user_id && r.event_id === event_id);
+
+  if (existing) {
+    if (isGoing(existing)) return null;
+    Object.assign(existing, fields);
+    return { ...existing };
+  }
+
+  const rsvp = { id: generateId(), user_id, event_id, ...fields, created_at: now() };
+  tables.rsvps.push(rsvp);
+  return { ...rsvp };
+};
+
+module.exports = {
+  isGoing,
+  partySize,
+  sumSeats,
+  countHeldSeats,
+  countTakenSeats,
+  saveGoingRsvp
+};
@@ -0,0 +1,22 @@
+const { tables, generateId, now } = require('./store');
+
+const series = {
+  create: async ({ creatorId, rrule, exceptions }) => {
+    const row = {
+      id: generateId(),
+      creator_id: creatorId,
+      rrule,
+      exceptions,
+      created_at: now()
+    };
+    tables.event_series.push(row);
+    return { ...row };
+  },
+
+  findById: async (id) => {
+    const row = tables.event_series.find(s => s.id === id);
+    return row ? { ...row } : null;
+  }
+};
+
+module.exports = series;
@@ -0,0 +1,125 @@
+const { tables, generateId, now, dataError, uniqueViolation } = require('./store');
+const errorCodes = require('../errors');
+
+const rsvpsFor = (sessionId) => tables.session_rsvps.filter(r => r.session_id === sessionId);
+
+// Adds the attendee counter the Supabase query computes
+const withCounts = (session) => ({
+  ...session,
+  attendees_count: rsvpsFor(session.id).length
+});
+
+const byStart = (a, b) => new Date(a.starts_at) - new Date(b.starts_at);
+
+const sessions = {
+  // Agenda of an event, in time order
+  listForEvent: async (eventId) => {
+    return tables.event_sessions
+      .filter(s => s.event_id === eventId)
+      .sort(byStart)
+      .map(withCounts);
+  },
+
+  findById: async (id) => {
+    const session = tables.event_sessions.find(s => s.id === id);
+    return session ? withCounts(session) : null;
+  },
+
+  create: async (data) => {
+    const createdAt = now();
+    const session = {
+      id: generateId(),
+      room: '',
+      speaker: '',
+      capacity: null,
+      ...data,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.event_sessions.push(session);
+    return withCounts(session);
+  },
+
+  update: async (id, data) => {
+    const session = tables.event_sessions.find(s => s.id === id);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    Object.assign(session, data, { updated_at: now() });
+    return withCounts(session);
+  },
+
+  // Session RSVPs are removed with it, like ON DELETE CASCADE
+  remove: async (id) => {
+    const index = tables.event_sessions.findIndex(s => s.id === id);
+    if (index !== -1) {
+      tables.event_sessions.splice(index, 1);
+    }
+    for (let i = tables.session_rsvps.length - 1; i >= 0; i--) {
+      if (tables.session_rsvps[i].session_id === id) {
+        tables.session_rsvps.splice(i, 1);
+      }
+    }
+  },
+
+  // Ids of the event's sessions the user has RSVP'd to
+  listSessionIdsForUser: async (eventId, userId) => {
+    const sessionIds = tables.event_sessions.filter(s => s.event_id === eventId).map(s => s.id);
+    return tables.session_rsvps
+      .filter(r => r.user_id === userId && sessionIds.includes(r.session_id))
+      .map(r => r.session_id);
+  },
+
+  // Overlap, capacity check and insert in one synchronous step (mirrors rsvp_to_session() in SQL)
+  rsvp: async ({ sessionId, userId }) => {
+    const session = tables.event_sessions.find(s => s.id === sessionId);
+    if (!session) {
+      throw dataError(errorCodes.NOT_FOUND, 'Session not found');
+    }
+    if (rsvpsFor(sessionId).some(r => r.user_id === userId)) {
+      throw uniqueViolation('duplicate key value violates unique constraint "session_rsvps_session_id_user_id_key"');
+    }
+
+    const conflict = tables.session_rsvps
+      .filter(r => r.user_id === userId)
+      .map(r => tables.event_sessions.find(s => s.id === r.session_id))
+      .find(other => other && other.starts_at < session.ends_at && other.ends_at > session.starts_at);
+    if (conflict) {
+      throw dataError(errorCodes.SESSION_OVERLAP, `Overlaps with session "${conflict.title}"`);
+    }
+
+    if (session.capacity !== null && rsvpsFor(sessionId).length >= session.capacity) {
+      throw dataError(errorCodes.EVENT_FULL, 'Session is at full capacity');
+    }
+
+    const rsvp = {
+      id: generateId(),
+      session_id: sessionId,
+      user_id: userId,
+      created_at: now()
+    };
+    tables.session_rsvps.push(rsvp);
+    return { ...rsvp };
+  },
+
+  // Returns false when the user had no RSVP for the session
+  cancelRsvp: async ({ sessionId, userId }) => {
+    const index = tables.session_rsvps.findIndex(r => r.session_id === sessionId && r.user_id === userId);
+    if (index === -1) return false;
+    tables.session_rsvps.splice(index, 1);
+    return true;
+  },
+
+  // Drops the user from every session of the event (when they leave the event)
+  removeUserFromEvent: async (eventId, userId) => {
+    const sessionIds = tables.event_sessions.filter(s => s.event_id === eventId).map(s => s.id);
+    for (let i = tables.session_rsvps.length - 1; i >= 0; i--) {
+      const rsvp = tables.session_rsvps[i];
+      if (rsvp.user_id === userId && sessionIds.includes(rsvp.session_id)) {
+        tables.session_rsvps.splice(i, 1);
+      }
+    }
+  }
+};
+
+module.exports = sessions;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { seedUsers, seedOrganizations, seedEvents } = require('../../mockData');
+const errorCodes = require('../errors');
+
+// In-memory tables, shaped like the Supabase tables in supabase_setup.sql
+const tables = {
+  users: [],
+  organizations: [],
+  organization_members: [],
+  events: [],
+  event_organizers: [],
+  event_invitations: [],
+  event_series: [],
+  event_sessions: [],
+  session_rsvps: [],
+  ticket_types: [],
+  reservations: [],
+  event_codes: [],
+  rsvps: [],
+  registration_answers: [],
+  waitlist_entries: [],
+  notifications: []
+};
+
+const generateId = () => crypto.randomUUID();
+
+const now = () => new Date().toISOString();
+
+// Public user fields (never expose password_hash)
+const toPublicUser = (user) => ({ id: user.id, name: user.name, email: user.email });
+
+// Errors carry the same codes Supabase would return so routes can treat both backends the same
+const dataError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const uniqueViolation = (message) => dataError(errorCodes.UNIQUE_VIOLATION, message);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const seed = () => {
+  const usersByEmail = {};
+
+  for (const userData of seedUsers) {
+    const user = {
+      id: generateId(),
+      name: userData.name,
+      email: userData.email,
+      password_hash: bcrypt.hashSync(userData.password, 10),
+      show_in_attendee_lists: false,
+      created_at: now(),
+      updated_at: now()
+    };
+    tables.users.push(user);
+    usersByEmail[user.email] = user;
+  }
+
+  const organizationsBySlug = {};
+
+  for (const organizationData of seedOrganizations) {
+    const createdAt = now();
+    const organization = {
+      id: generateId(),
+      name: organizationData.name,
+      slug: organizationData.slug,
+      description: organizationData.description,
+      created_by: usersByEmail[organizationData.members[0].email].id,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.organizations.push(organization);
+    organizationsBySlug[organization.slug] = organization;
+
+    for (const memberData of organizationData.members) {
+      tables.organization_members.push({
+        id: generateId(),
+        organization_id: organization.id,
+        user_id: usersByEmail[memberData.email].id,
+        role: memberData.role,
+        created_at: createdAt,
+        updated_at: createdAt
+      });
+    }
+  }
+
+  for (const eventData of seedEvents) {
+    const createdAt = now();
+    const start = Date.now() + eventData.daysFromNow * DAY_MS;
+    const eventId = generateId();
+    tables.events.push({
+      id: eventId,
+      title: eventData.title,
+      description: eventData.description,
+      date: new Date(start).toISOString(),
+      end_date: new Date(start + eventData.durationHours * HOUR_MS).toISOString(),
+      time_zone: eventData.timeZone,
+      location: eventData.location,
+      capacity: eventData.capacity,
+      max_guests: eventData.maxGuests || 0,
+      registration_questions: (eventData.registrationQuestions || []).map(question => ({
+        id: generateId(),
+        options: [],
+        required: false,
+        ...question
+      })),
+      image: '',
+      creator_id: usersByEmail[eventData.creatorEmail].id,
+      // Seeded events are open for RSVP straight away
+      rsvp_open_at: null,
+      rsvp_close_at: null,
+      status: 'active',
+      cancellation_reason: null,
+      cancelled_at: null,
+      deleted_at: null,
+      series_id: null,
+      organization_id: eventData.organizationSlug ? organizationsBySlug[eventData.organizationSlug].id : null,
+      visibility: 'public',
+      share_version: 0,
+      published_at: createdAt,
+      publish_at: null,
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+
+    for (const sessionData of eventData.sessions || []) {
+      const sessionStart = start + sessionData.startHours * HOUR_MS;
+      tables.event_sessions.push({
+        id: generateId(),
+        event_id: eventId,
+        title: sessionData.title,
+        starts_at: new Date(sessionStart).toISOString(),
+        ends_at: new Date(sessionStart + sessionData.durationHours * HOUR_MS).toISOString(),
+        room: sessionData.room,
+        speaker: sessionData.speaker,
+        capacity: sessionData.capacity,
+        created_at: createdAt,
+        updated_at: createdAt
+      });
+    }
+
+    for (const typeData of eventData.ticketTypes || []) {
+      tables.ticket_types.push({
+        id: generateId(),
+        event_id: eventId,
+        name: typeData.name,
+        description: typeData.description,
+        quota: typeData.quota,
+        sales_start_at: null,
+        sales_end_at: typeData.salesEndDaysFromNow
+          ? new Date(Date.now() + typeData.salesEndDaysFromNow * DAY_MS).toISOString()
+          : null,
+        price_cents: typeData.priceCents || 0,
+        currency: 'usd',
+        hidden: Boolean(typeData.hidden),
+        created_at: createdAt,
+        updated_at: createdAt
+      });
+    }
+
+    for (const codeData of eventData.codes || []) {
+      const ticketType = tables.ticket_types.find(t => t.event_id === eventId && t.name === codeData.ticketTypeName);
+      tables.event_codes.push({
+        id: generateId(),
+        event_id: eventId,
+        ticket_type_id: ticketType ? ticketType.id : null,
+        code: codeData.code,
+        kind: codeData.kind,
+        discount_percent: codeData.discountPercent || null,
+        max_redemptions: codeData.maxRedemptions || null,
+        expires_at: codeData.expiresDaysFromNow
+          ? new Date(Date.now() + codeData.expiresDaysFromNow * DAY_MS).toISOString()
+          : null,
+        created_at: createdAt,
+        updated_at: createdAt
+      });
+    }
+  }
+};
+
+// Empty every table, optionally re-seeding (used by tests to isolate runs)
+const reset = ({ withSeed = true } = {}) => {
+  Object.values(tables).forEach(table => {
+    table.length = 0;
+  });
+  if (withSeed) {
+    seed();
+  }
+};
+
+reset({ withSeed: process.env.MEMORY_SEED !== 'false' });
+
+module.exports = {
+  tables,
+  generateId,
+  now,
+  toPublicUser,
+  dataError,
+  uniqueViolation,
+  reset
+};
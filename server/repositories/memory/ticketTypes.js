@@ -0,0 +1,92 @@
+const { tables, generateId, now, uniqueViolation } = require('./store');
+const { isGoing, sumSeats } = require('./seats');
+
+// Adds the sold counter (guests included) the Supabase query computes
+const withCounts = (ticketType) => ({
+  ...ticketType,
+  sold_count: sumSeats(tables.rsvps.filter(r => r.ticket_type_id === ticketType.id && isGoing(r)))
+});
+
+const byCreated = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+const ticketTypes = {
+  // Ticket types of an event, in the order they were added
+  listForEvent: async (eventId) => {
+    return tables.ticket_types
+      .filter(t => t.event_id === eventId)
+      .sort(byCreated)
+      .map(withCounts);
+  },
+
+  // Ticket types for many events at once: { [eventId]: [ticketType, ...] }
+  listForEvents: async (eventIds) => {
+    const typesByEvent = {};
+    eventIds.forEach(id => {
+      typesByEvent[id] = [];
+    });
+
+    tables.ticket_types
+      .filter(t => typesByEvent[t.event_id])
+      .sort(byCreated)
+      .forEach(t => {
+        typesByEvent[t.event_id].push(withCounts(t));
+      });
+
+    return typesByEvent;
+  },
+
+  findById: async (id) => {
+    const ticketType = tables.ticket_types.find(t => t.id === id);
+    return ticketType ? withCounts(ticketType) : null;
+  },
+
+  create: async (data) => {
+    if (tables.ticket_types.some(t => t.event_id === data.event_id && t.name === data.name)) {
+      throw uniqueViolation('duplicate key value violates unique constraint "ticket_types_event_id_name_key"');
+    }
+    const createdAt = now();
+    const ticketType = {
+      id: generateId(),
+      description: '',
+      sales_start_at: null,
+      sales_end_at: null,
+      price_cents: 0,
+      currency: 'usd',
+      hidden: false,
+      ...data,
+      created_at: createdAt,
+      updated_at: createdAt
+    };
+    tables.ticket_types.push(ticketType);
+    return withCounts(ticketType);
+  },
+
+  update: async (id, data) => {
+    const ticketType = tables.ticket_types.find(t => t.id === id);
+    if (!ticketType) {
+      throw new Error('Ticket type not found');
+    }
+    if (data.name && tables.ticket_types.some(t => t.id !== id && t.event_id === ticketType.event_id && t.name === data.name)) {
+      throw uniqueViolation('duplicate key value violates unique constraint "ticket_types_event_id_name_key"');
+    }
+    Object.assign(ticketType, data, { updated_at: now() });
+    return withCounts(ticketType);
+  },
+
+  // Waitlist entries and codes for the type go with it, like ON DELETE CASCADE
+  remove: async (id) => {
+    const index = tables.ticket_types.findIndex(t => t.id === id);
+    if (index !== -1) {
+      tables.ticket_types.splice(index, 1);
+    }
+    for (const table of [tables.waitlist_entries, tables.event_codes]) {
+      for (let i = table.length - 1; i >= 0; i--) {
+        if (table[i].ticket_type_id === id) {
+          table.splice(i, 1);
+        }
+      }
+    }
+  }
+};
+
+module.exports = ticketTypes;
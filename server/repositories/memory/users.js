@@ -0,0 +1,47 @@
+const { tables, generateId, now, toPublicUser, uniqueViolation } = require('./store');
+
+const users = {
+  findById: async (id) => {
+    const user = tables.users.find(u => u.id === id);
+    return user ? toPublicUser(user) : null;
+  },
+
+  // Includes password_hash - only for credential checks
+  findByEmail: async (email) => {
+    const user = tables.users.find(u => u.email === email);
+    return user ? { ...toPublicUser(user), password_hash: user.password_hash } : null;
+  },
+
+  create: async ({ name, email, password_hash }) => {
+    if (tables.users.some(u => u.email === email)) {
+      throw uniqueViolation('duplicate key value violates unique constraint "users_email_key"');
+    }
+    const user = {
+      id: generateId(),
+      name,
+      email,
+      password_hash,
+      show_in_attendee_lists: false,
+      created_at: now(),
+      updated_at: now()
+    };
+    tables.users.push(user);
+    return toPublicUser(user);
+  },
+
+  // Profile settings: { show_in_attendee_lists }
+  findPreferences: async (id) => {
+    const user = tables.users.find(u => u.id === id);
+    return user ? { show_in_attendee_lists: user.show_in_attendee_lists } : null;
+  },
+
+  updatePreferences: async (id, { show_in_attendee_lists }) => {
+    const user = tables.users.find(u => u.id === id);
+    if (!user) return null;
+    user.show_in_attendee_lists = show_in_attendee_lists;
+    user.updated_at = now();
+    return { show_in_attendee_lists: user.show_in_attendee_lists };
+  }
+};
+
+module.exports = users;
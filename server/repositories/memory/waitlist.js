@@ -0,0 +1,93 @@
+const { tables, generateId, now, uniqueViolation } = require('./store');
+const { partySize, countTakenSeats, saveGoingRsvp } = require('./seats');
+
+// Entries for one event, oldest first
+const entriesFor = (eventId) => tables.waitlist_entries.filter(w => w.event_id === eventId);
+
+const waitlist = {
+  join: async ({ userId, eventId, ticketTypeId = null, guestCount = 0, guestNames = [] }) => {
+    if (tables.waitlist_entries.some(w => w.user_id === userId && w.event_id === eventId)) {
+      throw uniqueViolation('duplicate key value violates unique constraint "waitlist_entries_user_id_event_id_key"');
+    }
+    const entry = {
+      id: generateId(),
+      user_id: userId,
+      event_id: eventId,
+      ticket_type_id: ticketTypeId,
+      guest_count: guestCount,
+      guest_names: guestNames,
+      created_at: now()
+    };
+    tables.waitlist_entries.push(entry);
+    return { ...entry };
+  },
+
+  findByUserAndEvent: async (userId, eventId) => {
+    const entry = tables.waitlist_entries.find(w => w.user_id === userId && w.event_id === eventId);
+    return entry ? { ...entry } : null;
+  },
+
+  // 1-based position, or null when the user is not waiting
+  getPosition: async (userId, eventId) => {
+    const index = entriesFor(eventId).findIndex(w => w.user_id === userId);
+    return index === -1 ? null : index + 1;
+  },
+
+  countForEvent: async (eventId) => {
+    return entriesFor(eventId).length;
+  },
+
+  // Ids of everyone waiting for the event, in join order
+  listUserIds: async (eventId) => {
+    return entriesFor(eventId).map(w => w.user_id);
+  },
+
+  remove: async (id) => {
+    const index = tables.waitlist_entries.findIndex(w => w.id === id);
+    if (index !== -1) {
+      tables.waitlist_entries.splice(index, 1);
+    }
+  },
+
+  // Moves waiting users (with their guests) into free seats in join order and returns their
+  // ids (a maybe or not going answer becomes going); entries waiting for a sold-out or paid ticket type, or whose party does not fit,
+  // keep their place (paid tickets are only handed out through checkout). Runs in one
+  // synchronous step, like promote_waitlist() in SQL.
+  promote: async (eventId) => {
+    const event = tables.events.find(e => e.id === eventId);
+    if (!event) return [];
+
+    let attendeeCount = countTakenSeats(eventId);
+    const promotedUserIds = [];
+
+    const unavailable = (ticketTypeId, seats) => {
+      const ticketType = tables.ticket_types.find(t => t.id === ticketTypeId);
+      if (!ticketType) return false;
+      return ticketType.price_cents > 0 || countTakenSeats(eventId, ticketTypeId) + seats > ticketType.quota;
+    };
+
+    for (const entry of entriesFor(eventId)) {
+      if (attendeeCount >= event.capacity) break;
+      const seats = partySize(entry);
+      if (attendeeCount + seats > event.capacity) continue;
+      if (entry.ticket_type_id && unavailable(entry.ticket_type_id, seats)) continue;
+
+      tables.waitlist_entries.splice(tables.waitlist_entries.indexOf(entry), 1);
+      const rsvp = saveGoingRsvp({
+        user_id: entry.user_id,
+        event_id: eventId,
+        ticket_type_id: entry.ticket_type_id,
+        guest_count: entry.guest_count || 0,
+        guest_names: entry.guest_names || []
+      });
+      if (!rsvp) continue;
+
+      attendeeCount += seats;
+      promotedUserIds.push(entry.user_id);
+    }
+
+    return promotedUserIds;
+  }
+};
+
+module.exports = waitlist;
@@ -0,0 +1,16 @@
+// PostgREST sends .in() filters in the request URL, which servers cap at a few kilobytes;
+// 100 UUIDs stay well under that
+const IN_FILTER_CHUNK_SIZE = 100;
+
+// Splits ids into lists short enough for one .in() filter
+const chunkIds = (ids) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += IN_FILTER_CHUNK_SIZE) {
+    chunks.push(ids.slice(i, i + IN_FILTER_CHUNK_SIZE));
+  }
+  return chunks;
+};
+
+module.exports = {
+  chunkIds
+};
@@ -0,0 +1,76 @@
+const supabase = require('../../supabaseClient');
+
+// Reads go through the view, which adds redemption_count (see supabase_setup.sql)
+const CODES_VIEW = 'event_codes_with_redemptions';
+
+const codes = {
+  // Codes of an event, newest first
+  listForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from(CODES_VIEW)
+      .select('*')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  findById: async (id) => {
+    const { data: code, error } = await supabase
+      .from(CODES_VIEW)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !code) return null;
+    return code;
+  },
+
+  // Codes are stored upper case, so lookups are case-insensitive
+  findByCode: async (eventId, code) => {
+    const { data: eventCode, error } = await supabase
+      .from(CODES_VIEW)
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('code', code.toUpperCase())
+      .single();
+
+    if (error || !eventCode) return null;
+    return eventCode;
+  },
+
+  // Unique constraint on (event_id, code) rejects duplicates with code 23505
+  create: async (data) => {
+    const { data: code, error } = await supabase
+      .from('event_codes')
+      .insert({ ...data, code: data.code.toUpperCase() })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return codes.findById(code.id);
+  },
+
+  update: async (id, data) => {
+    const { error } = await supabase
+      .from('event_codes')
+      .update(data.code ? { ...data, code: data.code.toUpperCase() } : data)
+      .eq('id', id);
+
+    if (error) throw error;
+    return codes.findById(id);
+  },
+
+  // Tickets taken with the code keep their seat; their code_id is cleared by the database
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('event_codes')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = codes;
@@ -0,0 +1,338 @@
+const supabase = require('../../supabaseClient');
+const { chunkIds } = require('./chunks');
+
+// Escape LIKE wildcards so user input matches literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+const EVENT_WITH_CREATOR = `
+  *,
+  creator:users!events_creator_id_fkey(id, name),
+  organization:organizations(id, name, slug)
+`;
+
+// Ranked search page through search_events() (see supabase_setup.sql), which returns
+// ids in relevance order; the events themselves are then loaded in one query
+const searchUpcoming = async ({ search, filters, cursor, limit }) => {
+  const { from, to, location, creatorId, hasSeats } = filters;
+
+  const { data: matches, error } = await supabase
+    .rpc('search_events', {
+      p_terms: search,
+      p_from: from,
+      p_to: to,
+      p_location: location ? escapeLike(location) : null,
+      p_creator_id: creatorId,
+      p_has_seats: hasSeats,
+      p_cursor_rank: cursor ? cursor.value : null,
+      p_cursor_id: cursor ? cursor.id : null,
+      p_limit: limit
+    });
+
+  if (error) throw error;
+  if (!matches || matches.length === 0) return [];
+
+  const { data: rows, error: fetchError } = await supabase
+    .from('events')
+    .select(EVENT_WITH_CREATOR)
+    .in('id', matches.map(m => m.id));
+
+  if (fetchError) throw fetchError;
+
+  const rowsById = Object.fromEntries((rows || []).map(row => [row.id, row]));
+  return matches
+    .filter(m => rowsById[m.id])
+    .map(m => ({ ...rowsById[m.id], search_rank: m.search_rank }));
+};
+
+const events = {
+  // One page of upcoming, published, non-cancelled public events matching the filters (see utils/filters.js),
+  // in the given sort order, starting after the cursor.
+  // search is a list of terms; search results are ordered by relevance.
+  listUpcoming: async ({ search, filters, sort, cursor, limit }) => {
+    if (search && search.length > 0) {
+      return searchUpcoming({ search, filters, cursor, limit });
+    }
+
+    const { from, to, location, creatorId, hasSeats } = filters;
+    const { column, ascending } = sort;
+    let query = supabase
+      .from('events')
+      .select(EVENT_WITH_CREATOR)
+      .eq('status', 'active')
+      .eq('visibility', 'public')
+      .not('published_at', 'is', null)
+      .is('deleted_at', null)
+      .gte('date', from);
+
+    if (to) {
+      query = query.lt('date', to);
+    }
+
+    if (location) {
+      query = query.ilike('location', `%${escapeLike(location)}%`);
+    }
+
+    if (creatorId) {
+      query = query.eq('creator_id', creatorId);
+    }
+
+    if (hasSeats) {
+      query = query.gt('seats_left', 0);
+    }
+
+    // Keyset pagination: rows after (value, id) in sort order
+    if (cursor) {
+      const operator = ascending ? 'gt' : 'lt';
+      const value = `"${String(cursor.value).replace(/"/g, '')}"`;
+      query = query.or(`${column}.${operator}.${value},and(${column}.eq.${value},id.${operator}.${cursor.id})`);
+    }
+
+    const { data, error } = await query
+      .order(column, { ascending })
+      .order('id', { ascending })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // upcomingOnly keeps events that have not ended yet, so tickets stay at hand while one runs.
+  // Long id lists are loaded in chunks (see chunks.js)
+  listByIds: async (ids, { upcomingOnly = false } = {}) => {
+    const nowIso = new Date().toISOString();
+    const found = [];
+
+    for (const chunk of chunkIds(ids)) {
+      let query = supabase
+        .from('events')
+        .select(EVENT_WITH_CREATOR)
+        .in('id', chunk)
+        .is('deleted_at', null);
+
+      if (upcomingOnly) {
+        query = query.or(`end_date.gte.${nowIso},and(end_date.is.null,date.gte.${nowIso})`);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      found.push(...(data || []));
+    }
+
+    return found.sort((a, b) => new Date(a.date) - new Date(b.date));
+  },
+
+  // personalOnly leaves out events published under an organization
+  listByCreator: async (creatorId, { personalOnly = false } = {}) => {
+    let query = supabase
+      .from('events')
+      .select(EVENT_WITH_CREATOR)
+      .eq('creator_id', creatorId)
+      .is('deleted_at', null);
+
+    if (personalOnly) {
+      query = query.is('organization_id', null);
+    }
+
+    const { data, error } = await query.order('date', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Events published under an organization; upcomingOnly keeps those that have not ended
+  listByOrganization: async (organizationId, { upcomingOnly = false } = {}) => {
+    let query = supabase
+      .from('events')
+      .select(EVENT_WITH_CREATOR)
+      .eq('organization_id', organizationId)
+      .is('deleted_at', null);
+
+    if (upcomingOnly) {
+      const nowIso = new Date().toISOString();
+      query = query.or(`end_date.gte.${nowIso},and(end_date.is.null,date.gte.${nowIso})`);
+    }
+
+    const { data, error } = await query.order('date', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Soft-deleted events by the creator or published under any of the organizations, most
+  // recently deleted first
+  listTrash: async (creatorId, organizationIds = []) => {
+    let query = supabase
+      .from('events')
+      .select(EVENT_WITH_CREATOR)
+      .not('deleted_at', 'is', null);
+
+    query = organizationIds.length > 0
+      ? query.or(`creator_id.eq.${creatorId},organization_id.in.(${organizationIds.join(',')})`)
+      : query.eq('creator_id', creatorId);
+
+    const { data, error } = await query.order('deleted_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Soft-deleted events deleted before the cutoff (ISO date), for purging
+  listDeletedBefore: async (cutoff) => {
+    const { data, error } = await supabase
+      .from('events')
+      .select('*')
+      .lt('deleted_at', cutoff);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Unpublished events scheduled to be published at or before the cutoff (ISO date)
+  listScheduledBefore: async (cutoff) => {
+    const { data, error } = await supabase
+      .from('events')
+      .select('*')
+      .is('deleted_at', null)
+      .is('published_at', null)
+      .lte('publish_at', cutoff);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Soft-deleted events are only found with includeDeleted
+  findById: async (id, { includeDeleted = false } = {}) => {
+    let query = supabase
+      .from('events')
+      .select(EVENT_WITH_CREATOR)
+      .eq('id', id);
+
+    if (!includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data: event, error } = await query.single();
+
+    if (error || !event) return null;
+    return event;
+  },
+
+  create: async (data) => {
+    // Step 1: Insert the event (without SELECT to avoid PGRST204)
+    const { error: insertError } = await supabase
+      .from('events')
+      .insert(data);
+
+    if (insertError) throw insertError;
+
+    // Step 2: Wait a moment for the insert to commit
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    // Step 3: Fetch the event we just created
+    const { data: fetchedEvents, error: fetchError } = await supabase
+      .from('events')
+      .select('*')
+      .eq('creator_id', data.creator_id)
+      .eq('title', data.title)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (fetchError || !fetchedEvents || fetchedEvents.length === 0) {
+      if (fetchError) {
+        console.error('Error fetching inserted event:', fetchError);
+      }
+      // INSERT succeeded, so build the event object from what we know
+      return {
+        ...data,
+        id: null, // Database generated, but we don't have it
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+    }
+
+    return fetchedEvents[0];
+  },
+
+  // Inserts every occurrence of a new series and returns them in date order
+  // (fetched back by series_id, for the same reason as create)
+  createOccurrences: async (rows) => {
+    const { error: insertError } = await supabase
+      .from('events')
+      .insert(rows);
+
+    if (insertError) throw insertError;
+
+    const { data, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('series_id', rows[0].series_id)
+      .order('date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Occurrences of a series starting at or after from (ISO date), in date order
+  listSeriesFrom: async (seriesId, from) => {
+    const { data, error } = await supabase
+      .from('events')
+      .select(EVENT_WITH_CREATOR)
+      .eq('series_id', seriesId)
+      .is('deleted_at', null)
+      .gte('date', from)
+      .order('date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Events using an uploaded image, trashed ones included (they can still be restored)
+  countWithImage: async (image) => {
+    const { count, error } = await supabase
+      .from('events')
+      .select('*', { count: 'exact', head: true })
+      .eq('image', image);
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  update: async (id, data) => {
+    const { data: event, error } = await supabase
+      .from('events')
+      .update(data)
+      .eq('id', id)
+      .select(EVENT_WITH_CREATOR)
+      .single();
+
+    if (error) throw error;
+    return event;
+  },
+
+  // Publishes the event and clears its schedule. The update only matches while published_at
+  // is unset, so an event scheduled and published by hand at the same time is only published
+  // once; the other caller gets null.
+  publish: async (id, publishedAt = new Date().toISOString()) => {
+    const { data: event, error } = await supabase
+      .from('events')
+      .update({ published_at: publishedAt, publish_at: null })
+      .eq('id', id)
+      .is('published_at', null)
+      .select(EVENT_WITH_CREATOR)
+      .single();
+
+    if (error || !event) return null;
+    return event;
+  },
+
+  // Permanent delete (soft deletes set deleted_at through update).
+  // RSVPs are cascade deleted by the database
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('events')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = events;
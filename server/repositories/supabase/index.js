@@ -0,0 +1,27 @@
+const supabase = require('../../supabaseClient');
+
+module.exports = {
+  users: require('./users'),
+  events: require('./events'),
+  organizers: require('./organizers'),
+  organizations: require('./organizations'),
+  invitations: require('./invitations'),
+  series: require('./series'),
+  sessions: require('./sessions'),
+  ticketTypes: require('./ticketTypes'),
+  reservations: require('./reservations'),
+  codes: require('./codes'),
+  rsvps: require('./rsvps'),
+  registrationAnswers: require('./registrationAnswers'),
+  waitlist: require('./waitlist'),
+  notifications: require('./notifications'),
+  healthCheck: async () => {
+    try {
+      const { error } = await supabase.from('users').select('id').limit(1);
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows, which is OK
+      return { message: 'Server is running with Supabase' };
+    } catch (error) {
+      return { message: 'Server running (Supabase connection test failed)', error: error.message };
+    }
+  }
+};
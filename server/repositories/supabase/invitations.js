@@ -0,0 +1,85 @@
+const supabase = require('../../supabaseClient');
+
+const INVITATION_WITH_USER = '*, user:users!event_invitations_user_id_fkey(id, name, email)';
+
+// Invitations to invite-only events, by email; user_id is whoever RSVP'd with one
+const invitations = {
+  findById: async (id) => {
+    const { data: invitation, error } = await supabase
+      .from('event_invitations')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !invitation) return null;
+    return invitation;
+  },
+
+  // The user's invitation to the event: the one they used, or one sent to their email
+  findForUser: async (eventId, { id, email }) => {
+    const { data, error } = await supabase
+      .from('event_invitations')
+      .select('*')
+      .eq('event_id', eventId)
+      .or(`user_id.eq.${id},and(email.eq."${email.toLowerCase()}",user_id.is.null)`);
+
+    if (error) throw error;
+    return (data || []).find(i => i.user_id === id) || (data || [])[0] || null;
+  },
+
+  // Invitations of an event in the order they were sent, with the user who accepted each
+  listForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from('event_invitations')
+      .select(INVITATION_WITH_USER)
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Invites each email (lowercased) once; the unique (event_id, email) constraint skips
+  // emails already invited. Returns the new invitations
+  addMany: async ({ eventId, emails, invitedBy }) => {
+    const { data, error } = await supabase
+      .from('event_invitations')
+      .upsert(
+        emails.map(email => ({ event_id: eventId, email: email.toLowerCase(), invited_by: invitedBy })),
+        { onConflict: 'event_id,email', ignoreDuplicates: true }
+      )
+      .select(INVITATION_WITH_USER);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Ties the invitation to the user the first time they use it (a conditional update, so two
+  // people racing for one invitation cannot both get it). Returns null when someone else
+  // already has, so each invitation admits one person
+  claim: async (id, userId) => {
+    const { data: claimed, error } = await supabase
+      .from('event_invitations')
+      .update({ user_id: userId, accepted_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('user_id', null)
+      .select();
+
+    if (error) throw error;
+    if (claimed && claimed.length > 0) return claimed[0];
+
+    const invitation = await invitations.findById(id);
+    return invitation && invitation.user_id === userId ? invitation : null;
+  },
+
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('event_invitations')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = invitations;
@@ -0,0 +1,46 @@
+const supabase = require('../../supabaseClient');
+
+const notifications = {
+  create: async ({ userId, eventId, message }) => {
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        event_id: eventId,
+        message
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return notification;
+  },
+
+  // Newest first
+  listUnread: async (userId) => {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .is('read_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  markRead: async (id, userId) => {
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error || !notification) return null;
+    return notification;
+  }
+};
+
+module.exports = notifications;
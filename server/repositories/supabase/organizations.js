@@ -0,0 +1,164 @@
+const supabase = require('../../supabaseClient');
+
+// Organizations that publish events as a group, and their members with a role (owner, admin, member)
+const organizations = {
+  findById: async (id) => {
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !organization) return null;
+    return organization;
+  },
+
+  findBySlug: async (slug) => {
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('slug', slug)
+      .single();
+
+    if (error || !organization) return null;
+    return organization;
+  },
+
+  // Organizations the user belongs to, by name, each with their role
+  listForUser: async (userId) => {
+    const { data, error } = await supabase
+      .from('organization_members')
+      .select('role, organization:organizations(*)')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return (data || [])
+      .filter(m => m.organization)
+      .map(m => ({ ...m.organization, role: m.role }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Creates the organization with its creator as the first owner. The unique slug
+  // rejects taken URLs with code 23505
+  create: async ({ name, slug, description, createdBy }) => {
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .insert({ name, slug, description, created_by: createdBy })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await supabase
+      .from('organization_members')
+      .insert({ organization_id: organization.id, user_id: createdBy, role: 'owner' });
+
+    if (memberError) throw memberError;
+    return organization;
+  },
+
+  update: async (id, data) => {
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .update(data)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return organization;
+  },
+
+  // Members go with the organization (ON DELETE CASCADE); its events become their
+  // creators' personal events (ON DELETE SET NULL)
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('organizations')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  findMemberById: async (id) => {
+    const { data: member, error } = await supabase
+      .from('organization_members')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !member) return null;
+    return member;
+  },
+
+  // The user's role in the organization, or null when they are not a member
+  findMemberRole: async (organizationId, userId) => {
+    const { data: member, error } = await supabase
+      .from('organization_members')
+      .select('role')
+      .eq('organization_id', organizationId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !member) return null;
+    return member.role;
+  },
+
+  // Members in the order they joined, with their user
+  listMembers: async (organizationId) => {
+    const { data, error } = await supabase
+      .from('organization_members')
+      .select('*, user:users!organization_members_user_id_fkey(id, name, email)')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).filter(m => m.user);
+  },
+
+  countOwners: async (organizationId) => {
+    const { count, error } = await supabase
+      .from('organization_members')
+      .select('*', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)
+      .eq('role', 'owner');
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  // Unique constraint on (organization_id, user_id) rejects duplicates with code 23505
+  addMember: async ({ organizationId, userId, role }) => {
+    const { data: member, error } = await supabase
+      .from('organization_members')
+      .insert({ organization_id: organizationId, user_id: userId, role })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return member;
+  },
+
+  updateMemberRole: async (id, role) => {
+    const { data: member, error } = await supabase
+      .from('organization_members')
+      .update({ role })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return member;
+  },
+
+  removeMember: async (id) => {
+    const { error } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = organizations;
@@ -0,0 +1,86 @@
+const supabase = require('../../supabaseClient');
+
+// Co-organizers of events: users the creator added with a role (editor, check_in, viewer)
+const organizers = {
+  findById: async (id) => {
+    const { data: organizer, error } = await supabase
+      .from('event_organizers')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !organizer) return null;
+    return organizer;
+  },
+
+  // The user's role on the event, or null when they do not co-organize it
+  findRole: async (eventId, userId) => {
+    const { data: organizer, error } = await supabase
+      .from('event_organizers')
+      .select('role')
+      .eq('event_id', eventId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !organizer) return null;
+    return organizer.role;
+  },
+
+  // Co-organizers of an event, in the order they were added, with their user
+  listForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from('event_organizers')
+      .select('*, user:users!event_organizers_user_id_fkey(id, name, email)')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).filter(o => o.user);
+  },
+
+  // Events the user co-organizes: [{ event_id, role }]
+  listForUser: async (userId) => {
+    const { data, error } = await supabase
+      .from('event_organizers')
+      .select('event_id, role')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Unique constraint on (event_id, user_id) rejects duplicates with code 23505
+  add: async ({ eventId, userId, role, invitedBy }) => {
+    const { data: organizer, error } = await supabase
+      .from('event_organizers')
+      .insert({ event_id: eventId, user_id: userId, role, invited_by: invitedBy })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return organizer;
+  },
+
+  updateRole: async (id, role) => {
+    const { data: organizer, error } = await supabase
+      .from('event_organizers')
+      .update({ role })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return organizer;
+  },
+
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('event_organizers')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = organizers;
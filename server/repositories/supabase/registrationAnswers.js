@@ -0,0 +1,51 @@
+const supabase = require('../../supabaseClient');
+
+const registrationAnswers = {
+  // Saves the user's answers for the event, replacing earlier ones
+  save: async ({ eventId, userId, answers }) => {
+    const { data: row, error } = await supabase
+      .from('registration_answers')
+      .upsert({ event_id: eventId, user_id: userId, answers }, { onConflict: 'event_id,user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return row;
+  },
+
+  findByUserAndEvent: async (userId, eventId) => {
+    const { data: row, error } = await supabase
+      .from('registration_answers')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !row) return null;
+    return row;
+  },
+
+  // Everyone's answers for the event, oldest first, with the user who gave them
+  listForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from('registration_answers')
+      .select('*, user:users!registration_answers_user_id_fkey(id, name, email)')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).filter(a => a.user);
+  },
+
+  remove: async (eventId, userId) => {
+    const { error } = await supabase
+      .from('registration_answers')
+      .delete()
+      .eq('event_id', eventId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = registrationAnswers;
@@ -0,0 +1,108 @@
+const supabase = require('../../supabaseClient');
+
+const reservations = {
+  // Holds seats of a paid ticket type for the buyer and their guests under the event row lock
+  // (see reserve_ticket() in supabase_setup.sql)
+  reserve: async ({ eventId, userId, ticketTypeId, provider, holdMinutes, codeId = null, amountCents = null, guestCount = 0, guestNames = [] }) => {
+    const { data: reservation, error } = await supabase
+      .rpc('reserve_ticket', {
+        p_event_id: eventId,
+        p_user_id: userId,
+        p_ticket_type_id: ticketTypeId,
+        p_provider: provider,
+        p_hold_minutes: holdMinutes,
+        p_code_id: codeId,
+        p_amount_cents: amountCents,
+        p_guest_count: guestCount,
+        p_guest_names: guestNames
+      });
+
+    if (error) throw error;
+    return reservation;
+  },
+
+  // Turns a paid reservation into an RSVP (see confirm_reservation() in supabase_setup.sql)
+  confirm: async (id) => {
+    const { data: reservation, error } = await supabase
+      .rpc('confirm_reservation', { p_reservation_id: id });
+
+    if (error) throw error;
+    return reservation;
+  },
+
+  findById: async (id) => {
+    const { data: reservation, error } = await supabase
+      .from('reservations')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !reservation) return null;
+    return reservation;
+  },
+
+  findByPaymentId: async (paymentId) => {
+    const { data: reservation, error } = await supabase
+      .from('reservations')
+      .select('*')
+      .eq('provider_payment_id', paymentId)
+      .single();
+
+    if (error || !reservation) return null;
+    return reservation;
+  },
+
+  // The user's checkout for the event that still holds a seat, if any
+  findPendingForUser: async (eventId, userId) => {
+    const { data: reservation, error } = await supabase
+      .from('reservations')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    if (error || !reservation) return null;
+    return reservation;
+  },
+
+  // The user's paid ticket for the event, if any
+  findPaidForUser: async (eventId, userId) => {
+    const { data: reservation, error } = await supabase
+      .from('reservations')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('user_id', userId)
+      .eq('status', 'paid')
+      .single();
+
+    if (error || !reservation) return null;
+    return reservation;
+  },
+
+  listPaidForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from('reservations')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('status', 'paid');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  update: async (id, data) => {
+    const { data: reservation, error } = await supabase
+      .from('reservations')
+      .update(data)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return reservation;
+  }
+};
+
+module.exports = reservations;
@@ -0,0 +1,213 @@
+const supabase = require('../../supabaseClient');
+
+// An attendee as listed on an event: the user with the guests they bring
+const toAttendee = ({ show_in_attendee_lists, ...user }, rsvp) => ({
+  ...user,
+  listed: Boolean(show_in_attendee_lists),
+  guest_count: rsvp.guest_count,
+  guest_names: rsvp.guest_names || []
+});
+
+// A going attendee as listed at check-in: checked_in_at is null until they arrive
+const toCheckIn = (user, rsvp) => ({
+  ...toAttendee(user, rsvp),
+  rsvp_id: rsvp.id,
+  checked_in_at: rsvp.checked_in_at
+});
+
+const rsvps = {
+  findById: async (id) => {
+    const { data: rsvp, error } = await supabase
+      .from('rsvps')
+      .select('id, user_id, event_id, response, ticket_type_id, guest_count, guest_names, checked_in_at, created_at')
+      .eq('id', id)
+      .single();
+
+    if (error || !rsvp) return null;
+    return rsvp;
+  },
+
+  findByUserAndEvent: async (userId, eventId) => {
+    const { data: rsvp, error } = await supabase
+      .from('rsvps')
+      .select('id, user_id, event_id, response, ticket_type_id, guest_count, guest_names, checked_in_at, created_at')
+      .eq('user_id', userId)
+      .eq('event_id', eventId)
+      .single();
+
+    if (error || !rsvp) return null;
+    return rsvp;
+  },
+
+  // Seats taken by the event's going attendees and their guests
+  countForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from('rsvps')
+      .select('guest_count')
+      .eq('event_id', eventId)
+      .eq('response', 'going');
+
+    if (error) throw error;
+    return (data || []).reduce((total, r) => total + 1 + r.guest_count, 0);
+  },
+
+  // How many people answered each response: { going, maybe, not_going }
+  countResponses: async (eventId) => {
+    const { data, error } = await supabase
+      .from('rsvps')
+      .select('response')
+      .eq('event_id', eventId);
+
+    if (error) throw error;
+
+    const counts = { going: 0, maybe: 0, not_going: 0 };
+    (data || []).forEach(r => {
+      counts[r.response]++;
+    });
+    return counts;
+  },
+
+  // Going attendees
+  listAttendees: async (eventId) => {
+    const { data, error } = await supabase
+      .from('rsvps')
+      .select('user_id, guest_count, guest_names, users!rsvps_user_id_fkey(id, name, email, show_in_attendee_lists)')
+      .eq('event_id', eventId)
+      .eq('response', 'going');
+
+    if (error) throw error;
+    return (data || []).filter(r => r.users).map(r => toAttendee(r.users, r));
+  },
+
+  // Attendees for many events in one query: { [eventId]: [attendee, ...] }
+  // Uses an RPC so the id list travels in the request body, not the URL
+  // (see get_event_attendees() in supabase_setup.sql)
+  listAttendeesForEvents: async (eventIds) => {
+    const attendeesByEvent = {};
+    eventIds.forEach(id => {
+      attendeesByEvent[id] = [];
+    });
+
+    if (eventIds.length === 0) {
+      return attendeesByEvent;
+    }
+
+    const { data, error } = await supabase
+      .rpc('get_event_attendees', { p_event_ids: eventIds });
+
+    if (error) throw error;
+
+    (data || []).forEach(row => {
+      const user = { id: row.id, name: row.name, email: row.email, show_in_attendee_lists: row.show_in_attendee_lists };
+      attendeesByEvent[row.event_id].push(toAttendee(user, row));
+    });
+
+    return attendeesByEvent;
+  },
+
+  // Going attendees with their check-in time
+  listCheckIns: async (eventId) => {
+    const { data, error } = await supabase
+      .from('rsvps')
+      .select('id, guest_count, guest_names, checked_in_at, users!rsvps_user_id_fkey(id, name, email, show_in_attendee_lists)')
+      .eq('event_id', eventId)
+      .eq('response', 'going');
+
+    if (error) throw error;
+    return (data || []).filter(r => r.users).map(r => toCheckIn(r.users, r));
+  },
+
+  // The user's answer for every event they responded to:
+  // [{ id, event_id, response, checked_in_at }]
+  listResponsesForUser: async (userId) => {
+    const { data, error } = await supabase
+      .from('rsvps')
+      .select('id, event_id, response, checked_in_at')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Locks the event row, checks the ticket type's quota and the event's capacity for the
+  // attendee and their guests and inserts (or turns a maybe / not going answer into going)
+  // in one transaction (see rsvp_to_event() in supabase_setup.sql)
+  createWithinCapacity: async ({ userId, eventId, ticketTypeId = null, codeId = null, guestCount = 0, guestNames = [] }) => {
+    const { data: rsvp, error } = await supabase
+      .rpc('rsvp_to_event', {
+        p_event_id: eventId,
+        p_user_id: userId,
+        p_ticket_type_id: ticketTypeId,
+        p_code_id: codeId,
+        p_guest_count: guestCount,
+        p_guest_names: guestNames
+      });
+
+    if (error) throw error;
+    return rsvp;
+  },
+
+  // Records a maybe or not going answer, replacing any earlier one. Takes no seats, so it
+  // keeps no ticket type, code, guests or check-in.
+  respond: async ({ userId, eventId, response }) => {
+    const { data: rsvp, error } = await supabase
+      .from('rsvps')
+      .upsert({
+        user_id: userId,
+        event_id: eventId,
+        response,
+        ticket_type_id: null,
+        code_id: null,
+        guest_count: 0,
+        guest_names: [],
+        checked_in_at: null
+      }, { onConflict: 'user_id,event_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return rsvp;
+  },
+
+  // Changes the guests the user brings under the event row lock
+  // (see set_rsvp_guests() in supabase_setup.sql)
+  updateGuests: async ({ userId, eventId, guestCount, guestNames = [] }) => {
+    const { data: rsvp, error } = await supabase
+      .rpc('set_rsvp_guests', {
+        p_event_id: eventId,
+        p_user_id: userId,
+        p_guest_count: guestCount,
+        p_guest_names: guestNames
+      });
+
+    if (error) throw error;
+    return rsvp;
+  },
+
+  // Marks a going attendee present. The update only matches while checked_in_at is unset,
+  // so of two scans of the same ticket only one succeeds; the other gets null.
+  checkIn: async (id) => {
+    const { data: rsvp, error } = await supabase
+      .from('rsvps')
+      .update({ checked_in_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('response', 'going')
+      .is('checked_in_at', null)
+      .select()
+      .single();
+
+    if (error || !rsvp) return null;
+    return rsvp;
+  },
+
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('rsvps')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = rsvps;
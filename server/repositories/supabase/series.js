@@ -0,0 +1,31 @@
+const supabase = require('../../supabaseClient');
+
+const series = {
+  create: async ({ creatorId, rrule, exceptions }) => {
+    const { data: row, error } = await supabase
+      .from('event_series')
+      .insert({
+        creator_id: creatorId,
+        rrule,
+        exceptions
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return row;
+  },
+
+  findById: async (id) => {
+    const { data: row, error } = await supabase
+      .from('event_series')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !row) return null;
+    return row;
+  }
+};
+
+module.exports = series;
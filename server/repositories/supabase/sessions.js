@@ -0,0 +1,124 @@
+const supabase = require('../../supabaseClient');
+
+const SESSION_WITH_COUNT = `
+  *,
+  session_rsvps(count)
+`;
+
+// Flattens the embedded count into attendees_count
+const withCounts = ({ session_rsvps: counts, ...session }) => ({
+  ...session,
+  attendees_count: counts && counts[0] ? counts[0].count : 0
+});
+
+const sessions = {
+  // Agenda of an event, in time order
+  listForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from('event_sessions')
+      .select(SESSION_WITH_COUNT)
+      .eq('event_id', eventId)
+      .order('starts_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(withCounts);
+  },
+
+  findById: async (id) => {
+    const { data: session, error } = await supabase
+      .from('event_sessions')
+      .select(SESSION_WITH_COUNT)
+      .eq('id', id)
+      .single();
+
+    if (error || !session) return null;
+    return withCounts(session);
+  },
+
+  create: async (data) => {
+    const { data: session, error } = await supabase
+      .from('event_sessions')
+      .insert(data)
+      .select(SESSION_WITH_COUNT)
+      .single();
+
+    if (error) throw error;
+    return withCounts(session);
+  },
+
+  update: async (id, data) => {
+    const { data: session, error } = await supabase
+      .from('event_sessions')
+      .update(data)
+      .eq('id', id)
+      .select(SESSION_WITH_COUNT)
+      .single();
+
+    if (error) throw error;
+    return withCounts(session);
+  },
+
+  // Session RSVPs are cascade deleted by the database
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('event_sessions')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Ids of the event's sessions the user has RSVP'd to
+  listSessionIdsForUser: async (eventId, userId) => {
+    const { data, error } = await supabase
+      .from('session_rsvps')
+      .select('session_id, event_sessions!inner(event_id)')
+      .eq('user_id', userId)
+      .eq('event_sessions.event_id', eventId);
+
+    if (error) throw error;
+    return (data || []).map(row => row.session_id);
+  },
+
+  // Overlap, capacity check and insert in one transaction (see rsvp_to_session() in
+  // supabase_setup.sql). Raises EOVLP, EFULL, P0002 or 23505 like the memory backend.
+  rsvp: async ({ sessionId, userId }) => {
+    const { data: rsvp, error } = await supabase
+      .rpc('rsvp_to_session', {
+        p_session_id: sessionId,
+        p_user_id: userId
+      });
+
+    if (error) throw error;
+    return rsvp;
+  },
+
+  // Returns false when the user had no RSVP for the session
+  cancelRsvp: async ({ sessionId, userId }) => {
+    const { data, error } = await supabase
+      .from('session_rsvps')
+      .delete()
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  // Drops the user from every session of the event (when they leave the event)
+  removeUserFromEvent: async (eventId, userId) => {
+    const sessionIds = await sessions.listSessionIdsForUser(eventId, userId);
+    if (sessionIds.length === 0) return;
+
+    const { error } = await supabase
+      .from('session_rsvps')
+      .delete()
+      .eq('user_id', userId)
+      .in('session_id', sessionIds);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = sessions;
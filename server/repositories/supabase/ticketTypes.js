@@ -0,0 +1,96 @@
+const supabase = require('../../supabaseClient');
+const { chunkIds } = require('./chunks');
+
+// sold_count is a computed column counting seats, guests included
+// (see sold_count() in supabase_setup.sql)
+const TICKET_TYPE_WITH_COUNT = `
+  *,
+  sold_count
+`;
+
+const ticketTypes = {
+  // Ticket types of an event, in the order they were added
+  listForEvent: async (eventId) => {
+    const { data, error } = await supabase
+      .from('ticket_types')
+      .select(TICKET_TYPE_WITH_COUNT)
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Ticket types for many events, one query per chunk of ids (see chunks.js):
+  // { [eventId]: [ticketType, ...] }
+  listForEvents: async (eventIds) => {
+    const typesByEvent = {};
+    eventIds.forEach(id => {
+      typesByEvent[id] = [];
+    });
+
+    for (const chunk of chunkIds(eventIds)) {
+      const { data, error } = await supabase
+        .from('ticket_types')
+        .select(TICKET_TYPE_WITH_COUNT)
+        .in('event_id', chunk)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      (data || []).forEach(row => {
+        typesByEvent[row.event_id].push(row);
+      });
+    }
+
+    return typesByEvent;
+  },
+
+  findById: async (id) => {
+    const { data: ticketType, error } = await supabase
+      .from('ticket_types')
+      .select(TICKET_TYPE_WITH_COUNT)
+      .eq('id', id)
+      .single();
+
+    if (error || !ticketType) return null;
+    return ticketType;
+  },
+
+  // Unique constraint on (event_id, name) rejects duplicate names with code 23505
+  create: async (data) => {
+    const { data: ticketType, error } = await supabase
+      .from('ticket_types')
+      .insert(data)
+      .select(TICKET_TYPE_WITH_COUNT)
+      .single();
+
+    if (error) throw error;
+    return ticketType;
+  },
+
+  // Renaming onto another type's name fails with code 23505 as well
+  update: async (id, data) => {
+    const { data: ticketType, error } = await supabase
+      .from('ticket_types')
+      .update(data)
+      .eq('id', id)
+      .select(TICKET_TYPE_WITH_COUNT)
+      .single();
+
+    if (error) throw error;
+    return ticketType;
+  },
+
+  // Waitlist entries for the type are cascade deleted by the database
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('ticket_types')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+};
+
+module.exports = ticketTypes;
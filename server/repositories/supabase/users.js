@@ -0,0 +1,67 @@
+const supabase = require('../../supabaseClient');
+
+const users = {
+  findById: async (id) => {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, name, email')
+      .eq('id', id)
+      .single();
+
+    if (error || !user) return null;
+    return user;
+  },
+
+  // Includes password_hash - only for credential checks
+  findByEmail: async (email) => {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, name, email, password_hash')
+      .eq('email', email)
+      .single();
+
+    if (error || !user) return null;
+    return user;
+  },
+
+  create: async ({ name, email, password_hash }) => {
+    const { data: user, error } = await supabase
+      .from('users')
+      .insert({
+        name,
+        email,
+        password_hash
+      })
+      .select('id, name, email')
+      .single();
+
+    if (error) throw error;
+    return user;
+  },
+
+  // Profile settings: { show_in_attendee_lists }
+  findPreferences: async (id) => {
+    const { data, error } = await supabase
+      .from('users')
+      .select('show_in_attendee_lists')
+      .eq('id', id)
+      .single();
+
+    if (error || !data) return null;
+    return data;
+  },
+
+  updatePreferences: async (id, { show_in_attendee_lists }) => {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ show_in_attendee_lists, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('show_in_attendee_lists')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+module.exports = users;
@@ -0,0 +1,91 @@
+const supabase = require('../../supabaseClient');
+
+const waitlist = {
+  // Unique constraint on (user_id, event_id) rejects duplicates with code 23505
+  join: async ({ userId, eventId, ticketTypeId = null, guestCount = 0, guestNames = [] }) => {
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .insert({
+        user_id: userId,
+        event_id: eventId,
+        ticket_type_id: ticketTypeId,
+        guest_count: guestCount,
+        guest_names: guestNames
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return entry;
+  },
+
+  findByUserAndEvent: async (userId, eventId) => {
+    const { data: entry, error } = await supabase
+      .from('waitlist_entries')
+      .select('id, user_id, event_id, ticket_type_id, guest_count, guest_names, created_at')
+      .eq('user_id', userId)
+      .eq('event_id', eventId)
+      .single();
+
+    if (error || !entry) return null;
+    return entry;
+  },
+
+  // 1-based position, or null when the user is not waiting
+  getPosition: async (userId, eventId) => {
+    const entry = await waitlist.findByUserAndEvent(userId, eventId);
+    if (!entry) return null;
+
+    const { count, error } = await supabase
+      .from('waitlist_entries')
+      .select('*', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .lt('created_at', entry.created_at);
+
+    if (error) throw error;
+    return (count || 0) + 1;
+  },
+
+  countForEvent: async (eventId) => {
+    const { count, error } = await supabase
+      .from('waitlist_entries')
+      .select('*', { count: 'exact', head: true })
+      .eq('event_id', eventId);
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  // Ids of everyone waiting for the event, in join order
+  listUserIds: async (eventId) => {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .select('user_id')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(entry => entry.user_id);
+  },
+
+  remove: async (id) => {
+    const { error } = await supabase
+      .from('waitlist_entries')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Moves waiting users into free seats in join order and returns their ids
+  // (see promote_waitlist() in supabase_setup.sql)
+  promote: async (eventId) => {
+    const { data, error } = await supabase
+      .rpc('promote_waitlist', { p_event_id: eventId });
+
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+module.exports = waitlist;
@@ -3,7 +3,9 @@ const router = express.Router();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const supabase = require('../supabaseClient');
+const auth = require('../middleware/auth');
+const { users } = require('../repositories');
+const errorCodes = require('../repositories/errors');
 
 // Generate JWT Token
 const generateToken = (userId) => {
@@ -29,11 +31,7 @@ router.post('/register', [
     const { name, email, password } = req.body;
 
     // Check if user already exists
-    const { data: existingUser } = await supabase
-      .from('users')
-      .select('id')
-      .eq('email', email)
-      .single();
+    const existingUser = await users.findByEmail(email);
 
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists with this email' });
@@ -43,18 +41,19 @@ router.post('/register', [
     const passwordHash = await bcrypt.hash(password, 10);
 
     // Create new user
-    const { data: user, error } = await supabase
-      .from('users')
-      .insert({
+    let user;
+    try {
+      user = await users.create({
         name,
         email,
         password_hash: passwordHash
-      })
-      .select('id, name, email')
-      .single();
+      });
+    } catch (error) {
+      if (error.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: 'User already exists with this email' });
+      }
 
-    if (error) {
-      console.error('Supabase error:', error);
+      console.error('Create user error:', error);
       console.error('Error details:', JSON.stringify(error, null, 2));
       return res.status(500).json({ 
         message: 'Server error during registration',
@@ -98,13 +97,9 @@ router.post('/login', [
     const { email, password } = req.body;
 
     // Find user
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, name, email, password_hash')
-      .eq('email', email)
-      .single();
+    const user = await users.findByEmail(email);
 
-    if (error || !user) {
+    if (!user) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
@@ -131,4 +126,50 @@ router.post('/login', [
   }
 });
 
+// @route   GET /api/auth/preferences
+// @desc    Get the user's profile preferences: show_in_attendee_lists (listed by name in
+//          other people's view of an event's attendees)
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const preferences = await users.findPreferences(req.user.id);
+
+    if (!preferences) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(preferences);
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/preferences
+// @desc    Update the user's profile preferences (show_in_attendee_lists)
+// @access  Private
+router.put('/preferences', auth, [
+  body('show_in_attendee_lists').isBoolean({ strict: true }).withMessage('Show in attendee lists must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const preferences = await users.updatePreferences(req.user.id, {
+      show_in_attendee_lists: req.body.show_in_attendee_lists
+    });
+
+    if (!preferences) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(preferences);
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { events, rsvps } = require('../repositories');
+const { countSeats } = require('../utils/attendees');
+const { readTicketCode } = require('../utils/tickets');
+const { canOnEvent } = require('../utils/permissions');
+
+// Door check-in of an event's going attendees by their ticket codes:
+// /api/events/:eventId/check-in
+
+// Loads the event for a user with any of the given permissions; sends the error response
+// and returns null otherwise
+const findEventFor = async (req, res, ...permissions) => {
+  const event = await events.findById(req.params.eventId);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+
+  if (!(await canOnEvent(event, req.user.id, ...permissions))) {
+    res.status(403).json({ message: 'Not authorized to check in this event\'s attendees' });
+    return null;
+  }
+
+  return event;
+};
+
+const withoutEmail = ({ email, ...attendee }) => attendee;
+
+// Going attendees by name, with expected and present counted in people (guests included).
+// Emails are only included for users who may view attendees, not for check-in staff.
+const getCheckInSummary = async (event, userId) => {
+  const withEmails = await canOnEvent(event, userId, 'view_attendees');
+  const attendees = (await rsvps.listCheckIns(event.id))
+    .map(attendee => (withEmails ? attendee : withoutEmail(attendee)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    expected: countSeats(attendees),
+    present: countSeats(attendees.filter(attendee => attendee.checked_in_at)),
+    attendees
+  };
+};
+
+// @route   GET /api/events/:eventId/check-in
+// @desc    Get the event's going attendees with their check-in times, the present and
+//          expected counts, and whether the user may check people in (canCheckIn)
+// @access  Private (event creator, editors, check-in staff and viewers)
+router.get('/', auth, async (req, res) => {
+  try {
+    const event = await findEventFor(req, res, 'check_in', 'view_attendees');
+    if (!event) return;
+
+    res.json({
+      event: { id: event.id, title: event.title, status: event.status },
+      canCheckIn: await canOnEvent(event, req.user.id, 'check_in'),
+      ...(await getCheckInSummary(event, req.user.id))
+    });
+  } catch (error) {
+    console.error('Get check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:eventId/check-in
+// @desc    Check in the attendee a ticket code belongs to; each ticket is let in once
+// @access  Private (event creator, editors and check-in staff)
+router.post('/', auth, [
+  body('code').trim().notEmpty().withMessage('Scan or enter a ticket code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await findEventFor(req, res, 'check_in');
+    if (!event) return;
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    const rsvpId = readTicketCode(req.body.code);
+
+    if (!rsvpId) {
+      return res.status(400).json({ message: 'This is not a valid ticket' });
+    }
+
+    const rsvp = await rsvps.findById(rsvpId);
+
+    if (!rsvp || rsvp.response !== 'going') {
+      return res.status(404).json({ message: 'This ticket is no longer valid - the attendee is not going' });
+    }
+
+    if (rsvp.event_id !== event.id) {
+      return res.status(400).json({ message: 'This ticket is for a different event' });
+    }
+
+    const checkedIn = await rsvps.checkIn(rsvp.id);
+    const summary = await getCheckInSummary(event, req.user.id);
+    const attendee = summary.attendees.find(a => a.rsvp_id === rsvp.id);
+
+    if (!checkedIn) {
+      return res.status(409).json({
+        message: `${attendee ? attendee.name : 'This ticket'} is already checked in`,
+        attendee,
+        ...summary
+      });
+    }
+
+    res.json({
+      message: `Checked in ${attendee ? attendee.name : 'the attendee'}`,
+      attendee,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const { validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { events, ticketTypes, reservations, codes, registrationAnswers } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const paymentProvider = require('../payments');
+const { getRsvpWindow } = require('../utils/rsvpWindow');
+const { getSaleStatus } = require('../utils/ticketTypes');
+const { RESERVATION_HOLD_MINUTES, toPublicReservation, applyPaymentEvent } = require('../utils/payments');
+const { isTicketTypeOffered, applyCode, resolveCode, getCodeMismatch } = require('../utils/codes');
+const { guestRules, parseGuests, describeGuests, getGuestError } = require('../utils/guests');
+const { checkAnswers } = require('../utils/registrationQuestions');
+const { checkRsvpAccess } = require('../utils/eventAccess');
+
+// Payments can be completed without paying only with a local provider, and never in production
+const canSimulatePayment = () => (
+  process.env.NODE_ENV !== 'production' && Boolean(paymentProvider) &&
+  typeof paymentProvider.simulatePayment === 'function'
+);
+
+// Checkouts and webhooks need a payment provider; without one (see payments/index.js) the
+// server runs with free tickets only
+const requirePayments = (req, res, next) => {
+  if (!paymentProvider) {
+    return res.status(503).json({ message: 'Paid tickets are not available: no payment provider is configured' });
+  }
+  next();
+};
+
+// Reservation with the event and ticket type it is for
+const withDetails = async (reservation) => {
+  const event = await events.findById(reservation.event_id, { includeDeleted: true });
+  const ticketType = reservation.ticket_type_id && await ticketTypes.findById(reservation.ticket_type_id);
+  const code = reservation.code_id && await codes.findById(reservation.code_id);
+
+  return {
+    ...toPublicReservation(reservation),
+    event: event && {
+      id: event.id,
+      title: event.title,
+      date: event.date,
+      end_date: event.end_date,
+      time_zone: event.time_zone
+    },
+    ticketType: ticketType && { id: ticketType.id, name: ticketType.name, price_cents: ticketType.price_cents },
+    code: code && { code: code.code, discount_percent: code.discount_percent },
+    canSimulatePayment: canSimulatePayment()
+  };
+};
+
+// The user's own reservation, or null
+const findOwnReservation = async (id, userId) => {
+  const reservation = await reservations.findById(id);
+  return reservation && reservation.user_id === userId ? reservation : null;
+};
+
+// @route   POST /api/checkout/webhook
+// @desc    Payment provider webhook: confirms or fails the payment of a reservation
+// @access  Public (verified by the provider's signature)
+router.post('/webhook', requirePayments, async (req, res) => {
+  let paymentEvent;
+  try {
+    paymentEvent = paymentProvider.parseWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid webhook' });
+  }
+
+  try {
+    await applyPaymentEvent(paymentEvent);
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/checkout/:eventId
+// @desc    Start a checkout for a paid ticket type, with an optional discount or access
+//          code and guests (each paying for a seat); holds the seats while the user pays
+// @access  Private
+router.post('/:eventId', requirePayments, auth, guestRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId } = req.params;
+    const userId = req.user.id;
+
+    const event = await events.findById(eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await checkRsvpAccess(event, req, res))) return;
+
+    if (new Date(event.date) < new Date()) {
+      return res.status(400).json({ message: 'Cannot buy tickets for past events' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    const rsvpWindow = getRsvpWindow(event);
+    if (rsvpWindow.status !== 'open') {
+      return res.status(400).json({
+        message: rsvpWindow.status === 'not_open'
+          ? `Tickets for this event go on sale at ${rsvpWindow.opensAt.toISOString()}`
+          : 'Ticket sales for this event are closed'
+      });
+    }
+
+    const guests = parseGuests(req.body);
+    const guestError = getGuestError(event, guests);
+    if (guestError) {
+      return res.status(400).json({ message: guestError });
+    }
+
+    const questions = event.registration_questions || [];
+    const { answers, error: answerError } = checkAnswers(questions, req.body.answers);
+    if (answerError) {
+      return res.status(400).json({ message: answerError });
+    }
+
+    let code = null;
+    if (req.body.code) {
+      const resolved = await resolveCode(event.id, req.body.code);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      code = resolved.code;
+    }
+
+    const ticketType = await ticketTypes.findById(req.body.ticket_type_id);
+
+    if (!ticketType || ticketType.event_id !== event.id || !isTicketTypeOffered(ticketType, code)) {
+      return res.status(400).json({ message: 'Choose a ticket type for this event' });
+    }
+
+    const codeMismatch = code && getCodeMismatch(code, ticketType);
+    if (codeMismatch) {
+      return res.status(400).json({ message: codeMismatch });
+    }
+
+    const seatPriceCents = applyCode(ticketType.price_cents, code);
+    if (seatPriceCents === 0) {
+      return res.status(400).json({
+        message: code && ticketType.price_cents > 0
+          ? `${ticketType.name} tickets are free with this code - RSVP instead`
+          : `${ticketType.name} tickets are free - RSVP instead`
+      });
+    }
+
+    const saleStatus = getSaleStatus(ticketType);
+    if (saleStatus === 'not_started') {
+      return res.status(400).json({
+        message: `${ticketType.name} tickets go on sale at ${new Date(ticketType.sales_start_at).toISOString()}`
+      });
+    }
+    if (saleStatus === 'ended') {
+      return res.status(400).json({ message: `${ticketType.name} ticket sales have ended` });
+    }
+
+    // Coming back to an open checkout resumes it instead of holding a second seat
+    const openReservation = await reservations.findPendingForUser(event.id, userId);
+    if (openReservation) {
+      return res.json({
+        reservation: await withDetails(openReservation),
+        checkoutUrl: `/checkout/${openReservation.id}`
+      });
+    }
+
+    let reservation;
+    try {
+      reservation = await reservations.reserve({
+        eventId: event.id,
+        userId,
+        ticketTypeId: ticketType.id,
+        provider: paymentProvider.name,
+        holdMinutes: RESERVATION_HOLD_MINUTES,
+        codeId: code ? code.id : null,
+        amountCents: seatPriceCents * (1 + guests.guestCount),
+        ...guests
+      });
+    } catch (reserveError) {
+      if (reserveError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: 'You already have a ticket for this event' });
+      }
+      if (reserveError.code === errorCodes.EVENT_FULL) {
+        return res.status(409).json({
+          message: guests.guestCount > 0
+            ? `There are not enough ${ticketType.name} tickets left for you and ${describeGuests(guests.guestCount)}`
+            : `${ticketType.name} tickets are sold out`
+        });
+      }
+      if (reserveError.code === errorCodes.CODE_UNAVAILABLE) {
+        return res.status(400).json({ message: 'This code can no longer be used' });
+      }
+      if (reserveError.code === errorCodes.NOT_FOUND) {
+        return res.status(404).json({ message: reserveError.message });
+      }
+      throw reserveError;
+    }
+
+    if (questions.length > 0) {
+      await registrationAnswers.save({ eventId: event.id, userId, answers });
+    }
+
+    let payment;
+    try {
+      payment = await paymentProvider.createPayment({
+        amountCents: reservation.amount_cents,
+        currency: reservation.currency,
+        reservationId: reservation.id,
+        description: reservation.guest_count > 0
+          ? `${ticketType.name} tickets for ${event.title} (you and ${describeGuests(reservation.guest_count)})`
+          : `${ticketType.name} ticket for ${event.title}`
+      });
+    } catch (paymentError) {
+      console.error('Create payment error:', paymentError);
+      await reservations.update(reservation.id, { status: 'cancelled' });
+      return res.status(502).json({ message: 'The payment provider is unavailable. Please try again.' });
+    }
+
+    reservation = await reservations.update(reservation.id, { provider_payment_id: payment.paymentId });
+
+    res.status(201).json({
+      reservation: await withDetails(reservation),
+      checkoutUrl: payment.checkoutUrl
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/checkout/reservations/:id
+// @desc    Get a checkout's status
+// @access  Private (only the buyer)
+router.get('/reservations/:id', auth, async (req, res) => {
+  try {
+    const reservation = await findOwnReservation(req.params.id, req.user.id);
+
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    res.json(await withDetails(reservation));
+  } catch (error) {
+    console.error('Get reservation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/checkout/reservations/:id
+// @desc    Abandon a checkout and release its seat
+// @access  Private (only the buyer)
+router.delete('/reservations/:id', auth, async (req, res) => {
+  try {
+    const reservation = await findOwnReservation(req.params.id, req.user.id);
+
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    if (reservation.status !== 'pending') {
+      return res.status(400).json({ message: 'This checkout is no longer open' });
+    }
+
+    const released = await reservations.update(reservation.id, { status: 'cancelled' });
+
+    res.json(await withDetails(released));
+  } catch (error) {
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/checkout/reservations/:id/simulate
+// @desc    Complete (or fail, with succeeded: false) a payment with a local provider; the
+//          provider's signed webhook goes through the same handling as a real one
+// @access  Private (only the buyer; local providers only, never in production)
+router.post('/reservations/:id/simulate', auth, async (req, res) => {
+  try {
+    if (!canSimulatePayment()) {
+      return res.status(404).json({ message: 'API route not found' });
+    }
+
+    const reservation = await findOwnReservation(req.params.id, req.user.id);
+
+    if (!reservation || !reservation.provider_payment_id) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    const webhook = paymentProvider.simulatePayment({
+      paymentId: reservation.provider_payment_id,
+      succeeded: req.body.succeeded !== false
+    });
+    const updated = await applyPaymentEvent(paymentProvider.parseWebhook(webhook.payload, webhook.headers));
+
+    res.json(await withDetails(updated));
+  } catch (error) {
+    console.error('Simulate payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
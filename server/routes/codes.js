@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { events, ticketTypes, codes } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const { parseWindowTime } = require('../utils/rsvpWindow');
+const { withSaleStatus } = require('../utils/ticketTypes');
+const { withCodeStatus, isTicketTypeOffered, resolveCode } = require('../utils/codes');
+const { canOnEvent } = require('../utils/permissions');
+const { readAccess, canViewEvent } = require('../utils/eventAccess');
+
+// Discount and access codes of an event: /api/events/:eventId/codes
+
+const codeRules = [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Code must be 3-30 letters, digits, dashes or underscores'),
+  body('kind').isIn(['discount', 'access']).withMessage('Kind must be discount or access'),
+  body('discount_percent')
+    .if(body('kind').equals('discount'))
+    .isInt({ min: 1, max: 100 }).withMessage('Discount must be between 1 and 100 percent'),
+  body('max_redemptions').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('expires_at').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry must be a valid date')
+];
+
+const toCodeData = (reqBody) => ({
+  code: reqBody.code,
+  kind: reqBody.kind,
+  discount_percent: reqBody.kind === 'discount' ? parseInt(reqBody.discount_percent) : null,
+  ticket_type_id: reqBody.ticket_type_id || null,
+  max_redemptions: reqBody.max_redemptions ? parseInt(reqBody.max_redemptions) : null,
+  expires_at: parseWindowTime(reqBody.expires_at)
+});
+
+// Message when the code's ticket type does not suit it, or null
+const checkTicketType = async (event, data) => {
+  if (!data.ticket_type_id) {
+    return null;
+  }
+
+  const ticketType = await ticketTypes.findById(data.ticket_type_id);
+
+  if (!ticketType || ticketType.event_id !== event.id) {
+    return 'Ticket type not found';
+  }
+  if (data.kind === 'discount' && ticketType.price_cents === 0) {
+    return `${ticketType.name} tickets are free, so there is nothing to discount`;
+  }
+  if (data.kind === 'access' && !ticketType.hidden) {
+    return `${ticketType.name} tickets are not hidden - access codes unlock hidden ticket types`;
+  }
+  return null;
+};
+
+// @route   GET /api/events/:eventId/codes/check?code=
+// @desc    Check a code an attendee entered; returns what it does and the hidden ticket
+//          types it unlocks
+// @access  Public
+router.get('/check', optionalAuth, [
+  query('code').trim().notEmpty().withMessage('Enter a code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event || !(await canViewEvent(event, req.user, readAccess(req)))) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const { code, error } = await resolveCode(event.id, req.query.code);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const types = await ticketTypes.listForEvent(event.id);
+
+    res.json({
+      code: code.code,
+      kind: code.kind,
+      discount_percent: code.discount_percent,
+      ticket_type_id: code.ticket_type_id,
+      unlockedTicketTypes: types.filter(t => t.hidden && isTicketTypeOffered(t, code)).map(withSaleStatus)
+    });
+  } catch (error) {
+    console.error('Check code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/events/:eventId/codes
+// @desc    Get the event's codes with redemption counts and status
+// @access  Private (event creator and editors)
+router.get('/', auth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s codes' });
+    }
+
+    const eventCodes = await codes.listForEvent(event.id);
+    res.json(eventCodes.map(withCodeStatus));
+  } catch (error) {
+    console.error('Get codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:eventId/codes
+// @desc    Create a discount or access code
+// @access  Private (event creator and editors)
+router.post('/', auth, codeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s codes' });
+    }
+
+    const data = toCodeData(req.body);
+
+    const ticketTypeError = await checkTicketType(event, data);
+    if (ticketTypeError) {
+      return res.status(400).json({ message: ticketTypeError });
+    }
+
+    try {
+      const code = await codes.create({ ...data, event_id: event.id });
+      res.status(201).json(withCodeStatus(code));
+    } catch (createError) {
+      if (createError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `The code ${data.code.toUpperCase()} already exists for this event` });
+      }
+      throw createError;
+    }
+  } catch (error) {
+    console.error('Create code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/events/:eventId/codes/:codeId
+// @desc    Update a code; the usage limit cannot drop below its redemptions
+// @access  Private (event creator and editors)
+router.put('/:codeId', auth, codeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s codes' });
+    }
+
+    const existingCode = await codes.findById(req.params.codeId);
+
+    if (!existingCode || existingCode.event_id !== event.id) {
+      return res.status(404).json({ message: 'Code not found' });
+    }
+
+    const data = toCodeData(req.body);
+
+    const ticketTypeError = await checkTicketType(event, data);
+    if (ticketTypeError) {
+      return res.status(400).json({ message: ticketTypeError });
+    }
+
+    if (data.max_redemptions && data.max_redemptions < existingCode.redemption_count) {
+      return res.status(400).json({
+        message: `Usage limit cannot be less than the code's redemptions (${existingCode.redemption_count})`
+      });
+    }
+
+    try {
+      const code = await codes.update(existingCode.id, data);
+      res.json(withCodeStatus(code));
+    } catch (updateError) {
+      if (updateError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `The code ${data.code.toUpperCase()} already exists for this event` });
+      }
+      throw updateError;
+    }
+  } catch (error) {
+    console.error('Update code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:eventId/codes/:codeId
+// @desc    Delete a code; tickets already taken with it are kept
+// @access  Private (event creator and editors)
+router.delete('/:codeId', auth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s codes' });
+    }
+
+    const code = await codes.findById(req.params.codeId);
+
+    if (!code || code.event_id !== event.id) {
+      return res.status(404).json({ message: 'Code not found' });
+    }
+
+    await codes.remove(code.id);
+
+    res.json({ message: 'Code deleted successfully' });
+  } catch (error) {
+    console.error('Delete code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,92 +1,219 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const supabase = require('../supabaseClient');
+const optionalAuth = require('../middleware/optionalAuth');
+const { events, series, rsvps, waitlist, ticketTypes, organizations, reservations } = require('../repositories');
+const { promoteWaitlist } = require('../utils/waitlist');
+const { attachAttendees, attachAttendeeCounts, countSeats, showAttendeesTo } = require('../utils/attendees');
+const { MAX_GUESTS_PER_RSVP } = require('../utils/guests');
+const { questionRules, normalizeQuestions } = require('../utils/registrationQuestions');
+const { withSaleStatus } = require('../utils/ticketTypes');
+const { DEFAULT_LIMIT, MAX_LIMIT, EVENT_SORTS, encodeCursor, decodeCursor } = require('../utils/pagination');
+const { parseEventFilters } = require('../utils/filters');
+const { parseSearchTerms, highlightEvent } = require('../utils/search');
+const { parseWindowTime } = require('../utils/rsvpWindow');
+const { notifyEventAudience } = require('../utils/eventNotifications');
+const { refundEvent } = require('../utils/payments');
+const { TRASH_RETENTION_DAYS, getPurgeAt, isPastRetention } = require('../utils/trash');
+const { removeUnusedUpload } = require('../utils/uploads');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, toUtcIso } = require('../utils/timeZones');
+const { getEventRole, permissionsFor, canOnEvent, canOnOrganization, listManagedOrganizationIds } = require('../utils/permissions');
+const { VISIBILITIES, toShareKey, readAccess, canViewEvent } = require('../utils/eventAccess');
+const { publishRules, isPublished, toPublishFields } = require('../utils/publishing');
+const { parseRecurrenceRule, parseExceptions, expandOccurrences, describeRule, moveEventTo } = require('../utils/recurrence');
+
+// Sort orders clients can pick; relevance is applied automatically while searching
+const SELECTABLE_SORTS = Object.keys(EVENT_SORTS).filter(name => name !== 'relevance');
 const upload = require('../config/multer');
 const fs = require('fs');
-const path = require('path');
+
+// Start, end and time zone, shared by create and update. Wall-clock times are read in the
+// event's time zone and replaced with UTC ISO strings, so later rules compare instants.
+const toUtcInEventZone = (value, { req }) => toUtcIso(value, req.body.time_zone);
+const eventTimeRules = [
+  body('time_zone').optional({ checkFalsy: true })
+    .custom(isValidTimeZone).withMessage('Time zone must be an IANA time zone, e.g. Europe/Berlin'),
+  body('date').notEmpty().withMessage('Date is required').bail()
+    .customSanitizer(toUtcInEventZone)
+    .notEmpty().withMessage('Date must be a valid date'),
+  body('end_date').notEmpty().withMessage('End time is required').bail()
+    .customSanitizer(toUtcInEventZone)
+    .notEmpty().withMessage('End time must be a valid date').bail()
+    .custom((value, { req }) => !req.body.date || new Date(value) > new Date(req.body.date))
+    .withMessage('End time must be after the start time')
+];
+
+// An update that leaves out time_zone keeps the event's zone, so its wall-clock times are read in
+// that zone rather than the server's. Runs before eventTimeRules; the route itself handles a
+// missing event.
+const useEventTimeZone = async (req, res, next) => {
+  try {
+    if (!req.body.time_zone) {
+      const event = await events.findById(req.params.id);
+      if (event) {
+        req.body.time_zone = event.time_zone;
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('Load event time zone error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Optional RSVP window, shared by create and update; empty values clear it. Like the start
+// and end, its times are wall-clock times in the event's zone unless they carry an offset.
+const rsvpWindowRules = [
+  body('rsvp_open_at').optional({ checkFalsy: true })
+    .custom(value => toUtcIso(value) !== null).withMessage('RSVP open time must be a valid date').bail()
+    .customSanitizer(toUtcInEventZone),
+  body('rsvp_close_at').optional({ checkFalsy: true })
+    .custom(value => toUtcIso(value) !== null).withMessage('RSVP close time must be a valid date').bail()
+    .customSanitizer(toUtcInEventZone)
+    .custom((value, { req }) => !req.body.rsvp_open_at || new Date(value) > new Date(req.body.rsvp_open_at))
+    .withMessage('RSVP close time must be after the open time')
+    .custom((value, { req }) => !req.body.date || new Date(value) <= new Date(req.body.date))
+    .withMessage('RSVP close time must not be after the event starts')
+];
+
+// Who can see the event (see utils/eventAccess.js), shared by create and update
+const visibilityRules = [
+  body('visibility').optional({ checkFalsy: true }).isIn(VISIBILITIES).withMessage('Visibility must be public, unlisted or invite_only')
+];
+
+// Optional recurrence for new events (see utils/recurrence.js); rule errors carry their own message
+const recurrenceRules = [
+  body('recurrence').optional({ checkFalsy: true }).custom((value, { req }) => {
+    const rule = parseRecurrenceRule(value);
+    if (req.body.date) {
+      expandOccurrences(new Date(req.body.date), rule, [], req.body.time_zone || DEFAULT_TIME_ZONE);
+    }
+    return true;
+  }),
+  body('recurrence_exceptions').optional({ checkFalsy: true }).custom(value => {
+    parseExceptions(value);
+    return true;
+  })
+];
 
 // @route   GET /api/events
-// @desc    Get all upcoming events
+// @desc    Get upcoming events, one page at a time
+//          ?limit=20&sort=date|newest|popular|seats_left&cursor=<nextCursor from previous page>
+//          Filters: from, to (ISO dates), location, creator (user id), available=true, weekend=true
+//          search: ranked full-text search (title > location > description), results ordered by relevance
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', [
+  query('search').optional().isString().isLength({ max: 200 }).withMessage('Search must be at most 200 characters'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('location').optional().isString().trim(),
+  query('creator').optional().isUUID().withMessage('Creator must be a user id'),
+  query('available').optional().isIn(['true', 'false']).withMessage('Available must be true or false'),
+  query('weekend').optional().isIn(['true', 'false']).withMessage('Weekend must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  query('sort').optional().isIn(SELECTABLE_SORTS).withMessage(`Sort must be one of: ${SELECTABLE_SORTS.join(', ')}`),
+  query('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor')
+], async (req, res) => {
   try {
-    const { search, date } = req.query;
-    let query = supabase
-      .from('events')
-      .select(`
-        *,
-        creator:users!events_creator_id_fkey(id, name, email)
-      `)
-      .gte('date', new Date().toISOString())
-      .order('date', { ascending: true });
-
-    // Search by title, description, or location
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%,location.ilike.%${search}%`);
-    }
-
-    const { data: events, error } = await query;
-
-    if (error) throw error;
-
-    // Get attendee counts for each event
-    const eventsWithAttendees = await Promise.all(
-      events.map(async (event) => {
-        const { count } = await supabase
-          .from('rsvps')
-          .select('*', { count: 'exact', head: true })
-          .eq('event_id', event.id);
-
-        const { data: attendees } = await supabase
-          .from('rsvps')
-          .select('user_id, users!rsvps_user_id_fkey(id, name, email)')
-          .eq('event_id', event.id);
-
-        return {
-          ...event,
-          attendees: attendees?.map(a => a.users) || [],
-          attendeesCount: count || 0
-        };
-      })
-    );
-
-    res.json(eventsWithAttendees);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const searchTerms = parseSearchTerms(req.query.search);
+    const filters = parseEventFilters(req.query);
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+    const sort = searchTerms.length > 0 ? EVENT_SORTS.relevance : EVENT_SORTS[req.query.sort || 'date'];
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+    // Fetch one extra row to know whether another page exists
+    const page = await events.listUpcoming({ search: searchTerms, filters, sort, cursor, limit: limit + 1 });
+    const hasMore = page.length > limit;
+    const pageEvents = page.slice(0, limit);
+
+    let eventsWithCounts = await attachAttendeeCounts(pageEvents);
+
+    if (searchTerms.length > 0) {
+      eventsWithCounts = eventsWithCounts.map(event => ({
+        ...event,
+        highlight: highlightEvent(event, searchTerms)
+      }));
+    }
+
+    res.json({
+      events: eventsWithCounts,
+      nextCursor: hasMore ? encodeCursor(pageEvents[pageEvents.length - 1], sort) : null
+    });
   } catch (error) {
     console.error('Get events error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/events/trash
+// @desc    Get the deleted events the user may restore: their own and those of organizations
+//          they own or administer
+// @access  Private
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const trashedEvents = await events.listTrash(req.user.id, await listManagedOrganizationIds(req.user.id));
+
+    const eventsWithAttendees = await attachAttendees(trashedEvents);
+
+    res.json(eventsWithAttendees.map(event => ({
+      ...event,
+      purgeAt: getPurgeAt(event).toISOString()
+    })));
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/events/:id
-// @desc    Get single event
+// @desc    Get single event with the viewer's role (myRole) and permissions (myPermissions);
+//          hidden ticket types and the share link key (shareKey) are only included for the
+//          creator and editors. Unlisted events need ?key=<share key> and invite-only ones
+//          ?invite=<invite token>, unless the viewer organizes, was invited to or answered them.
+//          Attendee emails and guest names are only included for organizers who may view
+//          attendees; everyone else only sees attendees who chose to show their name
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const { data: event, error } = await supabase
-      .from('events')
-      .select(`
-        *,
-        creator:users!events_creator_id_fkey(id, name, email)
-      `)
-      .eq('id', req.params.id)
-      .single();
-
-    if (error || !event) {
+    const event = await events.findById(req.params.id);
+
+    if (!event || !(await canViewEvent(event, req.user, readAccess(req)))) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
     // Get attendees
-    const { data: rsvps } = await supabase
-      .from('rsvps')
-      .select('user_id, users!rsvps_user_id_fkey(id, name, email)')
-      .eq('event_id', event.id);
-
-    event.attendees = rsvps?.map(r => r.users) || [];
-    event.attendeesCount = event.attendees.length;
+    event.attendees = await rsvps.listAttendees(event.id);
+    event.attendeesCount = countSeats(event.attendees);
+    event.waitlistCount = await waitlist.countForEvent(event.id);
+    event.responseCounts = await rsvps.countResponses(event.id);
+    event.myRole = await getEventRole(event, req.user && req.user.id);
+    event.myPermissions = permissionsFor(event.myRole);
+    const canEdit = event.myPermissions.includes('edit');
+    if (canEdit) {
+      event.shareKey = toShareKey(event);
+    }
+    event.ticketTypes = (await ticketTypes.listForEvent(event.id))
+      .filter(t => canEdit || !t.hidden)
+      .map(withSaleStatus);
+
+    // Recurrence and the upcoming occurrences of its series
+    if (event.series_id) {
+      const eventSeries = await series.findById(event.series_id);
+      const upcoming = await events.listSeriesFrom(event.series_id, new Date().toISOString());
+      event.series = eventSeries && {
+        ...eventSeries,
+        summary: describeRule(parseRecurrenceRule(eventSeries.rrule)),
+        occurrences: upcoming.map(({ id, date, end_date }) => ({ id, date, end_date }))
+      };
+    }
 
-    res.json(event);
+    res.json(await showAttendeesTo(event, req.user && req.user.id));
   } catch (error) {
     console.error('Get event error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -94,14 +221,25 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/events
-// @desc    Create a new event
+// @desc    Create a new event, or a series of them when recurrence (RRULE-style) is given;
+//          organization_id publishes it under one of the user's organizations. publish is now
+//          (default), draft or scheduled (with publish_at); until published only its
+//          organizers see it
 // @access  Private
 router.post('/', auth, upload.single('image'), [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('description').trim().notEmpty().withMessage('Description is required'),
-  body('date').notEmpty().withMessage('Date is required'),
+  ...eventTimeRules,
   body('location').trim().notEmpty().withMessage('Location is required'),
-  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1')
+  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('max_guests').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_GUESTS_PER_RSVP })
+    .withMessage(`Guests per RSVP must be between 0 and ${MAX_GUESTS_PER_RSVP}`),
+  ...questionRules,
+  ...rsvpWindowRules,
+  ...recurrenceRules,
+  ...visibilityRules,
+  ...publishRules,
+  body('organization_id').optional({ checkFalsy: true }).isUUID().withMessage('Invalid organization')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -112,29 +250,89 @@ router.post('/', auth, upload.single('image'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, date, location, capacity } = req.body;
+    const { title, description, date, end_date, time_zone, location, capacity, max_guests, rsvp_open_at, rsvp_close_at, recurrence } = req.body;
+
+    // Events published under an organization are created by one of its members
+    const organization = req.body.organization_id ? await organizations.findById(req.body.organization_id) : null;
+
+    if (req.body.organization_id && !(organization && await canOnOrganization(organization, req.user.id, 'publish'))) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(403).json({ message: 'Only members of the organization can publish events under it' });
+    }
+
     const image = req.file ? `/uploads/${req.file.filename}` : '';
 
-    // Step 1: Insert the event (without SELECT to avoid PGRST204)
-    // Build insert data - don't include rsvp_open_at if column doesn't exist
     const insertData = {
       title,
       description,
-      date: new Date(date).toISOString(),
+      date,
+      end_date,
+      time_zone: time_zone || DEFAULT_TIME_ZONE,
       location,
       capacity: parseInt(capacity),
+      max_guests: parseInt(max_guests) || 0,
+      registration_questions: normalizeQuestions(req.body.registration_questions || []),
       image,
-      creator_id: req.user.id
+      rsvp_open_at: parseWindowTime(rsvp_open_at),
+      rsvp_close_at: parseWindowTime(rsvp_close_at),
+      creator_id: req.user.id,
+      organization_id: organization ? organization.id : null,
+      visibility: req.body.visibility || 'public',
+      ...toPublishFields(req.body.publish || 'now', req.body.publish_at)
     };
 
+    // Build response with creator info from req.user (we already have it from auth middleware)
+    const creator = {
+      id: req.user.id,
+      name: req.user.name,
+      email: req.user.email
+    };
+    const organizationSummary = organization
+      ? { id: organization.id, name: organization.name, slug: organization.slug }
+      : null;
+
+    // Recurring events get one event per occurrence, each with its own RSVPs and capacity
+    if (recurrence) {
+      const rule = parseRecurrenceRule(recurrence);
+      const exceptions = parseExceptions(req.body.recurrence_exceptions);
+      const occurrenceDates = expandOccurrences(new Date(insertData.date), rule, exceptions, insertData.time_zone);
+
+      if (occurrenceDates.length === 0) {
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+        return res.status(400).json({ message: 'The recurrence exceptions leave no occurrences' });
+      }
+
+      const eventSeries = await series.create({ creatorId: req.user.id, rrule: recurrence, exceptions });
+      const occurrences = await events.createOccurrences(occurrenceDates.map(occurrenceDate => ({
+        ...moveEventTo(insertData, occurrenceDate),
+        series_id: eventSeries.id
+      })));
+
+      return res.status(201).json({
+        ...occurrences[0],
+        creator,
+        organization: organizationSummary,
+        attendees: [],
+        attendeesCount: 0,
+        series: {
+          ...eventSeries,
+          summary: describeRule(rule),
+          occurrences: occurrences.map(occurrence => ({ id: occurrence.id, date: occurrence.date, end_date: occurrence.end_date }))
+        }
+      });
+    }
+
     console.log('Inserting event:', { title, creator_id: req.user.id });
-    
-    const { error: insertError } = await supabase
-      .from('events')
-      .insert(insertData);
 
-    if (insertError) {
-      console.error('Supabase INSERT error:', insertError);
+    let insertedEvent;
+    try {
+      insertedEvent = await events.create(insertData);
+    } catch (insertError) {
+      console.error('Create event INSERT error:', insertError);
       console.error('Error details:', JSON.stringify(insertError, null, 2));
       if (req.file) {
         fs.unlinkSync(req.file.path);
@@ -148,54 +346,10 @@ router.post('/', auth, upload.single('image'), [
       });
     }
 
-    console.log('Event INSERT succeeded, fetching event...');
-
-    // Step 2: Wait a moment for the insert to commit
-    await new Promise(resolve => setTimeout(resolve, 300));
-
-    // Step 3: Fetch the event we just created
-    const { data: fetchedEvents, error: fetchError } = await supabase
-      .from('events')
-      .select('*')
-      .eq('creator_id', req.user.id)
-      .eq('title', title)
-      .order('created_at', { ascending: false })
-      .limit(1);
-
-    let insertedEvent;
-
-    if (fetchError) {
-      console.error('Error fetching inserted event:', fetchError);
-      // Build event object manually - INSERT succeeded, so we know the data
-      insertedEvent = {
-        ...insertData,
-        id: null, // Database generated, but we don't have it
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      console.log('Built event object manually');
-    } else if (!fetchedEvents || fetchedEvents.length === 0) {
-      console.log('No events found, building manually');
-      // Build event object manually
-      insertedEvent = {
-        ...insertData,
-        id: null,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-    } else {
-      insertedEvent = fetchedEvents[0];
-      console.log('Successfully fetched event:', insertedEvent.id);
-    }
-
-    // Build response with creator info from req.user (we already have it from auth middleware)
     const event = {
       ...insertedEvent,
-      creator: {
-        id: req.user.id,
-        name: req.user.name,
-        email: req.user.email
-      },
+      creator,
+      organization: organizationSummary,
       attendees: [],
       attendeesCount: 0
     };
@@ -215,14 +369,23 @@ router.post('/', auth, upload.single('image'), [
 });
 
 // @route   PUT /api/events/:id
-// @desc    Update an event
-// @access  Private (only creator)
-router.put('/:id', auth, upload.single('image'), [
+// @desc    Update an event; for a series occurrence, scope=future also updates every later occurrence.
+//          publish (now, draft or scheduled with publish_at) applies to occurrences not yet published
+// @access  Private (creator and editors; only the creator and members of the event's organization
+//          can update a whole series)
+router.put('/:id', auth, upload.single('image'), useEventTimeZone, [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('description').trim().notEmpty().withMessage('Description is required'),
-  body('date').notEmpty().withMessage('Date is required'),
+  ...eventTimeRules,
   body('location').trim().notEmpty().withMessage('Location is required'),
-  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1')
+  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('max_guests').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_GUESTS_PER_RSVP })
+    .withMessage(`Guests per RSVP must be between 0 and ${MAX_GUESTS_PER_RSVP}`),
+  body('scope').optional().isIn(['this', 'future']).withMessage('Scope must be this or future'),
+  ...questionRules,
+  ...rsvpWindowRules,
+  ...visibilityRules,
+  ...publishRules
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -233,81 +396,132 @@ router.put('/:id', auth, upload.single('image'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if event exists and user is creator
-    const { data: existingEvent, error: fetchError } = await supabase
-      .from('events')
-      .select('creator_id, image')
-      .eq('id', req.params.id)
-      .single();
+    // Check if event exists and user may edit it
+    const existingEvent = await events.findById(req.params.id);
 
-    if (fetchError || !existingEvent) {
+    if (!existingEvent) {
       if (req.file) {
         fs.unlinkSync(req.file.path);
       }
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (existingEvent.creator_id !== req.user.id) {
+    if (!(await canOnEvent(existingEvent, req.user.id, 'edit'))) {
       if (req.file) {
         fs.unlinkSync(req.file.path);
       }
       return res.status(403).json({ message: 'Not authorized to update this event' });
     }
 
-    // Get current attendee count
-    const { count: attendeeCount } = await supabase
-      .from('rsvps')
-      .select('*', { count: 'exact', head: true })
-      .eq('event_id', req.params.id);
+    // Attendees may already have answered a published event, so it stays published
+    if (isPublished(existingEvent) && req.body.publish && req.body.publish !== 'now') {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ message: 'A published event cannot go back to being a draft' });
+    }
 
-    const { capacity } = req.body;
-    if (parseInt(capacity) < (attendeeCount || 0)) {
+    // Co-organizers are added per occurrence, so later occurrences are the creator's (and, for
+    // events published under an organization, its members') to change
+    if (req.body.scope === 'future' && existingEvent.series_id && existingEvent.creator_id !== req.user.id &&
+        !(existingEvent.organization_id && await organizations.findMemberRole(existingEvent.organization_id, req.user.id))) {
       if (req.file) {
         fs.unlinkSync(req.file.path);
       }
-      return res.status(400).json({ 
-        message: `Capacity cannot be less than current attendees (${attendeeCount || 0})` 
-      });
+      return res.status(403).json({ message: 'Only the event\'s creator can update the rest of the series' });
     }
 
-    const { title, description, date, location } = req.body;
+    // Occurrences to update: this one, or this and all later ones in its series
+    const targets = req.body.scope === 'future' && existingEvent.series_id
+      ? await events.listSeriesFrom(existingEvent.series_id, existingEvent.date)
+      : [existingEvent];
+
+    const { capacity } = req.body;
+    for (const target of targets) {
+      // Get current attendee count (guests take seats too)
+      const attendeeCount = await rsvps.countForEvent(target.id);
+
+      if (parseInt(capacity) < attendeeCount) {
+        if (req.file) {
+          fs.unlinkSync(req.file.path);
+        }
+        const occurrence = targets.length > 1 ? ` on ${new Date(target.date).toDateString()}` : '';
+        return res.status(400).json({ 
+          message: `Capacity cannot be less than current attendees (${attendeeCount})${occurrence}` 
+        });
+      }
+    }
+
+    const { title, description, date, end_date, time_zone, location } = req.body;
     const updateData = {
       title,
       description,
-      date: new Date(date).toISOString(),
+      date,
+      end_date,
+      time_zone: time_zone || existingEvent.time_zone,
       location,
       capacity: parseInt(capacity)
     };
 
-    // Delete old image if new one is uploaded
-    if (req.file && existingEvent.image) {
-      const oldImagePath = path.join(__dirname, '..', existingEvent.image);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-      }
+    if (req.body.max_guests !== undefined) {
+      updateData.max_guests = parseInt(req.body.max_guests) || 0;
+    }
+
+    // Questions keep their ids, so answers already given still match them
+    if (req.body.registration_questions !== undefined) {
+      updateData.registration_questions = normalizeQuestions(
+        req.body.registration_questions || [],
+        existingEvent.registration_questions || []
+      );
+    }
+
+    if (req.body.visibility) {
+      updateData.visibility = req.body.visibility;
+    }
+
+    // Only touch the RSVP window when the form sent it
+    if (req.body.rsvp_open_at !== undefined) {
+      updateData.rsvp_open_at = parseWindowTime(req.body.rsvp_open_at);
+    }
+    if (req.body.rsvp_close_at !== undefined) {
+      updateData.rsvp_close_at = parseWindowTime(req.body.rsvp_close_at);
+    }
+
+    if (req.file) {
       updateData.image = `/uploads/${req.file.filename}`;
     }
 
-    const { data: event, error } = await supabase
-      .from('events')
-      .update(updateData)
-      .eq('id', req.params.id)
-      .select(`
-        *,
-        creator:users!events_creator_id_fkey(id, name, email)
-      `)
-      .single();
+    const publishFields = req.body.publish ? toPublishFields(req.body.publish, req.body.publish_at) : null;
 
-    if (error) throw error;
+    // A changed start time moves every target occurrence by the same amount
+    const dateShift = new Date(updateData.date) - new Date(existingEvent.date);
 
-    // Get attendees
-    const { data: rsvps } = await supabase
-      .from('rsvps')
-      .select('user_id, users!rsvps_user_id_fkey(id, name, email)')
-      .eq('event_id', event.id);
+    let event;
+    for (const target of targets) {
+      const targetStart = new Date(new Date(target.date).getTime() + dateShift);
+      const targetData = publishFields && !isPublished(target) ? { ...updateData, ...publishFields } : updateData;
+      const updated = await events.update(target.id, moveEventTo(targetData, targetStart));
+
+      // Raised capacity frees seats for people on the waitlist
+      await promoteWaitlist(updated);
 
-    event.attendees = rsvps?.map(r => r.users) || [];
-    event.attendeesCount = event.attendees.length;
+      if (target.id === existingEvent.id) {
+        event = updated;
+      }
+    }
+
+    // Delete old images if a new one was uploaded (occurrences may still share them)
+    if (req.file) {
+      const oldImages = [...new Set(targets.map(target => target.image))];
+      for (const oldImage of oldImages) {
+        await removeUnusedUpload(oldImage);
+      }
+    }
+
+    // Get attendees
+    event.attendees = await rsvps.listAttendees(event.id);
+    event.attendeesCount = countSeats(event.attendees);
+    event.waitlistCount = await waitlist.countForEvent(event.id);
 
     res.json(event);
   } catch (error) {
@@ -319,43 +533,213 @@ router.put('/:id', auth, upload.single('image'), [
   }
 });
 
+// @route   POST /api/events/:id/cancel
+// @desc    Cancel an event: it stays visible with the reason but takes no new RSVPs;
+//          paid tickets are refunded and their RSVPs released
+// @access  Private (creator and editors)
+router.post('/:id/cancel', auth, [
+  body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+    .isLength({ max: 500 }).withMessage('Cancellation reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingEvent = await events.findById(req.params.id);
+
+    if (!existingEvent) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(existingEvent, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to cancel this event' });
+    }
+
+    if (existingEvent.status === 'cancelled') {
+      return res.status(400).json({ message: 'Event is already cancelled' });
+    }
+
+    const event = await events.update(req.params.id, {
+      status: 'cancelled',
+      cancellation_reason: req.body.reason,
+      cancelled_at: new Date().toISOString()
+    });
+
+    await notifyEventAudience(event, `"${event.title}" has been cancelled: ${req.body.reason}`);
+    await refundEvent(event);
+
+    event.attendees = await rsvps.listAttendees(event.id);
+    event.attendeesCount = countSeats(event.attendees);
+    event.waitlistCount = await waitlist.countForEvent(event.id);
+
+    res.json(event);
+  } catch (error) {
+    console.error('Cancel event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:id/reinstate
+// @desc    Undo a cancellation; free RSVPs and the waitlist are kept (paid tickets were
+//          refunded on cancelling, so their holders buy them again)
+// @access  Private (creator and editors)
+router.post('/:id/reinstate', auth, async (req, res) => {
+  try {
+    const existingEvent = await events.findById(req.params.id);
+
+    if (!existingEvent) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(existingEvent, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to reinstate this event' });
+    }
+
+    if (existingEvent.status !== 'cancelled') {
+      return res.status(400).json({ message: 'Event is not cancelled' });
+    }
+
+    const event = await events.update(req.params.id, {
+      status: 'active',
+      cancellation_reason: null,
+      cancelled_at: null
+    });
+
+    await notifyEventAudience(event, `Good news - "${event.title}" is back on.`);
+
+    // Seats may have opened up while the waitlist was frozen
+    await promoteWaitlist(event);
+
+    event.attendees = await rsvps.listAttendees(event.id);
+    event.attendeesCount = countSeats(event.attendees);
+    event.waitlistCount = await waitlist.countForEvent(event.id);
+
+    res.json(event);
+  } catch (error) {
+    console.error('Reinstate event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:id/publish
+// @desc    Publish a draft or scheduled event now
+// @access  Private (creator and editors)
+router.post('/:id/publish', auth, async (req, res) => {
+  try {
+    const existingEvent = await events.findById(req.params.id);
+
+    if (!existingEvent) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(existingEvent, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to publish this event' });
+    }
+
+    const event = await events.publish(existingEvent.id);
+
+    if (!event) {
+      return res.status(400).json({ message: 'Event is already published' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error('Publish event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:id/share-link
+// @desc    Replace the event's share link (returns the new shareKey); links shared before stop working
+// @access  Private (creator and editors)
+router.post('/:id/share-link', auth, async (req, res) => {
+  try {
+    const existingEvent = await events.findById(req.params.id);
+
+    if (!existingEvent) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(existingEvent, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s share link' });
+    }
+
+    const event = await events.update(existingEvent.id, {
+      share_version: (existingEvent.share_version || 0) + 1
+    });
+
+    res.json({ shareKey: toShareKey(event) });
+  } catch (error) {
+    console.error('Reset share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:id/restore
+// @desc    Restore a deleted event from the trash, with its RSVPs and image
+// @access  Private (only creator)
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const existingEvent = await events.findById(req.params.id, { includeDeleted: true });
+
+    if (!existingEvent || !existingEvent.deleted_at) {
+      return res.status(404).json({ message: 'Event not found in trash' });
+    }
+
+    if (!(await canOnEvent(existingEvent, req.user.id, 'manage'))) {
+      return res.status(403).json({ message: 'Not authorized to restore this event' });
+    }
+
+    if (isPastRetention(existingEvent)) {
+      return res.status(410).json({
+        message: `Events can only be restored within ${TRASH_RETENTION_DAYS} days of deletion`
+      });
+    }
+
+    const event = await events.update(req.params.id, { deleted_at: null });
+
+    event.attendees = await rsvps.listAttendees(event.id);
+    event.attendeesCount = countSeats(event.attendees);
+    event.waitlistCount = await waitlist.countForEvent(event.id);
+
+    res.json(event);
+  } catch (error) {
+    console.error('Restore event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/events/:id
-// @desc    Delete an event
+// @desc    Move an event to the trash (restorable for 30 days, then purged). Events with
+//          paid tickets must be cancelled first, which refunds them
 // @access  Private (only creator)
 router.delete('/:id', auth, async (req, res) => {
   try {
     // Check if event exists and user is creator
-    const { data: event, error: fetchError } = await supabase
-      .from('events')
-      .select('creator_id, image')
-      .eq('id', req.params.id)
-      .single();
+    const event = await events.findById(req.params.id);
 
-    if (fetchError || !event) {
+    if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (event.creator_id !== req.user.id) {
+    if (!(await canOnEvent(event, req.user.id, 'manage'))) {
       return res.status(403).json({ message: 'Not authorized to delete this event' });
     }
 
-    // Delete image file if exists
-    if (event.image) {
-      const imagePath = path.join(__dirname, '..', event.image);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
+    // Purging would delete the paid tickets without refunding them
+    if ((await reservations.listPaidForEvent(event.id)).length > 0) {
+      return res.status(409).json({
+        message: 'This event has paid tickets. Cancel it first so they are refunded, then delete it.'
+      });
     }
 
-    // Delete event (RSVPs will be cascade deleted)
-    const { error } = await supabase
-      .from('events')
-      .delete()
-      .eq('id', req.params.id);
-
-    if (error) throw error;
+    // Keep the image and RSVPs so the event can be restored;
+    // jobs/purgeTrash.js removes them once the retention period is over
+    await events.update(req.params.id, { deleted_at: new Date().toISOString() });
 
-    res.json({ message: 'Event deleted successfully' });
+    res.json({ message: `Event moved to trash. It can be restored for ${TRASH_RETENTION_DAYS} days.` });
   } catch (error) {
     console.error('Delete event error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { events, users, invitations, notifications } = require('../repositories');
+const { canOnEvent } = require('../utils/permissions');
+const { toShareKey, toInviteToken } = require('../utils/eventAccess');
+const { isPublished } = require('../utils/publishing');
+
+// Who an event is shared with: its share link and the invitations to it,
+// /api/events/:eventId/invitations
+
+const MAX_EMAILS_PER_REQUEST = 100;
+
+const toInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  token: toInviteToken(invitation),
+  user: invitation.user,
+  accepted_at: invitation.accepted_at,
+  created_at: invitation.created_at
+});
+
+// Loads the event for a user who may edit it; sends the error response and returns null otherwise
+const findEventFor = async (req, res) => {
+  const event = await events.findById(req.params.eventId);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+
+  if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+    res.status(403).json({ message: 'Not authorized to manage this event\'s invitations' });
+    return null;
+  }
+
+  return event;
+};
+
+// @route   GET /api/events/:eventId/invitations
+// @desc    Get the event's visibility, its share key and its invitations, each with the
+//          token of its invite link and the user who accepted it
+// @access  Private (event creator and editors)
+router.get('/', auth, async (req, res) => {
+  try {
+    const event = await findEventFor(req, res);
+    if (!event) return;
+
+    const eventInvitations = await invitations.listForEvent(event.id);
+
+    res.json({
+      visibility: event.visibility,
+      shareKey: toShareKey(event),
+      invitations: eventInvitations.map(toInvitation)
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:eventId/invitations
+// @desc    Invite people by email (emails, a list); emails already invited are skipped and,
+//          once the event is published, invitees who have an account are notified. Returns
+//          the new invitations
+// @access  Private (event creator and editors)
+router.post('/', auth, [
+  body('emails')
+    .isArray({ min: 1, max: MAX_EMAILS_PER_REQUEST })
+    .withMessage(`Provide between 1 and ${MAX_EMAILS_PER_REQUEST} emails`),
+  body('emails.*').isString().trim().isEmail().withMessage('Please provide valid emails')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await findEventFor(req, res);
+    if (!event) return;
+
+    const added = await invitations.addMany({
+      eventId: event.id,
+      emails: req.body.emails,
+      invitedBy: req.user.id
+    });
+
+    // Drafts are hidden from invitees, so there is nothing to point them to yet
+    if (isPublished(event)) {
+      for (const invitation of added) {
+        const user = await users.findByEmail(invitation.email);
+        if (user && user.id !== req.user.id) {
+          await notifications.create({
+            userId: user.id,
+            eventId: event.id,
+            message: `${req.user.name} invited you to "${event.title}".`
+          });
+        }
+      }
+    }
+
+    res.status(201).json(added.map(toInvitation));
+  } catch (error) {
+    console.error('Add invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:eventId/invitations/:invitationId
+// @desc    Revoke an invitation; its link stops working. An RSVP made with it is kept
+// @access  Private (event creator and editors)
+router.delete('/:invitationId', auth, async (req, res) => {
+  try {
+    const event = await findEventFor(req, res);
+    if (!event) return;
+
+    const invitation = await invitations.findById(req.params.invitationId);
+
+    if (!invitation || invitation.event_id !== event.id) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    await invitations.remove(invitation.id);
+
+    res.json({ message: `Invitation for ${invitation.email} revoked` });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
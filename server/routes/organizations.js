@@ -0,0 +1,395 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { organizations, events, users, notifications } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const { attachAttendees, attachAttendeeCounts } = require('../utils/attendees');
+const { attachTicketTypes } = require('../utils/ticketTypes');
+const { isPublished } = require('../utils/publishing');
+const { ORGANIZATION_ROLES, getEventRole, permissionsFor, organizationPermissionsFor } = require('../utils/permissions');
+
+// Organizations that publish events as a group, and their members: /api/organizations
+
+// Lowercase words joined by single hyphens, e.g. "demo-tech-collective"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 50;
+
+// URL-friendly version of a name: "Demo Tech Collective!" -> "demo-tech-collective"
+const toSlug = (name) => name
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/^-+|-+$/g, '');
+
+const roleLabels = {
+  owner: 'an owner',
+  admin: 'an admin',
+  member: 'a member'
+};
+
+const organizationRules = [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('slug').optional({ checkFalsy: true }).trim()
+    .isLength({ min: 3, max: MAX_SLUG_LENGTH }).withMessage(`URL must be between 3 and ${MAX_SLUG_LENGTH} characters`)
+    .matches(SLUG_PATTERN).withMessage('URL may only use lowercase letters, numbers and single hyphens'),
+  body('description').optional().trim()
+    .isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters')
+];
+
+const roleRules = [
+  body('role').isIn(ORGANIZATION_ROLES).withMessage('Role must be owner, admin or member')
+];
+
+// The chosen slug, or one made from the name (null when the name has no usable characters)
+const slugFor = ({ name, slug }) => {
+  const value = slug || toSlug(name);
+  return value.length >= 3 ? value : null;
+};
+
+const withRole = (organization, role) => ({
+  ...organization,
+  myRole: role,
+  myPermissions: organizationPermissionsFor(role)
+});
+
+const toMember = ({ id, user, role, created_at }) => ({ id, user, role, created_at });
+
+// Loads the organization for a member with any of the given permissions (or any member when
+// none are given); sends the error response and returns null otherwise
+const findOrganizationFor = async (req, res, ...permissions) => {
+  const organization = await organizations.findById(req.params.id);
+
+  if (!organization) {
+    res.status(404).json({ message: 'Organization not found' });
+    return null;
+  }
+
+  const role = await organizations.findMemberRole(organization.id, req.user.id);
+  const granted = organizationPermissionsFor(role);
+
+  if (!role || (permissions.length > 0 && !permissions.some(permission => granted.includes(permission)))) {
+    res.status(403).json({ message: 'Not authorized to manage this organization' });
+    return null;
+  }
+
+  return withRole(organization, role);
+};
+
+// Loads a member of the organization from the route; sends a 404 and returns null otherwise
+const findMemberOf = async (req, res, organization) => {
+  const member = await organizations.findMemberById(req.params.memberId);
+
+  if (!member || member.organization_id !== organization.id) {
+    res.status(404).json({ message: 'Member not found' });
+    return null;
+  }
+
+  return member;
+};
+
+// Whether taking the owner role away from the member would leave the organization without one
+const isLastOwner = async (member) => (
+  member.role === 'owner' && (await organizations.countOwners(member.organization_id)) <= 1
+);
+
+// @route   GET /api/organizations/mine
+// @desc    Get the organizations the user belongs to, each with their role (myRole) and
+//          permissions (myPermissions)
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const memberships = await organizations.listForUser(req.user.id);
+
+    res.json(memberships.map(({ role, ...organization }) => withRole(organization, role)));
+  } catch (error) {
+    console.error('Get my organizations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/by-slug/:slug
+// @desc    Get an organization's public page: its details and upcoming published public events
+// @access  Public
+router.get('/by-slug/:slug', async (req, res) => {
+  try {
+    const organization = await organizations.findBySlug(req.params.slug);
+
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const upcomingEvents = (await events.listByOrganization(organization.id, { upcomingOnly: true }))
+      .filter(event => event.status === 'active' && event.visibility === 'public' && isPublished(event));
+
+    res.json({
+      ...organization,
+      events: await attachAttendeeCounts(upcomingEvents)
+    });
+  } catch (error) {
+    console.error('Get organization page error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create an organization; the user becomes its first owner. slug (the public page's
+//          URL) is made from the name when not given
+// @access  Private
+router.post('/', auth, organizationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slug = slugFor(req.body);
+
+    if (!slug) {
+      return res.status(400).json({ message: 'Choose a URL for the organization' });
+    }
+
+    let organization;
+    try {
+      organization = await organizations.create({
+        name: req.body.name,
+        slug,
+        description: req.body.description || '',
+        createdBy: req.user.id
+      });
+    } catch (createError) {
+      if (createError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `The URL "${slug}" is already taken` });
+      }
+      throw createError;
+    }
+
+    res.status(201).json(withRole(organization, 'owner'));
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id
+// @desc    Update an organization's name, URL and description
+// @access  Private (owners and admins)
+router.put('/:id', auth, organizationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await findOrganizationFor(req, res, 'edit');
+    if (!organization) return;
+
+    const slug = req.body.slug || organization.slug;
+
+    let updated;
+    try {
+      updated = await organizations.update(organization.id, {
+        name: req.body.name,
+        slug,
+        description: req.body.description || ''
+      });
+    } catch (updateError) {
+      if (updateError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `The URL "${slug}" is already taken` });
+      }
+      throw updateError;
+    }
+
+    res.json(withRole(updated, organization.myRole));
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id
+// @desc    Delete an organization; its events stay, as their creators' personal events
+// @access  Private (owners)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const organization = await findOrganizationFor(req, res, 'delete');
+    if (!organization) return;
+
+    await organizations.remove(organization.id);
+
+    res.json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id/events
+// @desc    Get all the organization's events (past ones included) for its dashboard, each with
+//          the user's role (myRole), permissions (myPermissions) and ticket type breakdown
+// @access  Private (members)
+router.get('/:id/events', auth, async (req, res) => {
+  try {
+    const organization = await findOrganizationFor(req, res);
+    if (!organization) return;
+
+    const organizationEvents = await events.listByOrganization(organization.id);
+
+    const eventsWithAttendees = await attachAttendees(organizationEvents);
+
+    const eventsWithTicketTypes = await attachTicketTypes(eventsWithAttendees);
+    res.json(await Promise.all(eventsWithTicketTypes.map(async (event) => {
+      const role = await getEventRole(event, req.user.id);
+      return { ...event, myRole: role, myPermissions: permissionsFor(role) };
+    })));
+  } catch (error) {
+    console.error('Get organization events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id/members
+// @desc    Get the organization's members with their roles
+// @access  Private (members)
+router.get('/:id/members', auth, async (req, res) => {
+  try {
+    const organization = await findOrganizationFor(req, res);
+    if (!organization) return;
+
+    const members = await organizations.listMembers(organization.id);
+
+    res.json(members.map(toMember));
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/members
+// @desc    Add a member by the email they signed up with, with a role (owner, admin or
+//          member); they are notified. Only owners can add owners
+// @access  Private (owners and admins)
+router.post('/:id/members', auth, [
+  body('email').trim().isEmail().withMessage('Please provide a valid email'),
+  ...roleRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await findOrganizationFor(req, res, 'manage_members');
+    if (!organization) return;
+
+    if (req.body.role === 'owner' && organization.myRole !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can add owners' });
+    }
+
+    const user = await users.findByEmail(req.body.email);
+
+    if (!user) {
+      return res.status(404).json({ message: 'No account uses that email - ask them to sign up first' });
+    }
+
+    let member;
+    try {
+      member = await organizations.addMember({
+        organizationId: organization.id,
+        userId: user.id,
+        role: req.body.role
+      });
+    } catch (addError) {
+      if (addError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `${user.name} is already a member` });
+      }
+      throw addError;
+    }
+
+    await notifications.create({
+      userId: user.id,
+      eventId: null,
+      message: `${req.user.name} added you to ${organization.name} as ${roleLabels[member.role]}.`
+    });
+
+    res.status(201).json(toMember({ ...member, user: { id: user.id, name: user.name, email: user.email } }));
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id/members/:memberId
+// @desc    Change a member's role. Only owners can make or unmake owners, and the last owner
+//          keeps the role
+// @access  Private (owners and admins)
+router.put('/:id/members/:memberId', auth, roleRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await findOrganizationFor(req, res, 'manage_members');
+    if (!organization) return;
+
+    const member = await findMemberOf(req, res, organization);
+    if (!member) return;
+
+    if ((member.role === 'owner' || req.body.role === 'owner') && organization.myRole !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can change who owns the organization' });
+    }
+
+    if (req.body.role !== 'owner' && await isLastOwner(member)) {
+      return res.status(400).json({ message: 'An organization needs at least one owner - make someone else an owner first' });
+    }
+
+    const updated = await organizations.updateMemberRole(member.id, req.body.role);
+    const user = await users.findById(member.user_id);
+
+    res.json(toMember({ ...updated, user }));
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/members/:memberId
+// @desc    Remove a member; members can also leave. Only owners can remove owners, and the
+//          last owner cannot leave
+// @access  Private (owners and admins, or the member)
+router.delete('/:id/members/:memberId', auth, async (req, res) => {
+  try {
+    const organization = await findOrganizationFor(req, res);
+    if (!organization) return;
+
+    const member = await findMemberOf(req, res, organization);
+    if (!member) return;
+
+    const isSelf = member.user_id === req.user.id;
+
+    if (!isSelf && !organization.myPermissions.includes('manage_members')) {
+      return res.status(403).json({ message: 'Not authorized to manage this organization' });
+    }
+
+    if (!isSelf && member.role === 'owner' && organization.myRole !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can remove owners' });
+    }
+
+    if (await isLastOwner(member)) {
+      return res.status(400).json({ message: 'An organization needs at least one owner - make someone else an owner first' });
+    }
+
+    await organizations.removeMember(member.id);
+
+    res.json({ message: isSelf ? 'You left the organization' : 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
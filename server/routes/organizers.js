@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { events, users, organizers, notifications } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const { ORGANIZER_ROLES, canOnEvent, getEventRole } = require('../utils/permissions');
+
+// Co-organizers of an event and their roles: /api/events/:eventId/organizers
+
+const roleLabels = {
+  editor: 'an editor',
+  check_in: 'check-in staff',
+  viewer: 'a viewer'
+};
+
+const roleRules = [
+  body('role').isIn(ORGANIZER_ROLES).withMessage('Role must be editor, check_in or viewer')
+];
+
+const toOrganizer = ({ id, user, role, created_at }) => ({ id, user, role, created_at });
+
+// @route   GET /api/events/:eventId/organizers
+// @desc    Get the event's creator and co-organizers with their roles
+// @access  Private (event creator and co-organizers)
+router.get('/', auth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await getEventRole(event, req.user.id))) {
+      return res.status(403).json({ message: 'Not authorized to view this event\'s organizers' });
+    }
+
+    const eventOrganizers = await organizers.listForEvent(event.id);
+
+    res.json({
+      creator: event.creator,
+      organizers: eventOrganizers.map(toOrganizer)
+    });
+  } catch (error) {
+    console.error('Get organizers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:eventId/organizers
+// @desc    Add a co-organizer by the email they signed up with, with a role (editor,
+//          check_in or viewer); they are notified
+// @access  Private (only event creator)
+router.post('/', auth, [
+  body('email').trim().isEmail().withMessage('Please provide a valid email'),
+  ...roleRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s organizers' });
+    }
+
+    const user = await users.findByEmail(req.body.email);
+
+    if (!user) {
+      return res.status(404).json({ message: 'No account uses that email - ask them to sign up first' });
+    }
+
+    if (user.id === event.creator_id) {
+      return res.status(400).json({ message: 'You already organize this event' });
+    }
+
+    let organizer;
+    try {
+      organizer = await organizers.add({
+        eventId: event.id,
+        userId: user.id,
+        role: req.body.role,
+        invitedBy: req.user.id
+      });
+    } catch (addError) {
+      if (addError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `${user.name} already co-organizes this event` });
+      }
+      throw addError;
+    }
+
+    await notifications.create({
+      userId: user.id,
+      eventId: event.id,
+      message: `${req.user.name} added you to "${event.title}" as ${roleLabels[organizer.role]}.`
+    });
+
+    res.status(201).json(toOrganizer({ ...organizer, user: { id: user.id, name: user.name, email: user.email } }));
+  } catch (error) {
+    console.error('Add organizer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/events/:eventId/organizers/:organizerId
+// @desc    Change a co-organizer's role
+// @access  Private (only event creator)
+router.put('/:organizerId', auth, roleRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s organizers' });
+    }
+
+    const organizer = await organizers.findById(req.params.organizerId);
+
+    if (!organizer || organizer.event_id !== event.id) {
+      return res.status(404).json({ message: 'Organizer not found' });
+    }
+
+    const updated = await organizers.updateRole(organizer.id, req.body.role);
+    const user = await users.findById(organizer.user_id);
+
+    res.json(toOrganizer({ ...updated, user }));
+  } catch (error) {
+    console.error('Update organizer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:eventId/organizers/:organizerId
+// @desc    Remove a co-organizer; co-organizers can also remove themselves
+// @access  Private (event creator, or the co-organizer)
+router.delete('/:organizerId', auth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const organizer = await organizers.findById(req.params.organizerId);
+
+    if (!organizer || organizer.event_id !== event.id) {
+      return res.status(404).json({ message: 'Organizer not found' });
+    }
+
+    if (organizer.user_id !== req.user.id && !(await canOnEvent(event, req.user.id, 'manage'))) {
+      return res.status(403).json({ message: 'Not authorized to manage this event\'s organizers' });
+    }
+
+    await organizers.remove(organizer.id);
+
+    res.json({ message: 'Organizer removed successfully' });
+  } catch (error) {
+    console.error('Remove organizer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const auth = require('../middleware/auth');
+const { events, rsvps, waitlist, registrationAnswers } = require('../repositories');
+const { formatAnswer } = require('../utils/registrationQuestions');
+const { toCsv, toFileName } = require('../utils/csv');
+const { canOnEvent } = require('../utils/permissions');
+
+// Registrations of an event - attendees and people waiting, with their answers to the
+// registration questions: /api/events/:eventId/registrations
+
+// Loads the event for someone who may see its attendee data; sends the error response and returns null otherwise
+const findViewableEvent = async (req, res) => {
+  const event = await events.findById(req.params.eventId);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+
+  if (!(await canOnEvent(event, req.user.id, 'view_attendees'))) {
+    res.status(403).json({ message: 'Not authorized to view this event\'s registrations' });
+    return null;
+  }
+
+  return event;
+};
+
+// Going attendees first (in RSVP order), then people on the waitlist (in line order)
+const listRegistrations = async (event) => {
+  const answerRows = await registrationAnswers.listForEvent(event.id);
+  const answersByUser = new Map(answerRows.map(row => [row.user_id, row]));
+
+  const attendees = await rsvps.listAttendees(event.id);
+  const going = attendees.map(attendee => ({
+    user: { id: attendee.id, name: attendee.name, email: attendee.email },
+    status: 'going',
+    guest_count: attendee.guest_count,
+    answers: answersByUser.has(attendee.id) ? answersByUser.get(attendee.id).answers : {}
+  }));
+
+  const waitingIds = await waitlist.listUserIds(event.id);
+  const waiting = waitingIds
+    .filter(userId => answersByUser.has(userId))
+    .map(userId => {
+      const row = answersByUser.get(userId);
+      return { user: row.user, status: 'waitlisted', guest_count: 0, answers: row.answers };
+    });
+
+  return [...going, ...waiting];
+};
+
+// @route   GET /api/events/:eventId/registrations
+// @desc    Get the event's registration questions and everyone's answers
+// @access  Private (event creator, editors and viewers)
+router.get('/', auth, async (req, res) => {
+  try {
+    const event = await findViewableEvent(req, res);
+    if (!event) return;
+
+    res.json({
+      questions: event.registration_questions || [],
+      registrations: await listRegistrations(event)
+    });
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/events/:eventId/registrations/export
+// @desc    Download the registrations as CSV, one column per question
+// @access  Private (event creator, editors and viewers)
+router.get('/export', auth, async (req, res) => {
+  try {
+    const event = await findViewableEvent(req, res);
+    if (!event) return;
+
+    const questions = event.registration_questions || [];
+    const registrations = await listRegistrations(event);
+
+    const header = ['Name', 'Email', 'Status', 'Guests', ...questions.map(question => question.label)];
+    const rows = registrations.map(registration => [
+      registration.user.name,
+      registration.user.email,
+      registration.status,
+      registration.guest_count,
+      ...questions.map(question => formatAnswer(registration.answers[question.id]))
+    ]);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${toFileName(event.title)}-registrations.csv"`);
+    res.send(toCsv(header, rows));
+  } catch (error) {
+    console.error('Export registrations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
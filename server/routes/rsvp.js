@@ -1,107 +1,277 @@
 const express = require('express');
 const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
-const supabase = require('../supabaseClient');
+const { events, rsvps, waitlist, sessions, ticketTypes, registrationAnswers, organizers } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const { promoteWaitlist } = require('../utils/waitlist');
+const { attachAttendees, attachAttendeeCounts, countSeats, showAttendeesTo, withPublicAttendees } = require('../utils/attendees');
+const { getRsvpWindow } = require('../utils/rsvpWindow');
+const { getSaleStatus, attachTicketTypes } = require('../utils/ticketTypes');
+const { refundAttendee } = require('../utils/payments');
+const { isTicketTypeOffered, applyCode, resolveCode, getCodeMismatch } = require('../utils/codes');
+const { guestRules, parseGuests, describeGuests, getGuestError } = require('../utils/guests');
+const { checkAnswers } = require('../utils/registrationQuestions');
+const { toTicketCode } = require('../utils/tickets');
+const { permissionsFor } = require('../utils/permissions');
+const { checkRsvpAccess } = require('../utils/eventAccess');
+
+// Answers to an event; only going takes a seat
+const RESPONSES = ['going', 'maybe', 'not_going'];
+
+const responseMessages = {
+  maybe: 'Successfully marked you as maybe',
+  not_going: 'Successfully marked you as not going'
+};
+
+// Fetch an event with its creator, current attendees (as the user may see them, see
+// showAttendeesTo()), response counts and waitlist size
+const getEventWithAttendees = async (eventId, userId) => {
+  const event = await events.findById(eventId);
+  if (!event) return null;
+
+  event.attendees = await rsvps.listAttendees(eventId);
+  event.attendeesCount = countSeats(event.attendees);
+  event.responseCounts = await rsvps.countResponses(eventId);
+  event.waitlistCount = await waitlist.countForEvent(eventId);
+  return showAttendeesTo(event, userId);
+};
+
+// Frees a going attendee's seat: drops their places in the event's sessions, refunds a
+// paid ticket and hands the seat to the next person waiting. The RSVP is already gone, so a
+// failed refund is logged (its reservation stays paid) rather than leaving the seat empty.
+const releaseSeat = async (eventId, userId) => {
+  await sessions.removeUserFromEvent(eventId, userId);
+
+  const event = await events.findById(eventId);
+  if (event) {
+    try {
+      await refundAttendee(event, userId);
+    } catch (error) {
+      console.error(`Refund failed for user ${userId} on event ${eventId}:`, error);
+    }
+    await promoteWaitlist(event);
+  }
+};
 
 // @route   POST /api/rsvp/:eventId
-// @desc    RSVP to an event
+// @desc    Answer an event with response going (default), maybe or not_going. Going takes
+//          an optional ticket_type_id (required when the event has ticket types), code,
+//          guests (guest_count, guest_names) and answers to the registration questions
+//          (answers, keyed by question id), and joins the waitlist when the event or
+//          ticket type has no room for the party; maybe and not going take no seat.
+//          Unlisted events take their share_key, invite-only ones an invitation (invite_token)
 // @access  Private
-router.post('/:eventId', auth, async (req, res) => {
+router.post('/:eventId', auth, [
+  body('response').optional().isIn(RESPONSES).withMessage('Response must be going, maybe or not_going'),
+  ...guestRules
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { eventId } = req.params;
     const userId = req.user.id;
 
     // Find event
-    const { data: event, error: eventError } = await supabase
-      .from('events')
-      .select('*')
-      .eq('id', eventId)
-      .single();
+    const event = await events.findById(eventId);
 
-    if (eventError || !event) {
+    if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
+    if (!(await checkRsvpAccess(event, req, res))) return;
+
     // Check if event is in the past
     if (new Date(event.date) < new Date()) {
       return res.status(400).json({ message: 'Cannot RSVP to past events' });
     }
 
-    // Check if RSVP is open (respect time - 1 minute after creation)
-    const rsvpOpenAt = event.rsvp_open_at ? new Date(event.rsvp_open_at) : new Date(new Date(event.created_at).getTime() + 60 * 1000);
-    if (new Date() < rsvpOpenAt) {
-      const waitTime = Math.ceil((rsvpOpenAt - new Date()) / 1000);
-      return res.status(400).json({ 
-        message: `RSVP will open in ${waitTime} seconds. Please wait at least 1 minute after event creation.` 
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    // Maybe and not going take no seat, so the RSVP window, tickets and capacity do not
+    // apply; a going attendee who changes their answer gives up their seat
+    const response = req.body.response || 'going';
+    if (response !== 'going') {
+      const previous = await rsvps.findByUserAndEvent(userId, eventId);
+
+      const entry = await waitlist.findByUserAndEvent(userId, eventId);
+      if (entry) {
+        await waitlist.remove(entry.id);
+      }
+
+      await rsvps.respond({ userId, eventId, response });
+
+      if (previous && previous.response === 'going') {
+        await releaseSeat(eventId, userId);
+      }
+
+      return res.json({
+        message: responseMessages[response],
+        event: await getEventWithAttendees(eventId, userId)
       });
     }
 
-    // Check if user already RSVP'd
-    const { data: existingRSVP } = await supabase
-      .from('rsvps')
-      .select('id')
-      .eq('user_id', userId)
-      .eq('event_id', eventId)
-      .single();
+    // Check the organizer's RSVP window
+    const rsvpWindow = getRsvpWindow(event);
+    if (rsvpWindow.status === 'not_open') {
+      return res.status(400).json({
+        message: `RSVPs for this event open at ${rsvpWindow.opensAt.toISOString()}`,
+        rsvpOpensAt: rsvpWindow.opensAt
+      });
+    }
+    if (rsvpWindow.status === 'closed') {
+      return res.status(400).json({
+        message: 'RSVPs for this event are closed',
+        rsvpClosedAt: rsvpWindow.closesAt
+      });
+    }
+
+    // Guests take a seat each, up to the organizer's limit
+    const guests = parseGuests(req.body);
+    const guestError = getGuestError(event, guests);
+    if (guestError) {
+      return res.status(400).json({ message: guestError });
+    }
+
+    // Answers to the organizer's registration questions; required ones must be answered
+    const questions = event.registration_questions || [];
+    const { answers, error: answerError } = checkAnswers(questions, req.body.answers);
+    if (answerError) {
+      return res.status(400).json({ message: answerError });
+    }
+
+    // A discount or access code must be live; access codes unlock hidden ticket types
+    let code = null;
+    if (req.body.code) {
+      const resolved = await resolveCode(eventId, req.body.code);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      code = resolved.code;
+    }
+
+    // Events with ticket types need one that is on sale
+    let ticketType = null;
+    const eventTicketTypes = await ticketTypes.listForEvent(eventId);
+    if (eventTicketTypes.length > 0) {
+      ticketType = eventTicketTypes.find(t => t.id === req.body.ticket_type_id && isTicketTypeOffered(t, code));
+
+      if (!ticketType) {
+        return res.status(400).json({ message: 'Choose a ticket type for this event' });
+      }
+
+      const saleStatus = getSaleStatus(ticketType);
+      if (saleStatus === 'not_started') {
+        return res.status(400).json({
+          message: `${ticketType.name} tickets go on sale at ${new Date(ticketType.sales_start_at).toISOString()}`
+        });
+      }
+      if (saleStatus === 'ended') {
+        return res.status(400).json({ message: `${ticketType.name} ticket sales have ended` });
+      }
+
+      if (applyCode(ticketType.price_cents, code) > 0) {
+        return res.status(402).json({
+          message: `${ticketType.name} tickets are paid - continue to checkout`,
+          checkoutRequired: true
+        });
+      }
+    }
+    const ticketTypeId = ticketType ? ticketType.id : null;
+
+    const codeMismatch = code && getCodeMismatch(code, ticketType);
+    if (codeMismatch) {
+      return res.status(400).json({ message: codeMismatch });
+    }
+    const codeId = code ? code.id : null;
+
+    // Check if user already RSVP'd (a maybe or not going answer can still become going)
+    const existingRSVP = await rsvps.findByUserAndEvent(userId, eventId);
 
-    if (existingRSVP) {
+    if (existingRSVP && existingRSVP.response === 'going') {
       return res.status(400).json({ message: 'You have already RSVP\'d to this event' });
     }
 
-    // Get current attendee count
-    const { count: attendeeCount } = await supabase
-      .from('rsvps')
-      .select('*', { count: 'exact', head: true })
-      .eq('event_id', eventId);
+    // Check if user is already waiting for a seat
+    const existingEntry = await waitlist.findByUserAndEvent(userId, eventId);
 
-    // Check capacity
-    if ((attendeeCount || 0) >= event.capacity) {
-      return res.status(400).json({ message: 'Event is at full capacity' });
+    if (existingEntry) {
+      return res.status(400).json({ message: 'You are already on the waitlist for this event' });
     }
 
-    // Add RSVP (atomic operation - unique constraint prevents duplicates)
-    const { data: rsvp, error: rsvpError } = await supabase
-      .from('rsvps')
-      .insert({
-        user_id: userId,
-        event_id: eventId
-      })
-      .select()
-      .single();
+    // Answers are kept whether the user gets a seat or joins the waitlist
+    if (questions.length > 0) {
+      await registrationAnswers.save({ eventId, userId, answers });
+    }
 
-    if (rsvpError) {
-      console.error('RSVP insert error:', rsvpError);
-      console.error('Error details:', JSON.stringify(rsvpError, null, 2));
+    // Check capacity and add RSVP as one atomic operation, so two requests
+    // racing for the last seat cannot both succeed
+    let isFull = false;
+    try {
+      await rsvps.createWithinCapacity({ userId, eventId, ticketTypeId, codeId, ...guests });
+    } catch (rsvpError) {
       // Check if it's a duplicate error
-      if (rsvpError.code === '23505') {
+      if (rsvpError.code === errorCodes.UNIQUE_VIOLATION) {
         return res.status(400).json({ message: 'You have already RSVP\'d to this event' });
       }
-      return res.status(500).json({ 
-        message: 'Server error creating RSVP',
-        error: rsvpError.message,
-        code: rsvpError.code,
-        details: rsvpError.details,
-        hint: rsvpError.hint
-      });
+      if (rsvpError.code === errorCodes.NOT_FOUND) {
+        return res.status(404).json({ message: rsvpError.message });
+      }
+      if (rsvpError.code === errorCodes.CODE_UNAVAILABLE) {
+        return res.status(400).json({ message: 'This code can no longer be used' });
+      }
+      if (rsvpError.code !== errorCodes.EVENT_FULL) {
+        console.error('RSVP insert error:', rsvpError);
+        console.error('Error details:', JSON.stringify(rsvpError, null, 2));
+        return res.status(500).json({ 
+          message: 'Server error creating RSVP',
+          error: rsvpError.message,
+          code: rsvpError.code,
+          details: rsvpError.details,
+          hint: rsvpError.hint
+        });
+      }
+      isFull = true;
+    }
+
+    // Full events (or sold-out ticket types) put the user and their guests on the waitlist instead
+    if (isFull) {
+      try {
+        await waitlist.join({ userId, eventId, ticketTypeId, ...guests });
+      } catch (joinError) {
+        if (joinError.code === errorCodes.UNIQUE_VIOLATION) {
+          return res.status(400).json({ message: 'You are already on the waitlist for this event' });
+        }
+        throw joinError;
+      }
+
+      // A seat may have been freed between the capacity check and joining
+      await promoteWaitlist(event);
+
+      const waitlistPosition = await waitlist.getPosition(userId, eventId);
+      if (waitlistPosition !== null) {
+        const currentType = ticketType && await ticketTypes.findById(ticketType.id);
+        let reason = 'Event is at full capacity';
+        if (currentType && currentType.sold_count >= currentType.quota) {
+          reason = `${currentType.name} tickets are sold out`;
+        } else if (guests.guestCount > 0) {
+          reason = `There are not enough seats left for you and ${describeGuests(guests.guestCount)}`;
+        }
+        return res.status(202).json({
+          message: `${reason} - you are #${waitlistPosition} on the waitlist`,
+          waitlistPosition,
+          event: await getEventWithAttendees(eventId, userId)
+        });
+      }
     }
 
     // Fetch updated event with attendees
-    const { data: updatedEvent } = await supabase
-      .from('events')
-      .select(`
-        *,
-        creator:users!events_creator_id_fkey(id, name, email)
-      `)
-      .eq('id', eventId)
-      .single();
-
-    const { data: rsvps } = await supabase
-      .from('rsvps')
-      .select('user_id, users!rsvps_user_id_fkey(id, name, email)')
-      .eq('event_id', eventId);
-
-    updatedEvent.attendees = rsvps?.map(r => r.users) || [];
-    updatedEvent.attendeesCount = updatedEvent.attendees.length;
+    const updatedEvent = await getEventWithAttendees(eventId, userId);
 
     res.json({ 
       message: 'Successfully RSVP\'d to event',
@@ -118,50 +288,53 @@ router.post('/:eventId', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/rsvp/:eventId
-// @desc    Cancel RSVP to an event
+// @desc    Cancel RSVP to an event, or withdraw a maybe / not going answer (or leave its waitlist).
+//          Not possible once the event has started or the attendee has checked in, so paid
+//          tickets are not refunded after attending
 // @access  Private
 router.delete('/:eventId', auth, async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.id;
 
+    const event = await events.findById(eventId);
+
+    if (event && new Date(event.date) < new Date()) {
+      return res.status(400).json({ message: 'Cannot cancel RSVPs to past events' });
+    }
+
     // Check if RSVP exists
-    const { data: rsvp, error: rsvpError } = await supabase
-      .from('rsvps')
-      .select('id')
-      .eq('user_id', userId)
-      .eq('event_id', eventId)
-      .single();
-
-    if (rsvpError || !rsvp) {
-      return res.status(400).json({ message: 'You have not RSVP\'d to this event' });
+    const rsvp = await rsvps.findByUserAndEvent(userId, eventId);
+
+    if (!rsvp) {
+      const entry = await waitlist.findByUserAndEvent(userId, eventId);
+
+      if (!entry) {
+        return res.status(400).json({ message: 'You have not RSVP\'d to this event' });
+      }
+
+      await waitlist.remove(entry.id);
+      await registrationAnswers.remove(eventId, userId);
+
+      return res.json({
+        message: 'Successfully left the waitlist',
+        event: await getEventWithAttendees(eventId, userId)
+      });
     }
 
-    // Delete RSVP
-    const { error: deleteError } = await supabase
-      .from('rsvps')
-      .delete()
-      .eq('id', rsvp.id);
+    if (rsvp.checked_in_at) {
+      return res.status(400).json({ message: 'You have already checked in to this event' });
+    }
 
-    if (deleteError) throw deleteError;
+    // Delete RSVP and its answers; a going attendee also gives up their seat
+    await rsvps.remove(rsvp.id);
+    await registrationAnswers.remove(eventId, userId);
+    if (rsvp.response === 'going') {
+      await releaseSeat(eventId, userId);
+    }
 
     // Fetch updated event
-    const { data: updatedEvent } = await supabase
-      .from('events')
-      .select(`
-        *,
-        creator:users!events_creator_id_fkey(id, name, email)
-      `)
-      .eq('id', eventId)
-      .single();
-
-    const { data: rsvps } = await supabase
-      .from('rsvps')
-      .select('user_id, users!rsvps_user_id_fkey(id, name, email)')
-      .eq('event_id', eventId);
-
-    updatedEvent.attendees = rsvps?.map(r => r.users) || [];
-    updatedEvent.attendeesCount = updatedEvent.attendees.length;
+    const updatedEvent = await getEventWithAttendees(eventId, userId);
 
     res.json({ 
       message: 'Successfully cancelled RSVP',
@@ -173,96 +346,224 @@ router.delete('/:eventId', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/rsvp/user
-// @desc    Get all events user has RSVP'd to
+// @route   PUT /api/rsvp/:eventId/guests
+// @desc    Change the guests (guest_count, guest_names) the user brings to an event they
+//          RSVP'd to; extra guests need free seats, fewer guests free seats for the waitlist
+// @access  Private
+router.put('/:eventId/guests', auth, guestRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId } = req.params;
+    const userId = req.user.id;
+
+    const event = await events.findById(eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (new Date(event.date) < new Date()) {
+      return res.status(400).json({ message: 'Cannot change guests for past events' });
+    }
+
+    const rsvp = await rsvps.findByUserAndEvent(userId, eventId);
+
+    if (!rsvp || rsvp.response !== 'going') {
+      return res.status(400).json({ message: 'You have not RSVP\'d to this event' });
+    }
+
+    const guests = parseGuests(req.body);
+    const guestError = getGuestError(event, guests);
+    if (guestError) {
+      return res.status(400).json({ message: guestError });
+    }
+
+    const extraGuests = guests.guestCount - rsvp.guest_count;
+    if (extraGuests > 0) {
+      if (event.status === 'cancelled') {
+        return res.status(400).json({ message: 'This event has been cancelled' });
+      }
+      if (getRsvpWindow(event).status !== 'open') {
+        return res.status(400).json({ message: 'RSVPs for this event are closed' });
+      }
+
+      // Paid guests are bought at checkout along with the attendee's own ticket
+      const ticketType = rsvp.ticket_type_id && await ticketTypes.findById(rsvp.ticket_type_id);
+      if (ticketType && ticketType.price_cents > 0) {
+        return res.status(400).json({ message: `Guests on ${ticketType.name} tickets are paid for at checkout` });
+      }
+    }
+
+    try {
+      await rsvps.updateGuests({ userId, eventId, ...guests });
+    } catch (updateError) {
+      if (updateError.code === errorCodes.NOT_FOUND) {
+        return res.status(400).json({ message: 'You have not RSVP\'d to this event' });
+      }
+      if (updateError.code === errorCodes.EVENT_FULL) {
+        return res.status(409).json({
+          message: `There are not enough seats left to add ${describeGuests(extraGuests)}`
+        });
+      }
+      throw updateError;
+    }
+
+    // Freed seats go to the next people waiting
+    if (extraGuests < 0) {
+      await promoteWaitlist(event);
+    }
+
+    res.json({
+      message: 'Guests updated',
+      event: await getEventWithAttendees(eventId, userId)
+    });
+  } catch (error) {
+    console.error('Update guests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/rsvp/:eventId/status
+// @desc    Get the user's RSVP status, response, waitlist position and registration
+//          answers for an event
+// @access  Private
+router.get('/:eventId/status', auth, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const userId = req.user.id;
+
+    const saved = await registrationAnswers.findByUserAndEvent(userId, eventId);
+    const answers = saved ? saved.answers : {};
+
+    const rsvp = await rsvps.findByUserAndEvent(userId, eventId);
+    if (rsvp && rsvp.response === 'going') {
+      return res.json({
+        status: 'attending',
+        response: 'going',
+        waitlistPosition: null,
+        ticketTypeId: rsvp.ticket_type_id || null,
+        guestCount: rsvp.guest_count,
+        guestNames: rsvp.guest_names,
+        answers
+      });
+    }
+
+    const entry = await waitlist.findByUserAndEvent(userId, eventId);
+    const waitlistPosition = entry ? await waitlist.getPosition(userId, eventId) : null;
+    res.json({
+      status: waitlistPosition !== null ? 'waitlisted' : 'none',
+      response: rsvp ? rsvp.response : null,
+      waitlistPosition,
+      ticketTypeId: entry ? entry.ticket_type_id || null : null,
+      guestCount: entry ? entry.guest_count : 0,
+      guestNames: entry ? entry.guest_names : [],
+      answers
+    });
+  } catch (error) {
+    console.error('Get RSVP status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/rsvp/user?response=
+// @desc    Get all events user has answered that have not ended yet, each with their response
+//          (myResponse) and, when going, their signed ticket code (ticketCode) and check-in
+//          time (checkedInAt); response narrows them to going, maybe or not_going
 // @access  Private
-router.get('/user', auth, async (req, res) => {
+router.get('/user', auth, [
+  query('response').optional().isIn(RESPONSES).withMessage('Response must be going, maybe or not_going')
+], async (req, res) => {
   try {
-    const { data: rsvps } = await supabase
-      .from('rsvps')
-      .select(`
-        event_id,
-        events!rsvps_event_id_fkey(
-          *,
-          creator:users!events_creator_id_fkey(id, name, email)
-        )
-      `)
-      .eq('user_id', req.user.id);
-
-    const eventIds = rsvps?.map(r => r.event_id) || [];
-    
-    if (eventIds.length === 0) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const responses = (await rsvps.listResponsesForUser(req.user.id))
+      .filter(r => !req.query.response || r.response === req.query.response);
+
+    if (responses.length === 0) {
       return res.json([]);
     }
 
-    const { data: events } = await supabase
-      .from('events')
-      .select(`
-        *,
-        creator:users!events_creator_id_fkey(id, name, email)
-      `)
-      .in('id', eventIds)
-      .gte('date', new Date().toISOString())
-      .order('date', { ascending: true });
-
-    // Get attendees for each event
-    const eventsWithAttendees = await Promise.all(
-      (events || []).map(async (event) => {
-        const { data: eventRsvps } = await supabase
-          .from('rsvps')
-          .select('user_id, users!rsvps_user_id_fkey(id, name, email)')
-          .eq('event_id', event.id);
-
-        return {
-          ...event,
-          attendees: eventRsvps?.map(r => r.users) || [],
-          attendeesCount: eventRsvps?.length || 0
-        };
-      })
-    );
-
-    res.json(eventsWithAttendees);
+    const attendingEvents = await events.listByIds(responses.map(r => r.event_id), { upcomingOnly: true });
+
+    const eventsWithCounts = await attachAttendeeCounts(attendingEvents);
+
+    res.json(eventsWithCounts.map(event => {
+      const rsvp = responses.find(r => r.event_id === event.id);
+      const isGoing = rsvp.response === 'going';
+      return {
+        ...event,
+        myResponse: rsvp.response,
+        ticketCode: isGoing ? toTicketCode(rsvp) : null,
+        checkedInAt: isGoing ? rsvp.checked_in_at : null
+      };
+    }));
   } catch (error) {
     console.error('Get user RSVPs error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Adds the user's role on each event (myRole) and what it lets them do (myPermissions)
+const withRole = (event, role) => ({
+  ...event,
+  myRole: role,
+  myPermissions: permissionsFor(role)
+});
+
 // @route   GET /api/rsvp/user/created
-// @desc    Get all events created by user
+// @desc    Get the user's personal events (those not published under an organization, see
+//          GET /api/organizations/:id/events), with their ticket type breakdown
 // @access  Private
 router.get('/user/created', auth, async (req, res) => {
   try {
-    const { data: events } = await supabase
-      .from('events')
-      .select(`
-        *,
-        creator:users!events_creator_id_fkey(id, name, email)
-      `)
-      .eq('creator_id', req.user.id)
-      .order('date', { ascending: true });
-
-    // Get attendees for each event
-    const eventsWithAttendees = await Promise.all(
-      (events || []).map(async (event) => {
-        const { data: eventRsvps } = await supabase
-          .from('rsvps')
-          .select('user_id, users!rsvps_user_id_fkey(id, name, email)')
-          .eq('event_id', event.id);
-
-        return {
-          ...event,
-          attendees: eventRsvps?.map(r => r.users) || [],
-          attendeesCount: eventRsvps?.length || 0
-        };
-      })
-    );
-
-    res.json(eventsWithAttendees);
+    const createdEvents = await events.listByCreator(req.user.id, { personalOnly: true });
+
+    const eventsWithAttendees = await attachAttendees(createdEvents);
+
+    const eventsWithTicketTypes = await attachTicketTypes(eventsWithAttendees);
+    res.json(eventsWithTicketTypes.map(event => withRole(event, 'owner')));
   } catch (error) {
     console.error('Get user created events error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/rsvp/user/cohosted
+// @desc    Get all events user co-organizes, each with their role (myRole) and permissions
+//          (myPermissions), and the ticket type breakdown. Attendee emails and guest names are
+//          only included where the role may view attendees
+// @access  Private
+router.get('/user/cohosted', auth, async (req, res) => {
+  try {
+    const roles = await organizers.listForUser(req.user.id);
+
+    if (roles.length === 0) {
+      return res.json([]);
+    }
+
+    const cohostedEvents = await events.listByIds(roles.map(r => r.event_id));
+
+    const eventsWithAttendees = await attachAttendees(cohostedEvents);
+
+    const eventsWithTicketTypes = await attachTicketTypes(eventsWithAttendees);
+    res.json(eventsWithTicketTypes.map(event => {
+      const { role } = roles.find(r => r.event_id === event.id);
+      const visibleEvent = permissionsFor(role).includes('view_attendees')
+        ? event
+        : withPublicAttendees(event, req.user.id);
+      return withRole(visibleEvent, role);
+    }));
+  } catch (error) {
+    console.error('Get user co-hosted events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
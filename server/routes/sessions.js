@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { events, rsvps, sessions } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const { toUtcIso } = require('../utils/timeZones');
+const { canOnEvent } = require('../utils/permissions');
+const { readAccess, canViewEvent } = require('../utils/eventAccess');
+
+// Sessions are the agenda of an event: /api/events/:eventId/sessions
+
+const MINUTE_MS = 60 * 1000;
+
+const sessionRules = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('starts_at').notEmpty().withMessage('Start time is required'),
+  body('ends_at').notEmpty().withMessage('End time is required'),
+  body('room').optional().trim().isLength({ max: 100 }).withMessage('Room must be at most 100 characters'),
+  body('speaker').optional().trim().isLength({ max: 100 }).withMessage('Speaker must be at most 100 characters'),
+  body('capacity').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Capacity must be at least 1')
+];
+
+// Session fields from the request body. Times are wall-clock times in the event's zone
+// (or carry an offset) and must fall within the event. Returns { data } or { error }.
+const buildSessionData = (reqBody, event) => {
+  const startsAt = toUtcIso(reqBody.starts_at, event.time_zone);
+  const endsAt = toUtcIso(reqBody.ends_at, event.time_zone);
+
+  if (!startsAt || !endsAt) {
+    return { error: 'Session times must be valid dates' };
+  }
+  if (endsAt <= startsAt) {
+    return { error: 'Session end time must be after its start time' };
+  }
+  // Forms work to the minute, so the event's bounds are compared to the minute too
+  const eventStart = new Date(Math.floor(new Date(event.date).getTime() / MINUTE_MS) * MINUTE_MS).toISOString();
+  const eventEnd = event.end_date
+    ? new Date(Math.ceil(new Date(event.end_date).getTime() / MINUTE_MS) * MINUTE_MS).toISOString()
+    : null;
+  if (startsAt < eventStart || (eventEnd && endsAt > eventEnd)) {
+    return { error: 'Session must take place during the event' };
+  }
+
+  return {
+    data: {
+      title: reqBody.title,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      room: reqBody.room || '',
+      speaker: reqBody.speaker || '',
+      capacity: reqBody.capacity ? parseInt(reqBody.capacity) : null
+    }
+  };
+};
+
+// Session of the event, or null when it belongs to another event
+const findEventSession = async (eventId, sessionId) => {
+  const session = await sessions.findById(sessionId);
+  return session && session.event_id === eventId ? session : null;
+};
+
+// @route   GET /api/events/:eventId/sessions
+// @desc    Get the agenda of an event
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event || !(await canViewEvent(event, req.user, readAccess(req)))) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json(await sessions.listForEvent(event.id));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/events/:eventId/sessions/mine
+// @desc    Get the ids of the sessions the user has RSVP'd to
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const sessionIds = await sessions.listSessionIdsForUser(req.params.eventId, req.user.id);
+    res.json({ sessionIds });
+  } catch (error) {
+    console.error('Get my sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:eventId/sessions
+// @desc    Add a session to the agenda
+// @access  Private (event creator and editors)
+router.post('/', auth, sessionRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change this agenda' });
+    }
+
+    const { data, error } = buildSessionData(req.body, event);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const session = await sessions.create({ ...data, event_id: event.id });
+
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Create session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/events/:eventId/sessions/:sessionId
+// @desc    Update a session
+// @access  Private (event creator and editors)
+router.put('/:sessionId', auth, sessionRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change this agenda' });
+    }
+
+    const existingSession = await findEventSession(event.id, req.params.sessionId);
+
+    if (!existingSession) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const { data, error } = buildSessionData(req.body, event);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (data.capacity !== null && data.capacity < existingSession.attendees_count) {
+      return res.status(400).json({
+        message: `Capacity cannot be less than current attendees (${existingSession.attendees_count})`
+      });
+    }
+
+    const session = await sessions.update(existingSession.id, data);
+
+    res.json(session);
+  } catch (error) {
+    console.error('Update session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:eventId/sessions/:sessionId
+// @desc    Remove a session from the agenda
+// @access  Private (event creator and editors)
+router.delete('/:sessionId', auth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change this agenda' });
+    }
+
+    const session = await findEventSession(event.id, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await sessions.remove(session.id);
+
+    res.json({ message: 'Session deleted successfully' });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:eventId/sessions/:sessionId/rsvp
+// @desc    RSVP to a session (requires attending the event; rejects overlapping sessions)
+// @access  Private
+router.post('/:sessionId/rsvp', auth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    const session = await findEventSession(event.id, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (new Date(session.starts_at) < new Date()) {
+      return res.status(400).json({ message: 'This session has already started' });
+    }
+
+    const attending = await rsvps.findByUserAndEvent(userId, event.id);
+
+    if (!attending || attending.response !== 'going') {
+      return res.status(403).json({ message: 'RSVP to the event before joining its sessions' });
+    }
+
+    try {
+      await sessions.rsvp({ sessionId: session.id, userId });
+    } catch (rsvpError) {
+      if (rsvpError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: 'You have already joined this session' });
+      }
+      if (rsvpError.code === errorCodes.SESSION_OVERLAP) {
+        return res.status(409).json({ message: `This session clashes with your agenda: ${rsvpError.message}` });
+      }
+      if (rsvpError.code === errorCodes.EVENT_FULL) {
+        return res.status(409).json({ message: 'This session is at full capacity' });
+      }
+      if (rsvpError.code === errorCodes.NOT_FOUND) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+      throw rsvpError;
+    }
+
+    res.json({
+      message: 'Successfully joined the session',
+      session: await sessions.findById(session.id)
+    });
+  } catch (error) {
+    console.error('Session RSVP error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:eventId/sessions/:sessionId/rsvp
+// @desc    Leave a session
+// @access  Private
+router.delete('/:sessionId/rsvp', auth, async (req, res) => {
+  try {
+    const session = await findEventSession(req.params.eventId, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const removed = await sessions.cancelRsvp({ sessionId: session.id, userId: req.user.id });
+
+    if (!removed) {
+      return res.status(400).json({ message: 'You have not joined this session' });
+    }
+
+    res.json({
+      message: 'Successfully left the session',
+      session: await sessions.findById(session.id)
+    });
+  } catch (error) {
+    console.error('Cancel session RSVP error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { events, ticketTypes } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const paymentProvider = require('../payments');
+const { parseWindowTime } = require('../utils/rsvpWindow');
+const { withSaleStatus } = require('../utils/ticketTypes');
+const { canOnEvent } = require('../utils/permissions');
+const { readAccess, canViewEvent } = require('../utils/eventAccess');
+
+// Ticket types of an event: /api/events/:eventId/ticket-types
+
+const ticketTypeRules = [
+  body('name').trim().notEmpty().withMessage('Name is required')
+    .isLength({ max: 60 }).withMessage('Name must be at most 60 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('quota').isInt({ min: 1 }).withMessage('Quota must be at least 1'),
+  body('price_cents').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Price must be a whole number of cents, 0 or more')
+    .bail()
+    .custom(value => parseInt(value) === 0 || paymentProvider !== null)
+    .withMessage('Paid tickets are not available: no payment provider is configured'),
+  body('currency').optional({ checkFalsy: true }).trim().isAlpha().isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code, e.g. usd'),
+  body('hidden').optional().isBoolean().withMessage('Hidden must be true or false'),
+  body('sales_start_at').optional({ checkFalsy: true }).isISO8601().withMessage('Sales start must be a valid date'),
+  body('sales_end_at').optional({ checkFalsy: true })
+    .isISO8601().withMessage('Sales end must be a valid date')
+    .bail()
+    .custom((value, { req }) => !req.body.sales_start_at || new Date(value) > new Date(req.body.sales_start_at))
+    .withMessage('Sales end must be after sales start')
+];
+
+const toTicketTypeData = (reqBody) => ({
+  name: reqBody.name,
+  description: reqBody.description || '',
+  quota: parseInt(reqBody.quota),
+  price_cents: parseInt(reqBody.price_cents) || 0,
+  currency: (reqBody.currency || 'usd').toLowerCase(),
+  hidden: reqBody.hidden === true || reqBody.hidden === 'true',
+  sales_start_at: parseWindowTime(reqBody.sales_start_at),
+  sales_end_at: parseWindowTime(reqBody.sales_end_at)
+});
+
+// Ticket type of the event, or null when it belongs to another event
+const findEventTicketType = async (eventId, ticketTypeId) => {
+  const ticketType = await ticketTypes.findById(ticketTypeId);
+  return ticketType && ticketType.event_id === eventId ? ticketType : null;
+};
+
+// @route   GET /api/events/:eventId/ticket-types
+// @desc    Get the ticket types of an event with remaining tickets and sale status.
+//          Hidden types are only listed for the creator and editors (attendees unlock them with a code)
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event || !(await canViewEvent(event, req.user, readAccess(req)))) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const canEdit = await canOnEvent(event, req.user && req.user.id, 'edit');
+    const types = await ticketTypes.listForEvent(event.id);
+    res.json(types.filter(t => canEdit || !t.hidden).map(withSaleStatus));
+  } catch (error) {
+    console.error('Get ticket types error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/events/:eventId/ticket-types
+// @desc    Add a ticket type to an event
+// @access  Private (event creator and editors)
+router.post('/', auth, ticketTypeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change this event\'s tickets' });
+    }
+
+    const data = toTicketTypeData(req.body);
+
+    if (data.quota > event.capacity) {
+      return res.status(400).json({ message: `Quota cannot exceed the event's capacity (${event.capacity})` });
+    }
+
+    try {
+      const ticketType = await ticketTypes.create({ ...data, event_id: event.id });
+      res.status(201).json(withSaleStatus(ticketType));
+    } catch (createError) {
+      if (createError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `This event already has a "${data.name}" ticket type` });
+      }
+      throw createError;
+    }
+  } catch (error) {
+    console.error('Create ticket type error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/events/:eventId/ticket-types/:ticketTypeId
+// @desc    Update a ticket type
+// @access  Private (event creator and editors)
+router.put('/:ticketTypeId', auth, ticketTypeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change this event\'s tickets' });
+    }
+
+    const existingType = await findEventTicketType(event.id, req.params.ticketTypeId);
+
+    if (!existingType) {
+      return res.status(404).json({ message: 'Ticket type not found' });
+    }
+
+    const data = toTicketTypeData(req.body);
+
+    if (data.quota > event.capacity) {
+      return res.status(400).json({ message: `Quota cannot exceed the event's capacity (${event.capacity})` });
+    }
+
+    if (data.quota < existingType.sold_count) {
+      return res.status(400).json({
+        message: `Quota cannot be less than tickets already taken (${existingType.sold_count})`
+      });
+    }
+
+    try {
+      const ticketType = await ticketTypes.update(existingType.id, data);
+      res.json(withSaleStatus(ticketType));
+    } catch (updateError) {
+      if (updateError.code === errorCodes.UNIQUE_VIOLATION) {
+        return res.status(400).json({ message: `This event already has a "${data.name}" ticket type` });
+      }
+      throw updateError;
+    }
+  } catch (error) {
+    console.error('Update ticket type error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/events/:eventId/ticket-types/:ticketTypeId
+// @desc    Remove a ticket type nobody holds yet
+// @access  Private (event creator and editors)
+router.delete('/:ticketTypeId', auth, async (req, res) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!(await canOnEvent(event, req.user.id, 'edit'))) {
+      return res.status(403).json({ message: 'Not authorized to change this event\'s tickets' });
+    }
+
+    const ticketType = await findEventTicketType(event.id, req.params.ticketTypeId);
+
+    if (!ticketType) {
+      return res.status(404).json({ message: 'Ticket type not found' });
+    }
+
+    if (ticketType.sold_count > 0) {
+      return res.status(400).json({ message: 'Ticket types that attendees already hold cannot be deleted' });
+    }
+
+    await ticketTypes.remove(ticketType.id);
+
+    res.json({ message: 'Ticket type deleted successfully' });
+  } catch (error) {
+    console.error('Delete ticket type error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+// Benchmark for the event listing endpoints.
+// Counts data-layer calls (one per database query with the Supabase backend) per request and
+// response time as the number of events grows. GET /api/events is read page by page until
+// every event is listed. Runs against the in-memory backend:
+//   npm run benchmark
+process.env.DATA_BACKEND = 'memory';
+process.env.NODE_ENV = 'test';
+process.env.MEMORY_SEED = 'false';
+
+const repositories = require('../repositories');
+const app = require('../server');
+const { MAX_LIMIT } = require('../utils/pagination');
+
+const SIZES = [10, 100, 500];
+const ATTENDEES_PER_EVENT = 3;
+
+let queryCount = 0;
+
+// Wrap every method of every repository so each call is counted
+Object.values(repositories).filter(repository => repository && typeof repository === 'object').forEach(repository => {
+  Object.keys(repository).forEach(method => {
+    const original = repository[method];
+    repository[method] = (...args) => {
+      queryCount++;
+      return original(...args);
+    };
+  });
+});
+
+const request = async (baseUrl, path, token) => {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const response = await fetch(`${baseUrl}${path}`, { headers });
+  if (!response.ok) {
+    throw new Error(`${path} responded with ${response.status}`);
+  }
+  return response.json();
+};
+
+const register = async (baseUrl, name, email) => {
+  const response = await fetch(`${baseUrl}/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, email, password: 'benchmark' })
+  });
+  return response.json();
+};
+
+// Creator owns every event; each attendee RSVPs to every event
+const seed = async (baseUrl, eventCount) => {
+  repositories.reset({ withSeed: false });
+
+  const creator = await register(baseUrl, 'Creator', 'creator@example.com');
+  const attendees = [];
+  for (let i = 0; i < ATTENDEES_PER_EVENT; i++) {
+    attendees.push(await register(baseUrl, `Attendee ${i}`, `attendee${i}@example.com`));
+  }
+
+  for (let i = 0; i < eventCount; i++) {
+    const event = await repositories.events.create({
+      title: `Event ${i}`,
+      description: 'Benchmark event',
+      date: new Date(Date.now() + (i + 1) * 60 * 60 * 1000).toISOString(),
+      location: 'Benchmark Hall',
+      capacity: ATTENDEES_PER_EVENT,
+      image: '',
+      creator_id: creator.user.id
+    });
+    for (const attendee of attendees) {
+      await repositories.rsvps.createWithinCapacity({ userId: attendee.user.id, eventId: event.id });
+    }
+  }
+
+  return { creatorToken: creator.token, attendeeToken: attendees[0].token };
+};
+
+// Queries is the most any single request needed
+const toResult = (events, queryCounts, start) => ({
+  events,
+  requests: queryCounts.length,
+  queries: Math.max(...queryCounts),
+  ms: (Number(process.hrtime.bigint() - start) / 1e6).toFixed(1)
+});
+
+const measure = async (baseUrl, path, token) => {
+  const start = process.hrtime.bigint();
+  queryCount = 0;
+  const events = await request(baseUrl, path, token);
+  return toResult(events.length, [queryCount], start);
+};
+
+// GET /api/events is paginated: follow nextCursor until the last page
+const measurePages = async (baseUrl, path) => {
+  const start = process.hrtime.bigint();
+  const queryCounts = [];
+  let events = 0;
+  let cursor = null;
+
+  do {
+    queryCount = 0;
+    const page = await request(baseUrl, cursor ? `${path}&cursor=${encodeURIComponent(cursor)}` : path);
+    queryCounts.push(queryCount);
+    events += page.events.length;
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return toResult(events, queryCounts, start);
+};
+
+const run = async () => {
+  const server = app.listen(0);
+  const baseUrl = `http://localhost:${server.address().port}/api`;
+  const results = [];
+
+  try {
+    for (const size of SIZES) {
+      const { creatorToken, attendeeToken } = await seed(baseUrl, size);
+      results.push({ endpoint: 'GET /api/events', ...await measurePages(baseUrl, `/events?limit=${MAX_LIMIT}`) });
+      results.push({ endpoint: 'GET /api/rsvp/user', ...await measure(baseUrl, '/rsvp/user', attendeeToken) });
+      results.push({ endpoint: 'GET /api/rsvp/user/created', ...await measure(baseUrl, '/rsvp/user/created', creatorToken) });
+    }
+  } finally {
+    server.close();
+  }
+
+  console.table(results);
+
+  // Query count per request must not depend on the number of events
+  const varying = ['GET /api/events', 'GET /api/rsvp/user', 'GET /api/rsvp/user/created'].filter(endpoint => {
+    const counts = new Set(results.filter(r => r.endpoint === endpoint).map(r => r.queries));
+    return counts.size > 1;
+  });
+
+  if (varying.length > 0) {
+    console.error(`❌ Query count grows with list size for: ${varying.join(', ')}`);
+    process.exitCode = 1;
+  } else {
+    console.log('✅ Query count is constant regardless of list size');
+  }
+};
+
+run().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,13 @@
+// Publish scheduled events whose publish time has passed.
+// The server also does this every minute; run it by hand (or from cron) with:
+//   npm run publish-scheduled
+const { publishDueEvents } = require('../jobs/publishScheduled');
+
+publishDueEvents()
+  .then(published => {
+    console.log(`Published ${published} scheduled event(s)`);
+  })
+  .catch(error => {
+    console.error('Scheduled publishing error:', error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,13 @@
+// Permanently delete events that have been in the trash for more than 30 days.
+// The server also does this hourly; run it by hand (or from cron) with:
+//   npm run purge-trash
+const { purgeExpiredTrash } = require('../jobs/purgeTrash');
+
+purgeExpiredTrash()
+  .then(purged => {
+    console.log(`Purged ${purged} expired event(s) from the trash`);
+  })
+  .catch(error => {
+    console.error('Trash purge error:', error);
+    process.exitCode = 1;
+  });
@@ -2,10 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
-const supabase = require('./supabaseClient');
 
 dotenv.config();
 
+const repositories = require('./repositories');
+const { scheduleTrashPurge } = require('./jobs/purgeTrash');
+const { schedulePublishing } = require('./jobs/publishScheduled');
+
 const app = express();
 
 // Middleware
@@ -33,7 +36,12 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body too: payment webhooks are verified against the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve uploaded images
@@ -41,19 +49,23 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/events/:eventId/sessions', require('./routes/sessions'));
+app.use('/api/events/:eventId/ticket-types', require('./routes/ticketTypes'));
+app.use('/api/events/:eventId/codes', require('./routes/codes'));
+app.use('/api/events/:eventId/registrations', require('./routes/registrations'));
+app.use('/api/events/:eventId/check-in', require('./routes/checkIn'));
+app.use('/api/events/:eventId/organizers', require('./routes/organizers'));
+app.use('/api/events/:eventId/invitations', require('./routes/invitations'));
 app.use('/api/events', require('./routes/events'));
 app.use('/api/rsvp', require('./routes/rsvp'));
+app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/checkout', require('./routes/checkout'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // Health check
 app.get('/api/health', async (req, res) => {
-  try {
-    // Test Supabase connection
-    const { error } = await supabase.from('users').select('id').limit(1);
-    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows, which is OK
-    res.json({ status: 'OK', message: 'Server is running with Supabase' });
-  } catch (error) {
-    res.json({ status: 'OK', message: 'Server running (Supabase connection test failed)', error: error.message });
-  }
+  const health = await repositories.healthCheck();
+  res.json({ status: 'OK', backend: repositories.backend, ...health });
 });
 
 // Serve static files from React app build (CSS, JS, images)
@@ -71,9 +83,16 @@ app.get('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`✅ Connected to Supabase`);
-  console.log(`✅ Application URL: http://localhost:${PORT}`);
-});
+// Only listen when run directly, so tests can mount the app on their own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`✅ Server running on port ${PORT}`);
+    console.log(`✅ Data backend: ${repositories.backend}`);
+    console.log(`✅ Application URL: http://localhost:${PORT}`);
+  });
+
+  scheduleTrashPurge();
+  schedulePublishing();
+}
 
+module.exports = app;
@@ -10,23 +10,126 @@ CREATE TABLE IF NOT EXISTS users (
   name TEXT NOT NULL,
   email TEXT UNIQUE NOT NULL,
   password_hash TEXT NOT NULL,
+  -- Listed by name in other people's view of attendee lists (opt-in)
+  show_in_attendee_lists BOOLEAN NOT NULL DEFAULT FALSE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Organizations that publish events as a group; /orgs/<slug> is their public page
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Members of an organization. owner: everything, including deleting it and managing other
+-- owners; admin: edits it and its members, full control of its events; member: creates
+-- events under it and edits all of them.
+CREATE TABLE IF NOT EXISTS organization_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'member')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(organization_id, user_id)
+);
+
+-- Recurring event series; each occurrence is a row in events with series_id set
+CREATE TABLE IF NOT EXISTS event_series (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  creator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rrule TEXT NOT NULL,
+  exceptions DATE[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Events table
 CREATE TABLE IF NOT EXISTS events (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   title TEXT NOT NULL,
   description TEXT NOT NULL,
   date TIMESTAMPTZ NOT NULL,
+  -- End of the event; wall-clock times are entered and shown in time_zone (IANA name)
+  end_date TIMESTAMPTZ,
+  time_zone TEXT NOT NULL DEFAULT 'UTC',
   location TEXT NOT NULL,
   capacity INTEGER NOT NULL CHECK (capacity > 0),
+  -- Guests each RSVP may bring; 0 turns plus-ones off
+  max_guests INTEGER NOT NULL DEFAULT 0 CHECK (max_guests >= 0),
+  -- [{ id, label, type: text | single_choice | multi_choice, options, required }]
+  registration_questions JSONB NOT NULL DEFAULT '[]',
   image TEXT DEFAULT '',
   creator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  rsvp_open_at TIMESTAMPTZ DEFAULT (NOW() + INTERVAL '1 minute'),
+  -- RSVP window: NULL opens straight away / closes when the event starts
+  rsvp_open_at TIMESTAMPTZ,
+  rsvp_close_at TIMESTAMPTZ,
+  -- Cancelled events stay visible (with the reason) but take no new RSVPs
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  cancellation_reason TEXT,
+  cancelled_at TIMESTAMPTZ,
+  -- Soft delete: set while the event is in the creator's trash (purged after 30 days)
+  deleted_at TIMESTAMPTZ,
+  series_id UUID REFERENCES event_series(id) ON DELETE SET NULL,
+  -- Organization the event is published under; NULL for personal events
+  organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL,
+  -- public: listed and open to all; unlisted: reachable through its share link; invite_only:
+  -- needs an invitation. Bumping share_version retires the share link
+  visibility TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'unlisted', 'invite_only')),
+  share_version INTEGER NOT NULL DEFAULT 0,
+  -- NULL while the event is a draft, seen only by its organizers; publish_at schedules it
+  published_at TIMESTAMPTZ DEFAULT NOW(),
+  publish_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT events_end_after_start_check CHECK (end_date IS NULL OR end_date > date),
+  CONSTRAINT events_rsvp_window_check CHECK (rsvp_close_at IS NULL OR rsvp_open_at IS NULL OR rsvp_close_at > rsvp_open_at)
+);
+
+-- Ticket types of an event (e.g. General, Student, VIP), each with its own quota and
+-- optional sale window. The event's capacity still caps the total across all types.
+CREATE TABLE IF NOT EXISTS ticket_types (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  quota INTEGER NOT NULL CHECK (quota > 0),
+  -- Sale window: NULL starts with the event's RSVPs / ends when they close
+  sales_start_at TIMESTAMPTZ,
+  sales_end_at TIMESTAMPTZ,
+  -- Paid tickets are bought through checkout (see reservations); 0 is free
+  price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+  currency TEXT NOT NULL DEFAULT 'usd',
+  -- Hidden types (e.g. reserved seats) are only offered to holders of an access code
+  hidden BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, name),
+  CONSTRAINT ticket_types_sale_window_check CHECK (sales_end_at IS NULL OR sales_start_at IS NULL OR sales_end_at > sales_start_at)
+);
+
+-- Codes shared by the organizer. A discount code takes discount_percent off a paid ticket;
+-- an access code unlocks hidden ticket types. ticket_type_id limits the code to one type.
+CREATE TABLE IF NOT EXISTS event_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE CASCADE,
+  -- Stored upper case; matched case-insensitively
+  code TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('discount', 'access')),
+  discount_percent INTEGER CHECK (discount_percent BETWEEN 1 AND 100),
+  -- NULL means unlimited / never expires
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, code),
+  CONSTRAINT event_codes_discount_check CHECK ((kind = 'discount') = (discount_percent IS NOT NULL))
 );
 
 -- RSVPs table (many-to-many relationship)
@@ -34,16 +137,138 @@ CREATE TABLE IF NOT EXISTS rsvps (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  -- Set when the event has ticket types; a type with RSVPs cannot be deleted
+  ticket_type_id UUID REFERENCES ticket_types(id),
+  -- Discount or access code the ticket was taken with; cancelling frees the redemption
+  code_id UUID REFERENCES event_codes(id) ON DELETE SET NULL,
+  -- Only going takes seats; maybe and not going just record the answer
+  response TEXT NOT NULL DEFAULT 'going' CHECK (response IN ('going', 'maybe', 'not_going')),
+  -- Each going RSVP takes 1 + guest_count seats; guest names are optional
+  guest_count INTEGER NOT NULL DEFAULT 0 CHECK (guest_count >= 0),
+  guest_names TEXT[] NOT NULL DEFAULT '{}',
+  -- Set when the attendee's ticket is scanned at the door; a ticket is only let in once
+  checked_in_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(user_id, event_id)
 );
 
+-- Checkout reservations for paid tickets. A pending reservation holds a seat until
+-- expires_at; the payment provider's webhook turns it into an RSVP (status paid).
+CREATE TABLE IF NOT EXISTS reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE SET NULL,
+  code_id UUID REFERENCES event_codes(id) ON DELETE SET NULL,
+  guest_count INTEGER NOT NULL DEFAULT 0 CHECK (guest_count >= 0),
+  guest_names TEXT[] NOT NULL DEFAULT '{}',
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'expired', 'cancelled', 'refunded')),
+  provider TEXT NOT NULL,
+  provider_payment_id TEXT UNIQUE,
+  provider_refund_id TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  paid_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One open checkout or paid ticket per user and event
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reservations_active ON reservations(event_id, user_id) WHERE status IN ('pending', 'paid');
+CREATE INDEX IF NOT EXISTS idx_reservations_holds ON reservations(event_id, expires_at) WHERE status = 'pending';
+
+-- An attendee's answers to the event's registration questions, keyed by question id (text,
+-- option, or list of options). Saved when they RSVP, join the waitlist or start a checkout.
+CREATE TABLE IF NOT EXISTS registration_answers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  answers JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, user_id)
+);
+
+-- Co-organizers the creator added to an event. editor: edits the event, its tickets, codes
+-- and agenda, and checks attendees in; check_in: checks attendees in; viewer: sees attendee
+-- data. Deleting, restoring and managing co-organizers stay with the creator.
+CREATE TABLE IF NOT EXISTS event_organizers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('editor', 'check_in', 'viewer')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, user_id)
+);
+
+-- Invitations to invite-only events, by email. user_id is set when someone RSVPs with the
+-- invitation's token; from then on it is theirs alone
+CREATE TABLE IF NOT EXISTS event_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, email)
+);
+
+-- Seats held by unexpired checkouts (the buyer and their guests), for the event or
+-- (when given) one ticket type
+CREATE OR REPLACE FUNCTION held_seats(p_event_id UUID, p_ticket_type_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+  SELECT COALESCE(SUM(1 + guest_count), 0)::INTEGER
+  FROM reservations
+  WHERE event_id = p_event_id
+    AND status = 'pending'
+    AND expires_at > NOW()
+    AND (p_ticket_type_id IS NULL OR ticket_type_id = p_ticket_type_id);
+$$ LANGUAGE sql STABLE;
+
+-- Seats taken for the event or (when given) one ticket type: going attendees with their
+-- guests, plus the seats held by open checkouts
+CREATE OR REPLACE FUNCTION taken_seats(p_event_id UUID, p_ticket_type_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+  SELECT (COALESCE(SUM(1 + guest_count), 0) + held_seats(p_event_id, p_ticket_type_id))::INTEGER
+  FROM rsvps
+  WHERE event_id = p_event_id
+    AND response = 'going'
+    AND (p_ticket_type_id IS NULL OR ticket_type_id = p_ticket_type_id);
+$$ LANGUAGE sql STABLE;
+
+-- Seats sold for a ticket type, guests included. PostgREST exposes it as the computed
+-- column ticket_types.sold_count
+CREATE OR REPLACE FUNCTION sold_count(ticket_types)
+RETURNS INTEGER AS $$
+  SELECT COALESCE(SUM(1 + guest_count), 0)::INTEGER
+  FROM rsvps
+  WHERE ticket_type_id = $1.id AND response = 'going';
+$$ LANGUAGE sql STABLE;
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_events_creator ON events(creator_id);
 CREATE INDEX IF NOT EXISTS idx_events_date ON events(date);
 CREATE INDEX IF NOT EXISTS idx_rsvps_user ON rsvps(user_id);
 CREATE INDEX IF NOT EXISTS idx_rsvps_event ON rsvps(event_id);
+CREATE INDEX IF NOT EXISTS idx_rsvps_ticket_type ON rsvps(ticket_type_id) WHERE ticket_type_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ticket_types_event ON ticket_types(event_id);
+CREATE INDEX IF NOT EXISTS idx_event_codes_event ON event_codes(event_id);
+CREATE INDEX IF NOT EXISTS idx_event_organizers_user ON event_organizers(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_events_organization ON events(organization_id, date) WHERE organization_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_event_invitations_user ON event_invitations(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_event_invitations_email ON event_invitations(email);
+CREATE INDEX IF NOT EXISTS idx_rsvps_code ON rsvps(code_id) WHERE code_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_events_series ON events(series_id, date) WHERE series_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_events_deleted_at ON events(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_events_publish_at ON events(publish_at) WHERE published_at IS NULL AND publish_at IS NOT NULL;
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -61,3 +286,611 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_events_updated_at BEFORE UPDATE ON events
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_ticket_types_updated_at BEFORE UPDATE ON ticket_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reservations_updated_at BEFORE UPDATE ON reservations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_event_codes_updated_at BEFORE UPDATE ON event_codes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_registration_answers_updated_at BEFORE UPDATE ON registration_answers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_event_organizers_updated_at BEFORE UPDATE ON event_organizers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organization_members_updated_at BEFORE UPDATE ON organization_members
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_event_invitations_updated_at BEFORE UPDATE ON event_invitations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Redemptions of a code: tickets held with it, including seats held by open checkouts
+CREATE OR REPLACE FUNCTION event_code_redemptions(p_code_id UUID)
+RETURNS INTEGER AS $$
+  SELECT (
+    (SELECT COUNT(*) FROM rsvps WHERE code_id = p_code_id)
+    + (SELECT COUNT(*) FROM reservations WHERE code_id = p_code_id AND status = 'pending' AND expires_at > NOW())
+  )::INTEGER;
+$$ LANGUAGE sql STABLE;
+
+-- Codes with their redemption count, for reads
+CREATE OR REPLACE VIEW event_codes_with_redemptions AS
+SELECT event_codes.*, event_code_redemptions(event_codes.id) AS redemption_count
+FROM event_codes;
+
+-- Checks that a code of the event can still be redeemed. Callers hold the event row lock,
+-- so concurrent redemptions of the same code are counted one at a time. Raises:
+--   P0002 - code of the event does not exist
+--   ECODE - code has expired or reached its usage limit
+CREATE OR REPLACE FUNCTION check_event_code(p_event_id UUID, p_code_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_code event_codes;
+BEGIN
+  IF p_code_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_code
+  FROM event_codes
+  WHERE id = p_code_id AND event_id = p_event_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Code not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_code.expires_at IS NOT NULL AND v_code.expires_at <= NOW() THEN
+    RAISE EXCEPTION 'Code has expired' USING ERRCODE = 'ECODE';
+  END IF;
+
+  IF v_code.max_redemptions IS NOT NULL AND event_code_redemptions(p_code_id) >= v_code.max_redemptions THEN
+    RAISE EXCEPTION 'Code has reached its usage limit' USING ERRCODE = 'ECODE';
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Atomic RSVP: capacity check and insert in one transaction
+-- Locks the event row so concurrent RSVPs for the same event run one at a time,
+-- then checks the code (when given), the ticket type's quota (when given), the event's
+-- capacity and inserts (or turns the user's maybe / not going answer into going). The
+-- attendee and each guest take a seat; seats held by open checkouts count as taken. Raises:
+--   P0002 - event (or ticket type or code of the event) does not exist
+--   ECODE - code has expired or reached its usage limit
+--   EFULL - ticket type or event has too few seats left for the party
+--   23505 - user is already going
+CREATE OR REPLACE FUNCTION rsvp_to_event(
+  p_event_id UUID,
+  p_user_id UUID,
+  p_ticket_type_id UUID DEFAULT NULL,
+  p_code_id UUID DEFAULT NULL,
+  p_guest_count INTEGER DEFAULT 0,
+  p_guest_names TEXT[] DEFAULT '{}'
+)
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM check_event_code(p_event_id, p_code_id);
+
+  IF p_ticket_type_id IS NOT NULL THEN
+    SELECT quota INTO v_quota
+    FROM ticket_types
+    WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF taken_seats(p_event_id, p_ticket_type_id) + 1 + p_guest_count > v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  IF taken_seats(p_event_id) + 1 + p_guest_count > v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id, code_id, guest_count, guest_names)
+  VALUES (p_user_id, p_event_id, p_ticket_type_id, p_code_id, p_guest_count, p_guest_names)
+  ON CONFLICT (user_id, event_id) DO UPDATE
+  SET response = 'going', ticket_type_id = EXCLUDED.ticket_type_id, code_id = EXCLUDED.code_id,
+      guest_count = EXCLUDED.guest_count, guest_names = EXCLUDED.guest_names
+  WHERE rsvps.response <> 'going'
+  RETURNING * INTO v_rsvp;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User already RSVP''d' USING ERRCODE = '23505';
+  END IF;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Changes the guests an RSVP brings, under the same event row lock as rsvp_to_event().
+-- Extra guests need free seats in the ticket type and the event. Raises:
+--   P0002 - user is not going to the event
+--   EFULL - too few seats left for the extra guests
+CREATE OR REPLACE FUNCTION set_rsvp_guests(p_event_id UUID, p_user_id UUID, p_guest_count INTEGER, p_guest_names TEXT[] DEFAULT '{}')
+RETURNS rsvps AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_extra INTEGER;
+  v_rsvp rsvps;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  SELECT * INTO v_rsvp
+  FROM rsvps
+  WHERE event_id = p_event_id AND user_id = p_user_id AND response = 'going';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RSVP not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_extra := p_guest_count - v_rsvp.guest_count;
+
+  IF v_extra > 0 THEN
+    IF v_rsvp.ticket_type_id IS NOT NULL THEN
+      SELECT quota INTO v_quota FROM ticket_types WHERE id = v_rsvp.ticket_type_id;
+
+      IF taken_seats(p_event_id, v_rsvp.ticket_type_id) + v_extra > v_quota THEN
+        RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+      END IF;
+    END IF;
+
+    IF taken_seats(p_event_id) + v_extra > v_capacity THEN
+      RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  UPDATE rsvps
+  SET guest_count = p_guest_count, guest_names = p_guest_names
+  WHERE id = v_rsvp.id
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Waitlist entries (ordered by created_at)
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  -- Ticket type the user is waiting for, if the event has ticket types
+  ticket_type_id UUID REFERENCES ticket_types(id) ON DELETE CASCADE,
+  guest_count INTEGER NOT NULL DEFAULT 0 CHECK (guest_count >= 0),
+  guest_names TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, event_id)
+);
+
+-- Notifications shown to users in their dashboard
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_event ON waitlist_entries(event_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at);
+
+-- Moves waiting users (with their guests) into free seats, oldest entry first, and returns
+-- the promoted user ids. A maybe or not going answer of a promoted user becomes going.
+-- Entries waiting for a sold-out or paid ticket type, or whose party does not fit the
+-- seats left, are skipped and keep their place (paid tickets are only handed out through checkout).
+-- Takes the same event row lock as rsvp_to_event() so promotion and new RSVPs cannot overbook.
+CREATE OR REPLACE FUNCTION promote_waitlist(p_event_id UUID)
+RETURNS SETOF UUID AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_attendee_count INTEGER;
+  v_entry waitlist_entries;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  v_attendee_count := taken_seats(p_event_id);
+
+  FOR v_entry IN
+    SELECT *
+    FROM waitlist_entries
+    WHERE event_id = p_event_id
+    ORDER BY created_at, id
+  LOOP
+    EXIT WHEN v_attendee_count >= v_capacity;
+
+    CONTINUE WHEN v_attendee_count + 1 + v_entry.guest_count > v_capacity;
+
+    CONTINUE WHEN v_entry.ticket_type_id IS NOT NULL AND (
+      SELECT t.price_cents > 0
+        OR taken_seats(p_event_id, t.id) + 1 + v_entry.guest_count > t.quota
+      FROM ticket_types t
+      WHERE t.id = v_entry.ticket_type_id
+    );
+
+    DELETE FROM waitlist_entries WHERE id = v_entry.id;
+
+    INSERT INTO rsvps (user_id, event_id, ticket_type_id, guest_count, guest_names)
+    VALUES (v_entry.user_id, p_event_id, v_entry.ticket_type_id, v_entry.guest_count, v_entry.guest_names)
+    ON CONFLICT (user_id, event_id) DO UPDATE
+    SET response = 'going', ticket_type_id = EXCLUDED.ticket_type_id, code_id = EXCLUDED.code_id,
+        guest_count = EXCLUDED.guest_count, guest_names = EXCLUDED.guest_names
+    WHERE rsvps.response <> 'going';
+
+    IF FOUND THEN
+      v_attendee_count := v_attendee_count + 1 + v_entry.guest_count;
+      RETURN NEXT v_entry.user_id;
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Returns the going attendees of every given event, with their guests, in one round trip
+CREATE OR REPLACE FUNCTION get_event_attendees(p_event_ids UUID[])
+RETURNS TABLE (event_id UUID, id UUID, name TEXT, email TEXT, show_in_attendee_lists BOOLEAN, guest_count INTEGER, guest_names TEXT[]) AS $$
+  SELECT r.event_id, u.id, u.name, u.email, u.show_in_attendee_lists, r.guest_count, r.guest_names
+  FROM rsvps r
+  JOIN users u ON u.id = r.user_id
+  WHERE r.event_id = ANY(p_event_ids) AND r.response = 'going'
+  ORDER BY r.created_at;
+$$ LANGUAGE sql STABLE;
+
+-- Attendee counters on events (sorting and pagination)
+-- attendees_count is maintained by a trigger on rsvps; seats_left is derived from it
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS attendees_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS seats_left INTEGER GENERATED ALWAYS AS (capacity - attendees_count) STORED;
+
+CREATE OR REPLACE FUNCTION update_event_attendees_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Going RSVPs count the attendee and their guests; maybe and not going count nothing
+  IF TG_OP IN ('DELETE', 'UPDATE') AND OLD.response = 'going' THEN
+    UPDATE events SET attendees_count = attendees_count - 1 - OLD.guest_count WHERE id = OLD.event_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.response = 'going' THEN
+    UPDATE events SET attendees_count = attendees_count + 1 + NEW.guest_count WHERE id = NEW.event_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_event_attendees_count ON rsvps;
+CREATE TRIGGER update_event_attendees_count AFTER INSERT OR DELETE OR UPDATE OF guest_count, response ON rsvps
+    FOR EACH ROW EXECUTE FUNCTION update_event_attendees_count();
+
+-- Keyset pagination indexes (sort column + id tiebreaker)
+CREATE INDEX IF NOT EXISTS idx_events_date_id ON events(date, id);
+CREATE INDEX IF NOT EXISTS idx_events_created_at_id ON events(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_events_attendees_count_id ON events(attendees_count, id);
+CREATE INDEX IF NOT EXISTS idx_events_seats_left_id ON events(seats_left, id);
+
+-- Ranked full-text search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted search document: title (A) > location (B) > description (C)
+ALTER TABLE events
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(location, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_events_search_vector ON events USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_events_title_trgm ON events USING GIN(title gin_trgm_ops);
+
+-- One page of upcoming events matching every term, most relevant first.
+-- Terms are prefix-matched (tech -> technology); titles within trigram distance of the
+-- whole query also match, so small typos still find the event.
+-- Non-alphanumeric characters are stripped from terms before building the tsquery.
+-- p_location must have LIKE wildcards escaped by the caller.
+CREATE OR REPLACE FUNCTION search_events(
+  p_terms TEXT[],
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_location TEXT DEFAULT NULL,
+  p_creator_id UUID DEFAULT NULL,
+  p_has_seats BOOLEAN DEFAULT FALSE,
+  p_cursor_rank REAL DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (id UUID, search_rank REAL) AS $$
+  WITH search_query AS (
+    SELECT
+      to_tsquery('english', string_agg(clean_term || ':*', ' & ')) AS tsq,
+      string_agg(clean_term, ' ') AS text
+    FROM (
+      SELECT regexp_replace(term, '[^[:alnum:]]', '', 'g') AS clean_term
+      FROM unnest(p_terms) AS term
+    ) terms
+    WHERE clean_term <> ''
+  ),
+  ranked AS (
+    SELECT
+      e.id,
+      (ts_rank(e.search_vector, q.tsq) + 0.5 * word_similarity(q.text, e.title))::REAL AS search_rank
+    FROM events e, search_query q
+    WHERE (e.search_vector @@ q.tsq OR word_similarity(q.text, e.title) > 0.4)
+      AND e.status = 'active'
+      AND e.deleted_at IS NULL
+      AND e.visibility = 'public'
+      AND e.published_at IS NOT NULL
+      AND e.date >= p_from
+      AND (p_to IS NULL OR e.date < p_to)
+      AND (p_location IS NULL OR e.location ILIKE '%' || p_location || '%')
+      AND (p_creator_id IS NULL OR e.creator_id = p_creator_id)
+      AND (NOT p_has_seats OR e.seats_left > 0)
+  )
+  SELECT ranked.id, ranked.search_rank
+  FROM ranked
+  WHERE p_cursor_id IS NULL OR (ranked.search_rank, ranked.id) < (p_cursor_rank, p_cursor_id)
+  ORDER BY ranked.search_rank DESC, ranked.id DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Agenda sessions of an event, each with its own time slot and optional capacity
+CREATE TABLE IF NOT EXISTS event_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  room TEXT DEFAULT '',
+  speaker TEXT DEFAULT '',
+  capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS session_rsvps (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES event_sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(session_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_sessions_event ON event_sessions(event_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_session_rsvps_user ON session_rsvps(user_id);
+
+DROP TRIGGER IF EXISTS update_event_sessions_updated_at ON event_sessions;
+CREATE TRIGGER update_event_sessions_updated_at BEFORE UPDATE ON event_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Atomic session RSVP: overlap check, capacity check and insert in one transaction.
+-- Locks the session row like rsvp_to_event() locks the event. Raises:
+--   P0002 - session does not exist
+--   EOVLP - user already attends a session at an overlapping time
+--   EFULL - session is at full capacity
+--   23505 - user already RSVP'd (unique constraint on session_rsvps)
+CREATE OR REPLACE FUNCTION rsvp_to_session(p_session_id UUID, p_user_id UUID)
+RETURNS session_rsvps AS $$
+DECLARE
+  v_session event_sessions;
+  v_conflict TEXT;
+  v_attendee_count INTEGER;
+  v_rsvp session_rsvps;
+BEGIN
+  SELECT * INTO v_session
+  FROM event_sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Session not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT s.title INTO v_conflict
+  FROM session_rsvps r
+  JOIN event_sessions s ON s.id = r.session_id
+  WHERE r.user_id = p_user_id
+    AND s.id <> p_session_id
+    AND s.starts_at < v_session.ends_at
+    AND s.ends_at > v_session.starts_at
+  LIMIT 1;
+
+  IF v_conflict IS NOT NULL THEN
+    RAISE EXCEPTION 'Overlaps with session "%"', v_conflict USING ERRCODE = 'EOVLP';
+  END IF;
+
+  IF v_session.capacity IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_attendee_count
+    FROM session_rsvps
+    WHERE session_id = p_session_id;
+
+    IF v_attendee_count >= v_session.capacity THEN
+      RAISE EXCEPTION 'Session is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  INSERT INTO session_rsvps (session_id, user_id)
+  VALUES (p_session_id, p_user_id)
+  RETURNING * INTO v_rsvp;
+
+  RETURN v_rsvp;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Starts a checkout: holds seats of a paid ticket type for the buyer and their guests for
+-- p_hold_minutes. Runs under the event row lock like rsvp_to_event(), and expires the
+-- user's own stale checkouts first. p_amount_cents is the total after the code's discount
+-- (the type's price for every seat by default). Raises:
+--   P0002 - event, ticket type or code of the event does not exist
+--   ECODE - code has expired or reached its usage limit
+--   EFULL - ticket type or event has too few seats left for the party
+--   23505 - user is already going, or has an open checkout (idx_reservations_active)
+CREATE OR REPLACE FUNCTION reserve_ticket(
+  p_event_id UUID,
+  p_user_id UUID,
+  p_ticket_type_id UUID,
+  p_provider TEXT,
+  p_hold_minutes INTEGER,
+  p_code_id UUID DEFAULT NULL,
+  p_amount_cents INTEGER DEFAULT NULL,
+  p_guest_count INTEGER DEFAULT 0,
+  p_guest_names TEXT[] DEFAULT '{}'
+)
+RETURNS reservations AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_type ticket_types;
+  v_reservation reservations;
+BEGIN
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = p_event_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT * INTO v_type
+  FROM ticket_types
+  WHERE id = p_ticket_type_id AND event_id = p_event_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ticket type not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE reservations
+  SET status = 'expired'
+  WHERE event_id = p_event_id AND user_id = p_user_id AND status = 'pending' AND expires_at <= NOW();
+
+  IF EXISTS (SELECT 1 FROM rsvps WHERE event_id = p_event_id AND user_id = p_user_id AND response = 'going') THEN
+    RAISE EXCEPTION 'User already RSVP''d' USING ERRCODE = '23505';
+  END IF;
+
+  PERFORM check_event_code(p_event_id, p_code_id);
+
+  IF taken_seats(p_event_id, p_ticket_type_id) + 1 + p_guest_count > v_type.quota THEN
+    RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+  END IF;
+
+  IF taken_seats(p_event_id) + 1 + p_guest_count > v_capacity THEN
+    RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+  END IF;
+
+  INSERT INTO reservations (event_id, user_id, ticket_type_id, code_id, guest_count, guest_names,
+                            amount_cents, currency, provider, expires_at)
+  VALUES (p_event_id, p_user_id, p_ticket_type_id, p_code_id, p_guest_count, p_guest_names,
+          COALESCE(p_amount_cents, v_type.price_cents * (1 + p_guest_count)),
+          v_type.currency, p_provider, NOW() + make_interval(mins => p_hold_minutes))
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Turns a paid reservation into a going RSVP with its guests (replacing a maybe or not
+-- going answer). Replayed confirmations of paid or refunded reservations are no-ops.
+-- A checkout paid after its hold lapsed still gets its seats if they are free. Raises:
+--   P0002 - reservation does not exist
+--   ECODE - the hold lapsed and its code was used up meanwhile (the caller refunds)
+--   EFULL - the hold lapsed and the ticket type or event filled up (the caller refunds)
+--   23505 - user is already going some other way (the caller refunds)
+CREATE OR REPLACE FUNCTION confirm_reservation(p_reservation_id UUID)
+RETURNS reservations AS $$
+DECLARE
+  v_reservation reservations;
+  v_capacity INTEGER;
+  v_quota INTEGER;
+  v_max_redemptions INTEGER;
+BEGIN
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Reservation not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT capacity INTO v_capacity
+  FROM events
+  WHERE id = v_reservation.event_id
+  FOR UPDATE;
+
+  SELECT * INTO v_reservation
+  FROM reservations
+  WHERE id = p_reservation_id
+  FOR UPDATE;
+
+  IF v_reservation.status IN ('paid', 'refunded') THEN
+    RETURN v_reservation;
+  END IF;
+
+  IF NOT (v_reservation.status = 'pending' AND v_reservation.expires_at > NOW()) THEN
+    IF v_reservation.code_id IS NOT NULL THEN
+      SELECT max_redemptions INTO v_max_redemptions FROM event_codes WHERE id = v_reservation.code_id;
+      IF v_max_redemptions IS NOT NULL AND event_code_redemptions(v_reservation.code_id) >= v_max_redemptions THEN
+        RAISE EXCEPTION 'Code has reached its usage limit' USING ERRCODE = 'ECODE';
+      END IF;
+    END IF;
+
+    SELECT quota INTO v_quota FROM ticket_types WHERE id = v_reservation.ticket_type_id;
+
+    IF v_quota IS NULL
+      OR taken_seats(v_reservation.event_id, v_reservation.ticket_type_id) + 1 + v_reservation.guest_count > v_quota THEN
+      RAISE EXCEPTION 'Ticket type is sold out' USING ERRCODE = 'EFULL';
+    END IF;
+
+    IF taken_seats(v_reservation.event_id) + 1 + v_reservation.guest_count > v_capacity THEN
+      RAISE EXCEPTION 'Event is at full capacity' USING ERRCODE = 'EFULL';
+    END IF;
+  END IF;
+
+  INSERT INTO rsvps (user_id, event_id, ticket_type_id, code_id, guest_count, guest_names)
+  VALUES (v_reservation.user_id, v_reservation.event_id, v_reservation.ticket_type_id, v_reservation.code_id,
+          v_reservation.guest_count, v_reservation.guest_names)
+  ON CONFLICT (user_id, event_id) DO UPDATE
+  SET response = 'going', ticket_type_id = EXCLUDED.ticket_type_id, code_id = EXCLUDED.code_id,
+      guest_count = EXCLUDED.guest_count, guest_names = EXCLUDED.guest_names
+  WHERE rsvps.response <> 'going';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User already RSVP''d' USING ERRCODE = '23505';
+  END IF;
+
+  UPDATE reservations
+  SET status = 'paid', paid_at = NOW()
+  WHERE id = p_reservation_id
+  RETURNING * INTO v_reservation;
+
+  RETURN v_reservation;
+END;
+$$ LANGUAGE plpgsql;
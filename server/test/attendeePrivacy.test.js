@@ -0,0 +1,79 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, eventForm, reset } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => reset());
+
+// An event by alice that bob is going to, with dave as a co-organizer in the given role
+const createEventWithOrganizer = async (role) => {
+  const alice = await api.login('alice');
+  const { body: event } = await api.request('POST', '/events', { token: alice, form: eventForm() });
+  await api.request('POST', `/events/${event.id}/organizers`, { token: alice, body: { email: 'dave@example.com', role } });
+
+  const bob = await api.login('bob');
+  await api.request('POST', `/rsvp/${event.id}`, { token: bob, body: {} });
+
+  return { event, alice, bob, dave: await api.login('dave') };
+};
+
+test('check-in staff see attendees without their emails', async () => {
+  const { event, alice, bob, dave } = await createEventWithOrganizer('check_in');
+
+  const { body: staffView } = await api.request('GET', `/events/${event.id}/check-in`, { token: dave });
+  assert.equal(staffView.attendees[0].name, 'Bob Demo');
+  assert.equal(staffView.attendees[0].email, undefined);
+
+  const { body: [attending] } = await api.request('GET', '/rsvp/user', { token: bob });
+  const { body: checkedIn } = await api.request('POST', `/events/${event.id}/check-in`, {
+    token: dave,
+    body: { code: attending.ticketCode }
+  });
+  assert.equal(checkedIn.attendee.name, 'Bob Demo');
+  assert.equal(checkedIn.attendee.email, undefined);
+
+  const { body: ownerView } = await api.request('GET', `/events/${event.id}/check-in`, { token: alice });
+  assert.equal(ownerView.attendees[0].email, 'bob@example.com');
+});
+
+test('attendee names are only public for attendees who opted in', async () => {
+  const { event, alice, bob } = await createEventWithOrganizer('check_in');
+  const charlie = await api.login('charlie');
+
+  const { body: before } = await api.request('GET', `/events/${event.id}`, { token: charlie });
+  assert.deepEqual(before.attendees, []);
+  assert.equal(before.attendeesCount, 1);
+
+  const { body: own } = await api.request('GET', `/events/${event.id}`, { token: bob });
+  assert.equal(own.attendees[0].email, 'bob@example.com');
+
+  const { status } = await api.request('PUT', '/auth/preferences', { token: bob, body: { show_in_attendee_lists: true } });
+  assert.equal(status, 200);
+
+  const { body: after } = await api.request('GET', `/events/${event.id}`);
+  assert.deepEqual(after.attendees.map(({ name, email }) => ({ name, email })), [{ name: 'Bob Demo', email: undefined }]);
+
+  const { body: ownerView } = await api.request('GET', `/events/${event.id}`, { token: alice });
+  assert.equal(ownerView.attendees[0].email, 'bob@example.com');
+});
+
+test('co-organizers only get attendee emails when their role may view attendees', async () => {
+  const { event: staffed, dave } = await createEventWithOrganizer('check_in');
+  const { body: [staffEvent] } = await api.request('GET', '/rsvp/user/cohosted', { token: dave });
+  assert.equal(staffEvent.id, staffed.id);
+  assert.deepEqual(staffEvent.attendees, []);
+  assert.equal(staffEvent.attendeesCount, 1);
+
+  await reset();
+  const { event: viewed, dave: viewer } = await createEventWithOrganizer('viewer');
+  const { body: [viewerEvent] } = await api.request('GET', '/rsvp/user/cohosted', { token: viewer });
+  assert.equal(viewerEvent.id, viewed.id);
+  assert.equal(viewerEvent.attendees[0].email, 'bob@example.com');
+});
@@ -0,0 +1,48 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, reset } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => reset());
+
+test('registers a user and logs them in', async () => {
+  const registered = await api.request('POST', '/auth/register', {
+    body: { name: 'Test User', email: 'test@example.com', password: 'secret123' }
+  });
+  assert.equal(registered.status, 201);
+  assert.ok(registered.body.token);
+  assert.equal(registered.body.user.email, 'test@example.com');
+  assert.equal(registered.body.user.password_hash, undefined);
+
+  const loggedIn = await api.request('POST', '/auth/login', {
+    body: { email: 'test@example.com', password: 'secret123' }
+  });
+  assert.equal(loggedIn.status, 200);
+  assert.equal(loggedIn.body.user.id, registered.body.user.id);
+});
+
+test('rejects a duplicate email', async () => {
+  const { status } = await api.request('POST', '/auth/register', {
+    body: { name: 'Alice Again', email: 'alice@example.com', password: 'secret123' }
+  });
+  assert.equal(status, 400);
+});
+
+test('rejects a wrong password', async () => {
+  const { status } = await api.request('POST', '/auth/login', {
+    body: { email: 'alice@example.com', password: 'wrong-password' }
+  });
+  assert.equal(status, 400);
+});
+
+test('protected routes need a token', async () => {
+  const { status } = await api.request('GET', '/rsvp/user');
+  assert.equal(status, 401);
+});
@@ -0,0 +1,175 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, eventForm, reset } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => reset());
+
+test('lists the seeded upcoming events', async () => {
+  const { status, body } = await api.request('GET', '/events');
+  assert.equal(status, 200);
+  assert.deepEqual(body.events.map(e => e.title).sort(), ['React Workshop', 'Tech Conference 2024']);
+  assert.equal(body.nextCursor, null);
+});
+
+test('creates, updates and deletes an event', async () => {
+  const token = await api.login('bob');
+
+  const created = await api.request('POST', '/events', { token, form: eventForm({ title: 'Bob\'s Meetup' }) });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.title, 'Bob\'s Meetup');
+
+  const fetched = await api.request('GET', `/events/${created.body.id}`);
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.body.myRole, null);
+
+  const updated = await api.request('PUT', `/events/${created.body.id}`, {
+    token,
+    body: {
+      title: 'Bob\'s Bigger Meetup',
+      description: created.body.description,
+      date: created.body.date,
+      end_date: created.body.end_date,
+      time_zone: created.body.time_zone,
+      location: created.body.location,
+      capacity: 20
+    }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.title, 'Bob\'s Bigger Meetup');
+  assert.equal(updated.body.capacity, 20);
+
+  const deleted = await api.request('DELETE', `/events/${created.body.id}`, { token });
+  assert.equal(deleted.status, 200);
+  assert.equal((await api.request('GET', `/events/${created.body.id}`)).status, 404);
+});
+
+test('only the creator and editors may update an event', async () => {
+  const { body: events } = await api.request('GET', '/events');
+  const event = events.events[0];
+
+  const { status } = await api.request('PUT', `/events/${event.id}`, {
+    token: await api.login('dave'),
+    body: {
+      title: 'Taken over',
+      description: event.description,
+      date: event.date,
+      end_date: event.end_date,
+      location: event.location,
+      capacity: event.capacity
+    }
+  });
+  assert.equal(status, 403);
+});
+
+test('rejects an event without a title', async () => {
+  const { status, body } = await api.request('POST', '/events', {
+    token: await api.login('bob'),
+    form: eventForm({ title: '' })
+  });
+  assert.equal(status, 400);
+  assert.ok(body.errors.some(error => error.path === 'title'));
+});
+
+test('an update without time_zone reads times in the event\'s zone', async () => {
+  const token = await api.login('bob');
+  const { body: event } = await api.request('POST', '/events', {
+    token,
+    form: eventForm({ time_zone: 'Asia/Tokyo', date: '2030-01-01T10:00', end_date: '2030-01-01T12:00' })
+  });
+  assert.equal(event.date, '2030-01-01T01:00:00.000Z');
+
+  const { status, body: updated } = await api.request('PUT', `/events/${event.id}`, {
+    token,
+    body: {
+      title: event.title,
+      description: event.description,
+      date: '2030-01-01T11:00',
+      end_date: '2030-01-01T13:00',
+      location: event.location,
+      capacity: event.capacity
+    }
+  });
+  assert.equal(status, 200);
+  assert.equal(updated.time_zone, 'Asia/Tokyo');
+  assert.equal(updated.date, '2030-01-01T02:00:00.000Z');
+  assert.equal(updated.end_date, '2030-01-01T04:00:00.000Z');
+});
+
+test('RSVP window and publish times are read in the event\'s zone', async () => {
+  const token = await api.login('bob');
+  const { status, body: event } = await api.request('POST', '/events', {
+    token,
+    form: eventForm({
+      time_zone: 'Asia/Tokyo',
+      date: '2030-01-01T10:00',
+      end_date: '2030-01-01T12:00',
+      rsvp_open_at: '2029-12-01T09:00',
+      rsvp_close_at: '2030-01-01T09:00',
+      publish: 'scheduled',
+      publish_at: '2029-12-01T08:00'
+    })
+  });
+  assert.equal(status, 201);
+  assert.equal(event.rsvp_open_at, '2029-12-01T00:00:00.000Z');
+  assert.equal(event.rsvp_close_at, '2030-01-01T00:00:00.000Z');
+  assert.equal(event.publish_at, '2029-11-30T23:00:00.000Z');
+
+  const invalid = await api.request('POST', '/events', {
+    token,
+    form: eventForm({ rsvp_open_at: 'soon' })
+  });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.body.errors.some(error => error.path === 'rsvp_open_at'));
+});
+
+test('codes of events the caller may not see are not checked', async () => {
+  const token = await api.login('alice');
+  const { body: event } = await api.request('POST', '/events', { token, form: eventForm({ publish: 'draft' }) });
+  const { body: ticketType } = await api.request('POST', `/events/${event.id}/ticket-types`, {
+    token,
+    body: { name: 'Reserved', quota: 5, hidden: true }
+  });
+  const created = await api.request('POST', `/events/${event.id}/codes`, {
+    token,
+    body: { code: 'BACKSTAGE', kind: 'access', ticket_type_id: ticketType.id }
+  });
+  assert.equal(created.status, 201);
+
+  const hidden = await api.request('GET', `/events/${event.id}/codes/check?code=BACKSTAGE`);
+  assert.equal(hidden.status, 404);
+  const guessed = await api.request('GET', `/events/${event.id}/codes/check?code=WRONG`, { token: await api.login('bob') });
+  assert.equal(guessed.status, 404);
+
+  const own = await api.request('GET', `/events/${event.id}/codes/check?code=BACKSTAGE`, { token });
+  assert.deepEqual(own.body.unlockedTicketTypes.map(t => t.name), ['Reserved']);
+});
+
+test('organization admins see and restore the events members trashed', async () => {
+  const alice = await api.login('alice');
+  const { body: organization } = await api.request('POST', '/organizations', { token: alice, body: { name: 'Trash Club' } });
+  await api.request('POST', `/organizations/${organization.id}/members`, { token: alice, body: { email: 'bob@example.com', role: 'member' } });
+  await api.request('POST', `/organizations/${organization.id}/members`, { token: alice, body: { email: 'charlie@example.com', role: 'admin' } });
+
+  const bob = await api.login('bob');
+  const { body: event } = await api.request('POST', '/events', { token: bob, form: eventForm({ organization_id: organization.id }) });
+  assert.equal(event.organization_id, organization.id);
+  const deleted = await api.request('DELETE', `/events/${event.id}`, { token: bob });
+  assert.equal(deleted.status, 200);
+
+  const charlie = await api.login('charlie');
+  const { body: trash } = await api.request('GET', '/events/trash', { token: charlie });
+  assert.deepEqual(trash.map(e => e.id), [event.id]);
+  const restored = await api.request('POST', `/events/${event.id}/restore`, { token: charlie });
+  assert.equal(restored.status, 200);
+
+  const { body: outsiderTrash } = await api.request('GET', '/events/trash', { token: await api.login('dave') });
+  assert.deepEqual(outsiderTrash, []);
+});
@@ -0,0 +1,78 @@
+// Shared setup for the API tests: the app on the in-memory backend, reset before each test
+process.env.DATA_BACKEND = 'memory';
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = require('../server');
+const { reset } = require('../repositories/memory/store');
+
+// Demo accounts seeded from mockData.js
+const ACCOUNTS = {
+  alice: { email: 'alice@example.com', password: 'Password1!' },
+  bob: { email: 'bob@example.com', password: 'Password2!' },
+  charlie: { email: 'charlie@example.com', password: 'Password3!' },
+  dave: { email: 'dave@example.com', password: 'Password4!' },
+  eve: { email: 'eve@example.com', password: 'Password5!' }
+};
+
+// Start the app on a free port. Returns request(method, path, { body, token, form, raw, headers })
+// -> { status, body } (raw sends a string body as is), login(name) -> token, and close()
+const startServer = () => new Promise((resolve) => {
+  const server = app.listen(0, () => {
+    const baseUrl = `http://localhost:${server.address().port}/api`;
+
+    const request = async (method, path, { body, token, form, raw, headers: extraHeaders } = {}) => {
+      const headers = { ...extraHeaders };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (body !== undefined || raw !== undefined) headers['Content-Type'] = 'application/json';
+
+      const response = await fetch(baseUrl + path, {
+        method,
+        headers,
+        body: form || raw || (body !== undefined ? JSON.stringify(body) : undefined)
+      });
+      const text = await response.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        data = text;
+      }
+      return { status: response.status, body: data };
+    };
+
+    const login = async (name) => {
+      const { body } = await request('POST', '/auth/login', { body: ACCOUNTS[name] });
+      return body.token;
+    };
+
+    const close = () => new Promise(done => server.close(done));
+
+    resolve({ request, login, close });
+  });
+});
+
+// Multipart body for POST /api/events: a one-hour event starting in daysFromNow days
+const eventForm = (fields = {}, daysFromNow = 7) => {
+  const start = new Date(Date.now() + daysFromNow * 24 * 60 * 60 * 1000);
+  const values = {
+    title: 'Test Event',
+    description: 'An event made by the tests',
+    location: 'Test Hall',
+    capacity: '10',
+    date: start.toISOString(),
+    end_date: new Date(start.getTime() + 60 * 60 * 1000).toISOString(),
+    ...fields
+  };
+
+  const form = new FormData();
+  Object.entries(values).forEach(([key, value]) => form.append(key, String(value)));
+  return form;
+};
+
+module.exports = {
+  ACCOUNTS,
+  startServer,
+  eventForm,
+  reset
+};
@@ -0,0 +1,204 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startServer, eventForm, reset } = require('./helpers');
+const paymentProvider = require('../payments');
+const { tables } = require('../repositories/memory/store');
+const { purgeExpiredTrash } = require('../jobs/purgeTrash');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => reset());
+
+// An event by alice with a single paid ticket type
+const createPaidEvent = async (capacity = 5) => {
+  const token = await api.login('alice');
+  const { body: event } = await api.request('POST', '/events', { token, form: eventForm({ capacity }) });
+  const { body: ticketType } = await api.request('POST', `/events/${event.id}/ticket-types`, {
+    token,
+    body: { name: 'Paid', quota: capacity, price_cents: 2500 }
+  });
+  return { event, ticketType, organizerToken: token };
+};
+
+const startCheckout = async (event, ticketType, token) => {
+  const { body } = await api.request('POST', `/checkout/${event.id}`, { token, body: { ticket_type_id: ticketType.id } });
+  return body.reservation;
+};
+
+test('a simulated payment turns the checkout into an RSVP', async () => {
+  const { event, ticketType } = await createPaidEvent();
+  const token = await api.login('bob');
+  const reservation = await startCheckout(event, ticketType, token);
+
+  const paid = await api.request('POST', `/checkout/reservations/${reservation.id}/simulate`, { token, body: {} });
+  assert.equal(paid.status, 200);
+  assert.equal(paid.body.status, 'paid');
+
+  const { body: status } = await api.request('GET', `/rsvp/${event.id}/status`, { token });
+  assert.equal(status.status, 'attending');
+});
+
+test('payments cannot be simulated in production', async () => {
+  const { event, ticketType } = await createPaidEvent();
+  const token = await api.login('bob');
+  const reservation = await startCheckout(event, ticketType, token);
+  assert.equal(reservation.canSimulatePayment, true);
+
+  const environment = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  try {
+    const { status } = await api.request('POST', `/checkout/reservations/${reservation.id}/simulate`, { token, body: {} });
+    assert.equal(status, 404);
+  } finally {
+    process.env.NODE_ENV = environment;
+  }
+});
+
+test('outside development payments are optional, but a provider needs its webhook secret', () => {
+  const run = (script, env) => spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, NODE_ENV: 'production', PAYMENT_PROVIDER: '', PAYMENT_WEBHOOK_SECRET: '', ...env },
+    encoding: 'utf8'
+  });
+  const loadPayments = (env) => run('console.log(require("./payments") ? "provider" : "none")', env);
+
+  assert.equal(loadPayments({}).stdout.trim(), 'none');
+  assert.match(loadPayments({ PAYMENT_PROVIDER: 'fake' }).stderr, /PAYMENT_WEBHOOK_SECRET must be set/);
+  assert.equal(loadPayments({ PAYMENT_PROVIDER: 'fake', PAYMENT_WEBHOOK_SECRET: 'secret' }).stdout.trim(), 'provider');
+  assert.equal(loadPayments({ NODE_ENV: 'development' }).stdout.trim(), 'provider');
+
+  // Without a provider the server still starts; only checkouts are refused
+  const checkout = run(`
+    const app = require('./server');
+    const server = app.listen(0, async () => {
+      const response = await fetch(\`http://localhost:\${server.address().port}/api/checkout/any-event\`, { method: 'POST' });
+      console.log(response.status);
+      process.exit(0);
+    });
+  `, { DATA_BACKEND: 'memory' });
+  assert.equal(checkout.stdout.trim(), '503');
+});
+
+test('cancelling an event refunds paid tickets and releases their seats', async () => {
+  const { event, ticketType, organizerToken } = await createPaidEvent();
+  const bob = await api.login('bob');
+  const reservation = await startCheckout(event, ticketType, bob);
+  await api.request('POST', `/checkout/reservations/${reservation.id}/simulate`, { token: bob, body: {} });
+
+  const cancelled = await api.request('POST', `/events/${event.id}/cancel`, { token: organizerToken, body: { reason: 'Venue closed' } });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.attendeesCount, 0);
+
+  const { body: refunded } = await api.request('GET', `/checkout/reservations/${reservation.id}`, { token: bob });
+  assert.equal(refunded.status, 'refunded');
+
+  await api.request('POST', `/events/${event.id}/reinstate`, { token: organizerToken });
+  const { body: status } = await api.request('GET', `/rsvp/${event.id}/status`, { token: bob });
+  assert.equal(status.status, 'none');
+});
+
+test('a failed refund still frees the seat for the waitlist', async () => {
+  const { event, ticketType, organizerToken } = await createPaidEvent(1);
+  const { body: freeType } = await api.request('POST', `/events/${event.id}/ticket-types`, {
+    token: organizerToken,
+    body: { name: 'Free', quota: 1 }
+  });
+
+  const bob = await api.login('bob');
+  const reservation = await startCheckout(event, ticketType, bob);
+  await api.request('POST', `/checkout/reservations/${reservation.id}/simulate`, { token: bob, body: {} });
+
+  const dave = await api.login('dave');
+  const waitlisted = await api.request('POST', `/rsvp/${event.id}`, { token: dave, body: { ticket_type_id: freeType.id } });
+  assert.equal(waitlisted.status, 202);
+
+  const refund = paymentProvider.refund;
+  paymentProvider.refund = async () => {
+    throw new Error('Provider unavailable');
+  };
+  try {
+    const cancelled = await api.request('DELETE', `/rsvp/${event.id}`, { token: bob });
+    assert.equal(cancelled.status, 200);
+  } finally {
+    paymentProvider.refund = refund;
+  }
+
+  const { body: bobStatus } = await api.request('GET', `/rsvp/${event.id}/status`, { token: bob });
+  assert.equal(bobStatus.status, 'none');
+  const { body: daveStatus } = await api.request('GET', `/rsvp/${event.id}/status`, { token: dave });
+  assert.equal(daveStatus.status, 'attending');
+});
+
+test('webhooks for events that no longer exist are acknowledged', async () => {
+  const { event, ticketType } = await createPaidEvent();
+  const reservation = await startCheckout(event, ticketType, await api.login('bob'));
+  const { provider_payment_id: paymentId } = tables.reservations.find(r => r.id === reservation.id);
+
+  // As if the event had been purged from the trash
+  tables.events.splice(tables.events.findIndex(e => e.id === event.id), 1);
+
+  const { payload, headers } = paymentProvider.simulatePayment({ paymentId });
+  const { status } = await api.request('POST', '/checkout/webhook', { raw: payload, headers });
+  assert.equal(status, 200);
+});
+
+test('events with paid tickets are refunded before they are trashed or purged', async () => {
+  const { event, ticketType, organizerToken } = await createPaidEvent();
+  const bob = await api.login('bob');
+  const reservation = await startCheckout(event, ticketType, bob);
+  await api.request('POST', `/checkout/reservations/${reservation.id}/simulate`, { token: bob, body: {} });
+
+  const { provider_payment_id: paymentId } = tables.reservations.find(r => r.id === reservation.id);
+
+  const deleted = await api.request('DELETE', `/events/${event.id}`, { token: organizerToken });
+  assert.equal(deleted.status, 409);
+
+  // As if trashed before deleting required cancelling, and past the retention period
+  tables.events.find(e => e.id === event.id).deleted_at = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+  const refund = paymentProvider.refund;
+  const refundedPayments = [];
+  paymentProvider.refund = async (payment) => {
+    refundedPayments.push(payment.paymentId);
+    return refund(payment);
+  };
+  try {
+    assert.equal(await purgeExpiredTrash(), 1);
+  } finally {
+    paymentProvider.refund = refund;
+  }
+
+  assert.deepEqual(refundedPayments, [paymentId]);
+  const { body: notifications } = await api.request('GET', '/notifications', { token: bob });
+  assert.ok(notifications.some(n => /has been refunded/.test(n.message)));
+});
+
+test('paid tickets cannot be cancelled once the event has started or after checking in', async () => {
+  const { event, ticketType, organizerToken } = await createPaidEvent();
+  const bob = await api.login('bob');
+  const reservation = await startCheckout(event, ticketType, bob);
+  await api.request('POST', `/checkout/reservations/${reservation.id}/simulate`, { token: bob, body: {} });
+
+  const { body: [attending] } = await api.request('GET', '/rsvp/user', { token: bob });
+  const checkIn = await api.request('POST', `/events/${event.id}/check-in`, { token: organizerToken, body: { code: attending.ticketCode } });
+  assert.equal(checkIn.status, 200);
+  const checkedIn = await api.request('DELETE', `/rsvp/${event.id}`, { token: bob });
+  assert.equal(checkedIn.status, 400);
+
+  const stored = tables.events.find(e => e.id === event.id);
+  stored.date = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  stored.end_date = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  tables.rsvps.find(r => r.event_id === event.id).checked_in_at = null;
+  const started = await api.request('DELETE', `/rsvp/${event.id}`, { token: bob });
+  assert.equal(started.status, 400);
+
+  const { body: kept } = await api.request('GET', `/checkout/reservations/${reservation.id}`, { token: bob });
+  assert.equal(kept.status, 'paid');
+});
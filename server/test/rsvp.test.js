@@ -0,0 +1,61 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, eventForm, reset } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => reset());
+
+const createEvent = async (fields) => {
+  const { body } = await api.request('POST', '/events', { token: await api.login('alice'), form: eventForm(fields) });
+  return body;
+};
+
+test('RSVPs, shows the status and cancels', async () => {
+  const event = await createEvent();
+  const token = await api.login('bob');
+
+  const rsvp = await api.request('POST', `/rsvp/${event.id}`, { token, body: {} });
+  assert.equal(rsvp.status, 200);
+  assert.equal(rsvp.body.event.attendeesCount, 1);
+
+  const status = await api.request('GET', `/rsvp/${event.id}/status`, { token });
+  assert.equal(status.body.response, 'going');
+
+  const attending = await api.request('GET', '/rsvp/user', { token });
+  assert.deepEqual(attending.body.map(e => e.id), [event.id]);
+
+  const cancelled = await api.request('DELETE', `/rsvp/${event.id}`, { token });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.event.attendeesCount, 0);
+});
+
+test('rejects a second RSVP by the same user', async () => {
+  const event = await createEvent();
+  const token = await api.login('bob');
+
+  await api.request('POST', `/rsvp/${event.id}`, { token, body: {} });
+  const again = await api.request('POST', `/rsvp/${event.id}`, { token, body: {} });
+  assert.equal(again.status, 400);
+});
+
+test('puts RSVPs to a full event on the waitlist and promotes them when a seat frees up', async () => {
+  const event = await createEvent({ capacity: 1 });
+  const bob = await api.login('bob');
+  const dave = await api.login('dave');
+
+  await api.request('POST', `/rsvp/${event.id}`, { token: bob, body: {} });
+  const waitlisted = await api.request('POST', `/rsvp/${event.id}`, { token: dave, body: {} });
+  assert.equal(waitlisted.status, 202);
+  assert.equal(waitlisted.body.waitlistPosition, 1);
+
+  await api.request('DELETE', `/rsvp/${event.id}`, { token: bob });
+  const status = await api.request('GET', `/rsvp/${event.id}/status`, { token: dave });
+  assert.equal(status.body.response, 'going');
+});
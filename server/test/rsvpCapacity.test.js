@@ -0,0 +1,47 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, eventForm, reset } = require('./helpers');
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(() => api.close());
+
+beforeEach(() => reset());
+
+const PARALLEL_RSVPS = 10;
+
+test('parallel RSVPs to a capacity-1 event give away exactly one seat', async () => {
+  const { body: event } = await api.request('POST', '/events', {
+    token: await api.login('alice'),
+    form: eventForm({ capacity: 1 })
+  });
+
+  const tokens = [];
+  for (let i = 0; i < PARALLEL_RSVPS; i++) {
+    const { body } = await api.request('POST', '/auth/register', {
+      body: { name: `Racer ${i}`, email: `racer${i}@example.com`, password: 'secret123' }
+    });
+    tokens.push(body.token);
+  }
+
+  const responses = await Promise.all(tokens.map(token => (
+    api.request('POST', `/rsvp/${event.id}`, { token, body: {} })
+  )));
+
+  const seated = responses.filter(r => r.status === 200);
+  const waitlisted = responses.filter(r => r.status === 202);
+  assert.equal(seated.length, 1);
+  assert.equal(waitlisted.length, PARALLEL_RSVPS - 1);
+  assert.deepEqual(
+    waitlisted.map(r => r.body.waitlistPosition).sort((a, b) => a - b),
+    Array.from({ length: PARALLEL_RSVPS - 1 }, (_, i) => i + 1)
+  );
+
+  const { body: details } = await api.request('GET', `/events/${event.id}`);
+  assert.equal(details.attendeesCount, 1);
+  assert.equal(details.waitlistCount, PARALLEL_RSVPS - 1);
+});
@@ -0,0 +1,61 @@
+const { rsvps } = require('../repositories');
+const { canOnEvent } = require('./permissions');
+
+// Seats taken by a list of attendees: each attendee plus the guests they bring
+const countSeats = (attendees) => (
+  attendees.reduce((total, attendee) => total + 1 + (attendee.guest_count || 0), 0)
+);
+
+// Add attendees and attendeesCount (seats taken, guests included) to a list of events.
+// Loads every event's attendees in a single query instead of one per event.
+const attachAttendees = async (eventList) => {
+  const attendeesByEvent = await rsvps.listAttendeesForEvents(eventList.map(e => e.id));
+
+  return eventList.map(event => {
+    const attendees = attendeesByEvent[event.id] || [];
+    return {
+      ...event,
+      attendees,
+      attendeesCount: countSeats(attendees)
+    };
+  });
+};
+
+// Add only attendeesCount to a list of events, for responses anyone may see
+const attachAttendeeCounts = async (eventList) => (
+  (await attachAttendees(eventList)).map(({ attendees, ...event }) => event)
+);
+
+// The attendee list as seen by someone who is not an organizer: only attendees who opted in to
+// show_in_attendee_lists, by name and without email or guest names. Everyone else only counts
+// towards attendeesCount. Viewers always see themselves in full.
+const toPublicAttendees = (attendees, viewerId) => (
+  attendees
+    .filter(attendee => attendee.listed || (viewerId && attendee.id === viewerId))
+    .map(attendee => (
+      attendee.id === viewerId
+        ? attendee
+        : { id: attendee.id, name: attendee.name, guest_count: attendee.guest_count }
+    ))
+);
+
+// The event with its attendee list narrowed by toPublicAttendees()
+const withPublicAttendees = (event, viewerId) => ({
+  ...event,
+  attendees: toPublicAttendees(event.attendees, viewerId)
+});
+
+// The event with its attendee list as the user may see it: in full for organizers who may
+// view attendees, public for everyone else
+const showAttendeesTo = async (event, userId) => (
+  await canOnEvent(event, userId, 'view_attendees') ? event : withPublicAttendees(event, userId)
+);
+
+module.exports = {
+  countSeats,
+  attachAttendees,
+  attachAttendeeCounts,
+  toPublicAttendees,
+  withPublicAttendees,
+  showAttendeesTo
+};
@@ -0,0 +1,72 @@
+const { codes } = require('../repositories');
+
+// Status of a code: 'active' | 'expired' | 'used_up'
+const getCodeStatus = (code, now = new Date()) => {
+  if (code.expires_at && now >= new Date(code.expires_at)) {
+    return 'expired';
+  }
+  if (code.max_redemptions && code.redemption_count >= code.max_redemptions) {
+    return 'used_up';
+  }
+  return 'active';
+};
+
+// Code as returned to its organizer
+const withCodeStatus = (code) => ({
+  ...code,
+  status: getCodeStatus(code)
+});
+
+// Whether attendees may pick a ticket type: hidden types need an access code that unlocks them
+const isTicketTypeOffered = (ticketType, code) => (
+  !ticketType.hidden || Boolean(
+    code && code.kind === 'access' && (!code.ticket_type_id || code.ticket_type_id === ticketType.id)
+  )
+);
+
+// Price of a ticket type after the code's discount, in cents
+const applyCode = (priceCents, code) => (
+  code && code.kind === 'discount'
+    ? priceCents - Math.round(priceCents * code.discount_percent / 100)
+    : priceCents
+);
+
+// Looks up a code the attendee entered for an event.
+// Returns { code } or { error } with a message for the attendee.
+const resolveCode = async (eventId, enteredCode) => {
+  const code = await codes.findByCode(eventId, String(enteredCode).trim());
+
+  if (!code) {
+    return { error: 'This code is not valid for this event' };
+  }
+
+  const status = getCodeStatus(code);
+  if (status === 'expired') {
+    return { error: 'This code has expired' };
+  }
+  if (status === 'used_up') {
+    return { error: 'This code has reached its usage limit' };
+  }
+
+  return { code };
+};
+
+// Message explaining why the code cannot be used with the ticket type, or null
+const getCodeMismatch = (code, ticketType) => {
+  if (code.ticket_type_id && (!ticketType || code.ticket_type_id !== ticketType.id)) {
+    return `This code is not valid for ${ticketType ? `${ticketType.name} tickets` : 'this ticket'}`;
+  }
+  if (code.kind === 'discount' && (!ticketType || ticketType.price_cents === 0)) {
+    return 'This code gives a discount on paid tickets only';
+  }
+  return null;
+};
+
+module.exports = {
+  getCodeStatus,
+  withCodeStatus,
+  isTicketTypeOffered,
+  applyCode,
+  resolveCode,
+  getCodeMismatch
+};
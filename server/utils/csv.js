@@ -0,0 +1,27 @@
+// CSV export helpers (RFC 4180: comma separated, CRLF line endings, quoted when needed)
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text for a header row and data rows (arrays of cell values)
+const toCsv = (header, rows) => (
+  [header, ...rows].map(row => row.map(toCell).join(',')).join('\r\n') + '\r\n'
+);
+
+// File name safe for a Content-Disposition header, e.g. "tech-conference-2024"
+const toFileName = (text) => (
+  text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export'
+);
+
+module.exports = {
+  toCsv,
+  toFileName
+};
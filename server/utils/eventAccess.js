@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { invitations, rsvps, waitlist } = require('../repositories');
+const { getEventRole } = require('./permissions');
+const { isPublished } = require('./publishing');
+
+// Who can see an event: public events are listed and open to everybody, unlisted ones are
+// reached through their share link, invite-only ones through an invitation
+const VISIBILITIES = ['public', 'unlisted', 'invite_only'];
+
+// Share links ("/events/<id>?key=<share key>") and invite tokens ("<invitation id>.<signature>")
+// carry an HMAC, so they cannot be made up. Bumping an event's share_version retires its
+// share link; deleting an invitation retires its token.
+const LINK_SECRET = process.env.LINK_SECRET || process.env.JWT_SECRET || 'your_jwt_secret_key_here_change_in_production';
+
+const sign = (value) => crypto.createHmac('sha256', LINK_SECRET).update(value).digest('base64url');
+
+const signatureMatches = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(received || ''));
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const toShareKey = (event) => sign(`share:${event.id}:${event.share_version || 0}`);
+
+const isShareKey = (event, key) => Boolean(key) && signatureMatches(toShareKey(event), key);
+
+const toInviteToken = (invitation) => `${invitation.id}.${sign(`invite:${invitation.id}`)}`;
+
+// The invitation id of a token, or null when its signature does not match
+const readInviteToken = (token) => {
+  const [invitationId, signature, ...rest] = String(token || '').trim().split('.');
+  if (!invitationId || !signature || rest.length > 0) return null;
+  return signatureMatches(sign(`invite:${invitationId}`), signature) ? invitationId : null;
+};
+
+// The invitation to the event an invite token stands for, or null
+const findInvitationByToken = async (event, token) => {
+  const invitationId = readInviteToken(token);
+  const invitation = invitationId ? await invitations.findById(invitationId) : null;
+  return invitation && invitation.event_id === event.id ? invitation : null;
+};
+
+// The share key and invite token a request brings, from the query (?key=, ?invite=) or the
+// body (share_key, invite_token)
+const readAccess = (req) => ({
+  key: req.query.key || (req.body && req.body.share_key),
+  inviteToken: req.query.invite || (req.body && req.body.invite_token)
+});
+
+// Whether the user (null when signed out) may see the event. Drafts and scheduled events are
+// only seen by their organizers. Besides the share key or an invitation, its organizers and
+// anyone who answered it or waits for a seat always may.
+const canViewEvent = async (event, user, { key, inviteToken } = {}) => {
+  if (!isPublished(event)) return Boolean(user && await getEventRole(event, user.id));
+  if (!event.visibility || event.visibility === 'public') return true;
+  if (event.visibility === 'unlisted' && isShareKey(event, key)) return true;
+  if (event.visibility === 'invite_only' && await findInvitationByToken(event, inviteToken)) return true;
+  if (!user) return false;
+  if (await getEventRole(event, user.id)) return true;
+  if (event.visibility === 'invite_only' && await invitations.findForUser(event.id, user)) return true;
+  return Boolean(
+    (await rsvps.findByUserAndEvent(user.id, event.id)) ||
+    (await waitlist.findByUserAndEvent(user.id, event.id))
+  );
+};
+
+// Checks the signed-in user may RSVP to the event: it must be published and they must be
+// able to see it, and an invite-only event takes an invitation - one sent to their email, or the token from its
+// link - which becomes theirs. Sends the error response and returns false otherwise.
+const checkRsvpAccess = async (event, req, res) => {
+  const access = readAccess(req);
+
+  if (!(await canViewEvent(event, req.user, access))) {
+    res.status(404).json({ message: 'Event not found' });
+    return false;
+  }
+
+  if (!isPublished(event)) {
+    res.status(400).json({ message: 'This event is not published yet' });
+    return false;
+  }
+
+  if (event.visibility !== 'invite_only' || await getEventRole(event, req.user.id)) {
+    return true;
+  }
+
+  const invitation = (await invitations.findForUser(event.id, req.user)) ||
+    (await findInvitationByToken(event, access.inviteToken));
+
+  if (!invitation) {
+    res.status(403).json({ message: 'This event is invite-only - RSVP through the link in your invitation' });
+    return false;
+  }
+
+  if (!(await invitations.claim(invitation.id, req.user.id))) {
+    res.status(403).json({ message: 'This invitation has already been used by another account' });
+    return false;
+  }
+
+  return true;
+};
+
+module.exports = {
+  VISIBILITIES,
+  toShareKey,
+  toInviteToken,
+  readAccess,
+  canViewEvent,
+  checkRsvpAccess
+};
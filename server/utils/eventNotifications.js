@@ -0,0 +1,16 @@
+const { rsvps, waitlist, notifications } = require('../repositories');
+
+// Notify everyone attending or waiting for the event
+const notifyEventAudience = async (event, message) => {
+  const attendees = await rsvps.listAttendees(event.id);
+  const waitingUserIds = await waitlist.listUserIds(event.id);
+  const userIds = [...new Set([...attendees.map(attendee => attendee.id), ...waitingUserIds])];
+
+  await Promise.all(userIds.map(userId =>
+    notifications.create({ userId, eventId: event.id, message })
+  ));
+};
+
+module.exports = {
+  notifyEventAudience
+};
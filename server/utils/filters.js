@@ -0,0 +1,61 @@
+// Filters for GET /api/events, parsed from the query string.
+// Dates are inclusive on both ends: ?to=2024-06-30 includes events on June 30th.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const laterOf = (a, b) => (a > b ? a : b);
+const earlierOf = (a, b) => (a < b ? a : b);
+
+// Saturday 00:00 to Monday 00:00 (server time) of the current weekend,
+// or of the coming one on weekdays
+const getWeekendRange = (now = new Date()) => {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  const day = start.getDay();
+  if (day === 0) {
+    start.setDate(start.getDate() - 1);
+  } else if (day !== 6) {
+    start.setDate(start.getDate() + (6 - day));
+  }
+  const end = new Date(start);
+  end.setDate(end.getDate() + 2);
+  return { start, end };
+};
+
+// Returns { from, to, location, creatorId, hasSeats }; from is never earlier than now,
+// to is exclusive (null when unbounded)
+const parseEventFilters = (query, now = new Date()) => {
+  let from = now;
+  let to = null;
+
+  if (query.from) {
+    from = laterOf(from, new Date(query.from));
+  }
+
+  if (query.to) {
+    to = isDateOnly(query.to)
+      ? new Date(new Date(query.to).getTime() + DAY_MS)
+      : new Date(query.to);
+  }
+
+  if (query.weekend === 'true') {
+    const weekend = getWeekendRange(now);
+    from = laterOf(from, weekend.start);
+    to = to ? earlierOf(to, weekend.end) : weekend.end;
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to ? to.toISOString() : null,
+    location: query.location ? query.location.trim() : null,
+    creatorId: query.creator || null,
+    hasSeats: query.available === 'true'
+  };
+};
+
+module.exports = {
+  getWeekendRange,
+  parseEventFilters
+};
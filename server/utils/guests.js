@@ -0,0 +1,47 @@
+const { body } = require('express-validator');
+
+// Plus-ones: an RSVP may bring up to the event's max_guests guests, each taking a seat.
+// Guest names are optional.
+
+// Most guests an organizer can allow per RSVP
+const MAX_GUESTS_PER_RSVP = 10;
+
+const MAX_GUEST_NAME_LENGTH = 100;
+
+// Validation for guest_count and guest_names in an RSVP or checkout request
+const guestRules = [
+  body('guest_count').optional().isInt({ min: 0 }).withMessage('Guest count must be 0 or more'),
+  body('guest_names').optional().isArray().withMessage('Guest names must be a list'),
+  body('guest_names.*').isString().trim().isLength({ max: MAX_GUEST_NAME_LENGTH })
+    .withMessage(`Guest names can be at most ${MAX_GUEST_NAME_LENGTH} characters`)
+];
+
+// { guestCount, guestNames } from a validated request body; blank names are dropped
+const parseGuests = (reqBody) => ({
+  guestCount: reqBody.guest_count ? parseInt(reqBody.guest_count) : 0,
+  guestNames: (reqBody.guest_names || []).filter(Boolean)
+});
+
+// "1 guest", "3 guests"
+const describeGuests = (count) => `${count} guest${count === 1 ? '' : 's'}`;
+
+// Message when the guests do not suit the event, or null
+const getGuestError = (event, { guestCount, guestNames }) => {
+  if (guestCount > event.max_guests) {
+    return event.max_guests > 0
+      ? `You can bring up to ${describeGuests(event.max_guests)} to this event`
+      : 'This event does not allow guests';
+  }
+  if (guestNames.length > guestCount) {
+    return 'There are more guest names than guests';
+  }
+  return null;
+};
+
+module.exports = {
+  MAX_GUESTS_PER_RSVP,
+  guestRules,
+  parseGuests,
+  describeGuests,
+  getGuestError
+};
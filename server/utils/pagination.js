@@ -0,0 +1,41 @@
+// Cursor pagination for event listings.
+// A cursor is the sort value and id of the last event on the previous page,
+// base64url-encoded so clients treat it as an opaque string.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Every sort breaks ties on id in the same direction, so the order is total
+const EVENT_SORTS = {
+  date: { column: 'date', ascending: true },
+  newest: { column: 'created_at', ascending: false },
+  popular: { column: 'attendees_count', ascending: false },
+  seats_left: { column: 'seats_left', ascending: true },
+  // Only used while searching; search results are always ordered by relevance
+  relevance: { column: 'search_rank', ascending: false }
+};
+
+const encodeCursor = (event, sort) => {
+  return Buffer.from(JSON.stringify({ value: event[sort.column], id: event.id })).toString('base64url');
+};
+
+// Returns { value, id }, or null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || !/^[0-9a-f-]+$/i.test(decoded.id) || decoded.value === undefined) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  EVENT_SORTS,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,147 @@
+const { events, rsvps, sessions, registrationAnswers, reservations, notifications } = require('../repositories');
+const errorCodes = require('../repositories/errors');
+const paymentProvider = require('../payments');
+
+// How long a checkout holds its seat, in minutes
+const RESERVATION_HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 15;
+
+// "49.00 USD"
+const formatAmount = (amountCents, currency) => `${(amountCents / 100).toFixed(2)} ${currency.toUpperCase()}`;
+
+// Reservation as returned by the API; a pending reservation past its hold reads as expired
+const toPublicReservation = (reservation) => ({
+  ...reservation,
+  status: reservation.status === 'pending' && new Date(reservation.expires_at) <= new Date()
+    ? 'expired'
+    : reservation.status
+});
+
+// Refunds the reservation's payment through the provider and records the refund
+const refundReservation = async (reservation) => {
+  if (!paymentProvider) {
+    throw new Error('No payment provider is configured to refund the payment');
+  }
+
+  const { refundId } = await paymentProvider.refund({
+    paymentId: reservation.provider_payment_id,
+    amountCents: reservation.amount_cents
+  });
+
+  return reservations.update(reservation.id, {
+    status: 'refunded',
+    provider_refund_id: refundId,
+    refunded_at: new Date().toISOString()
+  });
+};
+
+// Notices about a trashed event are not linked to it: it has no page, and purging it
+// deletes its notifications
+const notifyRefund = (reservation, event, reason) => notifications.create({
+  userId: reservation.user_id,
+  eventId: event.deleted_at ? null : reservation.event_id,
+  message: `${reason} Your payment of ${formatAmount(reservation.amount_cents, reservation.currency)} for "${event.title}" has been refunded.`
+});
+
+// Refunds the user's paid ticket for an event, if they have one (when they cancel their RSVP)
+const refundAttendee = async (event, userId) => {
+  const reservation = await reservations.findPaidForUser(event.id, userId);
+  if (!reservation) return null;
+
+  const refunded = await refundReservation(reservation);
+  await notifyRefund(reservation, event, 'You cancelled your ticket.');
+  return refunded;
+};
+
+// Frees the seat of a refunded ticket: its RSVP, session places and answers go, so a
+// reinstated event does not keep the attendee for free
+const releaseRefundedSeat = async (reservation) => {
+  const rsvp = await rsvps.findByUserAndEvent(reservation.user_id, reservation.event_id);
+  if (rsvp) {
+    await rsvps.remove(rsvp.id);
+  }
+  await sessions.removeUserFromEvent(reservation.event_id, reservation.user_id);
+  await registrationAnswers.remove(reservation.event_id, reservation.user_id);
+};
+
+// Refunds every paid ticket of a cancelled event and releases its seat. A failed refund is
+// logged and the reservation (and its RSVP) stays paid, so the organizer can retry by
+// cancelling again after reinstating. Returns the number of tickets still paid.
+const refundEvent = async (event, reason = 'The event was cancelled and your ticket released.') => {
+  const paid = await reservations.listPaidForEvent(event.id);
+
+  for (const reservation of paid) {
+    try {
+      await refundReservation(reservation);
+      await releaseRefundedSeat(reservation);
+      await notifyRefund(reservation, event, reason);
+    } catch (error) {
+      console.error(`Refund failed for reservation ${reservation.id}:`, error);
+    }
+  }
+
+  return (await reservations.listPaidForEvent(event.id)).length;
+};
+
+// Applies a verified provider webhook. A successful payment turns the reservation into an
+// RSVP, or is refunded when the seat is gone or the event was cancelled; a failed payment
+// releases the hold. Returns the updated reservation, or null for unknown payments. Payments
+// for events purged from the trash are acknowledged and left alone, so the provider stops
+// retrying.
+const applyPaymentEvent = async ({ type, paymentId }) => {
+  const reservation = await reservations.findByPaymentId(paymentId);
+  if (!reservation) return null;
+
+  if (type === 'payment.failed') {
+    if (reservation.status !== 'pending') return reservation;
+    return reservations.update(reservation.id, { status: 'cancelled' });
+  }
+
+  if (type !== 'payment.succeeded' || ['paid', 'refunded'].includes(reservation.status)) {
+    return reservation;
+  }
+
+  const event = await events.findById(reservation.event_id, { includeDeleted: true });
+
+  if (!event) {
+    console.warn(`Ignoring ${type} for reservation ${reservation.id}: its event no longer exists`);
+    return reservation;
+  }
+
+  if (event.status === 'cancelled' || event.deleted_at) {
+    const refunded = await refundReservation(reservation);
+    await notifyRefund(reservation, event, 'The event is no longer taking place.');
+    return refunded;
+  }
+
+  try {
+    const confirmed = await reservations.confirm(reservation.id);
+    await notifications.create({
+      userId: reservation.user_id,
+      eventId: reservation.event_id,
+      message: `Payment received - you are attending "${event.title}".`
+    });
+    return confirmed;
+  } catch (confirmError) {
+    const refundReasons = {
+      [errorCodes.EVENT_FULL]: 'Your checkout expired and the last seats were taken before the payment arrived.',
+      [errorCodes.CODE_UNAVAILABLE]: 'Your checkout expired and its code was used up before the payment arrived.',
+      [errorCodes.UNIQUE_VIOLATION]: 'You already had a ticket for this event.'
+    };
+    if (refundReasons[confirmError.code]) {
+      const refunded = await refundReservation(reservation);
+      const reason = refundReasons[confirmError.code];
+      await notifyRefund(reservation, event, reason);
+      return refunded;
+    }
+    throw confirmError;
+  }
+};
+
+module.exports = {
+  RESERVATION_HOLD_MINUTES,
+  formatAmount,
+  toPublicReservation,
+  refundAttendee,
+  refundEvent,
+  applyPaymentEvent
+};
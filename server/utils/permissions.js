@@ -0,0 +1,85 @@
+const { organizers, organizations } = require('../repositories');
+
+// Roles a creator can give co-organizers
+const ORGANIZER_ROLES = ['editor', 'check_in', 'viewer'];
+
+// What each role may do with an event. The creator is the owner and may do everything.
+//   manage         - delete and restore the event, add and remove co-organizers
+//   edit           - change the event, its ticket types, codes and agenda; cancel it
+//   check_in       - check attendees in at the door
+//   view_attendees - see registrations and their answers
+const PERMISSIONS = {
+  owner: ['manage', 'edit', 'check_in', 'view_attendees'],
+  editor: ['edit', 'check_in', 'view_attendees'],
+  check_in: ['check_in'],
+  viewer: ['view_attendees']
+};
+
+// Roles of organization members
+const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+// What each member role may do with the organization
+//   delete         - delete the organization
+//   edit           - change its name, URL and description
+//   manage_members - add and remove members and change their roles (only owners handle owners)
+//   publish        - create events under it
+const ORGANIZATION_PERMISSIONS = {
+  owner: ['delete', 'edit', 'manage_members', 'publish'],
+  admin: ['edit', 'manage_members', 'publish'],
+  member: ['publish']
+};
+
+// The event role members get on their organization's events: owners and admins have full
+// control, members edit them
+const EVENT_ROLE_OF_MEMBER = {
+  owner: 'owner',
+  admin: 'owner',
+  member: 'editor'
+};
+
+// The user's role on the event: owner, one of ORGANIZER_ROLES, or null. Members of the
+// organization it is published under get EVENT_ROLE_OF_MEMBER, which no co-organizer role beats.
+const getEventRole = async (event, userId) => {
+  if (!userId) return null;
+  if (event.creator_id === userId) return 'owner';
+  if (event.organization_id) {
+    const memberRole = await organizations.findMemberRole(event.organization_id, userId);
+    if (memberRole) return EVENT_ROLE_OF_MEMBER[memberRole];
+  }
+  return organizers.findRole(event.id, userId);
+};
+
+const permissionsFor = (role) => (role ? PERMISSIONS[role] || [] : []);
+
+// Whether the user may do any of the given permissions with the event
+const canOnEvent = async (event, userId, ...permissions) => {
+  const granted = permissionsFor(await getEventRole(event, userId));
+  return permissions.some(permission => granted.includes(permission));
+};
+
+// Ids of the organizations whose events the user may manage (see EVENT_ROLE_OF_MEMBER)
+const listManagedOrganizationIds = async (userId) => (
+  (await organizations.listForUser(userId))
+    .filter(organization => permissionsFor(EVENT_ROLE_OF_MEMBER[organization.role]).includes('manage'))
+    .map(organization => organization.id)
+);
+
+const organizationPermissionsFor = (role) => (role ? ORGANIZATION_PERMISSIONS[role] || [] : []);
+
+// Whether the user may do any of the given permissions with the organization
+const canOnOrganization = async (organization, userId, ...permissions) => {
+  const role = userId ? await organizations.findMemberRole(organization.id, userId) : null;
+  const granted = organizationPermissionsFor(role);
+  return permissions.some(permission => granted.includes(permission));
+};
+
+module.exports = {
+  ORGANIZER_ROLES,
+  ORGANIZATION_ROLES,
+  getEventRole,
+  permissionsFor,
+  canOnEvent,
+  listManagedOrganizationIds,
+  organizationPermissionsFor,
+  canOnOrganization
+};
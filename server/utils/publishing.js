@@ -0,0 +1,48 @@
+const { body } = require('express-validator');
+const { toUtcIso } = require('./timeZones');
+
+// How a new or unpublished event is published: now, kept as a draft, or scheduled for
+// publish_at (see jobs/publishScheduled.js). Only published events are seen by anyone
+// but their organizers. publish_at is a wall-clock time in the event's zone unless it carries
+// an offset, like the event's start.
+const PUBLISH_OPTIONS = ['now', 'draft', 'scheduled'];
+
+const publishRules = [
+  body('publish').optional({ checkFalsy: true })
+    .isIn(PUBLISH_OPTIONS).withMessage('Publish must be now, draft or scheduled'),
+  body('publish_at').if(body('publish').equals('scheduled'))
+    .notEmpty().withMessage('Choose when to publish the event').bail()
+    .customSanitizer((value, { req }) => toUtcIso(value, req.body.time_zone))
+    .notEmpty().withMessage('Publish time must be a valid date').bail()
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Publish time must be in the future')
+    .custom((value, { req }) => !req.body.date || new Date(value) < new Date(req.body.date))
+    .withMessage('Publish time must be before the event starts')
+];
+
+const isPublished = (event) => Boolean(event.published_at);
+
+// published, scheduled or draft
+const getPublishState = (event) => {
+  if (isPublished(event)) return 'published';
+  return event.publish_at ? 'scheduled' : 'draft';
+};
+
+// Event columns for a publish option
+const toPublishFields = (publish = 'now', publishAt) => {
+  if (publish === 'draft') {
+    return { published_at: null, publish_at: null };
+  }
+  if (publish === 'scheduled') {
+    return { published_at: null, publish_at: new Date(publishAt).toISOString() };
+  }
+  return { published_at: new Date().toISOString(), publish_at: null };
+};
+
+module.exports = {
+  PUBLISH_OPTIONS,
+  publishRules,
+  isPublished,
+  getPublishState,
+  toPublishFields
+};
@@ -0,0 +1,179 @@
+// Recurring event series: a subset of iCalendar RRULE plus exception dates.
+//   FREQ=DAILY|WEEKLY|MONTHLY   required
+//   INTERVAL=n                  every n days/weeks/months (default 1)
+//   COUNT=n or UNTIL=YYYYMMDD   the series must end one way or the other
+// e.g. "FREQ=WEEKLY;INTERVAL=2;COUNT=6" or "RRULE:FREQ=MONTHLY;UNTIL=20241231"
+// Exceptions are YYYY-MM-DD dates whose occurrence is skipped. Dates are counted in the
+// event's time zone, so a weekly 18:00 meetup stays at 18:00 across DST changes.
+
+const { DEFAULT_TIME_ZONE, toZonedParts, fromZonedParts } = require('./timeZones');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Upper bound on occurrences generated for one series
+const MAX_OCCURRENCES = 100;
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// YYYY-MM-DD of wall-clock parts
+const dateKey = ({ year, month, day }) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// UNTIL as { date } for an exact instant, or { key } for a whole day (YYYY-MM-DD, event's zone)
+const parseUntil = (value) => {
+  const compact = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/);
+  if (compact) {
+    const [, year, month, day, hours, minutes, seconds] = compact;
+    if (hours === undefined) {
+      return { key: `${year}-${month}-${day}` };
+    }
+    return { date: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds))) };
+  }
+  if (isDateOnly(value)) {
+    return { key: value };
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : { date };
+};
+
+// Parses a rule string into { freq, interval, count, until }; throws with a
+// user-facing message when the rule is invalid
+const parseRecurrenceRule = (value) => {
+  const rule = { freq: null, interval: 1, count: null, until: null };
+  const parts = String(value).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const partValue = rawValue.trim();
+
+    if (key === 'FREQ') {
+      rule.freq = partValue.toUpperCase();
+      if (!FREQUENCIES.includes(rule.freq)) {
+        throw new Error(`Recurrence FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+      }
+    } else if (key === 'INTERVAL') {
+      rule.interval = Number(partValue);
+      if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+        throw new Error('Recurrence INTERVAL must be a positive whole number');
+      }
+    } else if (key === 'COUNT') {
+      rule.count = Number(partValue);
+      if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+        throw new Error(`Recurrence COUNT must be between 1 and ${MAX_OCCURRENCES}`);
+      }
+    } else if (key === 'UNTIL') {
+      rule.until = parseUntil(partValue);
+      if (!rule.until) {
+        throw new Error('Recurrence UNTIL must be a date (YYYYMMDD)');
+      }
+    } else {
+      throw new Error(`Unsupported recurrence part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence FREQ is required');
+  }
+  if (!rule.count && !rule.until) {
+    throw new Error('Recurrence needs an end: COUNT or UNTIL');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence can have COUNT or UNTIL, not both');
+  }
+
+  return rule;
+};
+
+// Exception dates from "2024-07-04,2024-07-11" (or an array); throws on invalid dates
+const parseExceptions = (value) => {
+  if (!value) return [];
+  const dates = (Array.isArray(value) ? value : String(value).split(','))
+    .map(date => String(date).trim())
+    .filter(Boolean);
+
+  const invalid = dates.find(date => !isDateOnly(date) || isNaN(new Date(date).getTime()));
+  if (invalid) {
+    throw new Error(`Invalid exception date: ${invalid} (use YYYY-MM-DD)`);
+  }
+  return [...new Set(dates)].sort();
+};
+
+// Wall-clock parts n steps after start, or null when that day does not exist
+// (monthly rules skip months without the start's day, like RRULE)
+const stepFrom = (start, freq, steps) => {
+  const day = new Date(Date.UTC(start.year, start.month - 1, start.day));
+  if (freq === 'DAILY') {
+    day.setUTCDate(day.getUTCDate() + steps);
+  } else if (freq === 'WEEKLY') {
+    day.setUTCDate(day.getUTCDate() + steps * 7);
+  } else {
+    day.setUTCMonth(day.getUTCMonth() + steps);
+    if (day.getUTCDate() !== start.day) return null;
+  }
+  return { ...start, year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+};
+
+// Start dates of every occurrence of the series, first one included.
+// COUNT counts occurrences before exceptions are removed, as in RFC 5545.
+const expandOccurrences = (start, rule, exceptions = [], timeZone = DEFAULT_TIME_ZONE) => {
+  const startParts = toZonedParts(new Date(start), timeZone);
+  const skipped = new Set(exceptions);
+  const occurrences = [];
+  let generated = 0;
+
+  for (let step = 0; ; step++) {
+    if (rule.count && generated >= rule.count) break;
+
+    const parts = stepFrom(startParts, rule.freq, step * rule.interval);
+    if (!parts) continue;
+
+    const date = fromZonedParts(parts, timeZone);
+    if (rule.until && (rule.until.key ? dateKey(parts) > rule.until.key : date > rule.until.date)) break;
+
+    generated++;
+    if (generated > MAX_OCCURRENCES) {
+      throw new Error(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+    if (!skipped.has(dateKey(parts))) {
+      occurrences.push(date);
+    }
+  }
+
+  return occurrences;
+};
+
+// Short description for display, e.g. "Every 2 weeks, 6 times"
+const describeRule = (rule) => {
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+  const every = rule.interval === 1
+    ? `Every ${units[rule.freq]}`
+    : `Every ${rule.interval} ${units[rule.freq]}s`;
+  if (rule.count) {
+    return `${every}, ${rule.count} times`;
+  }
+  return `${every} until ${rule.until.key || rule.until.date.toISOString().slice(0, 10)}`;
+};
+
+// Event fields moved to another start time; the end time and a set RSVP window move along with it
+const moveEventTo = (data, date) => {
+  const offset = new Date(date).getTime() - new Date(data.date).getTime();
+  const moved = { ...data, date: new Date(date).toISOString() };
+  ['end_date', 'rsvp_open_at', 'rsvp_close_at'].forEach(field => {
+    if (data[field]) {
+      moved[field] = new Date(new Date(data[field]).getTime() + offset).toISOString();
+    }
+  });
+  return moved;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRecurrenceRule,
+  parseExceptions,
+  expandOccurrences,
+  describeRule,
+  moveEventTo
+};
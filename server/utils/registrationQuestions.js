@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { body } = require('express-validator');
+
+// Registration questions an organizer asks on RSVP:
+// { id, label, type: text | single_choice | multi_choice, options, required }.
+// Answers are keyed by question id: text for text questions, one option for single
+// choice, a list of options for multi choice.
+
+const QUESTION_TYPES = ['text', 'single_choice', 'multi_choice'];
+
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_LABEL_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 1000;
+
+const isChoice = (question) => question.type !== 'text';
+
+// Event forms are multipart, so the question list arrives as a JSON string
+const parseQuestionsField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Throws with a message for the organizer when the question list is not valid
+const checkQuestions = (questions) => {
+  if (!Array.isArray(questions)) {
+    throw new Error('Registration questions must be a list');
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    throw new Error(`You can ask at most ${MAX_QUESTIONS} registration questions`);
+  }
+
+  questions.forEach((question, index) => {
+    const name = `Question ${index + 1}`;
+    if (!question || typeof question.label !== 'string' || !question.label.trim()) {
+      throw new Error(`${name} needs a label`);
+    }
+    if (question.label.trim().length > MAX_LABEL_LENGTH) {
+      throw new Error(`${name} can be at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      throw new Error(`${name} must be text, single choice or multi choice`);
+    }
+    if (!isChoice(question)) return;
+
+    const options = Array.isArray(question.options) ? question.options : [];
+    if (options.length < 2 || options.length > MAX_OPTIONS) {
+      throw new Error(`${name} needs between 2 and ${MAX_OPTIONS} options`);
+    }
+    if (options.some(option => typeof option !== 'string' || !option.trim())) {
+      throw new Error(`${name} has a blank option`);
+    }
+    if (new Set(options.map(option => option.trim())).size !== options.length) {
+      throw new Error(`${name} lists the same option twice`);
+    }
+  });
+
+  return true;
+};
+
+// Validation for registration_questions in the event forms
+const questionRules = [
+  body('registration_questions').optional({ checkFalsy: true })
+    .customSanitizer(parseQuestionsField)
+    .custom(checkQuestions)
+];
+
+// Questions as stored: trimmed, with ids kept for questions the event already has (so
+// their answers still match) and new ids for the rest
+const normalizeQuestions = (questions, existing = []) => {
+  const existingIds = new Set(existing.map(question => question.id));
+  return questions.map(question => ({
+    id: existingIds.has(question.id) ? question.id : crypto.randomUUID(),
+    label: question.label.trim(),
+    type: question.type,
+    options: isChoice(question) ? question.options.map(option => option.trim()) : [],
+    required: question.required === true
+  }));
+};
+
+// Cleans the answer to one question; returns undefined when it is left blank
+const cleanAnswer = (question, value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  if (question.type === 'text') {
+    if (typeof value !== 'string') {
+      throw new Error(`Your answer to "${question.label}" must be text`);
+    }
+    if (value.trim().length > MAX_ANSWER_LENGTH) {
+      throw new Error(`Your answer to "${question.label}" can be at most ${MAX_ANSWER_LENGTH} characters`);
+    }
+    return value.trim() || undefined;
+  }
+
+  if (question.type === 'single_choice') {
+    if (!question.options.includes(value)) {
+      throw new Error(`Choose one of the options for "${question.label}"`);
+    }
+    return value;
+  }
+
+  const chosen = Array.isArray(value) ? value : [value];
+  if (chosen.some(option => !question.options.includes(option))) {
+    throw new Error(`Choose from the options for "${question.label}"`);
+  }
+  // Kept in the organizer's option order, without repeats
+  const answer = question.options.filter(option => chosen.includes(option));
+  return answer.length > 0 ? answer : undefined;
+};
+
+// Checks an attendee's answers against the event's questions.
+// Returns { answers } with the cleaned answers, or { error } with a message for the attendee.
+// Answers to questions the event does not ask are dropped.
+const checkAnswers = (questions, rawAnswers) => {
+  const raw = rawAnswers || {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Answers must be keyed by question id' };
+  }
+
+  const answers = {};
+  try {
+    for (const question of questions) {
+      const answer = cleanAnswer(question, raw[question.id]);
+      if (answer === undefined) {
+        if (question.required) {
+          throw new Error(`Please answer "${question.label}"`);
+        }
+        continue;
+      }
+      answers[question.id] = answer;
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { answers };
+};
+
+// An answer as one line of text, e.g. for the CSV export
+const formatAnswer = (answer) => (Array.isArray(answer) ? answer.join('; ') : answer || '');
+
+module.exports = {
+  questionRules,
+  normalizeQuestions,
+  checkAnswers,
+  formatAnswer
+};
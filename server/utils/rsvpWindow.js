@@ -0,0 +1,25 @@
+// RSVP window of an event. RSVPs are accepted from rsvp_open_at (straight away when unset)
+// until rsvp_close_at (until the event starts when unset).
+
+// Returns { status: 'not_open' | 'open' | 'closed', opensAt, closesAt }
+const getRsvpWindow = (event, now = new Date()) => {
+  const opensAt = event.rsvp_open_at ? new Date(event.rsvp_open_at) : null;
+  const closesAt = event.rsvp_close_at ? new Date(event.rsvp_close_at) : new Date(event.date);
+
+  let status = 'open';
+  if (opensAt && now < opensAt) {
+    status = 'not_open';
+  } else if (now >= closesAt) {
+    status = 'closed';
+  }
+
+  return { status, opensAt, closesAt };
+};
+
+// Form value for rsvp_open_at / rsvp_close_at as an ISO string; empty means unset (null)
+const parseWindowTime = (value) => (value ? new Date(value).toISOString() : null);
+
+module.exports = {
+  getRsvpWindow,
+  parseWindowTime
+};
@@ -0,0 +1,73 @@
+// Search input handling shared by both data backends.
+// User input is reduced to plain word terms here, so nothing typed into the search box
+// ever reaches a filter string or tsquery unescaped.
+
+const MAX_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// "Tech, (conf)!" -> ['tech', 'conf']
+const parseSearchTerms = (search) => {
+  if (!search) return [];
+  const terms = search.toLowerCase().match(WORD_PATTERN) || [];
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+};
+
+// Splits text into [{ text, match }] segments, marking words that start with a search term
+const highlightText = (text, terms) => {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const found of text.matchAll(WORD_PATTERN)) {
+    const word = found[0].toLowerCase();
+    if (!terms.some(term => word.startsWith(term))) continue;
+
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+// Like highlightText, but trimmed to a window around the first match
+const highlightSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const firstMatch = Math.min(...terms.map(term => {
+    const index = lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term}`, 'u'));
+    return index === -1 ? Infinity : index;
+  }));
+
+  let start = 0;
+  if (Number.isFinite(firstMatch) && firstMatch > SNIPPET_LENGTH / 3) {
+    start = text.lastIndexOf(' ', firstMatch - SNIPPET_LENGTH / 3) + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const segments = highlightText(text.slice(start, end), terms);
+  if (start > 0) {
+    segments.unshift({ text: '...', match: false });
+  }
+  if (end < text.length) {
+    segments.push({ text: '...', match: false });
+  }
+  return segments;
+};
+
+// Title and description highlights for a search result
+const highlightEvent = (event, terms) => ({
+  title: highlightText(event.title, terms),
+  description: highlightSnippet(event.description, terms)
+});
+
+module.exports = {
+  parseSearchTerms,
+  highlightText,
+  highlightEvent
+};
@@ -0,0 +1,39 @@
+const { ticketTypes } = require('../repositories');
+
+// Sale status of a ticket type: 'not_started' | 'on_sale' | 'ended' | 'sold_out'.
+// An unset sale window follows the event's RSVP window, which is checked separately.
+const getSaleStatus = (ticketType, now = new Date()) => {
+  if (ticketType.sales_start_at && now < new Date(ticketType.sales_start_at)) {
+    return 'not_started';
+  }
+  if (ticketType.sales_end_at && now >= new Date(ticketType.sales_end_at)) {
+    return 'ended';
+  }
+  if (ticketType.sold_count >= ticketType.quota) {
+    return 'sold_out';
+  }
+  return 'on_sale';
+};
+
+// Ticket type as returned by the API, with remaining tickets and sale status
+const withSaleStatus = (ticketType) => ({
+  ...ticketType,
+  remaining: Math.max(0, ticketType.quota - ticketType.sold_count),
+  sale_status: getSaleStatus(ticketType)
+});
+
+// Add ticketTypes to a list of events, loading every event's types in a single query
+const attachTicketTypes = async (eventList) => {
+  const typesByEvent = await ticketTypes.listForEvents(eventList.map(e => e.id));
+
+  return eventList.map(event => ({
+    ...event,
+    ticketTypes: (typesByEvent[event.id] || []).map(withSaleStatus)
+  }));
+};
+
+module.exports = {
+  getSaleStatus,
+  withSaleStatus,
+  attachTicketTypes
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Ticket codes shown as a QR code to going attendees: "<rsvp id>.<signature>", where the
+// signature is an HMAC of the RSVP id, so codes cannot be made up or altered.
+// Cancelling an RSVP deletes it, which retires its code.
+const TICKET_SECRET = process.env.TICKET_SECRET || process.env.JWT_SECRET || 'your_jwt_secret_key_here_change_in_production';
+
+const sign = (rsvpId) => crypto.createHmac('sha256', TICKET_SECRET).update(`ticket:${rsvpId}`).digest('base64url');
+
+const toTicketCode = (rsvp) => `${rsvp.id}.${sign(rsvp.id)}`;
+
+// The RSVP id of a ticket code, or null when its signature does not match
+const readTicketCode = (code) => {
+  const [rsvpId, signature, ...rest] = String(code || '').trim().split('.');
+  if (!rsvpId || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(rsvpId));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  return rsvpId;
+};
+
+module.exports = {
+  toTicketCode,
+  readTicketCode
+};
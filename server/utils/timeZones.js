@@ -0,0 +1,94 @@
+// IANA time zone helpers built on Intl (no time zone database of our own).
+// Event times are entered as wall-clock times in the event's zone and stored in UTC.
+
+// Zone used when an event does not name one
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a zone: { year, month, day, hour, minute, second } (month is 1-12)
+const toZonedParts = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+const partsAsUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }) => (
+  Date.UTC(year, month - 1, day, hour, minute, second)
+);
+
+// Offset of the zone from UTC at an instant, in milliseconds
+const getOffset = (time, timeZone) => partsAsUtc(toZonedParts(new Date(time), timeZone)) - time;
+
+// The instant at which the zone's clocks show the given wall-clock parts.
+// Times skipped by a DST change resolve to the later offset.
+const fromZonedParts = (parts, timeZone) => {
+  const wallTime = partsAsUtc(parts);
+  let time = wallTime - getOffset(wallTime, timeZone);
+  const offset = getOffset(time, timeZone);
+  if (wallTime - offset !== time) {
+    time = wallTime - offset;
+  }
+  return new Date(time);
+};
+
+// Date input to UTC: values with Z or an offset are absolute; "2024-06-01T18:30" is
+// wall-clock time in timeZone. Returns an ISO string, or null for invalid input.
+const toUtcIso = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  const text = String(value).trim();
+  const wallClock = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/);
+
+  if (wallClock) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = wallClock;
+    const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+    const date = fromZonedParts({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second)
+    }, zone);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toZonedParts,
+  fromZonedParts,
+  toUtcIso
+};
@@ -0,0 +1,15 @@
+// Deleted events stay in the creator's trash, restorable, for this long
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// When a deleted event gets purged for good
+const getPurgeAt = (event) => new Date(new Date(event.deleted_at).getTime() + TRASH_RETENTION_MS);
+
+const isPastRetention = (event, now = new Date()) => getPurgeAt(event) <= now;
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_MS,
+  getPurgeAt,
+  isPastRetention
+};
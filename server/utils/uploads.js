@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const { events } = require('../repositories');
+
+// Delete an uploaded file given its public path (e.g. /uploads/123.jpg); missing files are ignored
+const removeUpload = (imagePath) => {
+  if (!imagePath) return;
+  const filePath = path.join(__dirname, '..', imagePath);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Delete an uploaded image once no event uses it any more
+// (occurrences of a series share one image; trashed events still count)
+const removeUnusedUpload = async (imagePath) => {
+  if (!imagePath) return;
+  if (await events.countWithImage(imagePath) === 0) {
+    removeUpload(imagePath);
+  }
+};
+
+module.exports = {
+  removeUpload,
+  removeUnusedUpload
+};
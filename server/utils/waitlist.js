@@ -0,0 +1,24 @@
+const { waitlist, notifications } = require('../repositories');
+
+// Fill any free seats from the event's waitlist and tell each promoted user.
+// Returns the ids of the promoted users.
+const promoteWaitlist = async (event) => {
+  // Cancelled events keep their waitlist frozen until reinstated
+  if (event.status === 'cancelled') return [];
+
+  const promotedUserIds = await waitlist.promote(event.id);
+
+  await Promise.all(promotedUserIds.map(userId =>
+    notifications.create({
+      userId,
+      eventId: event.id,
+      message: `A spot opened up for "${event.title}" - you have been moved off the waitlist and are now attending.`
+    })
+  ));
+
+  return promotedUserIds;
+};
+
+module.exports = {
+  promoteWaitlist
+};